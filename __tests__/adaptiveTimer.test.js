@@ -0,0 +1,81 @@
+/* eslint-disable no-undef */
+const createAdaptiveTimer = require("../lib/adaptiveTimer");
+const createMetrics = require("../lib/metrics");
+
+describe("Adaptive Delta Timer", () => {
+  let metricsApi;
+  let timer;
+
+  const reportLoss = (loss) => {
+    metricsApi.metrics.reliable.reportedLoss = loss;
+    metricsApi.metrics.reliable.reportedLossTime = Date.now() + Math.random();
+  };
+
+  beforeEach(() => {
+    metricsApi = createMetrics();
+    timer = createAdaptiveTimer({ deltaTimerMin: 500, deltaTimerMax: 5000 }, metricsApi);
+  });
+
+  test("should keep the interval until an RTT is measured", () => {
+    expect(timer.evaluate(1000)).toEqual({ interval: 1000, reason: "waiting for RTT" });
+  });
+
+  test("should clamp the interval to the configured bounds", () => {
+    expect(timer.evaluate(100).interval).toBe(500);
+    expect(timer.evaluate(20000).interval).toBe(5000);
+  });
+
+  test("should speed up on a fast link down to the minimum", () => {
+    timer.observeRtt(50);
+    let interval = 1000;
+    for (let i = 0; i < 20; i++) {
+      interval = timer.evaluate(interval).interval;
+    }
+
+    expect(interval).toBe(500);
+    expect(timer.getStatus().reason).toMatch(/good link/);
+  });
+
+  test("should back off on send errors", () => {
+    timer.observeRtt(50);
+    metricsApi.metrics.udpSendErrors += 3;
+
+    expect(timer.evaluate(1000)).toEqual({ interval: 1500, reason: "3 send error(s)" });
+    // Only new errors count
+    expect(timer.evaluate(1500).interval).toBeLessThan(1500);
+  });
+
+  test("should back off on high RTT", () => {
+    timer.observeRtt(2000);
+
+    const result = timer.evaluate(1000);
+    expect(result.interval).toBe(1500);
+    expect(result.reason).toMatch(/high RTT/);
+  });
+
+  test("should back off on packet loss reported by the server", () => {
+    timer.observeRtt(50);
+    reportLoss(0.2);
+
+    const result = timer.evaluate(1000);
+    expect(result.interval).toBe(1500);
+    expect(result.reason).toBe("packet loss 20.0%");
+    expect(timer.getStatus().loss).toBe(0.2);
+  });
+
+  test("should hold the interval on a mediocre link", () => {
+    timer.observeRtt(800);
+
+    expect(timer.evaluate(1000)).toEqual({ interval: 1000, reason: "stable" });
+  });
+
+  test("should report its state", () => {
+    timer.observeRtt(100);
+    timer.evaluate(1000);
+
+    expect(timer.getStatus()).toEqual(
+      expect.objectContaining({ interval: 900, rtt: 100, loss: null, min: 500, max: 5000 })
+    );
+    expect(timer.getStatus().changedAt).not.toBeNull();
+  });
+});
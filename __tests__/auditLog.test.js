@@ -0,0 +1,187 @@
+/* eslint-disable no-undef */
+const { promises: fs } = require("fs");
+const path = require("path");
+const os = require("os");
+const createAuditLog = require("../lib/auditLog");
+const createRoutes = require("../lib/routes");
+const createMetrics = require("../lib/metrics");
+const { SECRET_MASK } = require("../lib/constants");
+
+describe("Audit Log and API Security", () => {
+  const secretKey = "12345678901234567890123456789012";
+  const nextKey = "abcdefghijklmnopqrstuvwxyz123456";
+  const vesselKey = "ABCDEFGHIJKLMNOPQRSTUVWXYZ654321";
+  let tempDir;
+  let app;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `signalk-audit-test-${Date.now()}`);
+    await fs.mkdir(tempDir, { recursive: true });
+    app = { debug: jest.fn(), error: jest.fn(), getDataDirPath: jest.fn(() => tempDir) };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("createAuditLog", () => {
+    test("should return the newest entries first with a timestamp", async () => {
+      const log = createAuditLog(app, path.join(tempDir, "audit.jsonl"));
+      log.record({ user: "admin", action: "first" });
+      log.record({ user: "admin", action: "second" });
+
+      const entries = await log.read(10);
+      expect(entries.map((entry) => entry.action)).toEqual(["second", "first"]);
+      expect(Date.parse(entries[0].timestamp)).not.toBeNaN();
+      expect(await log.read(1)).toHaveLength(1);
+    });
+
+    test("should start a new file when the log is full", async () => {
+      const filePath = path.join(tempDir, "audit.jsonl");
+      const log = createAuditLog(app, filePath, 100);
+      log.record({ user: "admin", action: "first" });
+      log.record({ user: "admin", action: "second" });
+      await log.flush();
+
+      expect((await log.read(10)).map((entry) => entry.action)).toEqual(["second"]);
+      expect(await fs.readFile(`${filePath}.1`, "utf-8")).toContain("first");
+    });
+
+    test("should return nothing before the first entry", async () => {
+      const log = createAuditLog(app, path.join(tempDir, "audit.jsonl"));
+      expect(await log.read(10)).toEqual([]);
+    });
+  });
+
+  describe("Routes", () => {
+    let configuration;
+    let state;
+    let handlers;
+
+    const request = (method, route, req = {}) =>
+      new Promise((resolve) => {
+        const res = {
+          statusCode: 200,
+          status(code) {
+            this.statusCode = code;
+            return this;
+          },
+          json(data) {
+            resolve({ status: this.statusCode, body: data });
+          },
+          send(data) {
+            resolve({ status: this.statusCode, body: data });
+          },
+          contentType: jest.fn()
+        };
+        const chain = handlers[`${method} ${route}`];
+        const next = (i) => () => chain[i](req, res, next(i + 1));
+        next(0)();
+      });
+
+    const admin = { skPrincipal: { identifier: "skipper", permissions: "admin" }, ip: "10.0.0.2" };
+    const crew = { skPrincipal: { identifier: "crew", permissions: "readwrite" }, ip: "10.0.0.3" };
+    const json = { "content-type": "application/json" };
+
+    beforeEach(() => {
+      configuration = {
+        serverType: "server",
+        udpPort: 4446,
+        secretKey,
+        nextSecretKey: nextKey,
+        keyRotationTime: "2030-01-01T00:00:00.000Z",
+        clients: [{ clientId: "aurora", secretKey: vesselKey }]
+      };
+      app.readPluginOptions = jest.fn(() => ({ configuration: JSON.parse(JSON.stringify(configuration)) }));
+      app.savePluginOptions = jest.fn();
+      app.securityStrategy = { isDummy: () => false };
+      state = { restartPlugin: jest.fn() };
+      handlers = {};
+      const router = {
+        get: jest.fn((route, ...chain) => {
+          handlers[`GET ${route}`] = chain;
+        }),
+        post: jest.fn((route, ...chain) => {
+          handlers[`POST ${route}`] = chain;
+        })
+      };
+      createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+    });
+
+    test("should mask all keys when reading the configuration", async () => {
+      const { body } = await request("GET", "/plugin-config", crew);
+
+      expect(body.configuration.secretKey).toBe(SECRET_MASK);
+      expect(body.configuration.nextSecretKey).toBe(SECRET_MASK);
+      expect(body.configuration.clients[0]).toEqual({ clientId: "aurora", secretKey: SECRET_MASK });
+      expect(JSON.stringify(body)).not.toContain(secretKey);
+    });
+
+    test("should reveal keys to admins only", async () => {
+      expect((await request("POST", "/plugin-config/reveal", {})).status).toBe(401);
+      expect((await request("POST", "/plugin-config/reveal", crew)).status).toBe(403);
+
+      const { status, body } = await request("POST", "/plugin-config/reveal", admin);
+      expect(status).toBe(200);
+      expect(body.configuration.secretKey).toBe(secretKey);
+      expect(body.configuration.clients[0].secretKey).toBe(vesselKey);
+    });
+
+    test("should allow every request when security is disabled", async () => {
+      app.securityStrategy.isDummy = () => true;
+
+      expect((await request("POST", "/plugin-config/reveal", {})).status).toBe(200);
+    });
+
+    test("should refuse configuration changes without admin permission", async () => {
+      const body = { ...configuration, udpPort: 5000 };
+
+      expect((await request("POST", "/plugin-config", { ...crew, headers: json, body })).status).toBe(403);
+      expect((await request("POST", "/key-rotation/cancel", crew)).status).toBe(403);
+      expect((await request("POST", "/config/:filename", { ...crew, headers: json })).status).toBe(403);
+      expect((await request("GET", "/audit-log", crew)).status).toBe(403);
+      expect(state.restartPlugin).not.toHaveBeenCalled();
+    });
+
+    test("should keep the stored keys when a masked configuration is saved", async () => {
+      const masked = (await request("GET", "/plugin-config", admin)).body.configuration;
+      masked.udpPort = 5000;
+      masked.clients.push({ clientId: "borealis", secretKey: nextKey });
+
+      const { status } = await request("POST", "/plugin-config", { ...admin, headers: json, body: masked });
+      expect(status).toBe(200);
+      const saved = state.restartPlugin.mock.calls[0][0];
+      expect(saved.udpPort).toBe(5000);
+      expect(saved.secretKey).toBe(secretKey);
+      expect(saved.nextSecretKey).toBe(nextKey);
+      expect(saved.clients).toEqual([
+        { clientId: "aurora", secretKey: vesselKey },
+        { clientId: "borealis", secretKey: nextKey }
+      ]);
+    });
+
+    test("should log who changed what, without keys", async () => {
+      const body = { ...configuration, udpPort: 5000, secretKey: nextKey, nextSecretKey: undefined };
+      delete body.keyRotationTime;
+      await request("POST", "/plugin-config", { ...admin, headers: json, body });
+      await request("POST", "/plugin-config/reveal", admin);
+
+      const { body: log } = await request("GET", "/audit-log", { ...admin, query: { limit: "10" } });
+      expect(log.entries).toEqual([
+        expect.objectContaining({ user: "skipper", ip: "10.0.0.2", action: "secrets-revealed" }),
+        expect.objectContaining({
+          user: "skipper",
+          action: "plugin-config",
+          details: { changed: ["keyRotationTime", "nextSecretKey", "secretKey", "udpPort"] }
+        })
+      ]);
+      const content = await fs.readFile(path.join(tempDir, "audit_log.jsonl"), "utf-8");
+      expect(content).not.toContain(secretKey);
+      expect(content).not.toContain(nextKey);
+    });
+
+    test("should reject an invalid audit log limit", async () => {
+      expect((await request("GET", "/audit-log", { ...admin, query: { limit: "0" } })).status).toBe(400);
+    });
+  });
+});
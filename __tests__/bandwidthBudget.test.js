@@ -0,0 +1,150 @@
+/* eslint-disable no-undef */
+const { promises: fs } = require("fs");
+const path = require("path");
+const os = require("os");
+const {
+  createBandwidthBudget,
+  billingMonthKey,
+  dayKey,
+  LEVEL_NORMAL,
+  LEVEL_REDUCED,
+  LEVEL_PRIORITY,
+  LEVEL_HEARTBEAT
+} = require("../lib/bandwidthBudget");
+const createMetrics = require("../lib/metrics");
+const { BYTES_PER_MEGABYTE } = require("../lib/constants");
+
+describe("Bandwidth Budget", () => {
+  let tempDir;
+  let filePath;
+  let mockApp;
+  let metricsApi;
+
+  const createBudget = (overrides = {}) =>
+    createBandwidthBudget(mockApp, metricsApi, { filePath, dailyBudgetMB: 1, monthlyBudgetMB: 0, ...overrides });
+
+  const transfer = (bytes) => {
+    metricsApi.metrics.bandwidth.bytesOut += bytes;
+  };
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `signalk-budget-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(tempDir, { recursive: true });
+    filePath = path.join(tempDir, "bandwidth_usage.json");
+    mockApp = { debug: jest.fn(), error: jest.fn() };
+    metricsApi = createMetrics();
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (err) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe("billingMonthKey", () => {
+    test("should use the calendar month with reset day 1", () => {
+      expect(billingMonthKey(new Date(2024, 2, 1))).toBe("2024-03");
+    });
+
+    test("should count days before the reset day to the previous month", () => {
+      expect(billingMonthKey(new Date(2024, 2, 10), 15)).toBe("2024-02");
+      expect(billingMonthKey(new Date(2024, 2, 15), 15)).toBe("2024-03");
+      expect(billingMonthKey(new Date(2024, 0, 3), 5)).toBe("2023-12");
+    });
+  });
+
+  test("should raise the level as usage nears the budget", async () => {
+    const budget = createBudget();
+    await budget.init();
+    expect(budget.level).toBe(LEVEL_NORMAL);
+
+    transfer(0.8 * BYTES_PER_MEGABYTE);
+    expect(await budget.update()).toBe(true);
+    expect(budget.level).toBe(LEVEL_REDUCED);
+
+    transfer(0.15 * BYTES_PER_MEGABYTE);
+    await budget.update();
+    expect(budget.level).toBe(LEVEL_PRIORITY);
+
+    transfer(0.05 * BYTES_PER_MEGABYTE);
+    await budget.update();
+    expect(budget.level).toBe(LEVEL_HEARTBEAT);
+    expect(budget.getStatus().day.percent).toBe(100);
+  });
+
+  test("should count received bytes", async () => {
+    const budget = createBudget();
+    await budget.init();
+
+    metricsApi.metrics.bandwidth.bytesIn += 1000;
+    await budget.update();
+
+    expect(budget.getStatus().day.bytes).toBe(1000);
+  });
+
+  test("should use the tighter of the daily and monthly budgets", async () => {
+    const budget = createBudget({ dailyBudgetMB: 10, monthlyBudgetMB: 1 });
+    await budget.init();
+
+    transfer(0.9 * BYTES_PER_MEGABYTE);
+    await budget.update();
+
+    expect(budget.level).toBe(LEVEL_PRIORITY);
+    expect(budget.getStatus().used).toBe(0.9);
+  });
+
+  test("should keep usage across restarts", async () => {
+    const first = createBudget();
+    await first.init();
+    transfer(0.8 * BYTES_PER_MEGABYTE);
+    await first.stop();
+
+    // Metrics start from zero after a plugin restart
+    metricsApi.resetMetrics();
+    const second = createBudget();
+    await second.init();
+    transfer(1000);
+    await second.update();
+
+    expect(second.level).toBe(LEVEL_REDUCED);
+    expect(second.getStatus().day.bytes).toBe(0.8 * BYTES_PER_MEGABYTE + 1000);
+  });
+
+  test("should have saved the counters when stop returns", async () => {
+    const first = createBudget();
+    await first.init();
+    transfer(0.3 * BYTES_PER_MEGABYTE);
+    // A restart right after stop reads the final counts
+    first.stop();
+
+    const second = createBudget();
+    await second.init();
+    expect(second.getStatus().day.bytes).toBe(0.3 * BYTES_PER_MEGABYTE);
+    await expect(fs.access(`${filePath}.tmp`)).rejects.toThrow();
+  });
+
+  test("should start a new day with zero usage", async () => {
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ day: "2000-01-01", dayBytes: 5 * BYTES_PER_MEGABYTE, month: "2000-01", monthBytes: 5 })
+    );
+    const budget = createBudget();
+    await budget.init();
+
+    const status = budget.getStatus();
+    expect(status.day.period).toBe(dayKey(new Date()));
+    expect(status.day.bytes).toBe(0);
+    expect(status.month.bytes).toBe(0);
+    expect(budget.level).toBe(LEVEL_NORMAL);
+  });
+
+  test("should start from zero when the usage file is corrupt", async () => {
+    await fs.writeFile(filePath, "{not json");
+    const budget = createBudget();
+    await budget.init();
+
+    expect(budget.getStatus().day.bytes).toBe(0);
+  });
+});
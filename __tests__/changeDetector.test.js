@@ -0,0 +1,117 @@
+/* eslint-disable no-undef */
+const createChangeDetector = require("../lib/changeDetector");
+const { DEFAULT_FULL_REFRESH_INTERVAL } = require("../lib/constants");
+
+describe("Change Detector", () => {
+  const context = "vessels.urn:mrn:imo:mmsi:123456789";
+  const deltaOf = (values, deltaContext = context) => ({
+    context: deltaContext,
+    updates: [{ timestamp: "2024-06-15T12:00:00.000Z", values }]
+  });
+  const sentPaths = (deltas) =>
+    deltas.flatMap((delta) => delta.updates.flatMap((update) => update.values.map((v) => v.path)));
+
+  let stats;
+
+  beforeEach(() => {
+    stats = { valuesSent: 0, valuesSuppressed: 0 };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should drop values that have not changed", () => {
+    const detector = createChangeDetector({}, stats);
+    const pressure = { path: "environment.outside.pressure", value: 101300 };
+
+    expect(detector.filter([deltaOf([pressure])])).toHaveLength(1);
+    expect(detector.filter([deltaOf([pressure])])).toEqual([]);
+    expect(stats).toEqual({ valuesSent: 1, valuesSuppressed: 1 });
+  });
+
+  test("should keep only the changed values of a delta", () => {
+    const detector = createChangeDetector({}, stats);
+    detector.filter([deltaOf([{ path: "a", value: 1 }, { path: "b", value: 2 }])]);
+
+    const result = detector.filter([deltaOf([{ path: "a", value: 1 }, { path: "b", value: 3 }])]);
+    expect(sentPaths(result)).toEqual(["b"]);
+  });
+
+  test("should compare object values by content", () => {
+    const detector = createChangeDetector({}, stats);
+    const position = () => ({ path: "navigation.position", value: { latitude: 60.1, longitude: 24.9 } });
+
+    detector.filter([deltaOf([position()])]);
+    expect(detector.filter([deltaOf([position()])])).toEqual([]);
+  });
+
+  test("should track contexts separately", () => {
+    const detector = createChangeDetector({}, stats);
+    const speed = { path: "navigation.speedOverGround", value: 5 };
+
+    detector.filter([deltaOf([speed])]);
+    expect(detector.filter([deltaOf([speed], "vessels.other")])).toHaveLength(1);
+  });
+
+  test("should apply absolute and percent deadbands", () => {
+    const detector = createChangeDetector(
+      {
+        deadbands: [
+          { path: "environment.outside.pressure", absolute: 50 },
+          { path: "electrical.*", percent: 1 }
+        ]
+      },
+      stats
+    );
+    detector.filter([deltaOf([{ path: "environment.outside.pressure", value: 101300 }])]);
+    detector.filter([deltaOf([{ path: "electrical.batteries.house.voltage", value: 12.8 }])]);
+
+    expect(detector.filter([deltaOf([{ path: "environment.outside.pressure", value: 101340 }])])).toEqual([]);
+    expect(detector.filter([deltaOf([{ path: "electrical.batteries.house.voltage", value: 12.9 }])])).toEqual([]);
+    // Compared with the last sent value, so slow drift is sent once it exceeds the threshold
+    expect(detector.filter([deltaOf([{ path: "environment.outside.pressure", value: 101360 }])])).toHaveLength(1);
+    expect(detector.filter([deltaOf([{ path: "electrical.batteries.house.voltage", value: 13.0 }])])).toHaveLength(1);
+  });
+
+  test("should send unchanged values again after the full refresh interval", () => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, "now").mockReturnValue(start);
+    const detector = createChangeDetector({}, stats);
+    const pressure = { path: "environment.outside.pressure", value: 101300 };
+
+    detector.filter([deltaOf([pressure])]);
+    now.mockReturnValue(start + DEFAULT_FULL_REFRESH_INTERVAL * 1000 - 1);
+    expect(detector.filter([deltaOf([pressure])])).toEqual([]);
+    now.mockReturnValue(start + DEFAULT_FULL_REFRESH_INTERVAL * 1000);
+    expect(detector.filter([deltaOf([pressure])])).toHaveLength(1);
+  });
+
+  test("should honour a configured full refresh interval", () => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, "now").mockReturnValue(start);
+    const detector = createChangeDetector({ fullRefreshInterval: 10 }, stats);
+    const pressure = { path: "environment.outside.pressure", value: 101300 };
+
+    detector.filter([deltaOf([pressure])]);
+    now.mockReturnValue(start + 10000);
+    expect(detector.filter([deltaOf([pressure])])).toHaveLength(1);
+  });
+
+  test("should pass updates without values unchanged", () => {
+    const detector = createChangeDetector({}, stats);
+    const hello = deltaOf([]);
+
+    expect(detector.filter([hello])).toEqual([hello]);
+  });
+
+  test("should send everything again after reset", () => {
+    const detector = createChangeDetector({}, stats);
+    const speed = { path: "navigation.speedOverGround", value: 5 };
+
+    detector.filter([deltaOf([speed])]);
+    detector.reset();
+    expect(detector.size).toBe(0);
+    expect(detector.filter([deltaOf([speed])])).toHaveLength(1);
+  });
+});
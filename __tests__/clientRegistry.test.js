@@ -0,0 +1,184 @@
+/* eslint-disable no-undef */
+const createClientRegistry = require("../lib/clientRegistry");
+const createMetrics = require("../lib/metrics");
+const createPipeline = require("../lib/pipeline");
+const { deriveKeyId } = require("../lib/packetHeader");
+
+describe("Client Registry", () => {
+  const sharedKey = "12345678901234567890123456789012";
+  const auroraKey = "abcdefghijklmnopqrstuvwxyz123456";
+  const borealisKey = "ZYXWVUTSRQPONMLKJIHGFEDCBA654321";
+
+  const clients = [
+    { clientId: "aurora", name: "Aurora", secretKey: auroraKey, allowedContexts: ["vessels.urn:mrn:imo:mmsi:230000001"] },
+    { clientId: "borealis", secretKey: borealisKey }
+  ];
+
+  describe("createClientRegistry", () => {
+    test("should index clients by derived key identifier", () => {
+      const registry = createClientRegistry(clients, jest.fn());
+
+      expect(registry.size).toBe(2);
+      const aurora = registry.get(deriveKeyId("aurora"));
+      expect(aurora.name).toBe("Aurora");
+      expect(aurora.secretKey).toBe(auroraKey);
+    });
+
+    test("should default name to client ID", () => {
+      const registry = createClientRegistry(clients, jest.fn());
+      expect(registry.get(deriveKeyId("borealis")).name).toBe("borealis");
+    });
+
+    test("should restrict contexts when allowedContexts is set", () => {
+      const registry = createClientRegistry(clients, jest.fn());
+      const aurora = registry.get(deriveKeyId("aurora"));
+      const borealis = registry.get(deriveKeyId("borealis"));
+
+      expect(aurora.isContextAllowed("vessels.urn:mrn:imo:mmsi:230000001")).toBe(true);
+      expect(aurora.isContextAllowed("vessels.urn:mrn:imo:mmsi:230000002")).toBe(false);
+      expect(borealis.isContextAllowed("vessels.urn:mrn:imo:mmsi:230000002")).toBe(true);
+    });
+
+    test("should skip invalid entries and report them", () => {
+      const onError = jest.fn();
+      const registry = createClientRegistry(
+        [
+          { secretKey: auroraKey },
+          { clientId: "weak", secretKey: "a".repeat(32) },
+          { clientId: "short", secretKey: "tooshort" },
+          { clientId: "aurora", secretKey: auroraKey },
+          { clientId: "aurora", secretKey: borealisKey }
+        ],
+        onError
+      );
+
+      expect(registry.size).toBe(1);
+      expect(onError).toHaveBeenCalledTimes(4);
+      expect(onError).toHaveBeenCalledWith(expect.stringContaining("Duplicate client ID"));
+    });
+
+    test("should keep a valid next key and ignore an invalid one", () => {
+      const onError = jest.fn();
+      const registry = createClientRegistry(
+        [
+          { clientId: "aurora", secretKey: auroraKey, nextSecretKey: borealisKey },
+          { clientId: "borealis", secretKey: borealisKey, nextSecretKey: "tooshort" }
+        ],
+        onError
+      );
+
+      expect(registry.get(deriveKeyId("aurora")).nextSecretKey).toBe(borealisKey);
+      expect(registry.get(deriveKeyId("borealis")).nextSecretKey).toBeNull();
+      expect(onError).toHaveBeenCalledWith(expect.stringContaining("Next key of client \"borealis\" ignored"));
+    });
+
+    test("should return an empty registry when no clients are configured", () => {
+      expect(createClientRegistry(undefined, jest.fn()).size).toBe(0);
+    });
+  });
+
+  describe("Pipeline with per-client keys", () => {
+    let mockApp;
+    let clientState;
+    let serverState;
+    let capturedPackets;
+    let serverMetrics;
+    let clientPipeline;
+    let serverPipeline;
+
+    const deltaFor = (mmsi) => ({
+      context: `vessels.urn:mrn:imo:mmsi:${mmsi}`,
+      updates: [{ timestamp: "2024-06-15T12:00:00.000Z", values: [{ path: "navigation.speedOverGround", value: 5 }] }]
+    });
+
+    beforeEach(() => {
+      capturedPackets = [];
+      mockApp = {
+        debug: jest.fn(),
+        error: jest.fn(),
+        setPluginStatus: jest.fn(),
+        handleMessage: jest.fn()
+      };
+
+      clientState = {
+        options: { secretKey: auroraKey },
+        keyId: deriveKeyId("aurora"),
+        socketUdp: {
+          send: jest.fn((msg, port, host, cb) => {
+            capturedPackets.push(Buffer.from(msg));
+            cb(null);
+          })
+        },
+        avgBytesPerDelta: 200,
+        maxDeltasPerBatch: 5,
+        lastPacketTime: 0
+      };
+
+      serverState = {
+        options: { secretKey: sharedKey },
+        isServerMode: true,
+        clientRegistry: createClientRegistry(clients, jest.fn())
+      };
+
+      clientPipeline = createPipeline(mockApp, clientState, createMetrics());
+      serverMetrics = createMetrics();
+      serverPipeline = createPipeline(mockApp, serverState, serverMetrics);
+    });
+
+    test("should decrypt with the client's own key", async () => {
+      await clientPipeline.packCrypt([deltaFor("230000001")], auroraKey, "10.0.0.1", 4446);
+      await serverPipeline.unpackDecrypt(capturedPackets[0], sharedKey, { address: "203.0.113.5", port: 51000 });
+
+      expect(mockApp.handleMessage).toHaveBeenCalledTimes(1);
+      const stats = serverMetrics.metrics.clients.get("aurora");
+      expect(stats.packetsIn).toBe(1);
+      expect(stats.deltasReceived).toBe(1);
+      expect(stats.address).toBe("203.0.113.5:51000");
+      expect(stats.lastSeen).toBeGreaterThan(0);
+    });
+
+    test("should reject deltas outside the client's allowed contexts", async () => {
+      await clientPipeline.packCrypt([deltaFor("230000001"), deltaFor("230000999")], auroraKey, "10.0.0.1", 4446);
+      await serverPipeline.unpackDecrypt(capturedPackets[0], sharedKey);
+
+      expect(mockApp.handleMessage).toHaveBeenCalledTimes(1);
+      expect(mockApp.handleMessage.mock.calls[0][1].context).toBe("vessels.urn:mrn:imo:mmsi:230000001");
+      expect(serverMetrics.metrics.clients.get("aurora").deltasRejected).toBe(1);
+    });
+
+    test("should count decrypt errors when the client uses a wrong key", async () => {
+      await clientPipeline.packCrypt([deltaFor("230000001")], borealisKey, "10.0.0.1", 4446);
+      await serverPipeline.unpackDecrypt(capturedPackets[0], sharedKey);
+
+      expect(mockApp.handleMessage).not.toHaveBeenCalled();
+      expect(serverMetrics.metrics.clients.get("aurora").decryptErrors).toBe(1);
+      expect(serverMetrics.metrics.encryptionErrors).toBe(1);
+    });
+
+    test("should accept the client's next key during a rotation", async () => {
+      serverState.clientRegistry.get(deriveKeyId("aurora")).nextSecretKey = borealisKey;
+      await clientPipeline.packCrypt([deltaFor("230000001")], borealisKey, "10.0.0.1", 4446);
+      await serverPipeline.unpackDecrypt(capturedPackets[0], sharedKey);
+
+      expect(mockApp.handleMessage).toHaveBeenCalledTimes(1);
+      expect(serverMetrics.metrics.clients.get("aurora").decryptErrors).toBe(0);
+    });
+
+    test("should drop packets with an unknown key identifier", async () => {
+      clientState.keyId = deriveKeyId("stranger");
+      await clientPipeline.packCrypt([deltaFor("230000001")], auroraKey, "10.0.0.1", 4446);
+      await serverPipeline.unpackDecrypt(capturedPackets[0], sharedKey);
+
+      expect(mockApp.handleMessage).not.toHaveBeenCalled();
+      expect(serverMetrics.metrics.lastError).toContain("Unknown key identifier");
+    });
+
+    test("should still accept shared-key packets", async () => {
+      clientState.keyId = 0;
+      await clientPipeline.packCrypt([deltaFor("230000999")], sharedKey, "10.0.0.1", 4446);
+      await serverPipeline.unpackDecrypt(capturedPackets[0], sharedKey);
+
+      expect(mockApp.handleMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/* eslint-disable no-undef */
+const {
+  CODECS,
+  CODEC_BROTLI,
+  CODEC_DEFLATE,
+  CODEC_NONE,
+  CODEC_ZSTD,
+  getCodec,
+  codecLevel,
+  compressPayload,
+  decompressPayload,
+  benchmarkCodecs
+} = require("../lib/codecs");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+const { decodeHeader } = require("../lib/packetHeader");
+const { BENCHMARK_BROTLI_LEVELS } = require("../lib/constants");
+
+describe("Compression Codecs", () => {
+  const delta = {
+    context: "vessels.urn:mrn:imo:mmsi:123456789",
+    updates: [
+      {
+        timestamp: "2024-06-15T12:00:00.000Z",
+        values: [
+          { path: "navigation.speedOverGround", value: 5.2 },
+          { path: "navigation.courseOverGroundTrue", value: 1.57 }
+        ]
+      }
+    ]
+  };
+  const payload = Buffer.from(JSON.stringify([delta, delta, delta]));
+
+  test.each(CODECS.filter((codec) => codec.available).map((codec) => [codec.name, codec]))(
+    "should round-trip a payload with %s",
+    async (name, codec) => {
+      const compressed = await compressPayload(codec, payload, codec.defaultLevel);
+      expect((await decompressPayload(codec.id, compressed)).equals(payload)).toBe(true);
+    }
+  );
+
+  test("should compress at least as well at higher levels", async () => {
+    const brotli = getCodec("brotli");
+    const fast = await compressPayload(brotli, payload, 1);
+    const best = await compressPayload(brotli, payload, 11);
+
+    expect(best.length).toBeLessThanOrEqual(fast.length);
+  });
+
+  test("should limit levels to the codec's range", () => {
+    expect(codecLevel(getCodec("deflate"), 0)).toBe(getCodec("deflate").defaultLevel);
+    expect(codecLevel(getCodec("deflate"), 15)).toBe(9);
+    expect(codecLevel(getCodec("brotli"), 3)).toBe(3);
+    expect(codecLevel(getCodec("none"), 5)).toBe(0);
+  });
+
+  test("should only look up known codecs", () => {
+    expect(getCodec("brotli").id).toBe(CODEC_BROTLI);
+    expect(getCodec("lz4")).toBeUndefined();
+  });
+
+  test("should refuse unknown codecs and dictionaries for codecs without dictionary support", () => {
+    expect(() => decompressPayload(9, payload)).toThrow("unknown codec 9");
+    expect(() => decompressPayload(CODEC_NONE, payload, Buffer.from("dictionary"))).toThrow(
+      "does not support dictionaries"
+    );
+  });
+
+  test("should report zstd as unavailable when Node.js lacks it", () => {
+    const zstd = CODECS.find((codec) => codec.id === CODEC_ZSTD);
+    if (zstd.available) {
+      return;
+    }
+    expect(() => decompressPayload(CODEC_ZSTD, payload)).toThrow("zstd is not supported");
+    expect(benchmarkCodecs([payload]).find((result) => result.codec === "zstd")).toEqual({
+      codec: "zstd",
+      level: zstd.defaultLevel,
+      available: false
+    });
+  });
+
+  describe("benchmarkCodecs", () => {
+    test("should report size and CPU time for each codec and Brotli level", () => {
+      const results = benchmarkCodecs([payload, payload]);
+
+      const brotli = results.filter((result) => result.codec === "brotli");
+      expect(brotli.map((result) => result.level)).toEqual(BENCHMARK_BROTLI_LEVELS);
+      const none = results.find((result) => result.codec === "none");
+      expect(none.bytes).toBe(payload.length * 2);
+      expect(none.ratio).toBe(0);
+      results
+        .filter((result) => result.available)
+        .forEach((result) => {
+          expect(result.cpuMs).toBeGreaterThanOrEqual(0);
+          expect(result.bytes).toBeGreaterThan(0);
+        });
+    });
+
+    test("should include deflate with the active dictionary", () => {
+      const results = benchmarkCodecs([payload], { dictionary: { id: 2, data: payload } });
+
+      const withDictionary = results.find((result) => result.codec === "deflate+dictionary 2");
+      const plain = results.find((result) => result.codec === "deflate");
+      expect(withDictionary.bytes).toBeLessThan(plain.bytes);
+    });
+  });
+
+  describe("Pipeline", () => {
+    const secretKey = "12345678901234567890123456789012";
+    let app;
+    let packets;
+    let clientState;
+    let client;
+    let server;
+
+    beforeEach(() => {
+      app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+      packets = [];
+      clientState = {
+        options: { secretKey },
+        socketUdp: {
+          send: jest.fn((msg, port, host, cb) => {
+            packets.push(Buffer.from(msg));
+            cb(null);
+          })
+        },
+        avgBytesPerDelta: 200,
+        maxDeltasPerBatch: 5,
+        lastPacketTime: 0
+      };
+      client = createPipeline(app, clientState, createMetrics());
+      server = createPipeline(app, { options: { secretKey }, isServerMode: true }, createMetrics());
+    });
+
+    afterEach(() => {
+      client.stop();
+      server.stop();
+    });
+
+    test("should default to Brotli", async () => {
+      await client.packCrypt([delta], secretKey, "127.0.0.1", 4446);
+
+      expect(decodeHeader(packets[0]).codec).toBe(CODEC_BROTLI);
+    });
+
+    test.each([
+      ["deflate", CODEC_DEFLATE],
+      ["none", CODEC_NONE]
+    ])("should send with %s and let the server decode it", async (name, id) => {
+      clientState.compression = { codec: getCodec(name), level: getCodec(name).defaultLevel };
+      await client.packCrypt([delta], secretKey, "127.0.0.1", 4446);
+      expect(decodeHeader(packets[0]).codec).toBe(id);
+
+      await server.unpackDecrypt(packets[0], secretKey);
+      expect(app.handleMessage).toHaveBeenCalledWith("", expect.objectContaining({ context: delta.context }));
+    });
+
+    test("should keep recent payloads for the benchmark", async () => {
+      await client.packCrypt([delta], secretKey, "127.0.0.1", 4446);
+      await server.unpackDecrypt(packets[0], secretKey);
+
+      expect(client.getRecentPayloads()).toHaveLength(1);
+      expect(server.getRecentPayloads()[0].equals(client.getRecentPayloads()[0])).toBe(true);
+    });
+
+    test("should serve the benchmark route from recent payloads", async () => {
+      let handler;
+      const router = {
+        get: jest.fn((route, ...handlers) => {
+          if (route === "/codecs/benchmark") {
+            handler = handlers[handlers.length - 1];
+          }
+        }),
+        post: jest.fn()
+      };
+      createRoutes(app, clientState, createMetrics(), {}, client).registerWithRouter(router);
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+
+      handler({}, res);
+      expect(res.status).toHaveBeenCalledWith(409);
+
+      await client.packCrypt([delta], secretKey, "127.0.0.1", 4446);
+      handler({}, res);
+      expect(res.json).toHaveBeenLastCalledWith(
+        expect.objectContaining({ samples: 1, results: expect.any(Array) })
+      );
+    });
+  });
+});
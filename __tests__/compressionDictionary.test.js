@@ -0,0 +1,313 @@
+/* eslint-disable no-undef */
+const { promises: fs } = require("fs");
+const zlib = require("zlib");
+const path = require("path");
+const os = require("os");
+const {
+  trainDictionary,
+  createDictionaryStore,
+  createTrafficRecorder,
+  readTrafficSamples
+} = require("../lib/compressionDictionary");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+const { decodeHeader, MAX_DICTIONARY_ID } = require("../lib/packetHeader");
+const { getCodec, CODEC_BROTLI, CODEC_DEFLATE, CODEC_ZSTD } = require("../lib/codecs");
+const { DICTIONARY_MIN_SAMPLES } = require("../lib/constants");
+
+describe("Compression Dictionary", () => {
+  const batchOf = (i) => [
+    {
+      context: "vessels.urn:mrn:imo:mmsi:123456789",
+      updates: [
+        {
+          timestamp: new Date(1718452800000 + i * 1000).toISOString(),
+          source: { label: "n2k", type: "NMEA2000" },
+          values: [
+            { path: "navigation.speedOverGround", value: (i % 50) / 10 },
+            { path: "environment.wind.speedApparent", value: (i % 70) / 7 }
+          ]
+        }
+      ]
+    }
+  ];
+  const samplesOf = (count) => Array.from({ length: count }, (_, i) => Buffer.from(JSON.stringify(batchOf(i))));
+
+  let tempDir;
+  let app;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `signalk-dictionary-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(tempDir, { recursive: true });
+    app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (err) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe("trainDictionary", () => {
+    test("should build a dictionary that shrinks small batches", () => {
+      const dictionary = trainDictionary(samplesOf(200), 4096);
+      expect(dictionary.length).toBeGreaterThan(0);
+      expect(dictionary.length).toBeLessThanOrEqual(4096);
+
+      const sample = Buffer.from(JSON.stringify(batchOf(1000)));
+      const plain = zlib.deflateRawSync(sample, { level: 9 });
+      const trained = zlib.deflateRawSync(sample, { level: 9, dictionary });
+      expect(trained.length).toBeLessThan(plain.length / 2);
+      expect(zlib.inflateRawSync(trained, { dictionary }).equals(sample)).toBe(true);
+    });
+
+    test("should stop once all repeated content is included", () => {
+      const samples = samplesOf(200);
+      const dictionary = trainDictionary(samples, 32768);
+
+      expect(dictionary.length).toBeLessThan(samples.reduce((sum, sample) => sum + sample.length, 0) / 4);
+      expect(dictionary.toString("latin1")).toContain("environment.wind.speedApparent");
+    });
+
+    test("should require enough samples and a valid size", () => {
+      expect(() => trainDictionary(samplesOf(DICTIONARY_MIN_SAMPLES - 1))).toThrow("recorded samples are needed");
+      expect(() => trainDictionary(samplesOf(200), 100)).toThrow("Dictionary size must be between");
+    });
+  });
+
+  describe("createDictionaryStore", () => {
+    test("should start empty without a directory", async () => {
+      const store = createDictionaryStore(app, path.join(tempDir, "dictionaries"));
+      await store.load();
+
+      expect(store.list()).toEqual([]);
+      expect(store.get(1)).toBeNull();
+    });
+
+    test("should save new versions under increasing IDs and load them again", async () => {
+      const directory = path.join(tempDir, "dictionaries");
+      const store = createDictionaryStore(app, directory);
+      await store.load();
+      expect(await store.add(Buffer.from("first"))).toBe(1);
+      expect(await store.add(Buffer.from("second"))).toBe(2);
+
+      const reloaded = createDictionaryStore(app, directory);
+      await reloaded.load();
+      expect(reloaded.get(2).toString()).toBe("second");
+      expect(reloaded.list().map((d) => d.file)).toEqual(["dictionary-1.bin", "dictionary-2.bin"]);
+    });
+
+    test("should refuse a version beyond the header's ID range", async () => {
+      const directory = path.join(tempDir, "dictionaries");
+      await fs.mkdir(directory);
+      await fs.writeFile(path.join(directory, `dictionary-${MAX_DICTIONARY_ID}.bin`), "last");
+      const store = createDictionaryStore(app, directory);
+      await store.load();
+
+      await expect(store.add(Buffer.from("next"))).rejects.toThrow("dictionary IDs are in use");
+    });
+  });
+
+  describe("createTrafficRecorder", () => {
+    test("should record payloads until the size limit", async () => {
+      const filePath = path.join(tempDir, "traffic_samples.txt");
+      const recorder = createTrafficRecorder(app, filePath, 30);
+      await recorder.init();
+
+      recorder.record(Buffer.from("first"));
+      recorder.record(Buffer.from("second"));
+      recorder.record(Buffer.from("does not fit any more"));
+      await recorder.flush();
+
+      const samples = await readTrafficSamples(filePath);
+      expect(samples.map(String)).toEqual(["first", "second"]);
+      expect(recorder.getStatus().full).toBe(true);
+    });
+
+    test("should read no samples without a recording", async () => {
+      expect(await readTrafficSamples(path.join(tempDir, "missing.txt"))).toEqual([]);
+    });
+  });
+
+  describe("Pipeline", () => {
+    const secretKey = "12345678901234567890123456789012";
+    let dictionary;
+    let packets;
+    let clientState;
+    let client;
+    let serverState;
+    let serverMetrics;
+    let server;
+
+    beforeEach(() => {
+      dictionary = trainDictionary(samplesOf(200), 4096);
+      packets = [];
+      const socketUdp = {
+        send: jest.fn((msg, port, host, cb) => {
+          packets.push(Buffer.from(msg));
+          cb(null);
+        })
+      };
+      clientState = {
+        options: { secretKey },
+        socketUdp,
+        compression: { codec: getCodec("deflate"), level: 9 },
+        compressionDictionary: { id: 3, data: dictionary },
+        avgBytesPerDelta: 200,
+        maxDeltasPerBatch: 5,
+        lastPacketTime: 0
+      };
+      client = createPipeline(app, clientState, createMetrics());
+      serverMetrics = createMetrics();
+      serverState = {
+        options: { secretKey },
+        isServerMode: true,
+        dictionaryStore: { get: (id) => (id === 3 ? dictionary : null) }
+      };
+      server = createPipeline(app, serverState, serverMetrics);
+    });
+
+    afterEach(() => {
+      client.stop();
+      server.stop();
+    });
+
+    test("should compress with the dictionary named in the header", async () => {
+      await client.packCrypt(batchOf(1000), secretKey, "127.0.0.1", 4446);
+      expect(decodeHeader(packets[0])).toMatchObject({ codec: CODEC_DEFLATE, dictionaryId: 3 });
+
+      await server.unpackDecrypt(packets[0], secretKey);
+      expect(app.handleMessage).toHaveBeenCalledWith("", expect.objectContaining({ context: batchOf(0)[0].context }));
+    });
+
+    test("should use the dictionary with the configured zstd codec and level", async () => {
+      if (!getCodec("zstd").supportsDictionary) {
+        return;
+      }
+      clientState.compression = { codec: getCodec("zstd"), level: 3 };
+      await client.packCrypt(batchOf(1000), secretKey, "127.0.0.1", 4446);
+      expect(decodeHeader(packets[0])).toMatchObject({ codec: CODEC_ZSTD, dictionaryId: 3 });
+
+      await server.unpackDecrypt(packets[0], secretKey);
+      expect(app.handleMessage).toHaveBeenCalledWith("", expect.objectContaining({ context: batchOf(0)[0].context }));
+    });
+
+    test("should keep Brotli and send without the dictionary", async () => {
+      clientState.compression = { codec: getCodec("brotli"), level: 5 };
+      await client.packCrypt(batchOf(1000), secretKey, "127.0.0.1", 4446);
+      expect(decodeHeader(packets[0])).toMatchObject({ codec: CODEC_BROTLI, dictionaryId: 0 });
+
+      await server.unpackDecrypt(packets[0], secretKey);
+      expect(app.handleMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test("should drop packets compressed with a dictionary the receiver does not have", async () => {
+      serverState.dictionaryStore = { get: () => null };
+      await client.packCrypt(batchOf(1000), secretKey, "127.0.0.1", 4446);
+      await server.unpackDecrypt(packets[0], secretKey);
+
+      expect(app.handleMessage).not.toHaveBeenCalled();
+      expect(serverMetrics.metrics.compressionErrors).toBe(1);
+    });
+  });
+
+  describe("Training route", () => {
+    let state;
+    let handler;
+
+    const post = (body) =>
+      new Promise((resolve) => {
+        const res = {
+          statusCode: 200,
+          status(code) {
+            this.statusCode = code;
+            return this;
+          },
+          json(data) {
+            resolve({ status: this.statusCode, body: data });
+          }
+        };
+        handler({ body }, res);
+      });
+
+    beforeEach(() => {
+      state = {
+        dictionaryStore: createDictionaryStore(app, path.join(tempDir, "dictionaries")),
+        trafficSamplesFile: path.join(tempDir, "traffic_samples.txt")
+      };
+      const router = {
+        get: jest.fn(),
+        post: jest.fn((route, ...handlers) => {
+          if (route === "/dictionaries/train") {
+            handler = handlers[handlers.length - 1];
+          }
+        })
+      };
+      createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+    });
+
+    test("should train a new dictionary version from the recording", async () => {
+      const recorder = createTrafficRecorder(app, state.trafficSamplesFile);
+      await recorder.init();
+      samplesOf(100).forEach((sample) => recorder.record(sample));
+      state.trafficRecorder = recorder;
+
+      const { status, body } = await post({ size: 2048 });
+
+      expect(status).toBe(200);
+      expect(body).toEqual(expect.objectContaining({ success: true, id: 1, samples: 100 }));
+      expect(state.dictionaryStore.get(1).length).toBe(body.size);
+    });
+
+    test("should reject training without a recording", async () => {
+      const { status, body } = await post({});
+
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/recorded samples are needed/);
+    });
+  });
+
+  describe("Configuration route", () => {
+    test("should reject a dictionary with a codec that cannot use one", async () => {
+      const configuration = {
+        serverType: "client",
+        udpPort: 4446,
+        udpAddress: "192.0.2.1",
+        testAddress: "192.0.2.1",
+        testPort: 80,
+        secretKey: "12345678901234567890123456789012",
+        compressionDictionary: 3
+      };
+      app.readPluginOptions = jest.fn(() => ({ configuration }));
+      app.savePluginOptions = jest.fn();
+      const state = { restartPlugin: jest.fn() };
+      let handler;
+      const router = {
+        get: jest.fn(),
+        post: jest.fn((route, ...chain) => {
+          if (route === "/plugin-config") {
+            handler = chain[chain.length - 1];
+          }
+        })
+      };
+      createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+      const request = (body) =>
+        new Promise((resolve) => {
+          const res = {
+            status: () => res,
+            json: (data) => resolve(data)
+          };
+          handler({ headers: { "content-type": "application/json" }, body }, res);
+        });
+
+      expect((await request({ ...configuration, compressionCodec: "brotli" })).error).toBe(
+        "compressionDictionary needs the deflate or zstd codec, brotli cannot use a dictionary here"
+      );
+      await request({ ...configuration, compressionCodec: "deflate" });
+      expect(state.restartPlugin).toHaveBeenCalledTimes(1);
+    });
+  });
+});
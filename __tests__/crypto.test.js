@@ -173,6 +173,23 @@ describe("Crypto Module", () => {
         // Should throw due to failed authentication (built into GCM)
         expect(() => decryptBinary(tamperedPacket, validSecretKey)).toThrow();
       });
+
+      test("should authenticate additional data without encrypting it", () => {
+        const aad = Buffer.from([0, 0, 0, 1, 0, 0, 0, 2]);
+        const packet = encryptBinary(Buffer.from(testData), validSecretKey, aad);
+
+        expect(decryptBinary(packet, validSecretKey, aad).toString()).toBe(testData);
+      });
+
+      test("should fail when additional data is altered or missing", () => {
+        const aad = Buffer.from([0, 0, 0, 1, 0, 0, 0, 2]);
+        const packet = encryptBinary(Buffer.from(testData), validSecretKey, aad);
+
+        const alteredAad = Buffer.from(aad);
+        alteredAad[7] = 3;
+        expect(() => decryptBinary(packet, validSecretKey, alteredAad)).toThrow();
+        expect(() => decryptBinary(packet, validSecretKey)).toThrow();
+      });
     });
   });
 
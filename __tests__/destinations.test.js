@@ -0,0 +1,264 @@
+/* eslint-disable no-undef */
+const dgram = require("dgram");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { createDestinations, filterDelta } = require("../lib/destinations");
+const { compilePatterns } = require("../lib/pathMatcher");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+const { createBandwidthBudget, LEVEL_NORMAL, LEVEL_REDUCED } = require("../lib/bandwidthBudget");
+const { decodeHeader, deriveKeyId } = require("../lib/packetHeader");
+const { SECRET_MASK, BYTES_PER_MEGABYTE } = require("../lib/constants");
+
+describe("Destinations", () => {
+  const cloudKey = "12345678901234567890123456789012";
+  const shoreKey = "abcdefghijklmnopqrstuvwxyz123456";
+  const context = "vessels.urn:mrn:imo:mmsi:230035780";
+  const delta = (...paths) => ({
+    context,
+    updates: [{ timestamp: "2026-01-10T12:00:00.000Z", values: paths.map((path) => ({ path, value: 1 })) }]
+  });
+
+  describe("filterDelta", () => {
+    const all = compilePatterns([], true);
+
+    test("should keep only included paths", () => {
+      const navigation = compilePatterns(["navigation.*"]);
+      const filtered = filterDelta(delta("navigation.position", "tanks.fuel.0.currentLevel"), all, navigation);
+      expect(filtered.updates[0].values.map((value) => value.path)).toEqual(["navigation.position"]);
+    });
+
+    test("should return the delta itself when nothing is removed", () => {
+      const original = delta("navigation.position");
+      expect(filterDelta(original, all, all)).toBe(original);
+    });
+
+    test("should drop deltas without included values or of other contexts", () => {
+      expect(filterDelta(delta("tanks.fuel.0.currentLevel"), all, compilePatterns(["navigation.*"]))).toBeNull();
+      const mmsi = compilePatterns(["vessels.urn:mrn:imo:mmsi:2*"]);
+      expect(filterDelta(delta("navigation.position"), mmsi, all)).not.toBeNull();
+      expect(filterDelta(delta("navigation.position"), compilePatterns(["vessels.self"]), all)).toBeNull();
+    });
+  });
+
+  describe("createDestinations", () => {
+    let app;
+    let sockets;
+    let state;
+    let options;
+    let destinations;
+
+    /**
+     * Waits until a condition holds (sending compresses asynchronously)
+     * @param {Function} condition - Condition to wait for
+     * @returns {Promise<void>}
+     */
+    const waitFor = async (condition) => {
+      for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      expect(condition()).toBe(true);
+    };
+
+    beforeEach(() => {
+      app = { debug: jest.fn(), error: jest.fn(), handleMessage: jest.fn(), setPluginStatus: jest.fn() };
+      sockets = [];
+      jest.spyOn(dgram, "createSocket").mockImplementation(() => {
+        const socket = new EventEmitter();
+        socket.sent = [];
+        socket.send = jest.fn((message, port, host, callback) => {
+          socket.sent.push({ message: Buffer.from(message), port, host });
+          callback(null);
+        });
+        socket.bind = jest.fn((port, address, callback) => callback());
+        socket.close = jest.fn();
+        sockets.push(socket);
+        return socket;
+      });
+      state = { isReliablePath: null, compression: null, compressionDictionary: null, trafficRecorder: null };
+      options = {
+        serverType: "client",
+        destinations: [
+          { name: "cloud", udpAddress: "cloud.example.com", udpPort: 4446, secretKey: cloudKey, clientId: "aurora" },
+          { name: "shore", udpAddress: "192.0.2.10", udpPort: 5000, secretKey: shoreKey, paths: ["navigation.*"] }
+        ]
+      };
+      destinations = [];
+    });
+
+    afterEach(() => {
+      destinations.forEach((destination) => destination.stop());
+      jest.restoreAllMocks();
+    });
+
+    test("should skip invalid entries and report them", async () => {
+      const onError = jest.fn();
+      options.destinations.push(
+        { udpAddress: "192.0.2.1", udpPort: 4446, secretKey: cloudKey },
+        { name: "cloud", udpAddress: "192.0.2.1", udpPort: 4446, secretKey: cloudKey },
+        { name: "noport", udpAddress: "192.0.2.1", udpPort: 0, secretKey: cloudKey },
+        { name: "shortkey", udpAddress: "192.0.2.1", udpPort: 4446, secretKey: "short" }
+      );
+      destinations = await createDestinations(app, state, options, onError);
+
+      expect(destinations.map((destination) => destination.name)).toEqual(["cloud", "shore"]);
+      expect(onError.mock.calls.map(([message]) => message)).toEqual([
+        "Destination without name skipped",
+        "Duplicate destination \"cloud\" skipped",
+        "Destination \"noport\" skipped: port must be between 1 and 65535",
+        expect.stringContaining("Destination \"shortkey\" skipped")
+      ]);
+    });
+
+    test("should send each destination its own paths with its own key", async () => {
+      destinations = await createDestinations(app, state, options, jest.fn());
+      const [cloud, shore] = destinations;
+
+      [cloud, shore].forEach((destination) => destination.timerElapsed());
+      const mixed = delta("navigation.position", "tanks.fuel.0.currentLevel");
+      [cloud, shore].forEach((destination) => destination.push(mixed));
+      await waitFor(() => sockets[0].sent.length === 1 && sockets[1].sent.length === 1);
+
+      expect(sockets[0].sent[0]).toMatchObject({ host: "cloud.example.com", port: 4446 });
+      expect(decodeHeader(sockets[0].sent[0].message).keyId).toBe(deriveKeyId("aurora"));
+      expect(sockets[1].sent[0]).toMatchObject({ host: "192.0.2.10", port: 5000 });
+
+      // The shore station decrypts with its own key and gets only the navigation path
+      const serverState = { options: { secretKey: shoreKey }, isServerMode: true, socketUdp: sockets[0] };
+      await createPipeline(app, serverState, createMetrics()).unpackDecrypt(sockets[1].sent[0].message, shoreKey);
+      const received = app.handleMessage.mock.calls[0][1];
+      expect(received.updates[0].values.map((value) => value.path)).toEqual(["navigation.position"]);
+    });
+
+    test("should batch independently and count per destination", async () => {
+      destinations = await createDestinations(app, state, options, jest.fn());
+      const [cloud, shore] = destinations;
+
+      shore.push(delta("navigation.position"));
+      cloud.timerElapsed();
+      cloud.push(delta("navigation.position"));
+      await waitFor(() => sockets[0].sent.length === 1);
+
+      const cloudStatus = cloud.getStatus();
+      const shoreStatus = shore.getStatus();
+      expect(cloudStatus).toMatchObject({ name: "cloud", address: "cloud.example.com:4446", packetsOut: 1 });
+      expect(cloudStatus.bytesOut).toBe(sockets[0].sent[0].message.length);
+      expect(shoreStatus).toMatchObject({ name: "shore", packetsOut: 0, deltasBuffered: 1, errors: 0 });
+    });
+
+    test("should send a hello to idle destinations", async () => {
+      destinations = await createDestinations(app, state, options, jest.fn());
+      const hello = { context, updates: [{ timestamp: new Date(), values: [] }] };
+
+      await destinations[1].heartbeat(60000, hello);
+      expect(sockets[1].sent).toHaveLength(1);
+      await destinations[1].heartbeat(60000, hello);
+      expect(sockets[1].sent).toHaveLength(1);
+    });
+
+    test("should count destination traffic against the bandwidth budget", async () => {
+      destinations = await createDestinations(app, state, options, jest.fn());
+      const [cloud] = destinations;
+      const budget = createBandwidthBudget(app, createMetrics(), {
+        filePath: path.join(os.tmpdir(), `signalk-destination-budget-${Date.now()}`, "bandwidth_usage.json"),
+        dailyBudgetMB: 0.01,
+        extraBytes: () => destinations.reduce((sum, destination) => sum + destination.bytesTransferred(), 0)
+      });
+      await budget.init();
+
+      // The main server sends nothing; the destination alone uses up more than 75% of the budget
+      while (cloud.bytesTransferred() < 0.76 * 0.01 * BYTES_PER_MEGABYTE) {
+        const sent = sockets[0].sent.length;
+        cloud.timerElapsed();
+        cloud.push(delta("navigation.position"));
+        await waitFor(() => sockets[0].sent.length === sent + 1);
+      }
+      expect(budget.level).toBe(LEVEL_NORMAL);
+      expect(budget.update()).toBe(true);
+      expect(budget.level).toBe(LEVEL_REDUCED);
+    });
+
+    test("should hold batched deltas to the budget level when sending", async () => {
+      destinations = await createDestinations(app, state, options, jest.fn());
+      const shore = destinations[1];
+
+      shore.push(delta("navigation.courseOverGroundTrue"));
+      // The budget level rises while the delta waits in the batch: only priority data is sent
+      state.isAllowedByBudget = (batched) => batched.updates[0].values[0].path === "navigation.position";
+      shore.timerElapsed();
+      shore.push(delta("navigation.position"));
+      await waitFor(() => sockets[1].sent.length === 1);
+
+      const serverState = { options: { secretKey: shoreKey }, isServerMode: true, socketUdp: sockets[0] };
+      await createPipeline(app, serverState, createMetrics()).unpackDecrypt(sockets[1].sent[0].message, shoreKey);
+      expect(app.handleMessage).toHaveBeenCalledTimes(1);
+      expect(app.handleMessage.mock.calls[0][1].updates[0].values[0].path).toBe("navigation.position");
+    });
+
+    test("should close the socket on stop", async () => {
+      destinations = await createDestinations(app, state, options, jest.fn());
+      destinations[0].stop();
+
+      expect(sockets[0].close).toHaveBeenCalled();
+      destinations = destinations.slice(1);
+    });
+  });
+
+  describe("Routes", () => {
+    test("should mask destination keys and keep them when a masked configuration is saved", async () => {
+      const configuration = {
+        serverType: "client",
+        udpPort: 4446,
+        udpAddress: "192.0.2.1",
+        testAddress: "192.0.2.1",
+        testPort: 80,
+        secretKey: cloudKey,
+        destinations: [{ name: "shore", udpAddress: "192.0.2.10", udpPort: 5000, secretKey: shoreKey }]
+      };
+      const app = {
+        debug: jest.fn(),
+        error: jest.fn(),
+        readPluginOptions: jest.fn(() => ({ configuration: JSON.parse(JSON.stringify(configuration)) })),
+        savePluginOptions: jest.fn()
+      };
+      const state = { restartPlugin: jest.fn() };
+      const handlers = {};
+      const router = {
+        get: jest.fn((route, ...chain) => {
+          handlers[`GET ${route}`] = chain[chain.length - 1];
+        }),
+        post: jest.fn((route, ...chain) => {
+          handlers[`POST ${route}`] = chain[chain.length - 1];
+        })
+      };
+      createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+      const json = { "content-type": "application/json" };
+      const request = (key, req) =>
+        new Promise((resolve) => {
+          const res = {
+            status: () => res,
+            json: (data) => resolve(data)
+          };
+          handlers[key](req, res);
+        });
+
+      const masked = (await request("GET /plugin-config", {})).configuration;
+      expect(masked.destinations[0].secretKey).toBe(SECRET_MASK);
+
+      masked.destinations[0].paths = ["navigation.*"];
+      masked.destinations.push({ name: "shore", udpAddress: "192.0.2.11", udpPort: 5000, secretKey: shoreKey });
+      expect((await request("POST /plugin-config", { headers: json, body: masked })).error).toBe(
+        "Duplicate destination: shore"
+      );
+      masked.destinations.pop();
+
+      await request("POST /plugin-config", { headers: json, body: masked });
+      expect(state.restartPlugin.mock.calls[0][0].destinations[0]).toMatchObject({
+        secretKey: shoreKey,
+        paths: ["navigation.*"]
+      });
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/* eslint-disable no-undef */
+const createFailover = require("../lib/failover");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+const { decodeHeader, PACKET_TYPE_PROBE, PACKET_TYPE_PROBE_REPLY } = require("../lib/packetHeader");
+
+describe("Server Failover", () => {
+  const SECOND = 1000;
+  const options = {
+    udpAddress: "primary.example.com",
+    udpPort: 4446,
+    failoverServers: [
+      { udpAddress: "backup.example.com", udpPort: 4446 },
+      { udpAddress: "192.0.2.20", udpPort: 5000 }
+    ],
+    failoverTimeout: 30,
+    failbackDelay: 300
+  };
+  let app;
+  let start;
+
+  /**
+   * Answers the probes as the given servers would
+   * @param {Object} failover - Failover under test
+   * @param {number} now - Current time in ms
+   * @param {string[]} answering - Addresses of the servers that answer
+   */
+  const probe = (failover, now, answering) => {
+    for (const { address, payload } of failover.probes(now)) {
+      if (answering.includes(address)) {
+        failover.recordReply(payload, now + 50);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+    start = Date.now();
+  });
+
+  describe("createFailover", () => {
+    test("should start on the configured server and skip invalid failover servers", () => {
+      const onError = jest.fn();
+      const failoverServers = [...options.failoverServers, { udpAddress: "" }, { udpAddress: "x", udpPort: 0 }];
+      const failover = createFailover(app, { ...options, failoverServers }, onError);
+
+      expect(failover.active()).toEqual({ address: "primary.example.com", port: 4446, index: 0 });
+      expect(failover.getStatus().servers).toHaveLength(3);
+      expect(onError.mock.calls.map(([message]) => message)).toEqual([
+        "Failover server 3 skipped: address missing",
+        "Failover server x skipped: port must be between 1 and 65535"
+      ]);
+    });
+
+    test("should stay on an answering server and probe only the active one", () => {
+      const failover = createFailover(app, options, jest.fn());
+      for (let t = 10 * SECOND; t <= 120 * SECOND; t += 10 * SECOND) {
+        probe(failover, start + t, ["primary.example.com"]);
+        expect(failover.check(start + t + SECOND)).toBeNull();
+      }
+
+      const status = failover.getStatus(start + 121 * SECOND);
+      expect(status.servers.map((server) => server.status)).toEqual(["up", "standby", "standby"]);
+      expect(status.servers[0]).toMatchObject({ rtt: 50, probesSent: 12, repliesReceived: 12 });
+    });
+
+    test("should fail over in order when the active server stops answering", () => {
+      const failover = createFailover(app, options, jest.fn());
+      probe(failover, start + 10 * SECOND, ["primary.example.com"]);
+
+      expect(failover.check(start + 39 * SECOND)).toBeNull();
+      expect(failover.check(start + 41 * SECOND)).toMatchObject({
+        from: "primary.example.com:4446",
+        to: "backup.example.com:4446",
+        reason: "timeout"
+      });
+      // The new server gets the full timeout before the next switch
+      expect(failover.check(start + 70 * SECOND)).toBeNull();
+      expect(failover.check(start + 71 * SECOND).to).toBe("192.0.2.20:5000");
+      expect(failover.check(start + 101 * SECOND).to).toBe("primary.example.com:4446");
+      expect(failover.getStatus().switches).toBe(3);
+    });
+
+    test("should fail back once the preferred server has answered for the fail-back delay", () => {
+      const failover = createFailover(app, options, jest.fn());
+      failover.check(start + 31 * SECOND);
+      expect(failover.active().index).toBe(1);
+
+      // Primary back at 40 s, silent from 100 s to 130 s, which restarts its stable period at 140 s
+      let failback = null;
+      for (let t = 40; t <= 500 && !failback; t += 10) {
+        const answering = t >= 100 && t < 140 ? ["backup.example.com"] : ["primary.example.com", "backup.example.com"];
+        probe(failover, start + t * SECOND, answering);
+        const change = failover.check(start + t * SECOND + 100);
+        if (change) {
+          failback = { ...change, after: t };
+        }
+      }
+
+      expect(failback).toMatchObject({ to: "primary.example.com:4446", reason: "failback", after: 440 });
+      expect(failover.active().index).toBe(0);
+    });
+
+    test("should ignore invalid probe replies", () => {
+      const failover = createFailover(app, options, jest.fn());
+      failover.recordReply(Buffer.from("not json"));
+      failover.recordReply(Buffer.from(JSON.stringify({ i: 7, t: start })));
+
+      expect(failover.getStatus().servers.every((server) => server.repliesReceived === 0)).toBe(true);
+    });
+  });
+
+  describe("Pipeline", () => {
+    const secretKey = "12345678901234567890123456789012";
+    const clientAddress = { address: "203.0.113.5", port: 51000 };
+    let toServer;
+    let toClient;
+    let clientState;
+    let client;
+    let serverMetrics;
+    let server;
+
+    const socket = (sent) => ({
+      send: jest.fn((msg, port, host, cb) => {
+        sent.push({ message: Buffer.from(msg), host, port });
+        cb(null);
+      })
+    });
+
+    beforeEach(() => {
+      toServer = [];
+      toClient = [];
+      clientState = {
+        options: { secretKey, reliablePaths: ["notifications.*"] },
+        socketUdp: socket(toServer),
+        failover: createFailover(app, options, jest.fn()),
+        avgBytesPerDelta: 200,
+        maxDeltasPerBatch: 5,
+        lastPacketTime: 0
+      };
+      client = createPipeline(app, clientState, createMetrics());
+      serverMetrics = createMetrics();
+      server = createPipeline(
+        app,
+        { options: { secretKey }, isServerMode: true, socketUdp: socket(toClient) },
+        serverMetrics
+      );
+    });
+
+    afterEach(() => {
+      client.stop();
+      server.stop();
+    });
+
+    test("should echo probes and record the reply", async () => {
+      const [{ address, port, payload }] = clientState.failover.probes();
+      await client.sendProbe(secretKey, address, port, payload);
+      expect(decodeHeader(toServer[0].message).type).toBe(PACKET_TYPE_PROBE);
+      expect(toServer[0]).toMatchObject({ host: "primary.example.com", port: 4446 });
+
+      await server.unpackDecrypt(toServer[0].message, secretKey, clientAddress);
+      expect(decodeHeader(toClient[0].message).type).toBe(PACKET_TYPE_PROBE_REPLY);
+      expect(toClient[0]).toMatchObject({ host: clientAddress.address, port: clientAddress.port });
+
+      await client.unpackDecrypt(toClient[0].message, secretKey);
+      expect(clientState.failover.getStatus().servers[0]).toMatchObject({ status: "up", repliesReceived: 1 });
+      expect(app.handleMessage).not.toHaveBeenCalled();
+    });
+
+    test("should keep probes out of the data session", async () => {
+      const delta = (value) => ({ context: "vessels.self", updates: [{ values: [{ path: "a.b", value }] }] });
+      await client.packCrypt([delta(1)], secretKey, "primary.example.com", 4446);
+      // A probe to another server in between must not look like a lost packet
+      await client.sendProbe(secretKey, "backup.example.com", 4446, Buffer.from("{}"));
+      await client.packCrypt([delta(2)], secretKey, "primary.example.com", 4446);
+
+      expect(decodeHeader(toServer[1].message).sessionId).not.toBe(decodeHeader(toServer[0].message).sessionId);
+      await server.unpackDecrypt(toServer[0].message, secretKey, clientAddress);
+      await server.unpackDecrypt(toServer[2].message, secretKey, clientAddress);
+      expect(serverMetrics.metrics.sequence.packetsLost).toBe(0);
+      expect(app.handleMessage).toHaveBeenCalledTimes(2);
+    });
+
+    test("should retransmit pending reliable packets to the new server after a switch", async () => {
+      jest.useFakeTimers();
+      try {
+        const notification = { context: "vessels.self", updates: [{ values: [{ path: "notifications.mob", value: 1 }] }] };
+        await client.packCrypt([notification], secretKey, "primary.example.com", 4446, undefined, true);
+        client.switchServer("backup.example.com", 4446);
+        jest.advanceTimersByTime(5 * SECOND);
+
+        expect(toServer.length).toBeGreaterThan(1);
+        expect(toServer[toServer.length - 1]).toMatchObject({ host: "backup.example.com", port: 4446 });
+        expect(toServer[toServer.length - 1].message.equals(toServer[0].message)).toBe(true);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe("Route", () => {
+    test("should report the failover status and validate failover servers", async () => {
+      const state = {
+        isServerMode: false,
+        deltas: [],
+        failover: createFailover(app, options, jest.fn()),
+        restartPlugin: jest.fn()
+      };
+      const configuration = { serverType: "client", udpPort: 4446, udpAddress: "192.0.2.1", testAddress: "192.0.2.1",
+        testPort: 80, secretKey: "12345678901234567890123456789012" };
+      app.readPluginOptions = jest.fn(() => ({ configuration }));
+      app.savePluginOptions = jest.fn();
+      const handlers = {};
+      const router = {
+        get: jest.fn((route, ...chain) => {
+          handlers[`GET ${route}`] = chain[chain.length - 1];
+        }),
+        post: jest.fn((route, ...chain) => {
+          handlers[`POST ${route}`] = chain[chain.length - 1];
+        })
+      };
+      createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+      const request = (key, req) =>
+        new Promise((resolve) => {
+          const res = {
+            status: () => res,
+            json: (data) => resolve(data)
+          };
+          handlers[key](req, res);
+        });
+
+      const metrics = await request("GET /metrics", {});
+      expect(metrics.failover).toMatchObject({ active: "primary.example.com:4446", switches: 0 });
+
+      const body = { ...configuration, failoverServers: [{ udpAddress: "backup.example.com", udpPort: 70000 }] };
+      const headers = { "content-type": "application/json" };
+      expect((await request("POST /plugin-config", { headers, body })).error).toBe(
+        "Every failover server requires udpAddress and a udpPort between 1 and 65535"
+      );
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/* eslint-disable no-undef */
+const { encodeParity, decodeParity, createFecEncoder, createFecDecoder } = require("../lib/fec");
+const createMetrics = require("../lib/metrics");
+const createPipeline = require("../lib/pipeline");
+const { decodeHeader, PACKET_TYPE_FEC, FLAG_FEC } = require("../lib/packetHeader");
+
+describe("Forward Error Correction", () => {
+  const group = [
+    { seq: 10, packet: Buffer.from("first packet") },
+    { seq: 11, packet: Buffer.from("second, a bit longer packet") },
+    { seq: 12, packet: Buffer.from("third") }
+  ];
+
+  let stats;
+  let decoder;
+
+  beforeEach(() => {
+    stats = { parityReceived: 0, recovered: 0, unrecoverable: 0 };
+    decoder = createFecDecoder(stats);
+  });
+
+  test("should round-trip the parity payload", () => {
+    const parsed = decodeParity(encodeParity(group));
+    expect(parsed.seqs).toEqual([10, 11, 12]);
+    expect(parsed.data.length).toBe(group[1].packet.length);
+  });
+
+  test("should reject a truncated parity payload", () => {
+    expect(() => decodeParity(Buffer.from([3, 0, 0]))).toThrow("Invalid FEC parity payload");
+  });
+
+  test("should emit parity once the group is complete", () => {
+    const encoder = createFecEncoder();
+    expect(encoder.add(1, Buffer.from("a"), 2)).toBeNull();
+    expect(encoder.add(2, Buffer.from("b"), 2)).toBeInstanceOf(Buffer);
+    expect(encoder.add(3, Buffer.from("c"), 2)).toBeNull();
+  });
+
+  test.each([0, 1, 2])("should rebuild packet %i of the group", (lostIndex) => {
+    const parity = encodeParity(group);
+    decoder.trackSession("0:1");
+    group.forEach(({ seq, packet }, i) => {
+      if (i !== lostIndex) {
+        decoder.store("0:1", seq, packet);
+      }
+    });
+
+    const rebuilt = decoder.recover("0:1", parity);
+    expect(rebuilt.equals(group[lostIndex].packet)).toBe(true);
+    expect(stats.recovered).toBe(1);
+  });
+
+  test("should not rebuild when two packets are missing", () => {
+    decoder.trackSession("0:1");
+    decoder.store("0:1", 10, group[0].packet);
+
+    expect(decoder.recover("0:1", encodeParity(group))).toBeNull();
+    expect(stats.unrecoverable).toBe(1);
+  });
+
+  test("should only keep packets of sessions that sent parity", () => {
+    group.forEach(({ seq, packet }) => decoder.store("0:2", seq, packet));
+
+    // Session learned from this parity packet: nothing stored yet, two or more missing
+    expect(decoder.recover("0:2", encodeParity(group))).toBeNull();
+    expect(stats.unrecoverable).toBe(1);
+  });
+
+  test("should keep packets of a flagged session before its first parity", () => {
+    decoder.store("0:3", 10, group[0].packet, true);
+    decoder.store("0:3", 12, group[2].packet, true);
+
+    expect(decoder.recover("0:3", encodeParity(group))).toEqual(group[1].packet);
+    expect(stats.recovered).toBe(1);
+  });
+
+  describe("Pipeline", () => {
+    const secretKey = "12345678901234567890123456789012";
+    const deltaFor = (value) => ({
+      context: "vessels.urn:mrn:imo:mmsi:123456789",
+      updates: [{ timestamp: "2024-06-15T12:00:00.000Z", values: [{ path: "navigation.speedOverGround", value }] }]
+    });
+
+    let packets;
+    let app;
+    let client;
+    let server;
+    let clientMetrics;
+    let serverMetrics;
+
+    beforeEach(() => {
+      packets = [];
+      app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+      clientMetrics = createMetrics();
+      serverMetrics = createMetrics();
+      client = createPipeline(
+        app,
+        {
+          options: { secretKey, fecGroupSize: 3 },
+          socketUdp: {
+            send: jest.fn((msg, port, host, cb) => {
+              packets.push(Buffer.from(msg));
+              cb(null);
+            })
+          },
+          avgBytesPerDelta: 200,
+          maxDeltasPerBatch: 5,
+          lastPacketTime: 0
+        },
+        clientMetrics
+      );
+      server = createPipeline(app, { options: { secretKey }, isServerMode: true }, serverMetrics);
+    });
+
+    afterEach(() => {
+      client.stop();
+      server.stop();
+    });
+
+    const sendGroups = async (count) => {
+      for (let i = 0; i < count; i++) {
+        await client.packCrypt([deltaFor(i)], secretKey, "127.0.0.1", 4446);
+      }
+    };
+
+    test("should send one parity packet per group", async () => {
+      await sendGroups(6);
+
+      expect(packets).toHaveLength(8);
+      expect(decodeHeader(packets[3]).type).toBe(PACKET_TYPE_FEC);
+      expect(decodeHeader(packets[7]).type).toBe(PACKET_TYPE_FEC);
+      expect(clientMetrics.metrics.fec.paritySent).toBe(2);
+    });
+
+    test("should recover a lost packet once the server has seen parity", async () => {
+      await sendGroups(6);
+
+      // First group teaches the server that this sender uses FEC; in the second group packet 5 is lost
+      for (const index of [0, 1, 2, 3, 4, 6, 7]) {
+        await server.unpackDecrypt(packets[index], secretKey);
+      }
+
+      expect(serverMetrics.metrics.fec.recovered).toBe(1);
+      expect(app.handleMessage).toHaveBeenCalledTimes(6);
+      const values = app.handleMessage.mock.calls.map((call) => call[1].updates[0].values[0].value);
+      expect(values.sort()).toEqual([0, 1, 2, 3, 4, 5]);
+    });
+
+    test("should recover a packet lost in the first group of a session", async () => {
+      await sendGroups(3);
+
+      expect(decodeHeader(packets[0]).flags & FLAG_FEC).toBe(FLAG_FEC);
+      for (const index of [0, 2, 3]) {
+        await server.unpackDecrypt(packets[index], secretKey);
+      }
+
+      expect(serverMetrics.metrics.fec).toMatchObject({ recovered: 1, unrecoverable: 0 });
+      const values = app.handleMessage.mock.calls.map((call) => call[1].updates[0].values[0].value);
+      expect(values.sort()).toEqual([0, 1, 2]);
+    });
+
+    test("should not send parity when FEC is disabled", async () => {
+      const plain = createPipeline(
+        app,
+        {
+          options: { secretKey },
+          socketUdp: {
+            send: jest.fn((msg, port, host, cb) => {
+              packets.push(msg);
+              cb(null);
+            })
+          },
+          avgBytesPerDelta: 200,
+          maxDeltasPerBatch: 5,
+          lastPacketTime: 0
+        },
+        createMetrics()
+      );
+      for (let i = 0; i < 4; i++) {
+        await plain.packCrypt([deltaFor(i)], secretKey, "127.0.0.1", 4446);
+      }
+
+      expect(packets).toHaveLength(4);
+    });
+  });
+});
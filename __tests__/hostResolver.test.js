@@ -0,0 +1,234 @@
+/* eslint-disable no-undef */
+const createHostResolver = require("../lib/hostResolver");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+
+describe("Host Resolver", () => {
+  const SECOND = 1000;
+  const host = "shore.dyndns.example";
+  let app;
+  let zone;
+  let dnsApi;
+  let start;
+
+  /**
+   * Creates a DNS error
+   * @param {string} code - Error code
+   * @returns {Error} Error with the code
+   */
+  const dnsError = (code) => Object.assign(new Error(`query ${code} ${host}`), { code });
+
+  beforeEach(() => {
+    app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+    // Records of the fake DNS; an error code makes it unreachable
+    zone = { a: [{ address: "198.51.100.7", ttl: 60 }], aaaa: [], system: null, error: null };
+    dnsApi = {
+      resolve4: jest.fn(() =>
+        zone.error || zone.a.length === 0 ? Promise.reject(dnsError(zone.error || "ENODATA")) : Promise.resolve(zone.a)
+      ),
+      resolve6: jest.fn(() =>
+        zone.error || zone.aaaa.length === 0
+          ? Promise.reject(dnsError(zone.error || "ENODATA"))
+          : Promise.resolve(zone.aaaa)
+      ),
+      lookup: jest.fn(() =>
+        zone.error || !zone.system ? Promise.reject(dnsError(zone.error || "ENOTFOUND")) : Promise.resolve(zone.system)
+      )
+    };
+    start = Date.now();
+  });
+
+  /**
+   * Lets a background resolution finish
+   * @returns {Promise<void>}
+   */
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  test("should pass IP addresses through without resolving", async () => {
+    const resolver = createHostResolver(app, {}, dnsApi);
+
+    expect(await resolver.resolve("192.0.2.1")).toBe("192.0.2.1");
+    expect(await resolver.resolve("2001:db8::1")).toBe("2001:db8::1");
+    expect(dnsApi.resolve4).not.toHaveBeenCalled();
+    expect(resolver.getStatus()).toEqual([]);
+  });
+
+  test("should cache the address for its TTL and refresh it in the background", async () => {
+    const resolver = createHostResolver(app, {}, dnsApi);
+    expect(await resolver.resolve(host, start)).toBe("198.51.100.7");
+    expect(resolver.getStatus()[0]).toMatchObject({
+      host,
+      address: "198.51.100.7",
+      family: 4,
+      source: "dns",
+      ttl: 60,
+      resolvedAt: start,
+      expiresAt: start + 60 * SECOND
+    });
+
+    zone.a = [{ address: "198.51.100.99", ttl: 60 }];
+    expect(await resolver.resolve(host, start + 59 * SECOND)).toBe("198.51.100.7");
+    expect(dnsApi.resolve4).toHaveBeenCalledTimes(1);
+
+    // The expired address is still used while the new one is looked up
+    expect(await resolver.resolve(host, start + 61 * SECOND)).toBe("198.51.100.7");
+    await settle();
+    expect(await resolver.resolve(host, start + 62 * SECOND)).toBe("198.51.100.99");
+    expect(resolver.getStatus()[0]).toMatchObject({ resolvedAt: start + 61 * SECOND, resolutions: 2 });
+  });
+
+  test("should limit the TTL to the refresh interval and the minimum", async () => {
+    zone.a = [{ address: "198.51.100.7", ttl: 86400 }];
+    const resolver = createHostResolver(app, { dnsRefreshInterval: 120 }, dnsApi);
+    await resolver.resolve(host, start);
+    expect(resolver.getStatus()[0].expiresAt).toBe(start + 120 * SECOND);
+
+    zone.a = [{ address: "198.51.100.7", ttl: 0 }];
+    await resolver.resolve(host, start + 120 * SECOND);
+    await settle();
+    expect(resolver.getStatus()[0].expiresAt).toBe(start + 130 * SECOND);
+  });
+
+  test("should use AAAA records and the system resolver when there are no A records", async () => {
+    zone.a = [];
+    zone.aaaa = [{ address: "2001:db8::7", ttl: 300 }];
+    const resolver = createHostResolver(app, {}, dnsApi);
+    expect(await resolver.resolve(host)).toBe("2001:db8::7");
+
+    zone.aaaa = [];
+    zone.system = [{ address: "192.168.1.20", family: 4 }];
+    expect(await resolver.resolve("shore.local")).toBe("192.168.1.20");
+    expect(resolver.getStatus()[1]).toMatchObject({ source: "system", ttl: null });
+  });
+
+  test("should keep the last known address while DNS is unreachable", async () => {
+    const resolver = createHostResolver(app, {}, dnsApi);
+    await resolver.resolve(host, start);
+
+    zone.error = "ECONNREFUSED";
+    await resolver.resolve(host, start + 61 * SECOND);
+    await settle();
+    expect(await resolver.resolve(host, start + 62 * SECOND)).toBe("198.51.100.7");
+    expect(resolver.getStatus()[0]).toMatchObject({
+      stale: true,
+      lastError: "ECONNREFUSED",
+      failures: 1,
+      resolvedAt: start,
+      lastAttempt: start + 61 * SECOND
+    });
+
+    // Retried after the retry interval, not the full TTL
+    zone.error = null;
+    zone.a = [{ address: "198.51.100.8", ttl: 60 }];
+    await resolver.resolve(host, start + 91 * SECOND);
+    await settle();
+    expect(resolver.getStatus()[0]).toMatchObject({ address: "198.51.100.8", stale: false, lastError: null });
+  });
+
+  test("should return the hostname when it was never resolved", async () => {
+    zone.error = "ETIMEOUT";
+    const resolver = createHostResolver(app, {}, dnsApi);
+
+    expect(await resolver.resolve(host)).toBe(host);
+    expect(app.error).toHaveBeenCalledWith(expect.stringContaining(`Could not resolve ${host}`));
+  });
+
+  test("should resolve again after repeated send failures", async () => {
+    const resolver = createHostResolver(app, {}, dnsApi);
+    await resolver.resolve(host, start);
+    const failure = dnsError("EHOSTUNREACH");
+
+    resolver.recordSendResult(host, failure);
+    resolver.recordSendResult(host, null);
+    resolver.recordSendResult(host, failure);
+    resolver.recordSendResult(host, failure);
+    expect(resolver.getStatus()[0].expiresAt).toBe(start + 60 * SECOND);
+
+    resolver.recordSendResult(host, failure);
+    expect(resolver.getStatus()[0].expiresAt).toBe(start + 10 * SECOND);
+    zone.a = [{ address: "198.51.100.9", ttl: 60 }];
+    await resolver.resolve(host, start + 10 * SECOND);
+    await settle();
+    expect(await resolver.resolve(host, start + 11 * SECOND)).toBe("198.51.100.9");
+  });
+
+  test("should fall back to the other address family after repeated send failures", async () => {
+    zone.aaaa = [{ address: "2001:db8::7", ttl: 300 }];
+    const resolver = createHostResolver(app, {}, dnsApi);
+    expect(await resolver.resolve(host, start)).toBe("198.51.100.7");
+    expect(resolver.getStatus()[0]).toMatchObject({ ttl: 60, addresses: ["198.51.100.7", "2001:db8::7"] });
+
+    const failure = dnsError("ENETUNREACH");
+    for (let i = 0; i < 3; i++) {
+      resolver.recordSendResult(host, failure);
+    }
+    expect(await resolver.resolve(host, start + SECOND)).toBe("2001:db8::7");
+    expect(resolver.getStatus()[0]).toMatchObject({ family: 6, familySwitches: 1 });
+
+    // The refresh keeps the working family instead of going back to IPv4
+    await resolver.resolve(host, start + 10 * SECOND);
+    await settle();
+    expect(await resolver.resolve(host, start + 11 * SECOND)).toBe("2001:db8::7");
+    expect(resolver.getStatus()[0].resolutions).toBe(2);
+  });
+
+  test("should use the system resolver's address order for each family", async () => {
+    zone.a = [];
+    zone.system = [
+      { address: "2001:db8::20", family: 6 },
+      { address: "2001:db8::21", family: 6 },
+      { address: "192.168.1.20", family: 4 }
+    ];
+    const resolver = createHostResolver(app, {}, dnsApi);
+    expect(await resolver.resolve("shore.local")).toBe("2001:db8::20");
+    expect(resolver.getStatus()[0].addresses).toEqual(["2001:db8::20", "192.168.1.20"]);
+
+    for (let i = 0; i < 3; i++) {
+      resolver.recordSendResult("shore.local", dnsError("EHOSTUNREACH"));
+    }
+    expect(await resolver.resolve("shore.local")).toBe("192.168.1.20");
+  });
+
+  test("should send to the resolved address and report it in /metrics", async () => {
+    const sent = [];
+    const state = {
+      options: { secretKey: "12345678901234567890123456789012" },
+      hostResolver: createHostResolver(app, {}, dnsApi),
+      socketUdp: {
+        send: jest.fn((message, port, address, callback) => {
+          sent.push({ address, port });
+          callback(null);
+        })
+      },
+      deltas: [],
+      avgBytesPerDelta: 200,
+      maxDeltasPerBatch: 5,
+      lastPacketTime: 0
+    };
+    const pipeline = createPipeline(app, state, createMetrics());
+    const delta = { context: "vessels.self", updates: [{ values: [{ path: "a.b", value: 1 }] }] };
+    await pipeline.packCrypt([delta], state.options.secretKey, host, 4446);
+    pipeline.stop();
+    expect(sent).toEqual([{ address: "198.51.100.7", port: 4446 }]);
+
+    let handler;
+    const router = {
+      get: jest.fn((route, ...chain) => {
+        if (route === "/metrics") {
+          handler = chain[chain.length - 1];
+        }
+      }),
+      post: jest.fn()
+    };
+    createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+    const metrics = await new Promise((resolve) => {
+      const res = {
+        status: () => res,
+        json: (data) => resolve(data)
+      };
+      handler({}, res);
+    });
+    expect(metrics.dns).toEqual([expect.objectContaining({ host, address: "198.51.100.7", resolutions: 1 })]);
+  });
+});
@@ -76,8 +76,8 @@ describe("SignalK Data Connector Plugin", () => {
 
     test("should validate secretKey length", () => {
       const secretKey = plugin.schema.properties.secretKey;
-      expect(secretKey.minLength).toBe(32);
-      expect(secretKey.maxLength).toBe(32);
+      expect(secretKey.minLength).toBe(12);
+      expect(plugin.schema.properties.keyDerivation.enum).toEqual(["none", "passphrase"]);
     });
 
     test("should NOT have client-only fields in main properties", () => {
@@ -143,6 +143,17 @@ describe("SignalK Data Connector Plugin", () => {
       );
     });
 
+    test("should reject a passphrase with a missing salt", async () => {
+      await plugin.start({
+        secretKey: "correct horse battery staple",
+        keyDerivation: "passphrase",
+        udpPort: 4446,
+        serverType: "server"
+      });
+
+      expect(mockApp.error).toHaveBeenCalledWith(expect.stringContaining("Key derivation failed"));
+    });
+
     test("should reject invalid udpPort (too low)", async () => {
       const options = {
         secretKey: "12345678901234567890123456789012",
@@ -253,6 +264,192 @@ describe("SignalK Data Connector Plugin", () => {
     });
   });
 
+  describe("Store and Forward", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const net = require("net");
+    const dgram = require("dgram");
+    const createOutboundQueue = require("../lib/outboundQueue");
+    const createPipeline = require("../lib/pipeline");
+    const createMetrics = require("../lib/metrics");
+    const { dayKey, billingMonthKey } = require("../lib/bandwidthBudget");
+    const secretKey = "12345678901234567890123456789012";
+    let dataDir;
+    let server;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "signalk-saf-"));
+      mockApp.getDataDirPath = jest.fn(() => dataDir);
+    });
+
+    afterEach(() => {
+      plugin.stop();
+      if (server) {
+        server.close();
+        server = null;
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Creates a delta with one value
+     * @param {string} deltaPath - Signal K path
+     * @param {*} value - Value
+     * @returns {Object} Delta
+     */
+    const makeDelta = (deltaPath, value) => ({
+      context: "vessels.self",
+      updates: [{ values: [{ path: deltaPath, value }] }]
+    });
+
+    /**
+     * Starts a local server: UDP for the data, decrypted in arrival order, and TCP for the ping monitor
+     * @returns {Promise<Object>} { udpPort, testPort, received (paths), close }
+     */
+    const startServer = async () => {
+      const received = [];
+      const serverApp = {
+        debug: jest.fn(),
+        error: jest.fn(),
+        setPluginStatus: jest.fn(),
+        handleMessage: jest.fn((id, delta) => received.push(delta.updates[0].values[0].path))
+      };
+      const socket = dgram.createSocket("udp4");
+      await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+      const pipeline = createPipeline(serverApp, { options: { secretKey }, isServerMode: true, socketUdp: socket },
+        createMetrics());
+      socket.on("message", (packet, rinfo) => pipeline.unpackDecrypt(packet, secretKey, rinfo));
+      const listener = net.createServer((connection) => connection.end());
+      await new Promise((resolve) => listener.listen(0, "127.0.0.1", resolve));
+      return {
+        udpPort: socket.address().port,
+        testPort: listener.address().port,
+        received,
+        close: () => {
+          pipeline.stop();
+          socket.close();
+          listener.close();
+        }
+      };
+    };
+
+    /**
+     * Writes deltas to the outbound queue as a previous run would have left them
+     * @param {number} count - Number of queued deltas
+     * @returns {Promise<void>}
+     */
+    const leaveBacklog = async (count) => {
+      const queue = createOutboundQueue(mockApp, {
+        directory: path.join(dataDir, "outbound_queue"),
+        maxBytes: 10 * 1024 * 1024,
+        maxAge: 60 * 60 * 1000
+      });
+      await queue.init();
+      for (let i = 0; i < count; i++) {
+        queue.enqueue(makeDelta("navigation.log", i));
+      }
+      await queue.flush();
+      queue.close();
+    };
+
+    /**
+     * Starts the plugin as a client of the local server and waits for the link and the subscription
+     * @param {Object} options - Additional plugin options
+     * @returns {Promise<void>}
+     */
+    const startClient = async (options) => {
+      await plugin.start({
+        secretKey,
+        udpPort: server.udpPort,
+        serverType: "client",
+        udpAddress: "127.0.0.1",
+        testAddress: "127.0.0.1",
+        testPort: server.testPort,
+        pingIntervalTime: 1,
+        helloMessageSender: 60,
+        storeAndForward: true,
+        ...options
+      });
+      // Wait for the ping monitor and the debounced subscription handler
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      expect(mockApp._deltaCallback).toBeDefined();
+    };
+
+    /**
+     * Waits until a condition holds
+     * @param {Function} condition - Condition to wait for
+     * @returns {Promise<void>}
+     */
+    const waitFor = async (condition) => {
+      for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      expect(condition()).toBe(true);
+    };
+
+    test("should queue deltas to disk while the link is down", async () => {
+      await plugin.start({
+        secretKey: "12345678901234567890123456789012",
+        udpPort: 4446,
+        serverType: "client",
+        udpAddress: "127.0.0.1",
+        testAddress: "192.0.2.1",
+        testPort: 80,
+        pingIntervalTime: 1,
+        helloMessageSender: 60,
+        storeAndForward: true
+      });
+
+      // Wait for the debounced subscription handler to subscribe
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      expect(mockApp._deltaCallback).toBeDefined();
+
+      mockApp._deltaCallback({
+        context: "vessels.self",
+        updates: [{ values: [{ path: "navigation.speedOverGround", value: 3.2 }] }]
+      });
+      plugin.stop();
+
+      const queueDir = path.join(dataDir, "outbound_queue");
+      const files = fs.readdirSync(queueDir).filter((f) => f.endsWith(".ndjson"));
+      expect(files).toHaveLength(1);
+      const entry = JSON.parse(fs.readFileSync(path.join(queueDir, files[0]), "utf-8").trim());
+      expect(entry.d.updates[0].values[0].path).toBe("navigation.speedOverGround");
+    });
+
+    test("should send critical deltas ahead of a draining backlog", async () => {
+      server = await startServer();
+      await leaveBacklog(20);
+      await startClient({ queueCatchUpRate: 1, criticalPaths: ["notifications.*"] });
+      await waitFor(() => server.received.length === 1);
+
+      mockApp._deltaCallback(makeDelta("navigation.speedOverGround", 3.2));
+      mockApp._deltaCallback(makeDelta("notifications.mob", { state: "emergency" }));
+      await waitFor(() => server.received.includes("notifications.mob"));
+      // The backlog drains at one delta per second, the critical delta does not wait for it
+      expect(server.received.filter((receivedPath) => receivedPath === "navigation.log").length).toBeLessThan(20);
+      expect(server.received).not.toContain("navigation.speedOverGround");
+    });
+
+    test("should send critical deltas while the budget holds a queued backlog back", async () => {
+      server = await startServer();
+      await leaveBacklog(3);
+      // 95% of the daily budget is used: the priority level
+      const now = new Date();
+      fs.writeFileSync(
+        path.join(dataDir, "bandwidth_usage.json"),
+        JSON.stringify({ day: dayKey(now), dayBytes: 0.95 * 1048576, month: billingMonthKey(now, 1), monthBytes: 0 })
+      );
+      await startClient({ dailyBudgetMB: 1, criticalPaths: ["notifications.*"] });
+
+      mockApp._deltaCallback(makeDelta("navigation.speedOverGround", 3.2));
+      mockApp._deltaCallback(makeDelta("notifications.mob", { state: "emergency" }));
+      await waitFor(() => server.received.includes("notifications.mob"));
+      expect(server.received).toEqual(["notifications.mob"]);
+    });
+  });
+
   describe("Ping RTT Feature", () => {
     test("should publish RTT to local SignalK when ping monitor receives response", async () => {
       const options = {
@@ -605,6 +802,30 @@ describe("SignalK Data Connector Plugin", () => {
       expect(savedConfig.udpPort).toBe(4446);
     });
 
+    test("should keep the client registry in server mode and reject invalid client keys", async () => {
+      const validReq = {
+        headers: { "content-type": "application/json" },
+        body: {
+          serverType: "server",
+          udpPort: 4446,
+          secretKey: "12345678901234567890123456789012",
+          clients: [{ clientId: "aurora", secretKey: "abcdefghijklmnopqrstuvwxyz123456" }]
+        }
+      };
+      const validRes = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await runWithMiddlewares(pluginConfigPostMiddlewares, pluginConfigPostHandler, validReq, validRes);
+      expect(mockApp.savePluginOptions.mock.calls[0][0].clients).toHaveLength(1);
+
+      const invalidReq = {
+        headers: { "content-type": "application/json" },
+        body: { ...validReq.body, clients: [{ clientId: "aurora", secretKey: "short" }] }
+      };
+      const invalidRes = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await runWithMiddlewares(pluginConfigPostMiddlewares, pluginConfigPostHandler, invalidReq, invalidRes);
+      expect(invalidRes.status).toHaveBeenCalledWith(400);
+      expect(mockApp.savePluginOptions).toHaveBeenCalledTimes(1);
+    });
+
     test("should strip unknown properties from config before saving", async () => {
       const mockReq = {
         headers: { "content-type": "application/json" },
@@ -894,7 +1115,8 @@ describe("SignalK Data Connector Plugin", () => {
       const read3 = await readConfig();
       expect(read3.configuration.udpPort).toBe(5000);
       expect(read3.configuration.udpAddress).toBe("10.0.0.1");
-      expect(read3.configuration.secretKey).toBe("12345678901234567890123456789012");
+      expect(read3.configuration.secretKey).toBe("********");
+      expect(diskFile.configuration.secretKey).toBe("12345678901234567890123456789012");
     });
 
     test("switching modes should not leave stale fields on disk", async () => {
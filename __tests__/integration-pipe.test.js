@@ -306,6 +306,30 @@ describe("Integration: Input → Backend → Frontend Pipe", () => {
       expect(navStats.bytes).toBeGreaterThan(0);
     });
 
+    test("replayed packets are dropped and counted", async () => {
+      const { metrics } = metricsApi;
+
+      await pipeline.packCrypt([navigationDelta], state.options.secretKey, "10.0.0.1", 4446);
+      await pipeline.unpackDecrypt(capturedPackets[0], state.options.secretKey);
+      await pipeline.unpackDecrypt(capturedPackets[0], state.options.secretKey);
+
+      expect(mockApp.handleMessage).toHaveBeenCalledTimes(1);
+      expect(metrics.replayErrors).toBe(1);
+      expect(metrics.lastError).toContain("duplicate");
+    });
+
+    test("packets with a tampered header fail authentication", async () => {
+      const { metrics } = metricsApi;
+
+      await pipeline.packCrypt([navigationDelta], state.options.secretKey, "10.0.0.1", 4446);
+      const tampered = Buffer.from(capturedPackets[0]);
+      tampered[11] ^= 0x01; // sequence number
+      await pipeline.unpackDecrypt(tampered, state.options.secretKey);
+
+      expect(mockApp.handleMessage).not.toHaveBeenCalled();
+      expect(metrics.encryptionErrors).toBe(1);
+    });
+
     test("error metrics track decryption failures", async () => {
       const { metrics } = metricsApi;
 
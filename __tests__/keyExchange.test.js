@@ -0,0 +1,242 @@
+/* eslint-disable no-undef */
+const {
+  createEphemeralKey,
+  deriveSessionKey,
+  createSessionInitiator,
+  createSessionResponder
+} = require("../lib/keyExchange");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+const { keyFingerprint } = require("../lib/crypto");
+const {
+  decodeHeader,
+  PACKET_TYPE_HANDSHAKE,
+  PACKET_TYPE_HANDSHAKE_REPLY,
+  PACKET_TYPE_DATA
+} = require("../lib/packetHeader");
+const { HANDSHAKE_RETRY_INTERVAL, SESSION_KEY_MAX_AGE, MILLISECONDS_PER_MINUTE } = require("../lib/constants");
+
+describe("Key Exchange", () => {
+  const lifetime = 60 * MILLISECONDS_PER_MINUTE;
+
+  describe("deriveSessionKey", () => {
+    test("should derive the same key on both ends", () => {
+      const client = createEphemeralKey();
+      const server = createEphemeralKey();
+
+      const clientKey = deriveSessionKey(client.privateKey, server.publicKey, client.publicKey, server.publicKey);
+      const serverKey = deriveSessionKey(server.privateKey, client.publicKey, client.publicKey, server.publicKey);
+      expect(clientKey).toHaveLength(32);
+      expect(clientKey.equals(serverKey)).toBe(true);
+    });
+
+    test("should derive a new key for every exchange", () => {
+      const client = createEphemeralKey();
+      const first = createEphemeralKey();
+      const second = createEphemeralKey();
+
+      const firstKey = deriveSessionKey(client.privateKey, first.publicKey, client.publicKey, first.publicKey);
+      const secondKey = deriveSessionKey(client.privateKey, second.publicKey, client.publicKey, second.publicKey);
+      expect(firstKey.equals(secondKey)).toBe(false);
+    });
+
+    test("should reject a malformed public key", () => {
+      const client = createEphemeralKey();
+      expect(() => deriveSessionKey(client.privateKey, Buffer.alloc(5), client.publicKey, Buffer.alloc(5))).toThrow(
+        "Invalid key exchange public key"
+      );
+    });
+  });
+
+  describe("createSessionInitiator and createSessionResponder", () => {
+    let stats;
+    let initiator;
+    let responder;
+
+    beforeEach(() => {
+      stats = { handshakesSent: 0, handshakesCompleted: 0, handshakesAnswered: 0 };
+      initiator = createSessionInitiator(stats);
+      responder = createSessionResponder(stats);
+    });
+
+    test("should establish the same session key on both ends", () => {
+      const reply = responder.respond("0:7", initiator.start(1000), 1000);
+
+      expect(initiator.complete(reply, 7, 1100)).toBe(true);
+      expect(initiator.sendKey(7).equals(responder.receiveKeys("0:7")[0])).toBe(true);
+      expect(initiator.sendKey(8)).toBeNull();
+      expect(stats).toEqual({ handshakesSent: 1, handshakesCompleted: 1, handshakesAnswered: 1 });
+    });
+
+    test("should retry an unanswered handshake and renew after the lifetime", () => {
+      expect(initiator.isDue(lifetime, 0)).toBe(true);
+      const reply = responder.respond("0:7", initiator.start(0), 0);
+      expect(initiator.isDue(lifetime, HANDSHAKE_RETRY_INTERVAL - 1)).toBe(false);
+      expect(initiator.isDue(lifetime, HANDSHAKE_RETRY_INTERVAL)).toBe(true);
+
+      initiator.complete(reply, 7, HANDSHAKE_RETRY_INTERVAL);
+      expect(initiator.isDue(lifetime, HANDSHAKE_RETRY_INTERVAL + lifetime - 1)).toBe(false);
+      expect(initiator.isDue(lifetime, HANDSHAKE_RETRY_INTERVAL + lifetime)).toBe(true);
+    });
+
+    test("should ignore replies to an earlier handshake", () => {
+      const staleReply = responder.respond("0:7", initiator.start(0), 0);
+      initiator.start(HANDSHAKE_RETRY_INTERVAL);
+
+      expect(initiator.complete(staleReply, 7)).toBe(false);
+      expect(initiator.getStatus().established).toBe(false);
+    });
+
+    test("should keep the previous key while a renewal takes effect", () => {
+      initiator.complete(responder.respond("0:7", initiator.start(0), 0), 7, 0);
+      const first = initiator.sendKey(7);
+      initiator.complete(responder.respond("0:7", initiator.start(lifetime), lifetime), 7, lifetime);
+
+      expect(initiator.sendKey(7).equals(first)).toBe(false);
+      expect(initiator.receiveKeys()).toEqual([initiator.sendKey(7), first]);
+      expect(responder.receiveKeys("0:7")).toEqual([initiator.sendKey(7), first]);
+    });
+
+    test("should fall back to the pre-shared key when invalidated", () => {
+      initiator.complete(responder.respond("0:7", initiator.start(0), 0), 7, 0);
+      const key = initiator.sendKey(7);
+      initiator.invalidate();
+
+      expect(initiator.sendKey(7)).toBeNull();
+      expect(initiator.receiveKeys()).toEqual([key]);
+      expect(initiator.isDue(lifetime)).toBe(true);
+    });
+
+    test("should discard keys of sessions that stopped renewing", () => {
+      responder.respond("0:7", createEphemeralKey().publicKey, 0);
+      responder.respond("0:8", createEphemeralKey().publicKey, SESSION_KEY_MAX_AGE + 1);
+
+      expect(responder.receiveKeys("0:7")).toEqual([]);
+      expect(responder.getStatus()).toEqual({ sessions: 1 });
+    });
+
+    test("should limit renewal notices per session", () => {
+      expect(responder.noticeDue("0:7", 0)).toBe(true);
+      expect(responder.noticeDue("0:7", HANDSHAKE_RETRY_INTERVAL - 1)).toBe(false);
+      expect(responder.noticeDue("0:8", HANDSHAKE_RETRY_INTERVAL - 1)).toBe(true);
+      expect(responder.noticeDue("0:7", HANDSHAKE_RETRY_INTERVAL)).toBe(true);
+    });
+  });
+
+  describe("Pipeline", () => {
+    const secretKey = "12345678901234567890123456789012";
+    const delta = {
+      context: "vessels.urn:mrn:imo:mmsi:123456789",
+      updates: [{ timestamp: "2024-06-15T12:00:00.000Z", values: [{ path: "navigation.speedOverGround", value: 5 }] }]
+    };
+    const clientAddress = { address: "203.0.113.5", port: 51000 };
+    const serverAddress = { address: "198.51.100.1", port: 4446 };
+    let app;
+    let toServer;
+    let toClient;
+    let client;
+    let serverMetrics;
+    let server;
+
+    const socket = (sent) => ({
+      send: jest.fn((msg, port, host, cb) => {
+        sent.push(Buffer.from(msg));
+        cb(null);
+      })
+    });
+
+    const createServer = () =>
+      createPipeline(app, { options: { secretKey }, isServerMode: true, socketUdp: socket(toClient) }, serverMetrics);
+
+    const handshake = async () => {
+      await client.renewSessionKey(secretKey, serverAddress.address, serverAddress.port);
+      await server.unpackDecrypt(toServer.pop(), secretKey, clientAddress);
+      await client.unpackDecrypt(toClient.pop(), secretKey, serverAddress);
+    };
+
+    beforeEach(() => {
+      app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+      toServer = [];
+      toClient = [];
+      client = createPipeline(
+        app,
+        {
+          options: { secretKey, forwardSecrecy: true },
+          socketUdp: socket(toServer),
+          avgBytesPerDelta: 200,
+          maxDeltasPerBatch: 5,
+          lastPacketTime: 0
+        },
+        createMetrics()
+      );
+      serverMetrics = createMetrics();
+      server = createServer();
+    });
+
+    afterEach(() => {
+      client.stop();
+      server.stop();
+    });
+
+    test("should send nothing without forward secrecy", async () => {
+      const plain = createPipeline(app, { options: { secretKey }, socketUdp: socket(toServer) }, createMetrics());
+      await plain.renewSessionKey(secretKey, serverAddress.address, serverAddress.port);
+
+      expect(toServer).toHaveLength(0);
+    });
+
+    test("should exchange keys with handshake packets encrypted with the pre-shared key", async () => {
+      await client.renewSessionKey(secretKey, serverAddress.address, serverAddress.port);
+      const request = decodeHeader(toServer[0]);
+      expect(request.type).toBe(PACKET_TYPE_HANDSHAKE);
+      expect(request.keyFingerprint).toBe(keyFingerprint(secretKey));
+
+      await server.unpackDecrypt(toServer.pop(), secretKey, clientAddress);
+      expect(decodeHeader(toClient[0]).type).toBe(PACKET_TYPE_HANDSHAKE_REPLY);
+      await client.unpackDecrypt(toClient.pop(), secretKey, serverAddress);
+
+      expect(client.getKeyExchangeStatus()).toEqual(
+        expect.objectContaining({ established: true, handshakesSent: 1, handshakesCompleted: 1 })
+      );
+      expect(server.getKeyExchangeStatus()).toEqual(expect.objectContaining({ sessions: 1, handshakesAnswered: 1 }));
+    });
+
+    test("should send data with the session key once established", async () => {
+      await handshake();
+      await client.packCrypt([delta], secretKey, serverAddress.address, serverAddress.port);
+
+      const header = decodeHeader(toServer[0]);
+      expect(header.type).toBe(PACKET_TYPE_DATA);
+      expect(header.keyFingerprint).not.toBe(keyFingerprint(secretKey));
+      await server.unpackDecrypt(toServer[0], secretKey, clientAddress);
+      expect(app.handleMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test("should not decrypt session traffic with the pre-shared key alone", async () => {
+      await handshake();
+      await client.packCrypt([delta], secretKey, serverAddress.address, serverAddress.port);
+
+      const eavesdropper = createPipeline(app, { options: { secretKey }, isServerMode: true }, createMetrics());
+      await eavesdropper.unpackDecrypt(toServer[0], secretKey);
+      expect(app.handleMessage).not.toHaveBeenCalled();
+      eavesdropper.stop();
+    });
+
+    test("should tell the client to renew when the server lost the session key", async () => {
+      await handshake();
+      server.stop();
+      server = createServer();
+
+      await client.packCrypt([delta], secretKey, serverAddress.address, serverAddress.port);
+      await server.unpackDecrypt(toServer.pop(), secretKey, clientAddress);
+      expect(app.handleMessage).not.toHaveBeenCalled();
+      await client.unpackDecrypt(toClient.pop(), secretKey, serverAddress);
+
+      expect(client.getKeyExchangeStatus().established).toBe(false);
+      await client.packCrypt([delta], secretKey, serverAddress.address, serverAddress.port);
+      expect(decodeHeader(toServer[0]).keyFingerprint).toBe(keyFingerprint(secretKey));
+      await server.unpackDecrypt(toServer.pop(), secretKey, clientAddress);
+      expect(app.handleMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+});
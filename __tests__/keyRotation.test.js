@@ -0,0 +1,307 @@
+/* eslint-disable no-undef */
+const { keyValidator, resolveKey, validateRotation, createKeyRing, loadKeyRing } = require("../lib/keyRotation");
+const { deriveKey, keyFingerprint, validatePassphrase, validateSecretKey } = require("../lib/crypto");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+const { decodeHeader } = require("../lib/packetHeader");
+const { MILLISECONDS_PER_HOUR } = require("../lib/constants");
+
+describe("Key Rotation", () => {
+  const currentKey = "12345678901234567890123456789012";
+  const nextKey = "abcdefghijklmnopqrstuvwxyz123456";
+  const passphrase = "correct horse battery staple";
+  const salt = "vessel-aurora";
+
+  describe("deriveKey", () => {
+    let derived;
+
+    beforeAll(async () => {
+      derived = await deriveKey(passphrase, salt);
+    });
+
+    test("should derive the same 32-byte key from the same passphrase and salt", async () => {
+      expect(derived).toHaveLength(32);
+      expect((await deriveKey(passphrase, salt)).equals(derived)).toBe(true);
+    });
+
+    test("should derive a different key with another salt", async () => {
+      expect((await deriveKey(passphrase, "vessel-borealis")).equals(derived)).toBe(false);
+    });
+
+    test("should require a salt of at least 8 characters", async () => {
+      await expect(deriveKey(passphrase, "short")).rejects.toThrow("Key salt must be at least 8 characters");
+      await expect(deriveKey(passphrase, undefined)).rejects.toThrow("Key salt");
+    });
+
+    test("should resolve configured keys by key derivation mode", async () => {
+      expect(await resolveKey(currentKey, {})).toBe(currentKey);
+      expect((await resolveKey(passphrase, { keyDerivation: "passphrase", keySalt: salt })).equals(derived)).toBe(
+        true
+      );
+      await expect(resolveKey("too short", { keyDerivation: "passphrase", keySalt: salt })).rejects.toThrow(
+        "at least 12 characters"
+      );
+    });
+  });
+
+  describe("validatePassphrase", () => {
+    test("should accept long and varied passphrases", () => {
+      expect(validatePassphrase(passphrase)).toBe(true);
+    });
+
+    test("should reject short or repetitive passphrases", () => {
+      expect(() => validatePassphrase("short")).toThrow("at least 12 characters");
+      expect(() => validatePassphrase("abababababababab")).toThrow("insufficient diversity");
+      expect(() => validatePassphrase(null)).toThrow("at least 12 characters");
+    });
+
+    test("should select the validator by key derivation mode", () => {
+      expect(keyValidator({ keyDerivation: "passphrase" })).toBe(validatePassphrase);
+      expect(keyValidator({ keyDerivation: "none" })).toBe(validateSecretKey);
+      expect(keyValidator(undefined)).toBe(validateSecretKey);
+    });
+  });
+
+  describe("keyFingerprint", () => {
+    test("should be a stable byte per key", () => {
+      const fingerprint = keyFingerprint(currentKey);
+      expect(fingerprint).toBeGreaterThanOrEqual(0);
+      expect(fingerprint).toBeLessThanOrEqual(255);
+      expect(keyFingerprint(currentKey)).toBe(fingerprint);
+      expect(keyFingerprint(Buffer.from(currentKey))).toBe(fingerprint);
+    });
+  });
+
+  describe("validateRotation", () => {
+    const options = { secretKey: currentKey };
+
+    test("should return the switch time and window", () => {
+      const schedule = { nextSecretKey: nextKey, keyRotationTime: "2026-06-01T12:00:00Z", keyRotationWindowHours: 6 };
+
+      expect(validateRotation(schedule, options)).toEqual({
+        activateAt: Date.parse("2026-06-01T12:00:00Z"),
+        windowMs: 6 * MILLISECONDS_PER_HOUR
+      });
+    });
+
+    test("should default the window to 24 hours", () => {
+      const { windowMs } = validateRotation({ nextSecretKey: nextKey, keyRotationTime: "2026-06-01T12:00:00Z" }, options);
+      expect(windowMs).toBe(24 * MILLISECONDS_PER_HOUR);
+    });
+
+    test.each([
+      [{ nextSecretKey: "tooshort", keyRotationTime: "2026-06-01T12:00:00Z" }, "exactly 32 characters"],
+      [{ nextSecretKey: currentKey, keyRotationTime: "2026-06-01T12:00:00Z" }, "must differ from the current key"],
+      [{ nextSecretKey: nextKey, keyRotationTime: "next tuesday" }, "must be a date and time"],
+      [{ nextSecretKey: nextKey, keyRotationTime: "2026-06-01T12:00:00Z", keyRotationWindowHours: 0 }, "between 1"],
+      [{ nextSecretKey: nextKey, keyRotationTime: "2026-06-01T12:00:00Z", keyRotationWindowHours: 1000 }, "720 hours"]
+    ])("should reject an invalid schedule (%#)", (schedule, message) => {
+      expect(() => validateRotation(schedule, options)).toThrow(message);
+    });
+  });
+
+  describe("createKeyRing", () => {
+    const activateAt = Date.parse("2026-06-01T12:00:00Z");
+    const windowMs = MILLISECONDS_PER_HOUR;
+
+    test("should use the current key only without a rotation", () => {
+      const ring = createKeyRing(currentKey);
+
+      expect(ring.sendKey()).toBe(currentKey);
+      expect(ring.receiveKeys()).toEqual([currentKey]);
+      expect(ring.promoteIfDue()).toBe(false);
+      expect(ring.getStatus()).toEqual({
+        fingerprint: keyFingerprint(currentKey).toString(16).padStart(2, "0"),
+        rotation: null
+      });
+    });
+
+    test("should accept both keys before the switch and send with the current one", () => {
+      const ring = createKeyRing(currentKey, { key: nextKey, activateAt, windowMs });
+
+      expect(ring.sendKey(activateAt - 1)).toBe(currentKey);
+      expect(ring.receiveKeys(activateAt - 1)).toEqual([currentKey, nextKey]);
+      expect(ring.getStatus(activateAt - 1).rotation.sendingNext).toBe(false);
+    });
+
+    test("should send with the next key from the rotation time and keep accepting the old one", () => {
+      const ring = createKeyRing(currentKey, { key: nextKey, activateAt, windowMs });
+
+      expect(ring.sendKey(activateAt)).toBe(nextKey);
+      expect(ring.receiveKeys(activateAt)).toEqual([nextKey, currentKey]);
+      expect(ring.promoteIfDue(activateAt + windowMs - 1)).toBe(false);
+      expect(ring.getStatus(activateAt).rotation).toEqual({
+        nextFingerprint: keyFingerprint(nextKey).toString(16).padStart(2, "0"),
+        activateAt: "2026-06-01T12:00:00.000Z",
+        windowEnd: "2026-06-01T13:00:00.000Z",
+        sendingNext: true
+      });
+    });
+
+    test("should retire the old key once the window has ended", () => {
+      const ring = createKeyRing(currentKey, { key: nextKey, activateAt, windowMs });
+
+      expect(ring.promoteIfDue(activateAt + windowMs)).toBe(true);
+      expect(ring.receiveKeys()).toEqual([nextKey]);
+      expect(ring.sendKey()).toBe(nextKey);
+      expect(ring.getStatus().rotation).toBeNull();
+    });
+
+    test("should ignore an invalid rotation when loading and keep the current key", async () => {
+      const onError = jest.fn();
+      const ring = await loadKeyRing(
+        { secretKey: currentKey, nextSecretKey: nextKey, keyRotationTime: "someday" },
+        onError
+      );
+
+      expect(onError).toHaveBeenCalledWith(expect.stringContaining("Key rotation ignored"));
+      expect(ring.receiveKeys()).toEqual([currentKey]);
+    });
+  });
+
+  describe("Pipeline", () => {
+    const delta = {
+      context: "vessels.urn:mrn:imo:mmsi:123456789",
+      updates: [{ timestamp: "2024-06-15T12:00:00.000Z", values: [{ path: "navigation.speedOverGround", value: 5 }] }]
+    };
+    let app;
+    let packets;
+    let client;
+    let serverMetrics;
+    let server;
+
+    beforeEach(() => {
+      app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+      packets = [];
+      client = createPipeline(
+        app,
+        {
+          options: { secretKey: currentKey },
+          socketUdp: {
+            send: jest.fn((msg, port, host, cb) => {
+              packets.push(Buffer.from(msg));
+              cb(null);
+            })
+          },
+          avgBytesPerDelta: 200,
+          maxDeltasPerBatch: 5,
+          lastPacketTime: 0
+        },
+        createMetrics()
+      );
+      serverMetrics = createMetrics();
+      server = createPipeline(app, { options: { secretKey: currentKey }, isServerMode: true }, serverMetrics);
+    });
+
+    afterEach(() => {
+      client.stop();
+      server.stop();
+    });
+
+    test("should name the key in the header by its fingerprint", async () => {
+      await client.packCrypt([delta], nextKey, "127.0.0.1", 4446);
+
+      expect(decodeHeader(packets[0]).keyFingerprint).toBe(keyFingerprint(nextKey));
+    });
+
+    test("should accept packets with the current and the next key during a rotation", async () => {
+      await client.packCrypt([delta], currentKey, "127.0.0.1", 4446);
+      await client.packCrypt([delta], nextKey, "127.0.0.1", 4446);
+      for (const packet of packets) {
+        await server.unpackDecrypt(packet, [nextKey, currentKey]);
+      }
+
+      expect(app.handleMessage).toHaveBeenCalledTimes(2);
+      expect(serverMetrics.metrics.encryptionErrors).toBe(0);
+    });
+
+    test("should drop packets encrypted with a key it does not hold", async () => {
+      await client.packCrypt([delta], nextKey, "127.0.0.1", 4446);
+      await server.unpackDecrypt(packets[0], [currentKey]);
+
+      expect(app.handleMessage).not.toHaveBeenCalled();
+      expect(serverMetrics.metrics.encryptionErrors).toBe(1);
+      expect(serverMetrics.metrics.lastError).toContain("Unknown key fingerprint");
+    });
+  });
+
+  describe("Routes", () => {
+    let app;
+    let state;
+    let handlers;
+
+    const post = (route, body) =>
+      new Promise((resolve) => {
+        const res = {
+          statusCode: 200,
+          status(code) {
+            this.statusCode = code;
+            return this;
+          },
+          json(data) {
+            resolve({ status: this.statusCode, body: data });
+          }
+        };
+        handlers[route]({ body }, res);
+      });
+
+    beforeEach(() => {
+      app = {
+        debug: jest.fn(),
+        error: jest.fn(),
+        readPluginOptions: jest.fn(() => ({ configuration: { serverType: "server", secretKey: currentKey } })),
+        savePluginOptions: jest.fn()
+      };
+      state = { restartPlugin: jest.fn() };
+      handlers = {};
+      const router = {
+        get: jest.fn(),
+        post: jest.fn((route, ...chain) => {
+          handlers[route] = chain[chain.length - 1];
+        })
+      };
+      createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+    });
+
+    test("should schedule a rotation and restart with it", async () => {
+      const keyRotationTime = new Date(Date.now() + MILLISECONDS_PER_HOUR).toISOString();
+      const { status, body } = await post("/key-rotation", {
+        nextSecretKey: nextKey,
+        keyRotationTime,
+        keyRotationWindowHours: 12
+      });
+
+      expect(status).toBe(200);
+      expect(body.restarting).toBe(true);
+      expect(state.restartPlugin).toHaveBeenCalledWith({
+        serverType: "server",
+        secretKey: currentKey,
+        nextSecretKey: nextKey,
+        keyRotationTime,
+        keyRotationWindowHours: 12
+      });
+    });
+
+    test("should reject a rotation time in the past", async () => {
+      const { status, body } = await post("/key-rotation", {
+        nextSecretKey: nextKey,
+        keyRotationTime: "2020-01-01T00:00:00Z"
+      });
+
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/must be in the future/);
+      expect(state.restartPlugin).not.toHaveBeenCalled();
+    });
+
+    test("should cancel a scheduled rotation", async () => {
+      expect((await post("/key-rotation/cancel", {})).status).toBe(409);
+
+      app.readPluginOptions.mockReturnValue({
+        configuration: { secretKey: currentKey, nextSecretKey: nextKey, keyRotationTime: "2026-06-01T12:00:00Z" }
+      });
+      expect((await post("/key-rotation/cancel", {})).status).toBe(200);
+      expect(state.restartPlugin).toHaveBeenCalledWith({ secretKey: currentKey });
+    });
+  });
+});
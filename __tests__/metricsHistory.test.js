@@ -0,0 +1,183 @@
+/* eslint-disable no-undef */
+const { promises: fs } = require("fs");
+const path = require("path");
+const os = require("os");
+const { createMetricsHistory } = require("../lib/metricsHistory");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+
+describe("Metrics History", () => {
+  const MINUTE = 60000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+  // Midnight UTC, so minute, hour and day buckets all start here
+  const start = Date.UTC(2026, 0, 10);
+  let tempDir;
+  let filePath;
+  let app;
+  let metricsApi;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `signalk-history-test-${Date.now()}`);
+    await fs.mkdir(tempDir, { recursive: true });
+    filePath = path.join(tempDir, "metrics_history.json");
+    app = { debug: jest.fn(), error: jest.fn() };
+    metricsApi = createMetrics();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should roll counts up into minute, hour and day buckets", async () => {
+    const history = createMetricsHistory(app, metricsApi, filePath);
+    await history.init();
+
+    metricsApi.metrics.bandwidth.bytesOut = 100;
+    metricsApi.metrics.bandwidth.bytesOutRaw = 400;
+    await history.update(start + 10000);
+    metricsApi.metrics.bandwidth.bytesOut = 150;
+    metricsApi.metrics.bandwidth.bytesOutRaw = 500;
+    await history.update(start + MINUTE + 10000);
+
+    const minutes = history.query("24h", false, start + 2 * MINUTE);
+    expect(minutes.resolution).toBe("minute");
+    expect(minutes.bucketSeconds).toBe(60);
+    expect(minutes.buckets.map((bucket) => bucket.bytesOut)).toEqual([100, 50]);
+    expect(minutes.buckets[0]).toMatchObject({ time: start, compressionRatio: 75 });
+    expect(minutes.totals).toMatchObject({ bytesOut: 150, bytesOutRaw: 500, compressionRatio: 70 });
+
+    const days = history.query("30d", false, start + 2 * MINUTE);
+    expect(days.buckets).toHaveLength(1);
+    expect(days.buckets[0]).toMatchObject({ time: start, bytesOut: 150 });
+  });
+
+  test("should sum error counters and keep counting after a metrics reset", async () => {
+    const history = createMetricsHistory(app, metricsApi, filePath);
+    await history.init();
+
+    metricsApi.recordError("encryption", "bad key");
+    metricsApi.recordError("replay", "replayed");
+    metricsApi.metrics.deltasSent = 10;
+    await history.update(start);
+    metricsApi.resetMetrics();
+    metricsApi.metrics.deltasSent = 3;
+    await history.update(start + 1000);
+
+    const { totals } = history.query("7d", false, start + 2000);
+    expect(totals.errors).toBe(2);
+    expect(totals.deltasSent).toBe(13);
+  });
+
+  test("should drop buckets past their retention", async () => {
+    const history = createMetricsHistory(app, metricsApi, filePath);
+    await history.init();
+
+    metricsApi.metrics.deltasReceived = 1;
+    await history.update(start);
+    metricsApi.metrics.deltasReceived = 2;
+    await history.update(start + DAY + MINUTE);
+
+    const now = start + DAY + 2 * MINUTE;
+    expect(history.query("24h", true, now).buckets.map((bucket) => bucket.deltasReceived)).toEqual([1]);
+    expect(history.query("7d", true, now).buckets).toHaveLength(2);
+  });
+
+  test("should use received bytes for the compression ratio in server mode", async () => {
+    const history = createMetricsHistory(app, metricsApi, filePath);
+    await history.init();
+
+    metricsApi.metrics.bandwidth.bytesIn = 20;
+    metricsApi.metrics.bandwidth.bytesInRaw = 80;
+    await history.update(start);
+
+    expect(history.query("24h", true, start).totals.compressionRatio).toBe(75);
+    expect(history.query("24h", false, start).totals.compressionRatio).toBeNull();
+  });
+
+  test("should keep the history across restarts", async () => {
+    const first = createMetricsHistory(app, metricsApi, filePath);
+    await first.init();
+    metricsApi.metrics.bandwidth.bytesOut = 500;
+    await first.stop();
+    metricsApi.resetMetrics();
+
+    const second = createMetricsHistory(app, metricsApi, filePath);
+    await second.init();
+    metricsApi.metrics.bandwidth.bytesOut = 200;
+    await second.update();
+
+    expect(second.query("30d", false).totals.bytesOut).toBe(700);
+    await expect(fs.access(`${filePath}.tmp`)).rejects.toThrow();
+  });
+
+  test("should have saved the history when stop returns", async () => {
+    const first = createMetricsHistory(app, metricsApi, filePath);
+    await first.init();
+    metricsApi.metrics.bandwidth.bytesOut = 300;
+    // A restart right after stop reads the complete file
+    first.stop();
+
+    const second = createMetricsHistory(app, metricsApi, filePath);
+    await second.init();
+    expect(second.query("30d", false).totals.bytesOut).toBe(300);
+  });
+
+  test("should start empty from a corrupt file", async () => {
+    await fs.writeFile(filePath, "{not json");
+    const history = createMetricsHistory(app, metricsApi, filePath);
+    await history.init();
+
+    expect(history.query("24h", false).buckets).toEqual([]);
+    expect(history.query("1y", false)).toBeNull();
+  });
+
+  describe("Route", () => {
+    let handler;
+    let state;
+
+    const request = (query) =>
+      new Promise((resolve) => {
+        const res = {
+          statusCode: 200,
+          status(code) {
+            this.statusCode = code;
+            return this;
+          },
+          json(data) {
+            resolve({ status: this.statusCode, body: data });
+          }
+        };
+        handler({ query }, res);
+      });
+
+    beforeEach(() => {
+      state = { isServerMode: false, metricsHistory: null };
+      const router = {
+        get: jest.fn((route, ...chain) => {
+          if (route === "/metrics/history") {
+            handler = chain[chain.length - 1];
+          }
+        }),
+        post: jest.fn()
+      };
+      createRoutes(app, state, metricsApi, {}).registerWithRouter(router);
+    });
+
+    test("should return the requested range", async () => {
+      state.metricsHistory = createMetricsHistory(app, metricsApi, filePath);
+      await state.metricsHistory.init();
+
+      const { status, body } = await request({ range: "7d" });
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ range: "7d", resolution: "hour", bucketSeconds: 3600 });
+    });
+
+    test("should reject an unknown range and answer 503 before start", async () => {
+      expect((await request({ range: "24h" })).status).toBe(503);
+
+      state.metricsHistory = createMetricsHistory(app, metricsApi, filePath);
+      expect((await request({ range: "1y" })).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/* eslint-disable no-undef */
+const { CONTENT_TYPE, formatOpenMetrics } = require("../lib/openMetrics");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+
+describe("OpenMetrics Exporter", () => {
+  let metricsApi;
+  let state;
+
+  /**
+   * Parses exposition text into family types and samples
+   * @param {string} text - OpenMetrics text
+   * @returns {{types: Object, samples: Object}} Family name -> type, sample line name+labels -> value
+   */
+  const parse = (text) => {
+    const types = {};
+    const samples = {};
+    for (const line of text.trim().split("\n")) {
+      const type = line.match(/^# TYPE (\S+) (\S+)$/);
+      if (type) {
+        types[type[1]] = type[2];
+      } else if (!line.startsWith("#")) {
+        const sample = line.match(/^(\S+?(?:\{.*\})?) (\S+)$/);
+        samples[sample[1]] = Number(sample[2]);
+      }
+    }
+    return { types, samples };
+  };
+
+  const delta = (path) => ({ updates: [{ values: [{ path, value: 1 }] }] });
+
+  beforeEach(() => {
+    metricsApi = createMetrics();
+    state = { isServerMode: false, deltas: [{}, {}], outboundQueue: null };
+  });
+
+  test("should end with # EOF and name counter samples with _total", () => {
+    metricsApi.metrics.deltasSent = 42;
+    metricsApi.metrics.bandwidth.bytesOut = 1000;
+    const text = formatOpenMetrics(metricsApi, state);
+    const { types, samples } = parse(text);
+
+    expect(text.endsWith("# EOF\n")).toBe(true);
+    expect(types.signalk_data_connector_deltas_sent).toBe("counter");
+    expect(samples.signalk_data_connector_deltas_sent_total).toBe(42);
+    expect(text).toContain("# UNIT signalk_data_connector_sent_bytes bytes");
+    expect(samples.signalk_data_connector_sent_bytes_total).toBe(1000);
+    expect(samples['signalk_data_connector_build_info{mode="client"}']).toBe(1);
+  });
+
+  test("should declare gauges for current values", () => {
+    const { types, samples } = parse(formatOpenMetrics(metricsApi, state));
+
+    expect(types.signalk_data_connector_buffered_deltas).toBe("gauge");
+    expect(samples.signalk_data_connector_buffered_deltas).toBe(2);
+    expect(types.signalk_data_connector_smart_batch_max_deltas).toBe("gauge");
+    expect(types.signalk_data_connector_reliable_pending_packets).toBe("gauge");
+  });
+
+  test("should give every sample a declared family", () => {
+    const { types, samples } = parse(formatOpenMetrics(metricsApi, state));
+
+    for (const name of Object.keys(samples)) {
+      const base = name.replace(/\{.*$/, "");
+      const family = Object.keys(types).find(
+        (candidate) => base === candidate || base === `${candidate}_total` || base === `${candidate}_info`
+      );
+      expect(family).toBeDefined();
+    }
+  });
+
+  test("should label errors by category", () => {
+    metricsApi.recordError("encryption", "bad key");
+    metricsApi.recordError("replay", "replayed");
+    const { samples } = parse(formatOpenMetrics(metricsApi, state));
+
+    expect(samples['signalk_data_connector_errors_total{category="encryption"}']).toBe(1);
+    expect(samples['signalk_data_connector_errors_total{category="replay"}']).toBe(1);
+    expect(samples['signalk_data_connector_errors_total{category="protocol"}']).toBe(0);
+  });
+
+  test("should limit path labels and sum the remaining paths", () => {
+    ["navigation.speedOverGround", "navigation.courseOverGroundTrue", "environment.wind.speedApparent"].forEach(
+      (path) => metricsApi.trackPathStats(delta(path), 10)
+    );
+    metricsApi.trackPathStats(delta("environment.wind.speedApparent"), 10);
+    const { samples } = parse(formatOpenMetrics(metricsApi, state, 2));
+
+    expect(samples['signalk_data_connector_path_updates_total{path="navigation.speedOverGround"}']).toBe(1);
+    expect(samples['signalk_data_connector_path_updates_total{path="__other__"}']).toBe(2);
+    expect(samples['signalk_data_connector_path_bytes_total{path="__other__"}']).toBe(20);
+    expect(samples.signalk_data_connector_tracked_paths).toBe(3);
+  });
+
+  test("should escape label values", () => {
+    metricsApi.trackPathStats(delta('odd"path\\name'), 10);
+    const text = formatOpenMetrics(metricsApi, state);
+
+    expect(text).toContain('path="odd\\"path\\\\name"');
+  });
+
+  test("should export registered clients in server mode", () => {
+    state.isServerMode = true;
+    state.clientRegistry = new Map([[1, { clientId: "aurora" }]]);
+    metricsApi.getClientStats("aurora").packetsIn = 7;
+    const { samples } = parse(formatOpenMetrics(metricsApi, state));
+
+    expect(samples['signalk_data_connector_client_received_packets_total{client_id="aurora"}']).toBe(7);
+    expect(samples['signalk_data_connector_build_info{mode="server"}']).toBe(1);
+  });
+
+  test("should serve the text with the OpenMetrics content type", () => {
+    let handler;
+    const router = {
+      get: jest.fn((route, ...chain) => {
+        if (route === "/openmetrics") {
+          handler = chain[chain.length - 1];
+        }
+      }),
+      post: jest.fn()
+    };
+    createRoutes({ debug: jest.fn(), error: jest.fn() }, state, metricsApi, {}).registerWithRouter(router);
+    const res = { contentType: jest.fn(), send: jest.fn() };
+
+    handler({}, res);
+    expect(res.contentType).toHaveBeenCalledWith(CONTENT_TYPE);
+    expect(res.send).toHaveBeenCalledWith(expect.stringContaining("signalk_data_connector_deltas_sent_total 0"));
+  });
+});
@@ -0,0 +1,193 @@
+/* eslint-disable no-undef */
+const { promises: fs } = require("fs");
+const path = require("path");
+const os = require("os");
+const createOutboundQueue = require("../lib/outboundQueue");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+
+describe("Outbound Queue (store-and-forward)", () => {
+  let tempDir;
+  let mockApp;
+
+  const makeDelta = (i) => ({
+    context: "vessels.self",
+    updates: [{ timestamp: new Date(1700000000000 + i * 1000).toISOString(), values: [{ path: "test.value", value: i }] }]
+  });
+
+  const createQueue = (overrides = {}) =>
+    createOutboundQueue(mockApp, {
+      directory: tempDir,
+      maxBytes: 10 * 1024 * 1024,
+      maxAge: 60 * 60 * 1000,
+      ...overrides
+    });
+
+  beforeEach(() => {
+    tempDir = path.join(os.tmpdir(), `signalk-queue-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mockApp = { debug: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (err) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test("should create the queue directory on init", async () => {
+    const queue = createQueue();
+    await queue.init();
+
+    const stat = await fs.stat(tempDir);
+    expect(stat.isDirectory()).toBe(true);
+    expect(queue.length).toBe(0);
+  });
+
+  test("should dequeue deltas in chronological order", async () => {
+    const queue = createQueue();
+    await queue.init();
+
+    for (let i = 0; i < 10; i++) {
+      queue.enqueue(makeDelta(i));
+    }
+    expect(queue.length).toBe(10);
+
+    const first = await queue.dequeue(4);
+    const rest = await queue.dequeue(100);
+
+    expect(first.map((d) => d.updates[0].values[0].value)).toEqual([0, 1, 2, 3]);
+    expect(rest.map((d) => d.updates[0].values[0].value)).toEqual([4, 5, 6, 7, 8, 9]);
+    expect(queue.length).toBe(0);
+  });
+
+  test("should persist queued deltas across restarts", async () => {
+    const queue = createQueue();
+    await queue.init();
+    queue.enqueue(makeDelta(1));
+    queue.enqueue(makeDelta(2));
+    await queue.flush();
+    queue.enqueue(makeDelta(3));
+    queue.close();
+
+    const restored = createQueue();
+    await restored.init();
+
+    expect(restored.length).toBe(3);
+    const deltas = await restored.dequeue(10);
+    expect(deltas.map((d) => d.updates[0].values[0].value)).toEqual([1, 2, 3]);
+  });
+
+  test("should keep order when new deltas arrive while draining", async () => {
+    const queue = createQueue();
+    await queue.init();
+
+    queue.enqueue(makeDelta(1));
+    queue.enqueue(makeDelta(2));
+    const first = await queue.dequeue(1);
+    queue.enqueue(makeDelta(3));
+    const rest = await queue.dequeue(10);
+
+    expect(first.map((d) => d.updates[0].values[0].value)).toEqual([1]);
+    expect(rest.map((d) => d.updates[0].values[0].value)).toEqual([2, 3]);
+  });
+
+  test("should drop oldest segments when exceeding the size limit", async () => {
+    const queue = createQueue({ maxBytes: 200 * 1024 });
+    await queue.init();
+
+    for (let i = 0; i < 3000; i++) {
+      queue.enqueue(makeDelta(i));
+    }
+    await queue.flush();
+
+    const stats = queue.getStats();
+    expect(stats.bytes).toBeLessThanOrEqual(200 * 1024);
+    expect(stats.dropped).toBeGreaterThan(0);
+    expect(stats.entries + stats.dropped).toBe(3000);
+
+    // Remaining data is the newest data
+    const deltas = await queue.dequeue(5000);
+    expect(deltas[deltas.length - 1].updates[0].values[0].value).toBe(2999);
+  });
+
+  test("should discard entries older than max age", async () => {
+    const queue = createQueue({ maxAge: 50 });
+    await queue.init();
+
+    queue.enqueue(makeDelta(1));
+    await queue.flush();
+    await new Promise((resolve) => setTimeout(resolve, 80));
+
+    const deltas = await queue.dequeue(10);
+    expect(deltas).toHaveLength(0);
+    expect(queue.length).toBe(0);
+    expect(queue.getStats().dropped).toBe(1);
+  });
+
+  test("should skip corrupt lines in segment files", async () => {
+    await fs.mkdir(tempDir, { recursive: true });
+    const good = JSON.stringify({ t: Date.now(), d: makeDelta(7) });
+    await fs.writeFile(path.join(tempDir, "1700000000000-000001.ndjson"), `${good}\n{"t":12\n`);
+
+    const queue = createQueue();
+    await queue.init();
+
+    expect(queue.length).toBe(1);
+    const deltas = await queue.dequeue(10);
+    expect(deltas[0].updates[0].values[0].value).toBe(7);
+  });
+
+  test("should keep deltas whose send failed until they are committed", async () => {
+    const queue = createQueue();
+    await queue.init();
+    for (let i = 0; i < 6; i++) {
+      queue.enqueue(makeDelta(i));
+    }
+    await queue.flush();
+
+    // The link fails while draining: the send error is caught by the pipeline
+    mockApp.setPluginStatus = jest.fn();
+    const unreachable = Object.assign(new Error("send ENETUNREACH"), { code: "ENETUNREACH" });
+    const state = {
+      options: { secretKey: "12345678901234567890123456789012" },
+      socketUdp: { send: jest.fn((message, port, host, callback) => callback(unreachable)) },
+      avgBytesPerDelta: 200,
+      maxDeltasPerBatch: 5
+    };
+    const pipeline = createPipeline(mockApp, state, createMetrics());
+    const drained = await queue.dequeue(4);
+    expect(await pipeline.packCrypt(drained, state.options.secretKey, "127.0.0.1", 4446)).toBe(false);
+    queue.rollback();
+    expect(queue.length).toBe(6);
+
+    // A crash before the commit keeps them on disk as well
+    const restored = createQueue();
+    await restored.init();
+    expect(restored.length).toBe(6);
+
+    // Once sent and committed, the deltas are gone
+    state.socketUdp.send.mockImplementation((message, port, host, callback) => callback(null));
+    const retried = await queue.dequeue(10);
+    expect(retried.map((d) => d.updates[0].values[0].value)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(await pipeline.packCrypt(retried, state.options.secretKey, "127.0.0.1", 4446)).toBe(true);
+    await queue.commit();
+    pipeline.stop();
+    expect((await fs.readdir(tempDir)).filter((f) => f.endsWith(".ndjson"))).toEqual([]);
+  });
+
+  test("should report stats", async () => {
+    const queue = createQueue();
+    await queue.init();
+    queue.enqueue(makeDelta(1));
+    await queue.flush();
+
+    const stats = queue.getStats();
+    expect(stats.entries).toBe(1);
+    expect(stats.bytes).toBeGreaterThan(0);
+    expect(stats.segments).toBe(1);
+    expect(stats.oldestTimestamp).toBeGreaterThan(0);
+    expect(stats.dropped).toBe(0);
+  });
+});
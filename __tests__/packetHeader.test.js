@@ -0,0 +1,247 @@
+/* eslint-disable no-undef */
+const {
+  HEADER_LENGTH,
+  PROTOCOL_VERSION,
+  SHARED_KEY_ID,
+  PACKET_TYPE_DATA,
+  PACKET_TYPE_ACK,
+  FLAG_RELIABLE,
+  MAX_CODEC,
+  MAX_DICTIONARY_ID,
+  SERIALIZER_JSON,
+  SERIALIZER_MSGPACK,
+  deriveKeyId,
+  encodeHeader,
+  decodeHeader
+} = require("../lib/packetHeader");
+const { encryptBinary, keyFingerprint } = require("../lib/crypto");
+const { PATH_DICTIONARY_VERSION } = require("../lib/pathDictionary");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+
+describe("Packet Header", () => {
+  test("should round-trip all header fields", () => {
+    const header = encodeHeader({
+      keyId: 0xdeadbeef,
+      keyFingerprint: 0xa5,
+      sessionId: 0x01020304,
+      seq: 4000000000,
+      timestamp: 1718452800,
+      type: PACKET_TYPE_ACK,
+      flags: FLAG_RELIABLE
+    });
+    expect(header.length).toBe(HEADER_LENGTH);
+
+    const payload = Buffer.from("encrypted");
+    const decoded = decodeHeader(Buffer.concat([header, payload]));
+    expect(decoded.keyId).toBe(0xdeadbeef);
+    expect(decoded.keyFingerprint).toBe(0xa5);
+    expect(decoded.sessionId).toBe(0x01020304);
+    expect(decoded.seq).toBe(4000000000);
+    expect(decoded.timestamp).toBe(1718452800);
+    expect(decoded.type).toBe(PACKET_TYPE_ACK);
+    expect(decoded.flags).toBe(FLAG_RELIABLE);
+    expect(decoded.header.equals(header)).toBe(true);
+    expect(decoded.payload.equals(payload)).toBe(true);
+  });
+
+  test("should default the timestamp to the current time", () => {
+    const decoded = decodeHeader(encodeHeader({ keyId: 1 }));
+    expect(Math.abs(decoded.timestamp - Date.now() / 1000)).toBeLessThan(2);
+  });
+
+  test("should default to a best-effort data packet with the shared key identifier", () => {
+    const decoded = decodeHeader(encodeHeader({}));
+    expect(decoded.keyId).toBe(SHARED_KEY_ID);
+    expect(decoded.type).toBe(PACKET_TYPE_DATA);
+    expect(decoded.flags).toBe(0);
+    expect(decoded.dictionaryId).toBe(0);
+    expect(decoded.codec).toBe(0);
+  });
+
+  test("should carry the compression codec next to the packet type", () => {
+    const decoded = decodeHeader(encodeHeader({ type: PACKET_TYPE_ACK, codec: MAX_CODEC }));
+    expect(decoded.type).toBe(PACKET_TYPE_ACK);
+    expect(decoded.codec).toBe(MAX_CODEC);
+
+    expect(() => encodeHeader({ codec: MAX_CODEC + 1 })).toThrow("Invalid compression codec");
+  });
+
+  test("should carry the compression dictionary ID next to the flags", () => {
+    const decoded = decodeHeader(encodeHeader({ flags: FLAG_RELIABLE, dictionaryId: MAX_DICTIONARY_ID }));
+    expect(decoded.flags).toBe(FLAG_RELIABLE);
+    expect(decoded.dictionaryId).toBe(MAX_DICTIONARY_ID);
+
+    expect(() => encodeHeader({ dictionaryId: MAX_DICTIONARY_ID + 1 })).toThrow("Invalid compression dictionary ID");
+  });
+
+  test("should describe the payload encoding", () => {
+    const decoded = decodeHeader(encodeHeader({ serializer: SERIALIZER_MSGPACK, pathDictionaryVersion: 1 }));
+    expect(decoded.version).toBe(PROTOCOL_VERSION);
+    expect(decoded.serializer).toBe(SERIALIZER_MSGPACK);
+    expect(decoded.pathDictionaryVersion).toBe(1);
+
+    const defaults = decodeHeader(encodeHeader({}));
+    expect(defaults.serializer).toBe(SERIALIZER_JSON);
+    expect(defaults.pathDictionaryVersion).toBe(0);
+  });
+
+  test("should reject packets without the magic byte", () => {
+    const packet = encodeHeader({});
+    packet[0] = 0;
+    expect(() => decodeHeader(packet)).toThrow("Unknown packet format");
+  });
+
+  test("should reject other protocol versions", () => {
+    const packet = encodeHeader({});
+    packet[1] = PROTOCOL_VERSION + 1;
+    expect(() => decodeHeader(packet)).toThrow(`Unsupported protocol version ${PROTOCOL_VERSION + 1}`);
+  });
+
+  test("should reject packets shorter than the header", () => {
+    expect(() => decodeHeader(Buffer.alloc(HEADER_LENGTH - 1))).toThrow("Invalid packet size");
+    expect(() => decodeHeader("not a buffer")).toThrow("Invalid packet size");
+  });
+
+  describe("deriveKeyId", () => {
+    test("should be deterministic", () => {
+      expect(deriveKeyId("vessel-aurora")).toBe(deriveKeyId("vessel-aurora"));
+    });
+
+    test("should differ between clients", () => {
+      expect(deriveKeyId("vessel-aurora")).not.toBe(deriveKeyId("vessel-borealis"));
+    });
+
+    test("should return the shared key identifier without a client ID", () => {
+      expect(deriveKeyId("")).toBe(SHARED_KEY_ID);
+      expect(deriveKeyId(undefined)).toBe(SHARED_KEY_ID);
+    });
+
+    test("should never return the shared key identifier for a client ID", () => {
+      for (let i = 0; i < 100; i++) {
+        expect(deriveKeyId(`client-${i}`)).not.toBe(SHARED_KEY_ID);
+      }
+    });
+  });
+
+  describe("Pipeline", () => {
+    const secretKey = "12345678901234567890123456789012";
+    const delta = {
+      context: "vessels.urn:mrn:imo:mmsi:123456789",
+      updates: [
+        {
+          timestamp: "2024-06-15T12:00:00.000Z",
+          values: [{ path: "navigation.speedOverGround", value: 5.2 }]
+        }
+      ]
+    };
+    let app;
+    let packets;
+    let serverMetrics;
+    let server;
+    let clients;
+
+    const createClient = (options) => {
+      const client = createPipeline(
+        app,
+        {
+          options: { secretKey, ...options },
+          socketUdp: {
+            send: jest.fn((msg, port, host, cb) => {
+              packets.push(Buffer.from(msg));
+              cb(null);
+            })
+          },
+          avgBytesPerDelta: 200,
+          maxDeltasPerBatch: 5,
+          lastPacketTime: 0
+        },
+        createMetrics()
+      );
+      clients.push(client);
+      return client;
+    };
+
+    beforeEach(() => {
+      app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+      packets = [];
+      clients = [];
+      serverMetrics = createMetrics();
+      server = createPipeline(app, { options: { secretKey }, isServerMode: true }, serverMetrics);
+    });
+
+    afterEach(() => {
+      clients.forEach((client) => client.stop());
+      server.stop();
+    });
+
+    test("should describe the sender's encoding in the header", async () => {
+      await createClient({ useMsgpack: true, usePathDictionary: true }).packCrypt(
+        [delta], secretKey, "127.0.0.1", 4446
+      );
+
+      const decoded = decodeHeader(packets[0]);
+      expect(decoded.serializer).toBe(SERIALIZER_MSGPACK);
+      expect(decoded.pathDictionaryVersion).toBe(PATH_DICTIONARY_VERSION);
+    });
+
+    test("should accept clients with different settings", async () => {
+      const settings = [
+        {},
+        { useMsgpack: true },
+        { usePathDictionary: true },
+        { useMsgpack: true, usePathDictionary: true }
+      ];
+      for (const options of settings) {
+        await createClient(options).packCrypt([delta], secretKey, "127.0.0.1", 4446);
+      }
+      for (const packet of packets) {
+        await server.unpackDecrypt(packet, secretKey);
+      }
+
+      expect(app.handleMessage).toHaveBeenCalledTimes(settings.length);
+      app.handleMessage.mock.calls.forEach(([, received]) => {
+        expect(received.updates[0].values[0].path).toBe("navigation.speedOverGround");
+      });
+      expect(Object.fromEntries(serverMetrics.metrics.wireFormats)).toEqual({
+        "json/brotli": 1,
+        "msgpack/brotli": 1,
+        "json+paths/brotli": 1,
+        "msgpack+paths/brotli": 1
+      });
+      expect(app.error).not.toHaveBeenCalled();
+    });
+
+    test("should report a path dictionary version mismatch", async () => {
+      const header = encodeHeader({
+        pathDictionaryVersion: PATH_DICTIONARY_VERSION + 1,
+        codec: 2,
+        keyFingerprint: keyFingerprint(secretKey)
+      });
+      const packet = Buffer.concat([header, encryptBinary(Buffer.from("[]"), secretKey, header)]);
+
+      await server.unpackDecrypt(packet, secretKey);
+
+      expect(app.handleMessage).not.toHaveBeenCalled();
+      expect(serverMetrics.metrics.protocolErrors).toBe(1);
+      expect(app.error).toHaveBeenCalledWith(expect.stringContaining("path dictionary version"));
+    });
+
+    test("should report an unknown serializer", async () => {
+      const header = encodeHeader({ serializer: 7, codec: 2, keyFingerprint: keyFingerprint(secretKey) });
+      const packet = Buffer.concat([header, encryptBinary(Buffer.from("[]"), secretKey, header)]);
+
+      await server.unpackDecrypt(packet, secretKey);
+
+      expect(serverMetrics.metrics.protocolErrors).toBe(1);
+      expect(app.error).toHaveBeenCalledWith(expect.stringContaining("unknown serializer 7"));
+    });
+
+    test("should report packets from an older plugin version", async () => {
+      await server.unpackDecrypt(Buffer.concat([Buffer.alloc(HEADER_LENGTH, 1), Buffer.from("payload")]), secretKey);
+
+      expect(serverMetrics.metrics.protocolErrors).toBe(1);
+      expect(app.error).toHaveBeenCalledWith(expect.stringContaining("Unknown packet format"));
+    });
+  });
+});
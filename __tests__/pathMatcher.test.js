@@ -0,0 +1,40 @@
+/* eslint-disable no-undef */
+const { globToRegExp, compilePatterns, matchesPattern } = require("../lib/pathMatcher");
+
+describe("Path Matcher", () => {
+  test("should match exact paths", () => {
+    expect(matchesPattern("navigation.position", "navigation.position")).toBe(true);
+    expect(matchesPattern("navigation.position", "navigation.positionx")).toBe(false);
+  });
+
+  test("should treat * as a wildcard across path segments", () => {
+    expect(matchesPattern("propulsion.*", "propulsion.main.revolutions")).toBe(true);
+    expect(matchesPattern("*.temperature", "environment.outside.temperature")).toBe(true);
+    expect(matchesPattern("propulsion.*", "navigation.position")).toBe(false);
+  });
+
+  test("should escape regex special characters", () => {
+    const re = globToRegExp("vessels.urn:mrn:imo:mmsi:(1)+");
+    expect(re.test("vessels.urn:mrn:imo:mmsi:(1)+")).toBe(true);
+    expect(re.test("vesselsXurn:mrn:imo:mmsi:(1)+")).toBe(false);
+  });
+
+  test("compilePatterns should match any pattern in the list", () => {
+    const matches = compilePatterns(["notifications.*", "navigation.anchor.*"]);
+    expect(matches("notifications.mob")).toBe(true);
+    expect(matches("navigation.anchor.position")).toBe(true);
+    expect(matches("navigation.position")).toBe(false);
+    expect(matches(undefined)).toBe(false);
+  });
+
+  test("compilePatterns should honour matchAllWhenEmpty", () => {
+    expect(compilePatterns([], true)("anything")).toBe(true);
+    expect(compilePatterns([], false)("anything")).toBe(false);
+    expect(compilePatterns(undefined, true)("anything")).toBe(true);
+    expect(compilePatterns(["  "], false)("anything")).toBe(false);
+  });
+
+  test("compilePatterns should short-circuit a lone *", () => {
+    expect(compilePatterns(["*"])("vessels.self")).toBe(true);
+  });
+});
@@ -0,0 +1,96 @@
+/* eslint-disable no-undef */
+const createPathRateLimiter = require("../lib/pathRateLimiter");
+
+describe("Path Rate Limiter", () => {
+  const context = "vessels.urn:mrn:imo:mmsi:123456789";
+  const deltaOf = (values, deltaContext = context) => ({
+    context: deltaContext,
+    updates: [{ timestamp: "2024-06-15T12:00:00.000Z", values }]
+  });
+
+  let now;
+  let start;
+  let limiter;
+
+  beforeEach(() => {
+    start = Date.now();
+    now = jest.spyOn(Date, "now").mockReturnValue(start);
+    limiter = createPathRateLimiter();
+    limiter.setRules([
+      { path: "navigation.position", interval: 1000 },
+      { path: "propulsion.*", interval: 10000 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should pass every value when no rules are set", () => {
+    const empty = createPathRateLimiter();
+    const delta = deltaOf([{ path: "navigation.position", value: {} }]);
+
+    expect(empty.filter(delta)).toBe(delta);
+    expect(empty.filter(delta)).toBe(delta);
+  });
+
+  test("should pass a path at most once per interval", () => {
+    const position = () => deltaOf([{ path: "navigation.position", value: { latitude: 60.1 } }]);
+
+    expect(limiter.filter(position())).not.toBeNull();
+    now.mockReturnValue(start + 999);
+    expect(limiter.filter(position())).toBeNull();
+    now.mockReturnValue(start + 1000);
+    expect(limiter.filter(position())).not.toBeNull();
+  });
+
+  test("should keep values without a rule and drop only limited ones", () => {
+    limiter.filter(deltaOf([{ path: "propulsion.port.revolutions", value: 20 }]));
+
+    const result = limiter.filter(
+      deltaOf([
+        { path: "propulsion.port.revolutions", value: 21 },
+        { path: "navigation.speedOverGround", value: 5 }
+      ])
+    );
+    expect(result.updates[0].values).toEqual([{ path: "navigation.speedOverGround", value: 5 }]);
+  });
+
+  test("should limit each matching path and context separately", () => {
+    limiter.filter(deltaOf([{ path: "propulsion.port.revolutions", value: 20 }]));
+
+    expect(limiter.filter(deltaOf([{ path: "propulsion.starboard.revolutions", value: 20 }]))).not.toBeNull();
+    expect(limiter.filter(deltaOf([{ path: "propulsion.port.revolutions", value: 20 }], "vessels.other"))).not.toBeNull();
+  });
+
+  test("should apply the first matching rule", () => {
+    limiter.setRules([
+      { path: "propulsion.port.*", interval: 0 },
+      { path: "propulsion.*", interval: 10000 }
+    ]);
+    limiter.filter(deltaOf([{ path: "propulsion.port.revolutions", value: 20 }]));
+
+    expect(limiter.filter(deltaOf([{ path: "propulsion.port.revolutions", value: 21 }]))).not.toBeNull();
+  });
+
+  test("should report effective rates per rule", () => {
+    for (let second = 0; second < 60; second++) {
+      now.mockReturnValue(start + second * 1000);
+      limiter.filter(deltaOf([{ path: "navigation.position", value: {} }]));
+      limiter.filter(deltaOf([{ path: "navigation.position", value: {} }]));
+    }
+    now.mockReturnValue(start + 60000);
+
+    const [position, propulsion] = limiter.getRuleStats();
+    expect(position).toEqual({ path: "navigation.position", interval: 1000, passed: 60, dropped: 60, passedPerMinute: 60 });
+    expect(propulsion.passed).toBe(0);
+  });
+
+  test("should reject invalid rules and keep the current ones", () => {
+    expect(() => limiter.setRules({})).toThrow("rules must be an array");
+    expect(() => limiter.setRules([{ interval: 1000 }])).toThrow("rule 1 must have a path");
+    expect(() => limiter.setRules([{ path: "tanks.*", interval: -1 }])).toThrow("rule 1 (tanks.*)");
+
+    expect(limiter.getRuleStats()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,109 @@
+/* eslint-disable no-undef */
+const createPriorityLanes = require("../lib/priorityLanes");
+const createMetrics = require("../lib/metrics");
+const { DEFAULT_BULK_INTERVAL } = require("../lib/constants");
+
+describe("Priority Lanes", () => {
+  const deltaOf = (...paths) => ({
+    context: "vessels.urn:mrn:imo:mmsi:123456789",
+    updates: [{ timestamp: "2024-06-15T12:00:00.000Z", values: paths.map((path) => ({ path, value: 1 })) }]
+  });
+  const options = { criticalPaths: ["notifications.*"], bulkPaths: ["tanks.*"] };
+
+  let app;
+  let state;
+  let metricsApi;
+  let send;
+  let lanes;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    app = { debug: jest.fn(), error: jest.fn() };
+    state = { options: { ...options }, readyToSend: true, outboundQueue: null, maxDeltasPerBatch: 2 };
+    metricsApi = createMetrics();
+    send = jest.fn(() => Promise.resolve());
+    lanes = createPriorityLanes(app, state, metricsApi, send);
+    lanes.start(state.options);
+  });
+
+  afterEach(() => {
+    lanes.stop();
+    jest.useRealTimers();
+  });
+
+  test("should leave everything in the normal lane when no lanes are configured", () => {
+    lanes.stop();
+    lanes.start({});
+
+    expect(lanes.route(deltaOf("notifications.mob"))).toBe(false);
+  });
+
+  test("should leave other paths in the normal lane", () => {
+    expect(lanes.route(deltaOf("navigation.speedOverGround"))).toBe(false);
+    expect(lanes.route(deltaOf("tanks.fuel.0.currentLevel", "navigation.speedOverGround"))).toBe(false);
+  });
+
+  test("should send critical deltas together without waiting for the delta timer", () => {
+    expect(lanes.route(deltaOf("notifications.mob"))).toBe(true);
+    expect(lanes.route(deltaOf("navigation.position", "notifications.anchor"))).toBe(true);
+    expect(send).not.toHaveBeenCalled();
+
+    jest.runOnlyPendingTimers();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0]).toHaveLength(2);
+    expect(metricsApi.metrics.lanes.criticalSent).toBe(2);
+  });
+
+  test("should send bulk deltas on the bulk interval in batches", async () => {
+    for (let i = 0; i < 3; i++) {
+      lanes.route(deltaOf("tanks.fuel.0.currentLevel"));
+    }
+    expect(metricsApi.metrics.lanes.bulkBuffered).toBe(3);
+
+    jest.advanceTimersByTime(DEFAULT_BULK_INTERVAL * 1000);
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(metricsApi.metrics.lanes.bulkSent).toBe(3);
+    expect(metricsApi.metrics.lanes.bulkBuffered).toBe(0);
+  });
+
+  test("should hold bulk deltas while the link is down or a backlog drains", async () => {
+    lanes.route(deltaOf("tanks.fuel.0.currentLevel"));
+
+    state.readyToSend = false;
+    await lanes.flushBulk();
+    state.readyToSend = true;
+    state.outboundQueue = { length: 10 };
+    await lanes.flushBulk();
+
+    expect(send).not.toHaveBeenCalled();
+    expect(metricsApi.metrics.lanes.bulkDeferred).toBe(2);
+    expect(metricsApi.metrics.lanes.bulkBuffered).toBe(1);
+  });
+
+  test("should hold bulk deltas while the outgoing rate exceeds the threshold", async () => {
+    state.options.bulkMaxRate = 1000;
+    lanes.route(deltaOf("tanks.fuel.0.currentLevel"));
+
+    metricsApi.metrics.bandwidth.bytesOut += 10 * 1000 * DEFAULT_BULK_INTERVAL;
+    jest.advanceTimersByTime(DEFAULT_BULK_INTERVAL * 1000);
+    await Promise.resolve();
+    expect(send).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(DEFAULT_BULK_INTERVAL * 1000);
+    await Promise.resolve();
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test("should drop pending lane data on stop", async () => {
+    lanes.route(deltaOf("tanks.fuel.0.currentLevel"));
+    lanes.stop();
+
+    await lanes.flushBulk();
+    expect(send).not.toHaveBeenCalled();
+    expect(metricsApi.metrics.lanes.bulkBuffered).toBe(0);
+  });
+});
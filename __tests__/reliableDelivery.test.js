@@ -0,0 +1,257 @@
+/* eslint-disable no-undef */
+const { toRanges, createRetransmitBuffer, createAckCollector } = require("../lib/reliableDelivery");
+const createMetrics = require("../lib/metrics");
+const createPipeline = require("../lib/pipeline");
+const { decodeHeader, FLAG_RELIABLE, PACKET_TYPE_ACK } = require("../lib/packetHeader");
+const { RELIABLE_RETRY_INTERVAL, RELIABLE_MAX_ATTEMPTS, RELIABLE_MAX_PENDING, ACK_DELAY } = require("../lib/constants");
+
+describe("Reliable Delivery", () => {
+  const app = { debug: jest.fn(), error: jest.fn() };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("toRanges", () => {
+    test("should merge consecutive sequence numbers", () => {
+      expect(toRanges([5, 1, 2, 3, 7, 8, 2])).toEqual([[1, 3], [5, 5], [7, 8]]);
+    });
+
+    test("should return no ranges for an empty list", () => {
+      expect(toRanges([])).toEqual([]);
+    });
+  });
+
+  describe("createRetransmitBuffer", () => {
+    let stats;
+    let resend;
+    let buffer;
+
+    beforeEach(() => {
+      stats = { sent: 0, acknowledged: 0, retransmitted: 0, failed: 0, pending: 0 };
+      resend = jest.fn(() => Promise.resolve());
+      buffer = createRetransmitBuffer(app, stats, resend);
+    });
+
+    afterEach(() => {
+      buffer.stop();
+    });
+
+    test("should forget acknowledged packets", () => {
+      buffer.track(9, 1, Buffer.from("a"), "10.0.0.1", 4446);
+      buffer.track(9, 2, Buffer.from("b"), "10.0.0.1", 4446);
+      buffer.acknowledge({ s: 9, a: [[1, 2]], n: [] });
+
+      expect(buffer.size).toBe(0);
+      expect(stats.acknowledged).toBe(2);
+      expect(stats.pending).toBe(0);
+    });
+
+    test("should ignore acknowledgements for another session", () => {
+      buffer.track(9, 1, Buffer.from("a"), "10.0.0.1", 4446);
+      buffer.acknowledge({ s: 10, a: [[1, 1]], n: [] });
+
+      expect(buffer.size).toBe(1);
+    });
+
+    test("should retransmit immediately when reported missing", () => {
+      const packet = Buffer.from("a");
+      buffer.track(9, 1, packet, "10.0.0.1", 4446);
+      buffer.acknowledge({ s: 9, a: [], n: [[1, 1]] });
+
+      expect(resend).toHaveBeenCalledWith(packet, "10.0.0.1", 4446);
+      expect(stats.retransmitted).toBe(1);
+      expect(buffer.size).toBe(1);
+    });
+
+    test("should retransmit overdue packets and give up after the last attempt", () => {
+      const start = Date.now();
+      const now = jest.spyOn(Date, "now").mockReturnValue(start);
+      buffer.track(9, 1, Buffer.from("a"), "10.0.0.1", 4446);
+
+      buffer.check();
+      expect(resend).not.toHaveBeenCalled();
+
+      let elapsed = 0;
+      for (let attempt = 1; attempt < RELIABLE_MAX_ATTEMPTS; attempt++) {
+        elapsed += RELIABLE_RETRY_INTERVAL * attempt;
+        now.mockReturnValue(start + elapsed);
+        buffer.check();
+      }
+      expect(resend).toHaveBeenCalledTimes(RELIABLE_MAX_ATTEMPTS - 1);
+
+      now.mockReturnValue(start + elapsed + RELIABLE_RETRY_INTERVAL * RELIABLE_MAX_ATTEMPTS);
+      buffer.check();
+      expect(buffer.size).toBe(0);
+      expect(stats.failed).toBe(1);
+    });
+
+    test("should drop the oldest packet when full", () => {
+      for (let seq = 1; seq <= RELIABLE_MAX_PENDING + 1; seq++) {
+        buffer.track(9, seq, Buffer.from("a"), "10.0.0.1", 4446);
+      }
+
+      expect(buffer.size).toBe(RELIABLE_MAX_PENDING);
+      expect(stats.failed).toBe(1);
+    });
+  });
+
+  describe("createAckCollector", () => {
+    const target = { keyId: 0, secretKey: "k", sessionId: 9, address: "10.0.0.2", port: 51000 };
+    let send;
+    let collector;
+
+    beforeEach(() => {
+      send = jest.fn(() => Promise.resolve());
+      collector = createAckCollector(send);
+    });
+
+    afterEach(() => {
+      collector.stop();
+    });
+
+    test("should send one acknowledgement with ranges per session", () => {
+      collector.acknowledge(target, 1);
+      collector.acknowledge(target, 2);
+      collector.acknowledge(target, 4);
+      collector.reportMissing(target, 3, 3);
+      collector.flush();
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send).toHaveBeenCalledWith({ s: 9, a: [[1, 2], [4, 4]], n: [[3, 3]] }, target);
+    });
+
+    test("should not report gaps to senders without reliable packets", () => {
+      collector.reportMissing(target, 3, 5);
+      collector.flush();
+
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Pipeline acknowledgements", () => {
+    const secretKey = "12345678901234567890123456789012";
+    const serverRinfo = { address: "198.51.100.1", port: 4446 };
+    const clientRinfo = { address: "203.0.113.5", port: 51000 };
+    const alarm = {
+      context: "vessels.urn:mrn:imo:mmsi:123456789",
+      updates: [
+        {
+          timestamp: "2024-06-15T12:00:00.000Z",
+          values: [{ path: "notifications.navigation.anchor", value: { state: "alarm", message: "Anchor dragging" } }]
+        }
+      ]
+    };
+
+    let clientApp;
+    let serverApp;
+    let clientPackets;
+    let serverPackets;
+    let clientMetrics;
+    let serverMetrics;
+    let client;
+    let server;
+
+    const capture = (packets) => ({
+      send: jest.fn((msg, port, host, cb) => {
+        packets.push(Buffer.from(msg));
+        cb(null);
+      })
+    });
+
+    const waitForAck = () => new Promise((resolve) => setTimeout(resolve, ACK_DELAY + 20));
+
+    beforeEach(() => {
+      clientPackets = [];
+      serverPackets = [];
+      clientApp = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+      serverApp = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+      clientMetrics = createMetrics();
+      serverMetrics = createMetrics();
+      client = createPipeline(
+        clientApp,
+        {
+          options: { secretKey },
+          isServerMode: false,
+          socketUdp: capture(clientPackets),
+          avgBytesPerDelta: 200,
+          maxDeltasPerBatch: 5,
+          lastPacketTime: 0
+        },
+        clientMetrics
+      );
+      server = createPipeline(
+        serverApp,
+        { options: { secretKey }, isServerMode: true, socketUdp: capture(serverPackets) },
+        serverMetrics
+      );
+    });
+
+    afterEach(() => {
+      client.stop();
+      server.stop();
+    });
+
+    test("should mark reliable packets and clear them once acknowledged", async () => {
+      await client.packCrypt([alarm], secretKey, "198.51.100.1", 4446, 0, true);
+      expect(decodeHeader(clientPackets[0]).flags & FLAG_RELIABLE).toBe(FLAG_RELIABLE);
+      expect(clientMetrics.metrics.reliable.pending).toBe(1);
+
+      await server.unpackDecrypt(clientPackets[0], secretKey, clientRinfo);
+      expect(serverApp.handleMessage).toHaveBeenCalledTimes(1);
+      await waitForAck();
+
+      expect(serverPackets).toHaveLength(1);
+      expect(decodeHeader(serverPackets[0]).type).toBe(PACKET_TYPE_ACK);
+      expect(serverMetrics.metrics.reliable.acksSent).toBe(1);
+
+      await client.unpackDecrypt(serverPackets[0], secretKey, serverRinfo);
+      expect(clientMetrics.metrics.reliable.acknowledged).toBe(1);
+      expect(clientMetrics.metrics.reliable.pending).toBe(0);
+      expect(clientApp.handleMessage).not.toHaveBeenCalled();
+    });
+
+    test("should retransmit a lost reliable packet when the server reports the gap", async () => {
+      for (let i = 0; i < 3; i++) {
+        await client.packCrypt([alarm], secretKey, "198.51.100.1", 4446, 0, true);
+      }
+
+      // Second packet is lost on the link
+      await server.unpackDecrypt(clientPackets[0], secretKey, clientRinfo);
+      await server.unpackDecrypt(clientPackets[2], secretKey, clientRinfo);
+      await waitForAck();
+      await client.unpackDecrypt(serverPackets[0], secretKey, serverRinfo);
+
+      expect(clientMetrics.metrics.reliable.acknowledged).toBe(2);
+      expect(clientMetrics.metrics.reliable.retransmitted).toBe(1);
+      expect(clientPackets[3].equals(clientPackets[1])).toBe(true);
+
+      await server.unpackDecrypt(clientPackets[3], secretKey, clientRinfo);
+      expect(serverApp.handleMessage).toHaveBeenCalledTimes(3);
+      expect(serverMetrics.getLinkStats().packetsLost).toBe(0);
+    });
+
+    test("should report the server's packet loss to the client", async () => {
+      for (let i = 0; i < 4; i++) {
+        await client.packCrypt([alarm], secretKey, "198.51.100.1", 4446, 0, true);
+      }
+
+      // Third packet is lost on the link
+      await server.unpackDecrypt(clientPackets[0], secretKey, clientRinfo);
+      await server.unpackDecrypt(clientPackets[1], secretKey, clientRinfo);
+      await server.unpackDecrypt(clientPackets[3], secretKey, clientRinfo);
+      await waitForAck();
+      await client.unpackDecrypt(serverPackets[0], secretKey, serverRinfo);
+
+      expect(clientMetrics.metrics.reliable.reportedLoss).toBe(0.25);
+      expect(clientMetrics.metrics.reliable.reportedLossTime).not.toBeNull();
+    });
+
+    test("should not track best-effort packets", async () => {
+      await client.packCrypt([alarm], secretKey, "198.51.100.1", 4446);
+
+      expect(decodeHeader(clientPackets[0]).flags).toBe(0);
+      expect(clientMetrics.metrics.reliable.sent).toBe(0);
+    });
+  });
+});
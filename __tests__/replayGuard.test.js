@@ -0,0 +1,60 @@
+/* eslint-disable no-undef */
+const createReplayGuard = require("../lib/replayGuard");
+
+describe("Replay Guard", () => {
+  const now = () => Math.floor(Date.now() / 1000);
+  const packet = (seq, overrides = {}) => ({ keyId: 0, sessionId: 42, seq, timestamp: now(), ...overrides });
+
+  test("should accept increasing sequence numbers", () => {
+    const guard = createReplayGuard();
+    expect(guard.accept(packet(1), 300)).toBeNull();
+    expect(guard.accept(packet(2), 300)).toBeNull();
+    expect(guard.accept(packet(10), 300)).toBeNull();
+  });
+
+  test("should reject duplicates", () => {
+    const guard = createReplayGuard();
+    expect(guard.accept(packet(5), 300)).toBeNull();
+    expect(guard.accept(packet(5), 300)).toBe("duplicate");
+  });
+
+  test("should accept reordered packets inside the window once", () => {
+    const guard = createReplayGuard({ windowSize: 64 });
+    expect(guard.accept(packet(10), 300)).toBeNull();
+    expect(guard.accept(packet(8), 300)).toBeNull();
+    expect(guard.accept(packet(9), 300)).toBeNull();
+    expect(guard.accept(packet(8), 300)).toBe("duplicate");
+  });
+
+  test("should reject packets that fell behind the window", () => {
+    const guard = createReplayGuard({ windowSize: 64 });
+    expect(guard.accept(packet(1), 300)).toBeNull();
+    expect(guard.accept(packet(200), 300)).toBeNull();
+    expect(guard.accept(packet(100), 300)).toBe("stale");
+    expect(guard.accept(packet(150), 300)).toBeNull();
+  });
+
+  test("should reject packets outside the allowed age", () => {
+    const guard = createReplayGuard();
+    expect(guard.accept(packet(1, { timestamp: now() - 600 }), 300)).toBe("expired");
+    expect(guard.accept(packet(2, { timestamp: now() + 600 }), 300)).toBe("expired");
+    expect(guard.accept(packet(3, { timestamp: now() - 200 }), 300)).toBeNull();
+  });
+
+  test("should track sessions independently", () => {
+    const guard = createReplayGuard();
+    expect(guard.accept(packet(1, { sessionId: 1 }), 300)).toBeNull();
+    expect(guard.accept(packet(1, { sessionId: 2 }), 300)).toBeNull();
+    expect(guard.accept(packet(1, { sessionId: 1, keyId: 7 }), 300)).toBeNull();
+    expect(guard.accept(packet(1, { sessionId: 2 }), 300)).toBe("duplicate");
+    expect(guard.size).toBe(3);
+  });
+
+  test("should clear state on reset", () => {
+    const guard = createReplayGuard();
+    guard.accept(packet(1), 300);
+    guard.reset();
+    expect(guard.size).toBe(0);
+    expect(guard.accept(packet(1), 300)).toBeNull();
+  });
+});
@@ -0,0 +1,173 @@
+/* eslint-disable no-undef */
+const createReturnChannel = require("../lib/returnChannel");
+const createClientRegistry = require("../lib/clientRegistry");
+const createMetrics = require("../lib/metrics");
+const createPipeline = require("../lib/pipeline");
+const { deriveKeyId, decodeHeader, SHARED_KEY_ID } = require("../lib/packetHeader");
+const { RETURN_PEER_TIMEOUT, RETURN_SOURCE_LABEL } = require("../lib/constants");
+
+describe("Return Channel", () => {
+  const sharedKey = "12345678901234567890123456789012";
+  const auroraKey = "abcdefghijklmnopqrstuvwxyz123456";
+  const vesselRinfo = { address: "203.0.113.5", port: 51000 };
+
+  const routeDelta = {
+    context: "vessels.urn:mrn:imo:mmsi:230099999",
+    updates: [
+      {
+        timestamp: "2024-06-15T12:00:00.000Z",
+        $source: "course-provider",
+        values: [{ path: "navigation.courseRhumbline.nextPoint.position", value: { latitude: 60.1, longitude: 24.9 } }]
+      }
+    ]
+  };
+
+  let serverApp;
+  let clientApp;
+  let serverState;
+  let clientState;
+  let serverPackets;
+  let clientPackets;
+  let serverPipeline;
+  let clientPipeline;
+  let returnChannel;
+  let subscriptionCallback;
+  let unsubscribe;
+
+  const createApp = () => ({
+    debug: jest.fn(),
+    error: jest.fn(),
+    setPluginStatus: jest.fn(),
+    handleMessage: jest.fn()
+  });
+
+  const captureSocket = (packets) => ({
+    send: jest.fn((msg, port, host, cb) => {
+      packets.push({ msg: Buffer.from(msg), port, host });
+      cb(null);
+    })
+  });
+
+  beforeEach(() => {
+    serverPackets = [];
+    clientPackets = [];
+    unsubscribe = jest.fn();
+
+    serverApp = createApp();
+    serverApp.subscriptionmanager = {
+      subscribe: jest.fn((subscription, unsubscribes, onError, onDelta) => {
+        subscriptionCallback = onDelta;
+        unsubscribes.push(unsubscribe);
+      })
+    };
+    clientApp = createApp();
+
+    serverState = {
+      options: { secretKey: sharedKey, returnPaths: ["navigation.courseRhumbline.*"] },
+      isServerMode: true,
+      keyId: SHARED_KEY_ID,
+      clientRegistry: createClientRegistry([{ clientId: "aurora", secretKey: auroraKey }], jest.fn()),
+      socketUdp: captureSocket(serverPackets),
+      avgBytesPerDelta: 200,
+      maxDeltasPerBatch: 5,
+      lastPacketTime: 0
+    };
+
+    clientState = {
+      options: { secretKey: auroraKey, acceptReturnData: true },
+      isServerMode: false,
+      keyId: deriveKeyId("aurora"),
+      socketUdp: captureSocket(clientPackets),
+      avgBytesPerDelta: 200,
+      maxDeltasPerBatch: 5,
+      lastPacketTime: 0
+    };
+
+    serverPipeline = createPipeline(serverApp, serverState, createMetrics());
+    clientPipeline = createPipeline(clientApp, clientState, createMetrics());
+    returnChannel = createReturnChannel(serverApp, serverState, createMetrics(), serverPipeline);
+  });
+
+  afterEach(() => {
+    returnChannel.stop();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Sends one client packet to the server so it learns the client's address
+   */
+  async function connectClient() {
+    await clientPipeline.packCrypt([routeDelta], auroraKey, "198.51.100.1", 4446);
+    await serverPipeline.unpackDecrypt(clientPackets[clientPackets.length - 1].msg, sharedKey, vesselRinfo);
+  }
+
+  test("should subscribe to the configured paths in the return context", () => {
+    returnChannel.start({ returnPaths: ["navigation.courseRhumbline.*", " notifications.* "] });
+
+    expect(serverApp.subscriptionmanager.subscribe).toHaveBeenCalledWith(
+      {
+        context: "vessels.self",
+        subscribe: [{ path: "navigation.courseRhumbline.*" }, { path: "notifications.*" }]
+      },
+      expect.any(Array),
+      expect.any(Function),
+      expect.any(Function)
+    );
+  });
+
+  test("should stay disabled without return paths", () => {
+    returnChannel.start({ returnPaths: [] });
+
+    expect(serverApp.subscriptionmanager.subscribe).not.toHaveBeenCalled();
+    expect(serverState.returnPeers).toBeUndefined();
+  });
+
+  test("should send to the client's last-seen address with its own key", async () => {
+    returnChannel.start(serverState.options);
+    await connectClient();
+
+    subscriptionCallback(routeDelta);
+    await returnChannel.flush();
+
+    expect(serverPackets).toHaveLength(1);
+    expect(serverPackets[0].host).toBe("203.0.113.5");
+    expect(serverPackets[0].port).toBe(51000);
+    expect(decodeHeader(serverPackets[0].msg).keyId).toBe(deriveKeyId("aurora"));
+
+    await clientPipeline.unpackDecrypt(serverPackets[0].msg, auroraKey, { address: "198.51.100.1", port: 4446 });
+    expect(clientApp.handleMessage).toHaveBeenCalledTimes(1);
+    const delivered = clientApp.handleMessage.mock.calls[0][1];
+    expect(delivered.context).toBe(routeDelta.context);
+    expect(delivered.updates[0].$source).toBe(RETURN_SOURCE_LABEL);
+  });
+
+  test("should drop buffered deltas when no client is connected", async () => {
+    returnChannel.start(serverState.options);
+
+    subscriptionCallback(routeDelta);
+    await returnChannel.flush();
+
+    expect(serverPackets).toHaveLength(0);
+  });
+
+  test("should forget clients not heard from within the peer timeout", async () => {
+    returnChannel.start(serverState.options);
+    await connectClient();
+    expect(returnChannel.getPeers()).toHaveLength(1);
+
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now + RETURN_PEER_TIMEOUT + 1);
+    expect(returnChannel.getPeers()).toHaveLength(0);
+  });
+
+  test("should unsubscribe and forget peers on stop", async () => {
+    returnChannel.start(serverState.options);
+    await connectClient();
+
+    returnChannel.stop();
+
+    expect(unsubscribe).toHaveBeenCalled();
+    expect(serverState.returnPeers).toBeNull();
+    expect(returnChannel.getPeers()).toEqual([]);
+  });
+});
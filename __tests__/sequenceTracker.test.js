@@ -0,0 +1,150 @@
+/* eslint-disable no-undef */
+const createSequenceTracker = require("../lib/sequenceTracker");
+const createMetrics = require("../lib/metrics");
+const createPipeline = require("../lib/pipeline");
+
+describe("Sequence Tracker", () => {
+  let stats;
+  let tracker;
+
+  const packet = (seq, sessionId = 7) => ({ keyId: 0, sessionId, seq });
+
+  beforeEach(() => {
+    stats = { packetsReceived: 0, packetsLost: 0, outOfOrder: 0, duplicates: 0 };
+    tracker = createSequenceTracker(stats);
+  });
+
+  test("should count no loss for consecutive packets", () => {
+    [1, 2, 3, 4].forEach((seq) => tracker.record(packet(seq)));
+
+    expect(stats.packetsReceived).toBe(4);
+    expect(stats.packetsLost).toBe(0);
+    expect(stats.outOfOrder).toBe(0);
+  });
+
+  test("should count gaps as lost packets", () => {
+    tracker.record(packet(1));
+    expect(tracker.record(packet(5))).toBe(3);
+
+    expect(stats.packetsLost).toBe(3);
+  });
+
+  test("should not count the first packet of a session as a gap", () => {
+    tracker.record(packet(1000));
+    expect(stats.packetsLost).toBe(0);
+  });
+
+  test("should move late packets from lost to out of order", () => {
+    tracker.record(packet(1));
+    tracker.record(packet(3));
+    expect(tracker.record(packet(2))).toBe(-1);
+
+    expect(stats.packetsLost).toBe(0);
+    expect(stats.outOfOrder).toBe(1);
+  });
+
+  test("should count packets older than the first one seen", () => {
+    tracker.record(packet(5));
+    tracker.record(packet(2));
+
+    expect(stats.outOfOrder).toBe(1);
+    expect(stats.packetsLost).toBe(2);
+  });
+
+  test("should track sessions independently", () => {
+    tracker.record(packet(1, 1));
+    tracker.record(packet(50, 2));
+    tracker.record(packet(2, 1));
+    tracker.record(packet(51, 2));
+
+    expect(tracker.size).toBe(2);
+    expect(stats.packetsLost).toBe(0);
+  });
+
+  test("should count duplicates", () => {
+    tracker.recordDuplicate();
+    expect(stats.duplicates).toBe(1);
+  });
+
+  test("should report the loss since the last sample", () => {
+    expect(tracker.takeLossSample(0, 7)).toBeNull();
+
+    [1, 2, 5].forEach((seq) => tracker.record(packet(seq)));
+    expect(tracker.takeLossSample(0, 7)).toBe(0.4);
+
+    tracker.record(packet(6));
+    expect(tracker.takeLossSample(0, 7)).toBe(0);
+  });
+
+  test("should clear sessions on reset", () => {
+    tracker.record(packet(1));
+    tracker.reset();
+    expect(tracker.size).toBe(0);
+  });
+
+  describe("Pipeline link statistics", () => {
+    const secretKey = "12345678901234567890123456789012";
+    const delta = {
+      context: "vessels.urn:mrn:imo:mmsi:123456789",
+      updates: [{ timestamp: "2024-06-15T12:00:00.000Z", values: [{ path: "navigation.speedOverGround", value: 5 }] }]
+    };
+
+    let packets;
+    let receiver;
+    let receiverMetrics;
+    let sender;
+
+    beforeEach(() => {
+      packets = [];
+      const app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+      const senderState = {
+        options: { secretKey },
+        socketUdp: {
+          send: jest.fn((msg, port, host, cb) => {
+            packets.push(Buffer.from(msg));
+            cb(null);
+          })
+        },
+        avgBytesPerDelta: 200,
+        maxDeltasPerBatch: 5,
+        lastPacketTime: 0
+      };
+      sender = createPipeline(app, senderState, createMetrics());
+      receiverMetrics = createMetrics();
+      receiver = createPipeline(app, { options: { secretKey }, isServerMode: true }, receiverMetrics);
+    });
+
+    test("should report loss, reordering and duplicates", async () => {
+      for (let i = 0; i < 5; i++) {
+        await sender.packCrypt([delta], secretKey, "127.0.0.1", 4446);
+      }
+
+      // Packet 2 is lost, packet 4 arrives late, packet 5 is received twice
+      for (const index of [0, 2, 4, 3, 4]) {
+        await receiver.unpackDecrypt(packets[index], secretKey);
+      }
+
+      const link = receiverMetrics.getLinkStats();
+      expect(link.packetsReceived).toBe(4);
+      expect(link.packetsLost).toBe(1);
+      expect(link.outOfOrder).toBe(1);
+      expect(link.duplicates).toBe(1);
+      expect(link.lossRate).toBe(20);
+    });
+
+    test("should reset link statistics with the other metrics", async () => {
+      await sender.packCrypt([delta], secretKey, "127.0.0.1", 4446);
+      await receiver.unpackDecrypt(packets[0], secretKey);
+
+      receiverMetrics.resetMetrics();
+
+      expect(receiverMetrics.getLinkStats()).toEqual({
+        packetsReceived: 0,
+        packetsLost: 0,
+        outOfOrder: 0,
+        duplicates: 0,
+        lossRate: 0
+      });
+    });
+  });
+});
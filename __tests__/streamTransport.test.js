@@ -0,0 +1,307 @@
+/* eslint-disable no-undef */
+const net = require("net");
+const { EventEmitter } = require("events");
+const {
+  encodeFrame,
+  createFrameReader,
+  createClientTransport,
+  createServerTransport
+} = require("../lib/streamTransport");
+const { openClientSocket, openServerSocket } = require("../lib/udpSocket");
+const createPipeline = require("../lib/pipeline");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+const { decodeHeader, PACKET_TYPE_PROBE, PACKET_TYPE_PROBE_REPLY } = require("../lib/packetHeader");
+const { STREAM_AUTH_TIMEOUT } = require("../lib/constants");
+
+describe("Stream Transport", () => {
+  const secretKey = "12345678901234567890123456789012";
+  const delta = { context: "vessels.self", updates: [{ values: [{ path: "navigation.speed", value: 3.2 }] }] };
+  let app;
+
+  /**
+   * Waits until a condition holds
+   * @param {Function} condition - Condition to wait for
+   * @returns {Promise<void>}
+   */
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 200 && !condition(); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(condition()).toBe(true);
+  };
+
+  /**
+   * Creates a UDP socket stand-in that records what is sent and never delivers it
+   * @returns {EventEmitter} Fake socket
+   */
+  const blockedUdpSocket = () => {
+    const socket = new EventEmitter();
+    socket.sent = [];
+    socket.send = jest.fn((message, port, host, callback) => {
+      socket.sent.push({ message, port, host });
+      callback(null);
+    });
+    socket.close = jest.fn();
+    return socket;
+  };
+
+  /**
+   * Creates a UDP socket stand-in that records what is sent and passes it to a real socket
+   * once unblocked; answers come back through the real socket
+   * @returns {Promise<EventEmitter>} Fake socket ({ blocked, sent })
+   */
+  const blockableUdpSocket = async () => {
+    const real = await openClientSocket();
+    const socket = new EventEmitter();
+    socket.blocked = true;
+    socket.sent = [];
+    socket.send = jest.fn((message, port, host, callback) => {
+      socket.sent.push({ message, port, host });
+      if (socket.blocked) {
+        callback(null);
+      } else {
+        real.send(message, port, host, callback);
+      }
+    });
+    real.on("message", (packet, rinfo) => socket.emit("message", packet, rinfo));
+    socket.address = () => real.address();
+    socket.close = () => real.close();
+    return socket;
+  };
+
+  beforeEach(() => {
+    app = { debug: jest.fn(), error: jest.fn(), setPluginStatus: jest.fn(), handleMessage: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Framing", () => {
+    test("should split a stream into packets across chunk boundaries", () => {
+      const frames = [];
+      const push = createFrameReader((frame) => frames.push(frame.toString()));
+      const stream = Buffer.concat([encodeFrame(Buffer.from("first")), encodeFrame(Buffer.from("second packet"))]);
+
+      push(stream.subarray(0, 3));
+      push(stream.subarray(3, 8));
+      expect(frames).toEqual([]);
+      push(stream.subarray(8, 11));
+      expect(frames).toEqual(["first"]);
+      push(stream.subarray(11));
+      expect(frames).toEqual(["first", "second packet"]);
+    });
+
+    test("should reject empty and oversized frames", () => {
+      const push = createFrameReader(jest.fn());
+      expect(() => push(Buffer.from([0, 0, 0, 0]))).toThrow("Invalid frame length 0");
+      expect(() => createFrameReader(jest.fn())(Buffer.from([0, 1, 0, 0]))).toThrow("Invalid frame length 65536");
+    });
+  });
+
+  describe("TCP", () => {
+    let server;
+    let client;
+
+    afterEach(() => {
+      [client, server].filter(Boolean).forEach((transport) => transport.close());
+      client = null;
+      server = null;
+    });
+
+    /**
+     * Starts a server transport on the loopback interface with a pipeline behind it
+     * @returns {Promise<{port: number, metrics: Object}>} UDP and TCP port, server metrics
+     */
+    const startServer = async () => {
+      server = createServerTransport(app, await openServerSocket(0, "127.0.0.1"));
+      const { port } = server.address();
+      await server.listenStream(port, "127.0.0.1");
+      const metrics = createMetrics();
+      const pipeline = createPipeline(app, { options: { secretKey }, isServerMode: true, socketUdp: server }, metrics);
+      server.on("message", async (packet, rinfo) => {
+        server.authenticate(rinfo, await pipeline.unpackDecrypt(packet, secretKey, rinfo));
+      });
+      return { port, metrics };
+    };
+
+    test("should carry data and answers over TCP", async () => {
+      const { port } = await startServer();
+      client = createClientTransport(app, await openClientSocket(), { transport: "tcp" });
+      const received = [];
+      client.on("message", (packet) => received.push(decodeHeader(packet).type));
+      const pipeline = createPipeline(app, { options: { secretKey }, socketUdp: client, lastPacketTime: 0 },
+        createMetrics());
+
+      await pipeline.packCrypt([delta], secretKey, "127.0.0.1", port);
+      await waitFor(() => app.handleMessage.mock.calls.length === 1);
+      expect(app.handleMessage.mock.calls[0][1].updates[0].values[0].value).toBe(3.2);
+
+      // The server answers a TCP client over its connection
+      await pipeline.sendProbe(secretKey, "127.0.0.1", port, Buffer.from("{}"));
+      await waitFor(() => received.length === 1);
+      expect(received).toEqual([PACKET_TYPE_PROBE_REPLY]);
+      expect(server.getStatus()).toMatchObject({ tcpPort: port, connectionsTotal: 1, connectionsRejected: 0 });
+      expect(client.getStatus().connections[0]).toMatchObject({
+        address: `127.0.0.1:${port}`,
+        connected: true,
+        framesOut: 2,
+        framesIn: 1
+      });
+      pipeline.stop();
+    });
+
+    test("should close a TCP client whose first packet does not authenticate", async () => {
+      const { port } = await startServer();
+      client = createClientTransport(app, await openClientSocket(), { transport: "tcp" });
+      const pipeline = createPipeline(app, { options: { secretKey }, socketUdp: client, lastPacketTime: 0 },
+        createMetrics());
+
+      await pipeline.packCrypt([delta], "abcdefghijklmnopqrstuvwxyz123456", "127.0.0.1", port);
+      await waitFor(() => server.getStatus().connectionsRejected === 1);
+      await waitFor(() => server.getStatus().connections.length === 0 && client.getStatus().connections.length === 0);
+      expect(app.debug).toHaveBeenCalledWith(expect.stringContaining("rejected: packet failed to authenticate"));
+      expect(app.handleMessage).not.toHaveBeenCalled();
+      pipeline.stop();
+    });
+
+    test("should close a TCP client that does not authenticate in time", async () => {
+      const { port } = await startServer();
+      jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+      try {
+        const socket = net.connect({ host: "127.0.0.1", port });
+        const closed = new Promise((resolve) => socket.on("close", resolve));
+        for (let i = 0; i < 1000 && server.getStatus().connections.length === 0; i++) {
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+        expect(server.getStatus().connections).toHaveLength(1);
+
+        jest.advanceTimersByTime(STREAM_AUTH_TIMEOUT - 1);
+        expect(server.getStatus().connections).toHaveLength(1);
+        jest.advanceTimersByTime(1);
+        await closed;
+        expect(server.getStatus()).toMatchObject({ connectionsRejected: 1, connections: [] });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test("should move to TCP when UDP probes get no answer and back when UDP answers", async () => {
+      const { port, metrics } = await startServer();
+      const udpSocket = await blockableUdpSocket();
+      client = createClientTransport(app, udpSocket, { transport: "auto", transportTimeout: 20 });
+      const switches = [];
+      client.on("switch", ({ to }) => switches.push(to));
+      const pipeline = createPipeline(app, { options: { secretKey }, socketUdp: client, lastPacketTime: 0 },
+        createMetrics());
+      const start = Date.now();
+      const now = jest.spyOn(Date, "now").mockReturnValue(start);
+
+      await pipeline.sendProbe(secretKey, "127.0.0.1", port, Buffer.from("{}"));
+      now.mockReturnValue(start + 19000);
+      await pipeline.packCrypt([delta], secretKey, "127.0.0.1", port);
+      expect(udpSocket.sent).toHaveLength(2);
+      expect(switches).toEqual([]);
+
+      now.mockReturnValue(start + 21000);
+      await pipeline.packCrypt([delta], secretKey, "127.0.0.1", port);
+      expect(switches).toEqual(["tcp"]);
+      expect(udpSocket.sent).toHaveLength(2);
+      await waitFor(() => app.handleMessage.mock.calls.length === 1);
+
+      // While on TCP, probes also try UDP, each with a sequence number of its own; the server
+      // answers both once UDP gets through again
+      udpSocket.blocked = false;
+      const delivered = jest.fn();
+      client.on("message", delivered);
+      await pipeline.sendProbe(secretKey, "127.0.0.1", port, Buffer.from("{}"));
+      expect(decodeHeader(udpSocket.sent[2].message).type).toBe(PACKET_TYPE_PROBE);
+
+      await waitFor(() => switches.length === 2);
+      expect(switches).toEqual(["tcp", "udp"]);
+      expect(client.getStatus()).toMatchObject({ mode: "auto", active: "udp", switches: 2 });
+      // The answer to the UDP probe is dropped, the answer to the TCP probe is delivered
+      await waitFor(() => delivered.mock.calls.length === 1);
+      expect(decodeHeader(delivered.mock.calls[0][0]).type).toBe(PACKET_TYPE_PROBE_REPLY);
+      expect(delivered.mock.calls[0][1]).toMatchObject({ transport: "tcp" });
+      expect(metrics.metrics.replayErrors).toBe(0);
+      pipeline.stop();
+    });
+
+    test("should drop packets while waiting to reconnect to an unreachable server", async () => {
+      // A port that was just free
+      const probe = createServerTransport(app, await openServerSocket(0, "127.0.0.1"));
+      const { port } = probe.address();
+      probe.close();
+      client = createClientTransport(app, await openClientSocket(), { transport: "tcp" });
+      const send = (message) => new Promise((resolve) => client.send(Buffer.from(message), port, "127.0.0.1", resolve));
+
+      // The send callbacks get the connection error, not success
+      expect(await send("first")).toMatchObject({ code: "ECONNREFUSED" });
+      await waitFor(() => client.getStatus().connections.length === 0);
+      expect(app.error).toHaveBeenCalledWith(expect.stringContaining(`TCP connection to 127.0.0.1:${port} failed`));
+      expect(await send("second")).toMatchObject({ code: "ECONNREFUSED", message: expect.stringContaining("reconnect") });
+      expect(client.getStatus()).toMatchObject({ framesDropped: 1, connections: [] });
+    });
+
+    test("should report written packets and failed sends to the pipeline", async () => {
+      const { port } = await startServer();
+      client = createClientTransport(app, await openClientSocket(), { transport: "tcp" });
+      const send = (message) => new Promise((resolve) => client.send(Buffer.from(message), port, "127.0.0.1", resolve));
+      expect(await send("written")).toBeNull();
+
+      server.close();
+      server = null;
+      await waitFor(() => client.getStatus().connections.length === 0);
+      const metrics = createMetrics();
+      const pipeline = createPipeline(app, { options: { secretKey }, socketUdp: client, lastPacketTime: 0 }, metrics);
+      expect(await pipeline.packCrypt([delta], secretKey, "127.0.0.1", port)).toBe(false);
+      expect(app.error).toHaveBeenCalledWith(expect.stringContaining("(code: ECONNREFUSED)"));
+      expect(metrics.metrics.udpSendErrors).toBeGreaterThan(0);
+      pipeline.stop();
+    });
+  });
+
+  describe("Route", () => {
+    test("should report the transport in /metrics and validate the transport mode", async () => {
+      const configuration = { serverType: "client", udpPort: 4446, udpAddress: "192.0.2.1", testAddress: "192.0.2.1",
+        testPort: 80, secretKey };
+      app.readPluginOptions = jest.fn(() => ({ configuration }));
+      app.savePluginOptions = jest.fn();
+      const state = {
+        isServerMode: false,
+        deltas: [],
+        socketUdp: createClientTransport(app, blockedUdpSocket(), { transport: "auto" }),
+        restartPlugin: jest.fn()
+      };
+      const handlers = {};
+      const router = {
+        get: jest.fn((route, ...chain) => {
+          handlers[`GET ${route}`] = chain[chain.length - 1];
+        }),
+        post: jest.fn((route, ...chain) => {
+          handlers[`POST ${route}`] = chain[chain.length - 1];
+        })
+      };
+      createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+      const request = (key, req) =>
+        new Promise((resolve) => {
+          const res = {
+            status: () => res,
+            json: (data) => resolve(data)
+          };
+          handlers[key](req, res);
+        });
+
+      const metrics = await request("GET /metrics", {});
+      expect(metrics.transport).toMatchObject({ mode: "auto", active: "udp", timeoutSeconds: 20, connections: [] });
+
+      const headers = { "content-type": "application/json" };
+      const body = { ...configuration, transport: "websocket" };
+      expect((await request("POST /plugin-config", { headers, body })).error).toBe(
+        "transport must be udp, tcp or auto"
+      );
+    });
+  });
+});
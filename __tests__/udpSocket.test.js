@@ -0,0 +1,160 @@
+/* eslint-disable no-undef */
+const dgram = require("dgram");
+const { EventEmitter } = require("events");
+const { normalizeAddress, formatEndpoint, openClientSocket, openServerSocket } = require("../lib/udpSocket");
+const createMetrics = require("../lib/metrics");
+const createRoutes = require("../lib/routes");
+
+describe("UDP Sockets", () => {
+  let sockets;
+
+  /**
+   * Waits for the next datagram on a socket
+   * @param {dgram.Socket} socket - Receiving socket
+   * @returns {Promise<{message: string, rinfo: Object}>} Payload and sender
+   */
+  const receive = (socket) =>
+    new Promise((resolve) => {
+      socket.once("message", (message, rinfo) => resolve({ message: message.toString(), rinfo }));
+    });
+
+  /**
+   * Sends a datagram
+   * @param {dgram.Socket} socket - Sending socket
+   * @param {string} message - Payload
+   * @param {number} port - Destination port
+   * @param {string} host - Destination address or hostname
+   * @returns {Promise<void>}
+   */
+  const send = (socket, message, port, host) =>
+    new Promise((resolve, reject) => {
+      socket.send(message, port, host, (err) => (err ? reject(err) : resolve()));
+    });
+
+  beforeEach(() => {
+    sockets = [];
+  });
+
+  afterEach(() => {
+    sockets.forEach((socket) => socket.close());
+    jest.restoreAllMocks();
+  });
+
+  describe("Addresses", () => {
+    test("should strip the IPv4-mapped prefix", () => {
+      expect(normalizeAddress("::ffff:203.0.113.5")).toBe("203.0.113.5");
+      expect(normalizeAddress("::ffff:1:2")).toBe("::ffff:1:2");
+      expect(normalizeAddress("2001:db8::1")).toBe("2001:db8::1");
+    });
+
+    test("should bracket IPv6 addresses", () => {
+      expect(formatEndpoint("::ffff:203.0.113.5", 4446)).toBe("203.0.113.5:4446");
+      expect(formatEndpoint("2001:db8::1", 4446)).toBe("[2001:db8::1]:4446");
+      expect(formatEndpoint("server.example.com", 4446)).toBe("server.example.com:4446");
+    });
+  });
+
+  describe("Sockets", () => {
+    test("should receive from IPv4 and IPv6 clients on a dual-stack server", async () => {
+      const server = await openServerSocket(0);
+      const client = await openClientSocket();
+      sockets.push(server, client);
+      const { port } = server.address();
+
+      for (const host of ["127.0.0.1", "::1", "localhost"]) {
+        const received = receive(server);
+        await send(client, host, port, host);
+        expect((await received).message).toBe(host);
+      }
+
+      const ipv4 = dgram.createSocket("udp4");
+      sockets.push(ipv4);
+      const received = receive(server);
+      await send(ipv4, "plain", port, "127.0.0.1");
+      const { rinfo } = await received;
+      expect(normalizeAddress(rinfo.address)).toBe("127.0.0.1");
+
+      // The client gets answers at the address the server saw
+      const answer = receive(ipv4);
+      await send(server, "pong", rinfo.port, rinfo.address);
+      expect((await answer).message).toBe("pong");
+    });
+
+    test("should listen on the bind address only", async () => {
+      const server = await openServerSocket(0, "127.0.0.1");
+      sockets.push(server);
+      expect(server.address()).toMatchObject({ address: "127.0.0.1", family: "IPv4" });
+
+      const ipv6 = await openServerSocket(0, "::1");
+      sockets.push(ipv6);
+      expect(ipv6.address()).toMatchObject({ address: "::1", family: "IPv6" });
+
+      await expect(openServerSocket(0, "localhost")).rejects.toThrow("Bind address localhost is not an IP address");
+    });
+
+    test("should fall back to IPv4 on hosts without IPv6", async () => {
+      const createSocket = dgram.createSocket;
+      jest.spyOn(dgram, "createSocket").mockImplementation((options) => {
+        if (options.type !== "udp6") {
+          return createSocket(options);
+        }
+        const socket = new EventEmitter();
+        socket.bind = () => {
+          const err = new Error("bind EAFNOSUPPORT ::");
+          err.code = "EAFNOSUPPORT";
+          socket.emit("error", err);
+        };
+        socket.close = jest.fn();
+        return socket;
+      });
+
+      const server = await openServerSocket(0);
+      const client = await openClientSocket();
+      sockets.push(server, client);
+      expect(server.address()).toMatchObject({ address: "0.0.0.0", family: "IPv4" });
+      expect(client.address().family).toBe("IPv4");
+    });
+  });
+
+  describe("Route", () => {
+    test("should reject a bind address that is not an IP address", async () => {
+      const configuration = {
+        serverType: "server",
+        udpPort: 4446,
+        secretKey: "12345678901234567890123456789012",
+        bindAddress: "2001:db8::10"
+      };
+      const app = {
+        debug: jest.fn(),
+        error: jest.fn(),
+        readPluginOptions: jest.fn(() => ({ configuration })),
+        savePluginOptions: jest.fn()
+      };
+      const state = { restartPlugin: jest.fn() };
+      let handler;
+      const router = {
+        get: jest.fn(),
+        post: jest.fn((route, ...chain) => {
+          if (route === "/plugin-config") {
+            handler = chain[chain.length - 1];
+          }
+        })
+      };
+      createRoutes(app, state, createMetrics(), {}).registerWithRouter(router);
+      const request = (body) =>
+        new Promise((resolve) => {
+          const res = {
+            status: () => res,
+            json: (data) => resolve(data)
+          };
+          handler({ headers: { "content-type": "application/json" }, body }, res);
+        });
+
+      expect((await request({ ...configuration, bindAddress: "server.local" })).error).toBe(
+        "bindAddress must be an IPv4 or IPv6 address"
+      );
+      await request(configuration);
+      expect(state.restartPlugin.mock.calls[0][0].bindAddress).toBe("2001:db8::10");
+    });
+  });
+});
@@ -4,12 +4,41 @@ const { readFile } = require("fs").promises;
 const { watch } = require("fs");
 const { join } = require("path");
 const crypto = require("crypto");
-const dgram = require("dgram");
-const { validateSecretKey } = require("./lib/crypto");
 const Monitor = require("ping-monitor");
 const createMetrics = require("./lib/metrics");
 const createPipeline = require("./lib/pipeline");
 const createRoutes = require("./lib/routes");
+const createOutboundQueue = require("./lib/outboundQueue");
+const createClientRegistry = require("./lib/clientRegistry");
+const createReturnChannel = require("./lib/returnChannel");
+const createChangeDetector = require("./lib/changeDetector");
+const createPathRateLimiter = require("./lib/pathRateLimiter");
+const createPriorityLanes = require("./lib/priorityLanes");
+const {
+  createBandwidthBudget,
+  LEVEL_NORMAL,
+  LEVEL_REDUCED,
+  LEVEL_PRIORITY,
+  LEVEL_HEARTBEAT
+} = require("./lib/bandwidthBudget");
+const createAdaptiveTimer = require("./lib/adaptiveTimer");
+const { createMetricsHistory } = require("./lib/metricsHistory");
+const { createDestinations } = require("./lib/destinations");
+const createFailover = require("./lib/failover");
+const createHostResolver = require("./lib/hostResolver");
+const { createClientTransport, createServerTransport } = require("./lib/streamTransport");
+const { openClientSocket, openServerSocket, formatEndpoint } = require("./lib/udpSocket");
+const { createDictionaryStore, createTrafficRecorder } = require("./lib/compressionDictionary");
+const { CODECS, CODEC_BROTLI, getCodec, codecLevel } = require("./lib/codecs");
+const { compilePatterns } = require("./lib/pathMatcher");
+const { keyValidator, resolveKey, loadKeyRing } = require("./lib/keyRotation");
+const {
+  deriveKeyId,
+  decodeHeader,
+  SHARED_KEY_ID,
+  PACKET_TYPE_DATA,
+  MAX_DICTIONARY_ID
+} = require("./lib/packetHeader");
 const {
   DEFAULT_DELTA_TIMER,
   PING_TIMEOUT_BUFFER,
@@ -19,6 +48,34 @@ const {
   CONTENT_HASH_ALGORITHM,
   WATCHER_RECOVERY_DELAY,
   SMART_BATCH_INITIAL_ESTIMATE,
+  QUEUE_DRAIN_INTERVAL,
+  DEFAULT_QUEUE_MAX_SIZE_MB,
+  DEFAULT_QUEUE_MAX_AGE_HOURS,
+  DEFAULT_QUEUE_CATCH_UP_RATE,
+  BYTES_PER_MEGABYTE,
+  MILLISECONDS_PER_HOUR,
+  DEFAULT_REPLAY_MAX_AGE,
+  RETURN_SOURCE_LABEL,
+  DEFAULT_RETURN_CONTEXT,
+  LINK_STATS_PUBLISH_INTERVAL,
+  FEC_MAX_GROUP_SIZE,
+  DEFAULT_FULL_REFRESH_INTERVAL,
+  DEFAULT_BULK_INTERVAL,
+  BUDGET_CHECK_INTERVAL,
+  BUDGET_TIMER_FACTOR,
+  DEFAULT_DELTA_TIMER_MIN,
+  DEFAULT_DELTA_TIMER_MAX,
+  ADAPTIVE_EVALUATE_INTERVAL,
+  KEY_ROTATION_CHECK_INTERVAL,
+  METRICS_HISTORY_UPDATE_INTERVAL,
+  DEFAULT_SESSION_KEY_MINUTES,
+  SESSION_KEY_MAX_MINUTES,
+  DEFAULT_FAILOVER_TIMEOUT_SECONDS,
+  DEFAULT_FAILBACK_SECONDS,
+  FAILOVER_PROBES_PER_TIMEOUT,
+  DEFAULT_DNS_REFRESH_SECONDS,
+  DEFAULT_TRANSPORT_TIMEOUT_SECONDS,
+  TRANSPORT_PROBES_PER_TIMEOUT,
   calculateMaxDeltasPerBatch
 } = require("./lib/constants");
 
@@ -38,6 +95,27 @@ module.exports = function createPlugin(app) {
     socketUdp: null,
     readyToSend: false,
     isServerMode: false,
+    keyId: SHARED_KEY_ID,
+    keyRing: null,
+    keyRotationTimer: null,
+    isReliablePath: null,
+    changeDetector: null,
+    pathRateLimiter: null,
+    budget: null,
+    // Budget check for deltas batched before the budget level rose (used by destinations)
+    isAllowedByBudget,
+    metricsHistory: null,
+    adaptiveTimer: null,
+    dictionaryStore: null,
+    compressionDictionary: null,
+    compression: null,
+    trafficRecorder: null,
+    trafficSamplesFile: null,
+    clientRegistry: null,
+    returnPeers: null,
+    destinations: [],
+    failover: null,
+    hostResolver: null,
     deltas: [],
     timer: false,
     deltaTimerTime: DEFAULT_DELTA_TIMER,
@@ -46,6 +124,7 @@ module.exports = function createPlugin(app) {
     deltaTimerFile: null,
     subscriptionFile: null,
     sentenceFilterFile: null,
+    pathRatesFile: null,
     excludedSentences: ["GSV"],
     lastPacketTime: 0,
     unsubscribes: [],
@@ -54,6 +133,14 @@ module.exports = function createPlugin(app) {
     pingTimeout: null,
     pingMonitor: null,
     deltaTimer: null,
+    outboundQueue: null,
+    queueDrainTimer: null,
+    linkStatsTimer: null,
+    budgetTimer: null,
+    metricsHistoryTimer: null,
+    failoverTimer: null,
+    transportTimer: null,
+    adaptiveTimerInterval: null,
     configDebounceTimers: {},
     configContentHashes: {},
     configWatcherObjects: []
@@ -61,9 +148,13 @@ module.exports = function createPlugin(app) {
 
   // ── Initialize sub-modules ──
   const metricsApi = createMetrics();
-  const { metrics, recordError, resetMetrics } = metricsApi;
+  const { metrics, recordError, resetMetrics, getLinkStats } = metricsApi;
   const pipeline = createPipeline(app, state, metricsApi);
-  const routes = createRoutes(app, state, metricsApi, plugin);
+  const routes = createRoutes(app, state, metricsApi, plugin, pipeline);
+  const returnChannel = createReturnChannel(app, state, metricsApi, pipeline);
+  const lanes = createPriorityLanes(app, state, metricsApi, sendDeltas);
+  // Decimates every path to one value per delta timer period at the reduced budget level
+  const budgetLimiter = createPathRateLimiter();
 
   // ── Ping monitor helpers ──
 
@@ -83,11 +174,33 @@ module.exports = function createPlugin(app) {
     });
   }
 
+  /**
+   * Publishes link quality derived from packet sequence numbers to local SignalK
+   */
+  function publishLinkStats() {
+    const link = getLinkStats();
+    app.handleMessage(plugin.id, {
+      context: "vessels.self",
+      updates: [
+        {
+          timestamp: new Date(),
+          values: [
+            { path: "networking.connector.packetLoss", value: link.lossRate / 100 },
+            { path: "networking.connector.packetsLost", value: link.packetsLost },
+            { path: "networking.connector.packetsOutOfOrder", value: link.outOfOrder },
+            { path: "networking.connector.packetsDuplicate", value: link.duplicates }
+          ]
+        }
+      ]
+    });
+  }
+
   /**
    * Handles successful ping response (used by 'up' and 'restored' events)
    */
   function handlePingSuccess(res, eventName, pingIntervalTime) {
     state.readyToSend = true;
+    startQueueDrain();
     clearTimeout(state.pingTimeout);
     state.pingTimeout = setTimeout(
       () => { state.readyToSend = false; },
@@ -95,6 +208,9 @@ module.exports = function createPlugin(app) {
     );
     if (res && res.time !== undefined) {
       publishRtt(res.time);
+      if (state.adaptiveTimer) {
+        state.adaptiveTimer.observeRtt(res.time);
+      }
       app.debug(`Connection monitor: ${eventName} (RTT: ${res.time}ms)`);
     } else {
       app.debug(`Connection monitor: ${eventName}`);
@@ -103,14 +219,281 @@ module.exports = function createPlugin(app) {
 
   // ── Delta timer ──
 
+  /**
+   * Returns the current budget degradation level
+   * @returns {number} Level (LEVEL_NORMAL when no budget is configured)
+   */
+  function budgetLevel() {
+    return state.budget ? state.budget.level : LEVEL_NORMAL;
+  }
+
+  /**
+   * Returns the delta timer interval, lengthened while the bandwidth budget is running low
+   * @returns {number} Interval in milliseconds
+   */
+  function effectiveDeltaTimer() {
+    return budgetLevel() >= LEVEL_REDUCED ? state.deltaTimerTime * BUDGET_TIMER_FACTOR : state.deltaTimerTime;
+  }
+
   const scheduleDeltaTimer = () => {
     clearTimeout(state.deltaTimer);
     state.deltaTimer = setTimeout(() => {
       state.timer = true;
+      state.destinations.forEach((destination) => destination.timerElapsed());
       scheduleDeltaTimer();
-    }, state.deltaTimerTime);
+    }, effectiveDeltaTimer());
   };
 
+  /**
+   * Lets the adaptive timer pick the delta timer interval from the measured link quality
+   */
+  function adjustDeltaTimer() {
+    const { interval, reason } = state.adaptiveTimer.evaluate(state.deltaTimerTime);
+    if (interval !== state.deltaTimerTime) {
+      app.debug(`Adaptive delta timer: ${state.deltaTimerTime}ms -> ${interval}ms (${reason})`);
+      state.deltaTimerTime = interval;
+      applyBudgetLevel();
+    }
+  }
+
+  /**
+   * Checks whether a received packet is a data packet. Packets whose header cannot be
+   * decoded are left to the pipeline, which reports them.
+   * @param {Buffer} packet - Received packet
+   * @returns {boolean} True for a data packet
+   */
+  function isDataPacket(packet) {
+    try {
+      return decodeHeader(packet).type === PACKET_TYPE_DATA;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolves the configured compression codec and level, falling back to Brotli when the
+   * codec is not available in this Node.js version
+   * @param {Object} options - Plugin options ({ compressionCodec, compressionLevel })
+   * @returns {{codec: Object, level: number}} Codec and level used for sent packets
+   */
+  function selectCompression(options) {
+    let codec = getCodec(options.compressionCodec || "brotli");
+    if (!codec || !codec.available) {
+      const message = `Compression codec ${options.compressionCodec} not available, using Brotli`;
+      app.error(message);
+      recordError("compression", message);
+      codec = CODECS[CODEC_BROTLI];
+    }
+    return { codec, level: codecLevel(codec, options.compressionLevel) };
+  }
+
+  // ── Bandwidth budget ──
+
+  /**
+   * Applies the current budget level to the delta timer and the decimation rules
+   */
+  function applyBudgetLevel() {
+    budgetLimiter.setRules(budgetLevel() >= LEVEL_REDUCED ? [{ path: "*", interval: effectiveDeltaTimer() }] : []);
+    scheduleDeltaTimer();
+  }
+
+  /**
+   * Publishes the bandwidth budget status to local SignalK
+   */
+  function publishBudget() {
+    const status = state.budget.getStatus();
+    app.handleMessage(plugin.id, {
+      context: "vessels.self",
+      updates: [
+        {
+          timestamp: new Date(),
+          values: [
+            { path: "networking.connector.budget.state", value: status.level },
+            { path: "networking.connector.budget.used", value: status.used },
+            { path: "networking.connector.budget.dailyBytes", value: status.day.bytes },
+            { path: "networking.connector.budget.monthlyBytes", value: status.month.bytes }
+          ]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Counts transferred bytes and degrades sending when the budget level changes
+   */
+  function updateBudget() {
+    if (!state.budget) {
+      return;
+    }
+    if (state.budget.update()) {
+      const status = state.budget.getStatus();
+      applyBudgetLevel();
+      setStatus(`Bandwidth budget ${Math.round(status.used * 100)}% used - sending ${status.level}`);
+    }
+    publishBudget();
+  }
+
+  /**
+   * Checks whether a delta may still be sent at the priority budget level
+   * @param {Object} delta - Delta to check
+   * @returns {boolean} True for critical or reliable deltas
+   */
+  function isPriorityDelta(delta) {
+    return lanes.isCritical(delta) || (!!state.isReliablePath && isReliableDelta(delta));
+  }
+
+  /**
+   * Checks whether the bandwidth budget still allows sending a delta: only priority data once
+   * the budget is nearly used up, nothing but the heartbeat when it is exhausted
+   * @param {Object} delta - Delta to check
+   * @returns {boolean} True if the delta may be sent
+   */
+  function isAllowedByBudget(delta) {
+    const level = budgetLevel();
+    return level < LEVEL_HEARTBEAT && (level < LEVEL_PRIORITY || isPriorityDelta(delta));
+  }
+
+  // ── Sending ──
+
+  /**
+   * Returns the server data is sent to: the configured one, or the active one with failover
+   * @returns {{address: string, port: number}} Server address and port
+   */
+  function activeServer() {
+    if (state.failover) {
+      return state.failover.active();
+    }
+    return { address: state.options.udpAddress, port: state.options.udpPort };
+  }
+
+  /**
+   * Checks whether a delta carries any path configured for reliable delivery
+   * @param {Object} delta - Delta to check
+   * @returns {boolean} True if the delta must be acknowledged
+   */
+  function isReliableDelta(delta) {
+    return (delta.updates || []).some((update) =>
+      (update.values || []).some((value) => state.isReliablePath(value.path))
+    );
+  }
+
+  /**
+   * Sends a batch of deltas. Deltas with reliable paths go into separate packets that are
+   * retransmitted until acknowledged, so best-effort telemetry is never held back by them.
+   * With change detection enabled, values that have not changed are dropped first.
+   * @param {Object[]} batch - Deltas to send
+   * @returns {Promise<boolean>} True if every packet was sent
+   */
+  async function sendDeltas(batch) {
+    const { address: udpAddress, port: udpPort } = activeServer();
+    const secretKey = state.keyRing.sendKey();
+    const deltas = state.changeDetector ? state.changeDetector.filter(batch) : batch;
+    const reliable = state.isReliablePath ? deltas.filter(isReliableDelta) : [];
+    const bestEffort = reliable.length > 0 ? deltas.filter((delta) => !reliable.includes(delta)) : deltas;
+
+    let sent = true;
+    if (bestEffort.length > 0) {
+      sent = await pipeline.packCrypt(bestEffort, secretKey, udpAddress, udpPort);
+    }
+    if (reliable.length > 0) {
+      sent = (await pipeline.packCrypt(reliable, secretKey, udpAddress, udpPort, undefined, true)) && sent;
+    }
+    return sent;
+  }
+
+  // ── Server failover ──
+
+  /**
+   * Switches servers when the active one stopped answering or a preferred one is back,
+   * then probes the servers the failover watches
+   * @returns {Promise<void>}
+   */
+  async function checkFailover() {
+    const secretKey = state.keyRing.sendKey();
+    const change = state.failover.check();
+    if (change) {
+      const { address, port } = state.failover.active();
+      if (change.reason === "failback") {
+        app.debug(`Server ${change.to} answering again, failed back from ${change.from}`);
+        setStatus(`Sending to server ${change.to}`);
+      } else {
+        app.error(`Server ${change.from} not answering, failed over to ${change.to}`);
+        setStatus(`Server ${change.from} not answering - sending to ${change.to}`);
+      }
+      pipeline.switchServer(address, port);
+      await pipeline.renewSessionKey(secretKey, address, port);
+    }
+    for (const probe of state.failover.probes()) {
+      await pipeline.sendProbe(secretKey, probe.address, probe.port, probe.payload);
+    }
+  }
+
+  // ── Store-and-forward queue ──
+
+  /**
+   * Moves deltas into the outbound queue instead of dropping them
+   * @param {Object[]} deltas - Deltas to queue
+   */
+  function queueDeltas(deltas) {
+    for (const delta of deltas) {
+      state.outboundQueue.enqueue(delta);
+    }
+  }
+
+  /**
+   * Drains the outbound queue in chronological order at the configured catch-up rate.
+   * Stops when the queue is empty or the link goes down again. Deltas are committed to the
+   * queue only after they were sent; if sending fails they stay queued for the next tick.
+   */
+  function startQueueDrain() {
+    if (!state.outboundQueue || state.queueDrainTimer || state.outboundQueue.length === 0) {
+      return;
+    }
+    app.debug(`Link up, draining ${state.outboundQueue.length} queued deltas`);
+
+    const catchUpRate = state.options.queueCatchUpRate || DEFAULT_QUEUE_CATCH_UP_RATE;
+    const deltasPerTick = Math.max(1, Math.round((catchUpRate * QUEUE_DRAIN_INTERVAL) / 1000));
+
+    const drainTick = async () => {
+      const queue = state.outboundQueue;
+      try {
+        // Queued history is held back while the budget only allows priority data
+        if (!queue || !state.readyToSend || budgetLevel() >= LEVEL_PRIORITY) {
+          state.queueDrainTimer = null;
+          return;
+        }
+
+        const deltas = await queue.dequeue(deltasPerTick);
+        let sent = true;
+        for (let i = 0; i < deltas.length && sent; i += state.maxDeltasPerBatch) {
+          sent = Boolean(state.options) && (await sendDeltas(deltas.slice(i, i + state.maxDeltasPerBatch)));
+        }
+        if (sent) {
+          await queue.commit();
+        } else {
+          queue.rollback();
+          app.debug(`Sending ${deltas.length} queued deltas failed, keeping them queued`);
+        }
+      } catch (err) {
+        if (queue) {
+          queue.rollback();
+        }
+        app.error(`Outbound queue drain error: ${err.message}`);
+      }
+
+      if (state.outboundQueue && state.outboundQueue.length > 0) {
+        state.queueDrainTimer = setTimeout(drainTick, QUEUE_DRAIN_INTERVAL);
+      } else {
+        state.queueDrainTimer = null;
+        if (state.outboundQueue) {
+          app.debug("Outbound queue drained");
+        }
+      }
+    };
+
+    state.queueDrainTimer = setTimeout(drainTick, 0);
+  }
+
   // ── Configuration file watchers ──
 
   /**
@@ -156,8 +539,7 @@ module.exports = function createPlugin(app) {
         if (newTimerValue >= 100 && newTimerValue <= 10000) {
           if (state.deltaTimerTime !== newTimerValue) {
             state.deltaTimerTime = newTimerValue;
-            clearTimeout(state.deltaTimer);
-            scheduleDeltaTimer();
+            applyBudgetLevel();
             app.debug(`Delta timer updated to ${state.deltaTimerTime}ms`);
           }
         } else {
@@ -190,14 +572,70 @@ module.exports = function createPlugin(app) {
             recordError("subscription", `Subscription error: ${subscriptionError}`);
           },
           (delta) => {
+            const sentence = delta?.updates?.[0]?.source?.sentence;
+            if (sentence && state.excludedSentences.includes(sentence)) {
+              return;
+            }
+            // Never echo data received over the return channel back to the server
+            if (delta?.updates?.[0]?.$source === RETURN_SOURCE_LABEL) {
+              return;
+            }
+            if (state.pathRateLimiter) {
+              delta = state.pathRateLimiter.filter(delta);
+              if (!delta) {
+                return;
+              }
+            }
+
+            // Degrade as the bandwidth budget runs out: fewer values, then priority data, then nothing
+            if (!isAllowedByBudget(delta)) {
+              return;
+            }
+            if (budgetLevel() >= LEVEL_REDUCED) {
+              delta = budgetLimiter.filter(delta);
+              if (!delta) {
+                return;
+              }
+            }
+
+            // Additional destinations get their own copy, filtered and batched separately
+            if (state.readyToSend) {
+              state.destinations.forEach((destination) => destination.push(delta));
+            }
+
+            // Critical deltas are sent at once, ahead of a backlog that is still draining
+            if (state.readyToSend && lanes.isCritical(delta)) {
+              lanes.route(delta);
+              return;
+            }
+
+            // Keep chronological order: while the link is down or a backlog is still
+            // draining, new deltas go to the back of the outbound queue. From the priority
+            // level on the backlog is held, so the priority deltas let through are sent directly.
+            const backlogDraining =
+              state.outboundQueue && state.outboundQueue.length > 0 && budgetLevel() < LEVEL_PRIORITY;
+            if (state.outboundQueue && (!state.readyToSend || backlogDraining)) {
+              if (state.deltas.length > 0) {
+                queueDeltas(state.deltas);
+                state.deltas = [];
+              }
+              state.outboundQueue.enqueue(delta);
+              return;
+            }
+
             if (state.readyToSend) {
-              const sentence = delta?.updates?.[0]?.source?.sentence;
-              if (sentence && state.excludedSentences.includes(sentence)) {
+              // Bulk deltas wait for their own timer
+              if (lanes.route(delta)) {
                 return;
               }
 
               if (state.deltas.length >= MAX_DELTAS_BUFFER_SIZE) {
-                app.error(`Delta buffer overflow (${state.deltas.length} items), clearing buffer`);
+                if (state.outboundQueue) {
+                  app.debug(`Delta buffer overflow (${state.deltas.length} items), moving to outbound queue`);
+                  queueDeltas(state.deltas);
+                } else {
+                  app.error(`Delta buffer overflow (${state.deltas.length} items), clearing buffer`);
+                }
                 state.deltas = [];
               }
 
@@ -214,7 +652,7 @@ module.exports = function createPlugin(app) {
                 } else {
                   metrics.smartBatching.timerSends++;
                 }
-                pipeline.packCrypt(state.deltas, state.options.secretKey, state.options.udpAddress, state.options.udpPort);
+                sendDeltas(state.deltas);
                 state.deltas = [];
                 state.timer = false;
               }
@@ -247,6 +685,23 @@ module.exports = function createPlugin(app) {
     }
   );
 
+  // Path rate rules change handler
+  const handlePathRatesChange = createDebouncedConfigHandler(
+    "Path rates",
+    () => state.pathRatesFile,
+    (config) => {
+      if (!state.pathRateLimiter) {
+        return;
+      }
+      try {
+        state.pathRateLimiter.setRules(config && config.rules);
+        app.debug(`Path rate rules updated: ${config.rules.length} rule(s)`);
+      } catch (err) {
+        app.error(`Invalid path rate configuration: ${err.message}`);
+      }
+    }
+  );
+
   /**
    * Creates a file watcher with automatic recovery on error
    */
@@ -305,7 +760,8 @@ module.exports = function createPlugin(app) {
       const watcherConfigs = [
         { path: state.deltaTimerFile, handler: handleDeltaTimerChange, name: "Delta timer" },
         { path: state.subscriptionFile, handler: handleSubscriptionChange, name: "Subscription" },
-        { path: state.sentenceFilterFile, handler: handleSentenceFilterChange, name: "Sentence filter" }
+        { path: state.sentenceFilterFile, handler: handleSentenceFilterChange, name: "Sentence filter" },
+        { path: state.pathRatesFile, handler: handlePathRatesChange, name: "Path rates" }
       ];
 
       state.configWatcherObjects = watcherConfigs.map(({ path, handler, name }) =>
@@ -326,11 +782,13 @@ module.exports = function createPlugin(app) {
     state.deltaTimerFile = join(app.getDataDirPath(), "delta_timer.json");
     state.subscriptionFile = join(app.getDataDirPath(), "subscription.json");
     state.sentenceFilterFile = join(app.getDataDirPath(), "sentence_filter.json");
+    state.pathRatesFile = join(app.getDataDirPath(), "path_rates.json");
 
     const defaults = [
       { file: state.deltaTimerFile, data: { deltaTimer: DEFAULT_DELTA_TIMER }, name: "delta_timer.json" },
       { file: state.subscriptionFile, data: { context: "*", subscribe: [{ path: "*" }] }, name: "subscription.json" },
-      { file: state.sentenceFilterFile, data: { excludedSentences: ["GSV"] }, name: "sentence_filter.json" }
+      { file: state.sentenceFilterFile, data: { excludedSentences: ["GSV"] }, name: "sentence_filter.json" },
+      { file: state.pathRatesFile, data: { rules: [] }, name: "path_rates.json" }
     ];
 
     for (const { file, data, name } of defaults) {
@@ -340,10 +798,53 @@ module.exports = function createPlugin(app) {
         app.debug(`Initialized ${name} with default values`);
       } else if (name === "sentence_filter.json") {
         state.excludedSentences = existing.excludedSentences || ["GSV"];
+      } else if (name === "path_rates.json" && state.pathRateLimiter) {
+        try {
+          state.pathRateLimiter.setRules(existing.rules || []);
+        } catch (err) {
+          app.error(`Invalid path rate configuration: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  // ── Key rotation ──
+
+  /**
+   * Replaces the passphrases of registry entries with the keys derived from them
+   * @param {Object} options - Plugin options ({ keyDerivation, keySalt })
+   * @returns {Promise<void>}
+   */
+  async function deriveRegistryKeys(options) {
+    for (const client of state.clientRegistry.values()) {
+      client.secretKey = await resolveKey(client.secretKey, options);
+      if (client.nextSecretKey) {
+        client.nextSecretKey = await resolveKey(client.nextSecretKey, options);
       }
     }
   }
 
+  /**
+   * Completes a scheduled key rotation once its window has ended: the next key becomes the
+   * configured key, so the old one is no longer accepted after a restart either
+   */
+  function checkKeyRotation() {
+    if (!state.keyRing || !state.keyRing.promoteIfDue()) {
+      return;
+    }
+    const configuration = { ...state.options, secretKey: state.options.nextSecretKey };
+    delete configuration.nextSecretKey;
+    delete configuration.keyRotationTime;
+    delete configuration.keyRotationWindowHours;
+    state.options = configuration;
+    app.debug(`Key rotation completed, now using key ${state.keyRing.getStatus().fingerprint}`);
+    app.savePluginOptions(configuration, (err) => {
+      if (err) {
+        app.error(`Failed to save the rotated key: ${err.message}`);
+      }
+    });
+  }
+
   // ── Router registration (called before start) ──
 
   plugin.registerWithRouter = (router) => {
@@ -361,7 +862,7 @@ module.exports = function createPlugin(app) {
 
     // Validate required options
     try {
-      validateSecretKey(options.secretKey);
+      keyValidator(options)(options.secretKey);
     } catch (error) {
       app.error(`Secret key validation failed: ${error.message}`);
       setStatus(`Secret key validation failed: ${error.message}`);
@@ -374,79 +875,285 @@ module.exports = function createPlugin(app) {
       return;
     }
 
+    try {
+      state.keyRing = await loadKeyRing(options, (message) => {
+        app.error(message);
+        recordError("general", message);
+      });
+    } catch (error) {
+      app.error(`Key derivation failed: ${error.message}`);
+      setStatus(`Key derivation failed: ${error.message}`);
+      return;
+    }
+    state.keyRotationTimer = setInterval(checkKeyRotation, KEY_ROTATION_CHECK_INTERVAL);
+
+    // Trained compression dictionaries are needed on both ends, and both can record training traffic
+    state.dictionaryStore = createDictionaryStore(app, join(app.getDataDirPath(), "dictionaries"));
+    await state.dictionaryStore.load();
+    state.trafficSamplesFile = join(app.getDataDirPath(), "traffic_samples.txt");
+    if (options.recordTraffic) {
+      const recorder = createTrafficRecorder(app, state.trafficSamplesFile);
+      await recorder.init();
+      state.trafficRecorder = recorder;
+    }
+
+    // Minute/hour/day rollups of the metrics, kept across restarts for the dashboard history
+    const history = createMetricsHistory(app, metricsApi, join(app.getDataDirPath(), "metrics_history.json"));
+    await history.init();
+    state.metricsHistory = history;
+    state.metricsHistoryTimer = setInterval(() => {
+      try {
+        history.update();
+      } catch (err) {
+        app.error(`Metrics history error: ${err.message}`);
+      }
+    }, METRICS_HISTORY_UPDATE_INTERVAL);
+
     if (options.serverType === true || options.serverType === "server") {
       // ── Server mode ──
       state.isServerMode = true;
       app.debug("SignalK data connector server started");
-      state.socketUdp = dgram.createSocket({ type: "udp4", reuseAddr: true });
 
-      state.socketUdp.on("error", (err) => {
-        app.error(`UDP socket error: ${err.message}`);
-        state.readyToSend = false;
+      state.clientRegistry = createClientRegistry(
+        options.clients,
+        (message) => {
+          app.error(message);
+          recordError("general", message);
+        },
+        keyValidator(options)
+      );
+      if (options.keyDerivation === "passphrase") {
+        await deriveRegistryKeys(options);
+      }
+      if (state.clientRegistry.size > 0) {
+        app.debug(`Client registry loaded with ${state.clientRegistry.size} client(s)`);
+      }
+
+      returnChannel.start(options);
+
+      if (options.publishLinkStats) {
+        state.linkStatsTimer = setInterval(publishLinkStats, LINK_STATS_PUBLISH_INTERVAL);
+      }
+
+      try {
+        state.socketUdp = createServerTransport(app, await openServerSocket(options.udpPort, options.bindAddress));
+      } catch (err) {
+        app.error(`Failed to bind to port ${options.udpPort}: ${err.message}`);
         if (err.code === "EADDRINUSE") {
           setStatus(`Failed to start - port ${options.udpPort} already in use`);
         } else if (err.code === "EACCES") {
           setStatus(`Failed to start - permission denied for port ${options.udpPort}`);
         } else {
-          setStatus(`UDP socket error: ${err.code || err.message}`);
+          setStatus(`Failed to start - ${err.message}`);
         }
+        return;
+      }
+
+      state.socketUdp.on("error", (err) => {
+        app.error(`UDP socket error: ${err.message}`);
+        state.readyToSend = false;
+        setStatus(`UDP socket error: ${err.code || err.message}`);
         if (state.socketUdp) {
           state.socketUdp.close();
           state.socketUdp = null;
         }
       });
 
-      state.socketUdp.on("listening", () => {
-        const address = state.socketUdp.address();
-        app.debug(`UDP server listening on ${address.address}:${address.port}`);
-        setStatus(`Server listening on port ${address.port}`);
-        state.readyToSend = true;
+      // TCP connections whose first packet does not authenticate are closed
+      state.socketUdp.on("message", async (delta, rinfo) => {
+        const authenticated = await pipeline.unpackDecrypt(delta, state.keyRing.receiveKeys(), rinfo);
+        if (state.socketUdp) {
+          state.socketUdp.authenticate(rinfo, authenticated);
+        }
       });
 
-      state.socketUdp.on("message", (delta) => {
-        pipeline.unpackDecrypt(delta, options.secretKey);
-      });
+      // Clients on networks that block UDP connect over TCP to the same port
+      try {
+        await state.socketUdp.listenStream(options.udpPort, options.bindAddress);
+      } catch (err) {
+        const message = `TCP listener on port ${options.udpPort} failed, accepting UDP only: ${err.message}`;
+        app.error(message);
+        recordError("general", message);
+      }
 
-      state.socketUdp.bind(options.udpPort, (err) => {
-        if (err) {
-          app.error(`Failed to bind to port ${options.udpPort}: ${err.message}`);
-          setStatus(`Failed to start - ${err.message}`);
-        }
-      });
+      const address = state.socketUdp.address();
+      app.debug(`UDP server listening on ${formatEndpoint(address.address, address.port)}`);
+      setStatus(
+        options.bindAddress
+          ? `Server listening on ${formatEndpoint(address.address, address.port)}`
+          : `Server listening on port ${address.port}`
+      );
+      state.readyToSend = true;
     } else {
       // ── Client mode ──
       state.isServerMode = false;
+      state.keyId = deriveKeyId(options.clientId);
+      if (Array.isArray(options.reliablePaths) && options.reliablePaths.length > 0) {
+        state.isReliablePath = compilePatterns(options.reliablePaths);
+      }
+      if (options.changeDetection) {
+        state.changeDetector = createChangeDetector(options, metrics.changeDetection);
+      }
+      state.pathRateLimiter = createPathRateLimiter();
+      // Server hostnames are resolved by the plugin, so a changed address is picked up without a restart
+      state.hostResolver = createHostResolver(app, options);
+      lanes.start(options);
+      state.compression = selectCompression(options);
+      if (options.compressionDictionary) {
+        const dictionary = state.dictionaryStore.get(options.compressionDictionary);
+        const { codec } = state.compression;
+        let message = null;
+        if (!dictionary) {
+          message = `Compression dictionary ${options.compressionDictionary} not found, sending without it`;
+        } else if (!codec.supportsDictionary) {
+          message =
+            `Compression codec ${codec.name} cannot use a dictionary in Node.js ${process.version}, ` +
+            `sending without dictionary ${options.compressionDictionary}`;
+        } else {
+          state.compressionDictionary = { id: options.compressionDictionary, data: dictionary };
+        }
+        if (message) {
+          app.error(message);
+          recordError("compression", message);
+        }
+      }
       await initializePersistentStorage();
 
       const deltaTimerTimeFile = await routes.loadConfigFile(state.deltaTimerFile);
       state.deltaTimerTime = deltaTimerTimeFile ? deltaTimerTimeFile.deltaTimer : DEFAULT_DELTA_TIMER;
 
-      // Hello message sender with smart suppression
+      if (options.storeAndForward) {
+        const queue = createOutboundQueue(app, {
+          directory: join(app.getDataDirPath(), "outbound_queue"),
+          maxBytes: (options.queueMaxSizeMB || DEFAULT_QUEUE_MAX_SIZE_MB) * BYTES_PER_MEGABYTE,
+          maxAge: (options.queueMaxAgeHours || DEFAULT_QUEUE_MAX_AGE_HOURS) * MILLISECONDS_PER_HOUR
+        });
+        try {
+          await queue.init();
+          state.outboundQueue = queue;
+        } catch (err) {
+          app.error(`Failed to initialize outbound queue: ${err.message}`);
+          recordError("general", `Outbound queue disabled: ${err.message}`);
+        }
+      }
+
+      // Hello message sender with smart suppression; it also starts due session key exchanges
       const helloInterval = options.helloMessageSender * 1000;
+      const helloDelta = () => ({
+        context: "vessels.urn:mrn:imo:mmsi:" + app.getSelfPath("mmsi"),
+        updates: [{ timestamp: new Date(), values: [] }]
+      });
       state.helloMessageSender = setInterval(async () => {
+        const { address, port } = activeServer();
+        await pipeline.renewSessionKey(state.keyRing.sendKey(), address, port);
         const timeSinceLastPacket = Date.now() - state.lastPacketTime;
 
         if (timeSinceLastPacket >= helloInterval) {
-          const fixedDelta = {
-            context: "vessels.urn:mrn:imo:mmsi:" + app.getSelfPath("mmsi"),
-            updates: [{ timestamp: new Date(), values: [] }]
-          };
           app.debug("Sending hello message (no recent data transmission)");
-          await pipeline.packCrypt([fixedDelta], options.secretKey, options.udpAddress, options.udpPort);
+          await pipeline.packCrypt([helloDelta()], state.keyRing.sendKey(), address, port);
         } else {
           app.debug(`Skipping hello message (last packet ${timeSinceLastPacket}ms ago)`);
         }
+        for (const destination of state.destinations) {
+          await destination.heartbeat(helloInterval, helloDelta());
+        }
       }, helloInterval);
 
-      state.socketUdp = dgram.createSocket({ type: "udp4", reuseAddr: true });
+      try {
+        state.socketUdp = createClientTransport(app, await openClientSocket(), options);
+      } catch (err) {
+        app.error(`Failed to open UDP socket: ${err.message}`);
+        setStatus(`Failed to start - ${err.message}`);
+        return;
+      }
 
       state.socketUdp.on("error", (err) => {
         app.error(`Client UDP socket error: ${err.message}`);
         setStatus(`UDP socket error: ${err.code || err.message}`);
       });
 
-      scheduleDeltaTimer();
+      state.socketUdp.on("switch", ({ to }) => {
+        if (to === "tcp") {
+          app.error("No answer from the server over UDP, sending over TCP");
+          setStatus("Sending over TCP - UDP gets no answer");
+        } else {
+          app.debug("The server answers over UDP again, sending over UDP");
+          setStatus("Sending over UDP");
+        }
+      });
+
+      // Probes go to the configured server and the failover servers in order; the active one gets the data
+      if (Array.isArray(options.failoverServers) && options.failoverServers.length > 0) {
+        state.failover = createFailover(app, options, (message) => {
+          app.error(message);
+          recordError("general", message);
+        });
+        const timeout = (options.failoverTimeout || DEFAULT_FAILOVER_TIMEOUT_SECONDS) * 1000;
+        state.failoverTimer = setInterval(() => {
+          checkFailover().catch((err) => app.error(`Failover error: ${err.message}`));
+        }, timeout / FAILOVER_PROBES_PER_TIMEOUT);
+        checkFailover().catch((err) => app.error(`Failover error: ${err.message}`));
+      }
+
+      // Automatic transport: unanswered probes move the data to TCP (the failover probes serve when configured)
+      if (options.transport === "auto" && !state.failover) {
+        const timeout = (options.transportTimeout || DEFAULT_TRANSPORT_TIMEOUT_SECONDS) * 1000;
+        state.transportTimer = setInterval(() => {
+          const { address, port } = activeServer();
+          pipeline.sendProbe(state.keyRing.sendKey(), address, port, Buffer.from("{}"));
+        }, timeout / TRANSPORT_PROBES_PER_TIMEOUT);
+      }
+
+      // The server answers (return data, acknowledgements, key exchange, probes) to the port our packets are sent from
+      if (options.acceptReturnData || state.isReliablePath || options.forwardSecrecy || state.failover) {
+        state.socketUdp.on("message", (packet, rinfo) => {
+          // Without the return channel only acknowledgements are taken from the server
+          if (!options.acceptReturnData && isDataPacket(packet)) {
+            app.debug("Data packet from server ignored, return data is not accepted");
+            return;
+          }
+          pipeline.unpackDecrypt(packet, state.keyRing.receiveKeys(), rinfo);
+        });
+      }
+
+      state.destinations = await createDestinations(app, state, options, (message) => {
+        app.error(message);
+        recordError("general", message);
+      });
+      if (state.destinations.length > 0) {
+        app.debug(`Also sending to ${state.destinations.map((destination) => destination.name).join(", ")}`);
+      }
+
+      if (options.dailyBudgetMB > 0 || options.monthlyBudgetMB > 0) {
+        const budget = createBandwidthBudget(app, metricsApi, {
+          filePath: join(app.getDataDirPath(), "bandwidth_usage.json"),
+          dailyBudgetMB: options.dailyBudgetMB,
+          monthlyBudgetMB: options.monthlyBudgetMB,
+          resetDay: options.budgetResetDay,
+          // Traffic to additional destinations counts against the same budget
+          extraBytes: () => state.destinations.reduce((sum, destination) => sum + destination.bytesTransferred(), 0)
+        });
+        await budget.init();
+        state.budget = budget;
+        state.budgetTimer = setInterval(() => {
+          try {
+            updateBudget();
+          } catch (err) {
+            app.error(`Bandwidth budget error: ${err.message}`);
+          }
+        }, BUDGET_CHECK_INTERVAL);
+        publishBudget();
+      }
+
+      if (options.adaptiveDeltaTimer) {
+        state.adaptiveTimer = createAdaptiveTimer(options, metricsApi);
+        state.adaptiveTimerInterval = setInterval(adjustDeltaTimer, ADAPTIVE_EVALUATE_INTERVAL);
+      }
+
+      applyBudgetLevel();
       setupConfigWatchers();
+      const { address, port } = activeServer();
+      pipeline.renewSessionKey(state.keyRing.sendKey(), address, port);
 
       // Ping monitor
       state.pingMonitor = new Monitor({
@@ -495,9 +1202,52 @@ module.exports = function createPlugin(app) {
     state.unsubscribes = [];
     state.localSubscription = null;
     state.options = null;
+    returnChannel.stop();
+    lanes.stop();
+    budgetLimiter.reset();
+
+    clearInterval(state.adaptiveTimerInterval);
+    state.adaptiveTimerInterval = null;
+    state.adaptiveTimer = null;
+
+    clearInterval(state.keyRotationTimer);
+    state.keyRotationTimer = null;
+    state.keyRing = null;
+
+    // Count the last transferred bytes before the metrics are reset; saved synchronously so a
+    // restart reads the final counts
+    clearInterval(state.budgetTimer);
+    state.budgetTimer = null;
+    if (state.budget) {
+      state.budget.stop();
+      state.budget = null;
+    }
+    clearInterval(state.metricsHistoryTimer);
+    state.metricsHistoryTimer = null;
+    if (state.metricsHistory) {
+      state.metricsHistory.stop();
+      state.metricsHistory = null;
+    }
 
     // Reset state variables for clean restart
     state.isServerMode = false;
+    state.keyId = SHARED_KEY_ID;
+    state.isReliablePath = null;
+    state.changeDetector = null;
+    state.pathRateLimiter = null;
+    state.clientRegistry = null;
+    state.compressionDictionary = null;
+    state.compression = null;
+    state.trafficRecorder = null;
+    clearInterval(state.transportTimer);
+    state.transportTimer = null;
+    clearInterval(state.failoverTimer);
+    state.failoverTimer = null;
+    state.failover = null;
+    state.hostResolver = null;
+    pipeline.stop();
+    state.destinations.forEach((destination) => destination.stop());
+    state.destinations = [];
     state.readyToSend = false;
     state.deltas = [];
     Object.keys(state.configContentHashes).forEach((k) => delete state.configContentHashes[k]);
@@ -514,11 +1264,21 @@ module.exports = function createPlugin(app) {
     clearInterval(state.helloMessageSender);
     clearTimeout(state.pingTimeout);
     clearTimeout(state.deltaTimer);
+    clearTimeout(state.queueDrainTimer);
+    state.queueDrainTimer = null;
+    clearInterval(state.linkStatsTimer);
+    state.linkStatsTimer = null;
     Object.keys(state.configDebounceTimers).forEach((k) => {
       clearTimeout(state.configDebounceTimers[k]);
       delete state.configDebounceTimers[k];
     });
 
+    // Persist anything still pending in the outbound queue
+    if (state.outboundQueue) {
+      state.outboundQueue.close();
+      state.outboundQueue = null;
+    }
+
     // Stop file system watchers
     state.configWatcherObjects.forEach((w) => w.close());
     state.configWatcherObjects = [];
@@ -566,20 +1326,57 @@ module.exports = function createPlugin(app) {
       secretKey: {
         type: "string",
         title: "Encryption Key",
-        description: "32-character secret key (must match on both ends)",
-        minLength: 32,
-        maxLength: 32
+        description:
+          "32-character secret key, or a passphrase of at least 12 characters with key derivation (must match on both ends)",
+        minLength: 12
+      },
+      keyDerivation: {
+        type: "string",
+        title: "Key Derivation",
+        description: "Derive the encryption key from a passphrase with scrypt and HKDF (must match on both ends)",
+        default: "none",
+        enum: ["none", "passphrase"],
+        enumNames: ["None - 32-character key", "Passphrase - scrypt + HKDF"]
+      },
+      keySalt: {
+        type: "string",
+        title: "Key Salt",
+        description: "Salt for key derivation, at least 8 characters (must match on both ends)"
+      },
+      nextSecretKey: {
+        type: "string",
+        title: "Next Encryption Key",
+        description: "Key rotation: accepted right away, used for sending from the rotation time on (scheduled from the dashboard)"
+      },
+      keyRotationTime: {
+        type: "string",
+        title: "Key Rotation Time",
+        description: "Key rotation: when to switch to the next key (ISO 8601, same on both ends)"
+      },
+      keyRotationWindowHours: {
+        type: "number",
+        title: "Key Rotation Window (hours)",
+        description: "Key rotation: how long the old key stays accepted after the rotation time",
+        default: 24,
+        minimum: 1,
+        maximum: 720
       },
       useMsgpack: {
         type: "boolean",
         title: "Use MessagePack",
-        description: "Binary serialization for smaller payloads (must match on both ends)",
+        description: "Binary serialization for smaller payloads (the receiver reads it from the packet header)",
         default: false
       },
       usePathDictionary: {
         type: "boolean",
         title: "Use Path Dictionary",
-        description: "Encode paths as numeric IDs for bandwidth savings (must match on both ends)",
+        description: "Encode paths as numeric IDs for bandwidth savings (the receiver reads it from the packet header)",
+        default: false
+      },
+      recordTraffic: {
+        type: "boolean",
+        title: "Record Traffic Samples",
+        description: "Record compression input (up to 2 MB) in the data directory for training a compression dictionary",
         default: false
       }
     },
@@ -588,7 +1385,83 @@ module.exports = function createPlugin(app) {
         oneOf: [
           {
             properties: {
-              serverType: { enum: ["server"] }
+              serverType: { enum: ["server"] },
+              bindAddress: {
+                type: "string",
+                title: "Bind Address",
+                description: "IPv4 or IPv6 address to listen on (empty: all interfaces, IPv4 and IPv6)",
+                default: ""
+              },
+              replayWindowSeconds: {
+                type: "integer",
+                title: "Replay Window (seconds)",
+                description:
+                  "Packets older than this (or with clocks further apart) are rejected as possible replays",
+                default: DEFAULT_REPLAY_MAX_AGE,
+                minimum: 30,
+                maximum: 86400
+              },
+              clients: {
+                type: "array",
+                title: "Client Registry",
+                description:
+                  "Vessels with their own encryption key. Clients without an entry use the shared key above.",
+                default: [],
+                items: {
+                  type: "object",
+                  required: ["clientId", "secretKey"],
+                  properties: {
+                    clientId: {
+                      type: "string",
+                      title: "Client ID",
+                      description: "Unique identifier, must match the Client ID configured on the vessel"
+                    },
+                    name: {
+                      type: "string",
+                      title: "Name",
+                      description: "Display name (e.g. vessel name)"
+                    },
+                    secretKey: {
+                      type: "string",
+                      title: "Encryption Key",
+                      description: "32-character secret key (or passphrase with key derivation) for this client",
+                      minLength: 12
+                    },
+                    nextSecretKey: {
+                      type: "string",
+                      title: "Next Encryption Key",
+                      description: "Accepted alongside the key while this client rotates its key"
+                    },
+                    allowedContexts: {
+                      type: "array",
+                      title: "Allowed Contexts",
+                      description: "Context patterns this client may publish (e.g. vessels.urn:mrn:imo:mmsi:230035780). Empty allows all.",
+                      default: [],
+                      items: { type: "string" }
+                    }
+                  }
+                }
+              },
+              returnPaths: {
+                type: "array",
+                title: "Return Channel Paths",
+                description:
+                  "Local paths sent back to connected clients (e.g. navigation.courseRhumbline.*, notifications.*). Empty disables the return channel.",
+                default: [],
+                items: { type: "string" }
+              },
+              returnContext: {
+                type: "string",
+                title: "Return Channel Context",
+                description: "Context of the paths sent back to clients",
+                default: DEFAULT_RETURN_CONTEXT
+              },
+              publishLinkStats: {
+                type: "boolean",
+                title: "Publish Link Statistics",
+                description: "Publish packet loss, out-of-order and duplicate counts as networking.connector.* paths",
+                default: false
+              }
             }
           },
           {
@@ -597,9 +1470,304 @@ module.exports = function createPlugin(app) {
               udpAddress: {
                 type: "string",
                 title: "Server Address",
-                description: "IP address or hostname of the SignalK server",
+                description: "IPv4 or IPv6 address or hostname of the SignalK server",
                 default: "127.0.0.1"
               },
+              failoverServers: {
+                type: "array",
+                title: "Failover Servers",
+                description:
+                  "Backup servers in order of preference, used when the server above stops answering probes (servers need a version that answers them)",
+                default: [],
+                items: {
+                  type: "object",
+                  required: ["udpAddress", "udpPort"],
+                  properties: {
+                    udpAddress: {
+                      type: "string",
+                      title: "Server Address",
+                      description: "IP address or hostname of the server"
+                    },
+                    udpPort: {
+                      type: "integer",
+                      title: "UDP Port",
+                      description: "UDP port of the server",
+                      default: 4446,
+                      minimum: 1,
+                      maximum: 65535
+                    }
+                  }
+                }
+              },
+              failoverTimeout: {
+                type: "integer",
+                title: "Failover Timeout (seconds)",
+                description: "Move on to the next server when the active one has not answered a probe for this long",
+                default: DEFAULT_FAILOVER_TIMEOUT_SECONDS,
+                minimum: 5,
+                maximum: 3600
+              },
+              failbackDelay: {
+                type: "integer",
+                title: "Fail-back Delay (seconds)",
+                description: "Return to a preferred server once it has answered probes for this long",
+                default: DEFAULT_FAILBACK_SECONDS,
+                minimum: 0,
+                maximum: 86400
+              },
+              dnsRefreshInterval: {
+                type: "integer",
+                title: "DNS Refresh (seconds)",
+                description: "Longest time before server hostnames are resolved again (shorter DNS TTLs apply)",
+                default: DEFAULT_DNS_REFRESH_SECONDS,
+                minimum: 10,
+                maximum: 86400
+              },
+              transport: {
+                type: "string",
+                title: "Transport",
+                description: "How packets reach the server; TCP gets through networks that block UDP",
+                default: "udp",
+                enum: ["udp", "tcp", "auto"],
+                enumNames: ["UDP", "TCP", "Automatic - TCP while UDP gets no answer"]
+              },
+              transportTimeout: {
+                type: "integer",
+                title: "Transport Timeout (seconds)",
+                description: "Automatic transport: move to TCP when UDP probes get no answer for this long",
+                default: DEFAULT_TRANSPORT_TIMEOUT_SECONDS,
+                minimum: 5,
+                maximum: 3600
+              },
+              clientId: {
+                type: "string",
+                title: "Client ID",
+                description:
+                  "Identifier registered on the server when this vessel has its own key (leave empty for the shared key)"
+              },
+              destinations: {
+                type: "array",
+                title: "Additional Destinations",
+                description:
+                  "Other servers that get their own copy of the data (e.g. a backup shore station), each with its own key and paths",
+                default: [],
+                items: {
+                  type: "object",
+                  required: ["name", "udpAddress", "udpPort", "secretKey"],
+                  properties: {
+                    name: {
+                      type: "string",
+                      title: "Name",
+                      description: "Unique name shown in the metrics"
+                    },
+                    udpAddress: {
+                      type: "string",
+                      title: "Server Address",
+                      description: "IP address or hostname of the server"
+                    },
+                    udpPort: {
+                      type: "integer",
+                      title: "UDP Port",
+                      description: "UDP port of the server",
+                      default: 4446,
+                      minimum: 1,
+                      maximum: 65535
+                    },
+                    secretKey: {
+                      type: "string",
+                      title: "Encryption Key",
+                      description: "32-character secret key (or passphrase with key derivation) of this server",
+                      minLength: 12
+                    },
+                    clientId: {
+                      type: "string",
+                      title: "Client ID",
+                      description: "Identifier registered on this server (leave empty for its shared key)"
+                    },
+                    contexts: {
+                      type: "array",
+                      title: "Contexts",
+                      description: "Context patterns sent to this server (e.g. vessels.urn:mrn:imo:mmsi:230035780). Empty sends all.",
+                      default: [],
+                      items: { type: "string" }
+                    },
+                    paths: {
+                      type: "array",
+                      title: "Paths",
+                      description: "Path patterns sent to this server (e.g. navigation.*). Empty sends all subscribed paths.",
+                      default: [],
+                      items: { type: "string" }
+                    }
+                  }
+                }
+              },
+              acceptReturnData: {
+                type: "boolean",
+                title: "Accept Return Data",
+                description: "Receive data sent back by the server's return channel",
+                default: false
+              },
+              reliablePaths: {
+                type: "array",
+                title: "Reliable Paths",
+                description:
+                  "Paths retransmitted until the server acknowledges them (e.g. notifications.*, navigation.anchor.*)",
+                default: [],
+                items: { type: "string" }
+              },
+              fecGroupSize: {
+                type: "integer",
+                title: "FEC Group Size",
+                description:
+                  "Send one parity packet per N packets so the server can rebuild a single lost packet (overhead 1/N). 0 disables.",
+                default: 0,
+                minimum: 0,
+                maximum: FEC_MAX_GROUP_SIZE
+              },
+              forwardSecrecy: {
+                type: "boolean",
+                title: "Forward Secrecy",
+                description:
+                  "Exchange ephemeral session keys with the server (X25519, authenticated by the encryption key), so a leaked key does not decrypt recorded traffic",
+                default: false
+              },
+              sessionKeyMinutes: {
+                type: "integer",
+                title: "Session Key Lifetime (minutes)",
+                description: "How often the session key is renewed with forward secrecy",
+                default: DEFAULT_SESSION_KEY_MINUTES,
+                minimum: 5,
+                maximum: SESSION_KEY_MAX_MINUTES
+              },
+              changeDetection: {
+                type: "boolean",
+                title: "Send Only Changed Values",
+                description: "Skip values that have not changed since they were last sent",
+                default: false
+              },
+              deadbands: {
+                type: "array",
+                title: "Deadbands",
+                description:
+                  "Numeric changes smaller than the threshold count as unchanged (first matching path applies)",
+                default: [],
+                items: {
+                  type: "object",
+                  required: ["path"],
+                  properties: {
+                    path: { type: "string", title: "Path", description: "Path or pattern (e.g. environment.outside.*)" },
+                    absolute: { type: "number", title: "Absolute Threshold", minimum: 0 },
+                    percent: { type: "number", title: "Percent Threshold", minimum: 0, maximum: 100 }
+                  }
+                }
+              },
+              fullRefreshInterval: {
+                type: "integer",
+                title: "Full Refresh Interval (seconds)",
+                description: "Unchanged values are sent again after this time so the server cannot drift",
+                default: DEFAULT_FULL_REFRESH_INTERVAL,
+                minimum: 10,
+                maximum: 86400
+              },
+              criticalPaths: {
+                type: "array",
+                title: "Critical Paths",
+                description: "Paths sent immediately, without waiting for the delta timer (e.g. notifications.*)",
+                default: [],
+                items: { type: "string" }
+              },
+              bulkPaths: {
+                type: "array",
+                title: "Bulk Paths",
+                description: "Low-priority paths collected and sent only when the link has capacity (e.g. tanks.*)",
+                default: [],
+                items: { type: "string" }
+              },
+              bulkInterval: {
+                type: "integer",
+                title: "Bulk Interval (seconds)",
+                description: "How often collected bulk data is sent",
+                default: DEFAULT_BULK_INTERVAL,
+                minimum: 1,
+                maximum: 3600
+              },
+              bulkMaxRate: {
+                type: "integer",
+                title: "Bulk Rate Threshold (bytes/second)",
+                description: "Bulk data waits while the link carries more than this. 0 sends whenever the link is up.",
+                default: 0,
+                minimum: 0
+              },
+              dailyBudgetMB: {
+                type: "number",
+                title: "Daily Data Budget (MB)",
+                description: "Sending is reduced as usage nears the budget, counted across restarts. 0 disables.",
+                default: 0,
+                minimum: 0
+              },
+              monthlyBudgetMB: {
+                type: "number",
+                title: "Monthly Data Budget (MB)",
+                description: "Monthly data plan cap. 0 disables.",
+                default: 0,
+                minimum: 0
+              },
+              budgetResetDay: {
+                type: "integer",
+                title: "Budget Reset Day",
+                description: "Day of the month the data plan resets",
+                default: 1,
+                minimum: 1,
+                maximum: 28
+              },
+              adaptiveDeltaTimer: {
+                type: "boolean",
+                title: "Adaptive Delta Timer",
+                description: "Adjust the delta timer automatically from RTT, send errors and packet loss reported by the server",
+                default: false
+              },
+              deltaTimerMin: {
+                type: "integer",
+                title: "Adaptive Delta Timer Minimum (ms)",
+                description: "Shortest interval used on a good link",
+                default: DEFAULT_DELTA_TIMER_MIN,
+                minimum: 100,
+                maximum: 10000
+              },
+              deltaTimerMax: {
+                type: "integer",
+                title: "Adaptive Delta Timer Maximum (ms)",
+                description: "Longest interval used on a bad link",
+                default: DEFAULT_DELTA_TIMER_MAX,
+                minimum: 100,
+                maximum: 10000
+              },
+              compressionCodec: {
+                type: "string",
+                title: "Compression Codec",
+                description: "Codec for sent packets; the server decodes all codecs (zstd needs Node.js 22.15 or later)",
+                default: "brotli",
+                enum: ["brotli", "deflate", "zstd", "none"],
+                enumNames: ["Brotli", "Deflate", "zstd", "None"]
+              },
+              compressionLevel: {
+                type: "integer",
+                title: "Compression Level",
+                description: "Lower levels use less CPU. 0 = codec default (Brotli 10 of 0-11, deflate 9 of 1-9, zstd 9 of 1-19)",
+                default: 0,
+                minimum: 0,
+                maximum: 19
+              },
+              compressionDictionary: {
+                type: "integer",
+                title: "Compression Dictionary",
+                description:
+                  "ID of a trained dictionary, 0 for none. Needs the deflate or zstd codec (Brotli cannot use one in " +
+                  "Node.js; zstd only where Node.js supports zstd dictionaries). The server needs the same file.",
+                default: 0,
+                minimum: 0,
+                maximum: MAX_DICTIONARY_ID
+              },
               helloMessageSender: {
                 type: "integer",
                 title: "Heartbeat Interval (seconds)",
@@ -629,6 +1797,36 @@ module.exports = function createPlugin(app) {
                 default: 1,
                 minimum: 0.1,
                 maximum: 60
+              },
+              storeAndForward: {
+                type: "boolean",
+                title: "Store and Forward",
+                description: "Queue data on disk while the connection is down and send it when restored",
+                default: false
+              },
+              queueMaxSizeMB: {
+                type: "number",
+                title: "Queue Max Size (MB)",
+                description: "Oldest queued data is discarded beyond this size",
+                default: DEFAULT_QUEUE_MAX_SIZE_MB,
+                minimum: 1,
+                maximum: 10000
+              },
+              queueMaxAgeHours: {
+                type: "number",
+                title: "Queue Max Age (hours)",
+                description: "Queued data older than this is discarded",
+                default: DEFAULT_QUEUE_MAX_AGE_HOURS,
+                minimum: 1,
+                maximum: 720
+              },
+              queueCatchUpRate: {
+                type: "integer",
+                title: "Catch-up Rate (deltas/second)",
+                description: "How fast queued data is sent once the connection is restored",
+                default: DEFAULT_QUEUE_CATCH_UP_RATE,
+                minimum: 1,
+                maximum: 10000
               }
             },
             required: ["udpAddress", "testAddress", "testPort"]
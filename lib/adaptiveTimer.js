@@ -0,0 +1,121 @@
+"use strict";
+
+const {
+  DEFAULT_DELTA_TIMER_MIN,
+  DEFAULT_DELTA_TIMER_MAX,
+  ADAPTIVE_EVALUATE_INTERVAL,
+  ADAPTIVE_RTT_HIGH,
+  ADAPTIVE_RTT_LOW,
+  ADAPTIVE_LOSS_HIGH,
+  ADAPTIVE_LOSS_LOW,
+  ADAPTIVE_BACKOFF_FACTOR,
+  ADAPTIVE_SPEEDUP_FACTOR,
+  ADAPTIVE_SMOOTHING
+} = require("./constants");
+
+/**
+ * Creates the adaptive delta timer that picks the collection interval from link quality.
+ * Send errors, high packet loss (reported by the server in acknowledgements) or a high
+ * RTT lengthen the interval; a fast, loss-free link shortens it again. The interval always
+ * stays within the configured bounds.
+ * @param {Object} options - { deltaTimerMin, deltaTimerMax } (milliseconds)
+ * @param {Object} metricsApi - Metrics API from lib/metrics.js
+ * @returns {Object} Adaptive timer API: { observeRtt, evaluate, getStatus }
+ */
+function createAdaptiveTimer(options, metricsApi) {
+  const { metrics } = metricsApi;
+  const min = options.deltaTimerMin || DEFAULT_DELTA_TIMER_MIN;
+  const max = Math.max(min, options.deltaTimerMax || DEFAULT_DELTA_TIMER_MAX);
+
+  let rtt = null; // Smoothed RTT in milliseconds
+  let lastSendErrors = metrics.udpSendErrors;
+  let lastLossTime = metrics.reliable.reportedLossTime;
+  let loss = null; // Smoothed loss rate (0-1) reported by the server
+  let interval = null;
+  let reason = "starting";
+  let changedAt = null;
+
+  /**
+   * Adds an RTT measurement from the connection monitor
+   * @param {number} rttMs - Round trip time in milliseconds
+   */
+  function observeRtt(rttMs) {
+    if (typeof rttMs !== "number" || !Number.isFinite(rttMs)) {
+      return;
+    }
+    rtt = rtt === null ? rttMs : (1 - ADAPTIVE_SMOOTHING) * rtt + ADAPTIVE_SMOOTHING * rttMs;
+  }
+
+  /**
+   * Takes the server's latest loss report, if a new one arrived since the last evaluation
+   */
+  function updateLoss() {
+    const { reportedLoss, reportedLossTime } = metrics.reliable;
+    if (reportedLossTime === null || reportedLossTime === lastLossTime) {
+      // Without new reports an old value must not hold the timer back forever
+      if (loss !== null && Date.now() - (lastLossTime || 0) > ADAPTIVE_EVALUATE_INTERVAL * 6) {
+        loss = null;
+      }
+      return;
+    }
+    lastLossTime = reportedLossTime;
+    loss = loss === null ? reportedLoss : (1 - ADAPTIVE_SMOOTHING) * loss + ADAPTIVE_SMOOTHING * reportedLoss;
+  }
+
+  /**
+   * Picks the next interval from the current one and the link measurements
+   * @param {number} current - Current delta timer interval in milliseconds
+   * @returns {{interval: number, reason: string}} Chosen interval and why
+   */
+  function evaluate(current) {
+    updateLoss();
+    const sendErrors = metrics.udpSendErrors - lastSendErrors;
+    lastSendErrors = metrics.udpSendErrors;
+
+    let next = current;
+    if (sendErrors > 0) {
+      next = current * ADAPTIVE_BACKOFF_FACTOR;
+      reason = `${sendErrors} send error(s)`;
+    } else if (loss !== null && loss >= ADAPTIVE_LOSS_HIGH) {
+      next = current * ADAPTIVE_BACKOFF_FACTOR;
+      reason = `packet loss ${(loss * 100).toFixed(1)}%`;
+    } else if (rtt !== null && rtt >= ADAPTIVE_RTT_HIGH) {
+      next = current * ADAPTIVE_BACKOFF_FACTOR;
+      reason = `high RTT ${Math.round(rtt)}ms`;
+    } else if (rtt !== null && rtt < ADAPTIVE_RTT_LOW && (loss === null || loss < ADAPTIVE_LOSS_LOW)) {
+      next = current * ADAPTIVE_SPEEDUP_FACTOR;
+      reason = `good link (RTT ${Math.round(rtt)}ms)`;
+    } else {
+      reason = rtt === null ? "waiting for RTT" : "stable";
+    }
+
+    // Whole 100 ms steps (rounded away from the current value) within the configured bounds
+    next = (next < current ? Math.floor(next / 100) : Math.ceil(next / 100)) * 100;
+    next = Math.min(max, Math.max(min, next));
+    if (next !== interval) {
+      changedAt = Date.now();
+    }
+    interval = next;
+    return { interval, reason };
+  }
+
+  /**
+   * Returns the adaptive timer state for /metrics
+   * @returns {Object} { interval, reason, rtt, loss, min, max, changedAt }
+   */
+  function getStatus() {
+    return {
+      interval,
+      reason,
+      rtt: rtt === null ? null : Math.round(rtt),
+      loss: loss === null ? null : Math.round(loss * 10000) / 10000,
+      min,
+      max,
+      changedAt
+    };
+  }
+
+  return { observeRtt, evaluate, getStatus };
+}
+
+module.exports = createAdaptiveTimer;
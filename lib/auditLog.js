@@ -0,0 +1,81 @@
+"use strict";
+
+const { appendFile, readFile, rename, stat } = require("fs").promises;
+const { AUDIT_LOG_MAX_BYTES } = require("./constants");
+
+/**
+ * Creates the audit log of configuration changes made through the REST API. Entries are
+ * appended as JSON lines; when the file reaches maxBytes it is moved to "<file>.1" (replacing
+ * an older one) and a new file is started. Entries never contain secrets.
+ * @param {Object} app - SignalK app object
+ * @param {string} filePath - Path of the log file
+ * @param {number} maxBytes - Size at which the log is rotated
+ * @returns {Object} Audit log API: { record, read, flush }
+ */
+function createAuditLog(app, filePath, maxBytes = AUDIT_LOG_MAX_BYTES) {
+  let writeChain = Promise.resolve();
+
+  /**
+   * Appends an entry, rotating the file first if it is full
+   * @param {Object} entry - { user, ip, action, details }
+   * @returns {Promise<void>} Resolves when the entry is written (errors are logged, not thrown)
+   */
+  function record(entry) {
+    const line = `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`;
+    writeChain = writeChain
+      .then(async () => {
+        let size = 0;
+        try {
+          size = (await stat(filePath)).size;
+        } catch (err) {
+          size = 0;
+        }
+        if (size > 0 && size + line.length > maxBytes) {
+          await rename(filePath, `${filePath}.1`);
+        }
+        await appendFile(filePath, line);
+      })
+      .catch((err) => app.error(`Failed to write audit log: ${err.message}`));
+    return writeChain;
+  }
+
+  /**
+   * Returns the newest entries
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Object[]>} Entries, newest first
+   */
+  async function read(limit) {
+    await writeChain;
+    let content;
+    try {
+      content = await readFile(filePath, "utf-8");
+    } catch (err) {
+      return [];
+    }
+    const entries = [];
+    const lines = content.split("\n");
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      if (!lines[i]) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch (err) {
+        app.debug(`Skipping malformed audit log line: ${err.message}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Waits for pending writes
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    return writeChain;
+  }
+
+  return { record, read, flush };
+}
+
+module.exports = createAuditLog;
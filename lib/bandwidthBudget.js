@@ -0,0 +1,237 @@
+"use strict";
+
+const { readFile } = require("fs").promises;
+const { writeFileSync, renameSync } = require("fs");
+const {
+  BYTES_PER_MEGABYTE,
+  BUDGET_SAVE_INTERVAL,
+  BUDGET_REDUCED_AT,
+  BUDGET_PRIORITY_AT,
+  BUDGET_HEARTBEAT_AT
+} = require("./constants");
+
+// Degradation levels, in order of increasing restriction
+const BUDGET_LEVELS = ["normal", "reduced", "priority", "heartbeat"];
+const LEVEL_NORMAL = 0;
+const LEVEL_REDUCED = 1;
+const LEVEL_PRIORITY = 2;
+const LEVEL_HEARTBEAT = 3;
+
+/**
+ * Formats a local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Day key
+ */
+function dayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the billing month a date falls into. A month starts on the reset day, so with
+ * reset day 15, 10 March belongs to the billing month starting 15 February ("2024-02").
+ * @param {Date} date - Date
+ * @param {number} resetDay - Day of month the data plan resets (1-28)
+ * @returns {string} Billing month key (YYYY-MM)
+ */
+function billingMonthKey(date, resetDay = 1) {
+  let year = date.getFullYear();
+  let month = date.getMonth();
+  if (date.getDate() < resetDay) {
+    month--;
+    if (month < 0) {
+      month = 11;
+      year--;
+    }
+  }
+  return `${year}-${String(month + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Creates the persistent bandwidth accounting that survives plugin restarts.
+ * Bytes sent and received are added to daily and monthly counters stored in a JSON file;
+ * as usage nears the configured budgets the degradation level rises.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {Object} metricsApi - Metrics API from lib/metrics.js (source of byte counts)
+ * @param {Object} options - Budget options
+ * @param {string} options.filePath - File holding the usage counters
+ * @param {number} options.dailyBudgetMB - Daily budget in MB (0 = unlimited)
+ * @param {number} options.monthlyBudgetMB - Monthly budget in MB (0 = unlimited)
+ * @param {number} options.resetDay - Day of month the monthly budget resets
+ * @param {Function} [options.extraBytes] - Returns bytes transferred outside the main metrics
+ *   (additional destinations), which count against the budget as well
+ * @returns {Object} Bandwidth budget API
+ */
+function createBandwidthBudget(app, metricsApi, options) {
+  const { metrics } = metricsApi;
+  const { filePath } = options;
+  const dailyBudget = (options.dailyBudgetMB || 0) * BYTES_PER_MEGABYTE;
+  const monthlyBudget = (options.monthlyBudgetMB || 0) * BYTES_PER_MEGABYTE;
+  const resetDay = options.resetDay || 1;
+
+  const usage = { day: "", dayBytes: 0, month: "", monthBytes: 0 };
+  let lastTotal = 0;
+  let lastSaved = 0;
+  let level = LEVEL_NORMAL;
+
+  /**
+   * Returns the bytes counted by the metrics since the plugin started
+   * @returns {number} Bytes sent plus bytes received, including additional destinations
+   */
+  function currentTotal() {
+    const extra = options.extraBytes ? options.extraBytes() : 0;
+    return metrics.bandwidth.bytesOut + metrics.bandwidth.bytesIn + extra;
+  }
+
+  /**
+   * Starts new counters when the day or billing month changed
+   * @param {Date} now - Current date
+   */
+  function rollOver(now) {
+    const day = dayKey(now);
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.dayBytes = 0;
+    }
+    const month = billingMonthKey(now, resetDay);
+    if (usage.month !== month) {
+      usage.month = month;
+      usage.monthBytes = 0;
+    }
+  }
+
+  /**
+   * Loads the stored counters. A missing or corrupt file starts from zero.
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    try {
+      const stored = JSON.parse(await readFile(filePath, "utf-8"));
+      usage.day = String(stored.day || "");
+      usage.dayBytes = Number(stored.dayBytes) || 0;
+      usage.month = String(stored.month || "");
+      usage.monthBytes = Number(stored.monthBytes) || 0;
+    } catch (err) {
+      app.debug(`Bandwidth usage not loaded, starting from zero: ${err.message}`);
+    }
+    lastTotal = currentTotal();
+    lastSaved = Date.now();
+    rollOver(new Date());
+    level = computeLevel();
+  }
+
+  /**
+   * Writes the counters atomically (temporary file, then rename). The write is synchronous, so
+   * saves never overlap and a restart right after stop reads the last counts.
+   */
+  function save() {
+    lastSaved = Date.now();
+    try {
+      writeFileSync(`${filePath}.tmp`, JSON.stringify(usage), "utf-8");
+      renameSync(`${filePath}.tmp`, filePath);
+    } catch (err) {
+      app.error(`Failed to save bandwidth usage: ${err.message}`);
+    }
+  }
+
+  /**
+   * Returns the used fraction of the tighter budget
+   * @returns {number} Used fraction (0 when no budget is set)
+   */
+  function usedFraction() {
+    const daily = dailyBudget > 0 ? usage.dayBytes / dailyBudget : 0;
+    const monthly = monthlyBudget > 0 ? usage.monthBytes / monthlyBudget : 0;
+    return Math.max(daily, monthly);
+  }
+
+  /**
+   * Maps the used fraction to a degradation level
+   * @returns {number} Degradation level
+   */
+  function computeLevel() {
+    const used = usedFraction();
+    if (used >= BUDGET_HEARTBEAT_AT) {
+      return LEVEL_HEARTBEAT;
+    }
+    if (used >= BUDGET_PRIORITY_AT) {
+      return LEVEL_PRIORITY;
+    }
+    return used >= BUDGET_REDUCED_AT ? LEVEL_REDUCED : LEVEL_NORMAL;
+  }
+
+  /**
+   * Adds the bytes transferred since the last update and recomputes the level.
+   * Saves the counters at most once per save interval.
+   * @returns {boolean} True if the degradation level changed
+   */
+  function update() {
+    const total = currentTotal();
+    // Metrics are reset on plugin stop; count from zero again
+    const added = total >= lastTotal ? total - lastTotal : total;
+    lastTotal = total;
+
+    rollOver(new Date());
+    usage.dayBytes += added;
+    usage.monthBytes += added;
+
+    if (Date.now() - lastSaved >= BUDGET_SAVE_INTERVAL) {
+      save();
+    }
+
+    const previous = level;
+    level = computeLevel();
+    if (level !== previous) {
+      app.debug(`Bandwidth budget level changed: ${BUDGET_LEVELS[previous]} -> ${BUDGET_LEVELS[level]}`);
+    }
+    return level !== previous;
+  }
+
+  /**
+   * Returns the budget status for /metrics and the dashboard
+   * @returns {Object} { level, used, day, month }
+   */
+  function getStatus() {
+    const period = (key, bytes, budget) => ({
+      period: key,
+      bytes,
+      budget,
+      percent: budget > 0 ? Math.round((bytes / budget) * 1000) / 10 : null
+    });
+    return {
+      level: BUDGET_LEVELS[level],
+      used: Math.round(usedFraction() * 1000) / 1000,
+      day: period(usage.day, usage.dayBytes, dailyBudget),
+      month: period(usage.month, usage.monthBytes, monthlyBudget)
+    };
+  }
+
+  /**
+   * Counts the last transferred bytes and saves the counters before returning
+   */
+  function stop() {
+    update();
+    save();
+  }
+
+  return {
+    init,
+    update,
+    stop,
+    getStatus,
+    get level() {
+      return level;
+    }
+  };
+}
+
+module.exports = {
+  createBandwidthBudget,
+  billingMonthKey,
+  dayKey,
+  BUDGET_LEVELS,
+  LEVEL_NORMAL,
+  LEVEL_REDUCED,
+  LEVEL_PRIORITY,
+  LEVEL_HEARTBEAT
+};
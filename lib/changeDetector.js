@@ -0,0 +1,142 @@
+"use strict";
+
+const { globToRegExp } = require("./pathMatcher");
+const { DEFAULT_FULL_REFRESH_INTERVAL, CHANGE_DETECTION_MAX_ENTRIES } = require("./constants");
+
+/**
+ * Compiles deadband rules. The first rule whose path pattern matches a path applies.
+ * @param {Array<{path: string, absolute?: number, percent?: number}>} deadbands - Configured rules
+ * @returns {Array<{regex: RegExp, absolute: number, percent: number}>} Compiled rules
+ */
+function compileDeadbands(deadbands) {
+  if (!Array.isArray(deadbands)) {
+    return [];
+  }
+  return deadbands
+    .filter((rule) => rule && typeof rule.path === "string" && rule.path.trim().length > 0)
+    .map((rule) => ({
+      regex: globToRegExp(rule.path.trim()),
+      absolute: Number(rule.absolute) > 0 ? Number(rule.absolute) : 0,
+      percent: Number(rule.percent) > 0 ? Number(rule.percent) : 0
+    }));
+}
+
+/**
+ * Checks whether a numeric value stays within the deadband around the last sent value
+ * @param {number} value - New value
+ * @param {number} last - Last sent value
+ * @param {Object} rule - Compiled deadband rule ({ absolute, percent })
+ * @returns {boolean} True if the change is too small to send
+ */
+function withinDeadband(value, last, rule) {
+  const difference = Math.abs(value - last);
+  if (rule.absolute > 0 && difference < rule.absolute) {
+    return true;
+  }
+  return rule.percent > 0 && difference < (Math.abs(last) * rule.percent) / 100;
+}
+
+/**
+ * Creates the change detection stage that drops values which have not changed since they
+ * were last sent. Every value is sent again after the full refresh interval so the
+ * receiver cannot drift from the sender, even if packets were lost.
+ * @param {Object} options - { deadbands, fullRefreshInterval (seconds) }
+ * @param {Object} stats - Mutable counters ({ valuesSent, valuesSuppressed })
+ * @returns {Object} Change detector API: { filter, reset, size }
+ */
+function createChangeDetector(options, stats) {
+  const rules = compileDeadbands(options.deadbands);
+  const refreshMs = (options.fullRefreshInterval || DEFAULT_FULL_REFRESH_INTERVAL) * 1000;
+  const lastSent = new Map(); // "context\npath" -> { value, serialized, sentAt }
+
+  /**
+   * Decides whether a value must be sent and remembers it if so
+   * @param {string} context - Delta context
+   * @param {Object} pathValue - { path, value }
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if the value changed or is due for refresh
+   */
+  function isChanged(context, pathValue, now) {
+    const key = `${context}\n${pathValue.path}`;
+    const { value } = pathValue;
+    const serialized = typeof value === "object" && value !== null ? JSON.stringify(value) : null;
+    const last = lastSent.get(key);
+
+    if (last && now - last.sentAt < refreshMs) {
+      if (serialized !== null ? serialized === last.serialized : value === last.value) {
+        return false;
+      }
+      if (typeof value === "number" && typeof last.value === "number") {
+        const rule = rules.find((r) => r.regex.test(pathValue.path));
+        if (rule && withinDeadband(value, last.value, rule)) {
+          return false;
+        }
+      }
+    }
+
+    if (!last && lastSent.size >= CHANGE_DETECTION_MAX_ENTRIES) {
+      lastSent.delete(lastSent.keys().next().value);
+    }
+    lastSent.set(key, { value, serialized, sentAt: now });
+    return true;
+  }
+
+  /**
+   * Removes unchanged values from a batch of deltas
+   * @param {Object[]} deltas - Deltas to send
+   * @returns {Object[]} Deltas with only changed values (deltas left without values are dropped)
+   */
+  function filter(deltas) {
+    const now = Date.now();
+    const result = [];
+
+    for (const delta of deltas) {
+      if (!delta || !Array.isArray(delta.updates)) {
+        result.push(delta);
+        continue;
+      }
+      const context = delta.context || "";
+      const updates = [];
+      let modified = false;
+      for (const update of delta.updates) {
+        // Updates without values (meta, heartbeat) pass unchanged
+        if (!Array.isArray(update.values) || update.values.length === 0) {
+          updates.push(update);
+          continue;
+        }
+        const values = update.values.filter((pathValue) => isChanged(context, pathValue, now));
+        stats.valuesSent += values.length;
+        stats.valuesSuppressed += update.values.length - values.length;
+        if (values.length === update.values.length) {
+          updates.push(update);
+        } else {
+          modified = true;
+          if (values.length > 0) {
+            updates.push({ ...update, values });
+          }
+        }
+      }
+      if (updates.length > 0) {
+        result.push(modified ? { ...delta, updates } : delta);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Forgets all sent values, so the next value of every path is sent
+   */
+  function reset() {
+    lastSent.clear();
+  }
+
+  return {
+    filter,
+    reset,
+    get size() {
+      return lastSent.size;
+    }
+  };
+}
+
+module.exports = createChangeDetector;
@@ -0,0 +1,75 @@
+"use strict";
+
+const { validateSecretKey } = require("./crypto");
+const { deriveKeyId } = require("./packetHeader");
+const { compilePatterns } = require("./pathMatcher");
+
+/**
+ * Builds the server-side client registry used to select the decryption key for each
+ * packet by the key identifier in its header. Invalid entries are skipped and reported.
+ * An entry's next key is accepted alongside its key while the vessel rotates its key.
+ * @param {Object[]} clients - Client entries from plugin options
+ *   ({ clientId, name, secretKey, nextSecretKey, allowedContexts })
+ * @param {Function} onError - Called with a message for every rejected entry
+ * @param {Function} validateKey - Validates a configured key (passphrases with key derivation)
+ * @returns {Map<number, Object>} Key identifier -> client entry
+ */
+function createClientRegistry(clients, onError, validateKey = validateSecretKey) {
+  const registry = new Map();
+  const seenIds = new Set();
+
+  if (!Array.isArray(clients)) {
+    return registry;
+  }
+
+  for (const client of clients) {
+    const clientId = client && typeof client.clientId === "string" ? client.clientId.trim() : "";
+    if (!clientId) {
+      onError("Client registry entry without clientId skipped");
+      continue;
+    }
+    if (seenIds.has(clientId)) {
+      onError(`Duplicate client ID "${clientId}" in client registry skipped`);
+      continue;
+    }
+
+    try {
+      validateKey(client.secretKey);
+    } catch (err) {
+      onError(`Client "${clientId}" skipped: ${err.message}`);
+      continue;
+    }
+    let nextSecretKey = null;
+    if (client.nextSecretKey) {
+      try {
+        validateKey(client.nextSecretKey);
+        nextSecretKey = client.nextSecretKey;
+      } catch (err) {
+        onError(`Next key of client "${clientId}" ignored: ${err.message}`);
+      }
+    }
+
+    const keyId = deriveKeyId(clientId);
+    const existing = registry.get(keyId);
+    if (existing) {
+      onError(`Client "${clientId}" skipped: key identifier collides with "${existing.clientId}", choose another ID`);
+      continue;
+    }
+
+    const allowedContexts = Array.isArray(client.allowedContexts) ? client.allowedContexts : [];
+    seenIds.add(clientId);
+    registry.set(keyId, {
+      clientId,
+      name: client.name || clientId,
+      secretKey: client.secretKey,
+      nextSecretKey,
+      keyId,
+      allowedContexts,
+      isContextAllowed: compilePatterns(allowedContexts, true)
+    });
+  }
+
+  return registry;
+}
+
+module.exports = createClientRegistry;
@@ -0,0 +1,226 @@
+"use strict";
+
+const { promisify } = require("util");
+const zlib = require("node:zlib");
+const { BROTLI_QUALITY_HIGH, DEFLATE_LEVEL_MAX, ZSTD_LEVEL_DEFAULT, BENCHMARK_BROTLI_LEVELS } = require("./constants");
+
+// Codec IDs carried in the packet header
+const CODEC_BROTLI = 0;
+const CODEC_DEFLATE = 1;
+const CODEC_NONE = 2;
+const CODEC_ZSTD = 3;
+
+// zstd is built into Node.js 22.15 and later
+const zstdAvailable = typeof zlib.zstdCompress === "function";
+
+/**
+ * Checks whether zstd compresses with a preset dictionary. Node.js versions without dictionary
+ * support ignore the option, so the probe's frame then decompresses without the dictionary.
+ * @returns {boolean} True if zstd uses a given dictionary
+ */
+function detectZstdDictionary() {
+  if (!zstdAvailable) {
+    return false;
+  }
+  const dictionary = Buffer.from("signalk-data-connector zstd dictionary probe");
+  let compressed;
+  try {
+    compressed = zlib.zstdCompressSync(dictionary, { dictionary });
+  } catch (err) {
+    return false;
+  }
+  try {
+    zlib.zstdDecompressSync(compressed);
+    return false;
+  } catch (err) {
+    return true;
+  }
+}
+
+const zstdDictionaryAvailable = detectZstdDictionary();
+
+/**
+ * Compression codecs. Each codec compresses with a level from its own range. Deflate and,
+ * where Node.js supports it, zstd accept a trained preset dictionary; Node.js has no API for
+ * custom Brotli dictionaries.
+ */
+const CODECS = [
+  {
+    id: CODEC_BROTLI,
+    name: "brotli",
+    available: true,
+    minLevel: 0,
+    maxLevel: 11,
+    defaultLevel: BROTLI_QUALITY_HIGH,
+    options: (level, { text = true, sizeHint = 0 } = {}) => ({
+      params: {
+        [zlib.constants.BROTLI_PARAM_MODE]: text ? zlib.constants.BROTLI_MODE_TEXT : zlib.constants.BROTLI_MODE_GENERIC,
+        [zlib.constants.BROTLI_PARAM_QUALITY]: level,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: sizeHint
+      }
+    }),
+    compress: promisify(zlib.brotliCompress),
+    compressSync: zlib.brotliCompressSync,
+    decompress: promisify(zlib.brotliDecompress)
+  },
+  {
+    id: CODEC_DEFLATE,
+    name: "deflate",
+    available: true,
+    minLevel: 1,
+    maxLevel: 9,
+    defaultLevel: DEFLATE_LEVEL_MAX,
+    supportsDictionary: true,
+    options: (level, { dictionary } = {}) => (dictionary ? { level, dictionary } : { level }),
+    compress: promisify(zlib.deflateRaw),
+    compressSync: zlib.deflateRawSync,
+    decompress: promisify(zlib.inflateRaw)
+  },
+  {
+    id: CODEC_NONE,
+    name: "none",
+    available: true,
+    minLevel: 0,
+    maxLevel: 0,
+    defaultLevel: 0,
+    options: () => ({}),
+    compress: (buffer) => Promise.resolve(buffer),
+    compressSync: (buffer) => buffer,
+    decompress: (buffer) => Promise.resolve(buffer)
+  },
+  {
+    id: CODEC_ZSTD,
+    name: "zstd",
+    available: zstdAvailable,
+    minLevel: 1,
+    maxLevel: 19,
+    defaultLevel: ZSTD_LEVEL_DEFAULT,
+    supportsDictionary: zstdDictionaryAvailable,
+    options: (level, { dictionary } = {}) => {
+      if (!zstdAvailable) {
+        return {};
+      }
+      const params = { [zlib.constants.ZSTD_c_compressionLevel]: level };
+      return dictionary ? { params, dictionary } : { params };
+    },
+    compress: zstdAvailable ? promisify(zlib.zstdCompress) : null,
+    compressSync: zstdAvailable ? zlib.zstdCompressSync : null,
+    decompress: zstdAvailable ? promisify(zlib.zstdDecompress) : null
+  }
+];
+
+/**
+ * Looks up a codec by name
+ * @param {string} name - Codec name (brotli, deflate, none, zstd)
+ * @returns {Object|undefined} Codec, or undefined for an unknown name
+ */
+function getCodec(name) {
+  return CODECS.find((codec) => codec.name === name);
+}
+
+/**
+ * Limits a compression level to the codec's range; a missing or zero level selects the codec default
+ * @param {Object} codec - Codec
+ * @param {number} level - Requested level
+ * @returns {number} Level the codec accepts
+ */
+function codecLevel(codec, level) {
+  if (!level) {
+    return codec.defaultLevel;
+  }
+  return Math.min(codec.maxLevel, Math.max(codec.minLevel, level));
+}
+
+/**
+ * Compresses a payload
+ * @param {Object} codec - Codec
+ * @param {Buffer} buffer - Serialized payload
+ * @param {number} level - Compression level
+ * @param {Object} hints - { text: payload is JSON, sizeHint, dictionary: preset dictionary (deflate, zstd) }
+ * @returns {Promise<Buffer>} Compressed payload
+ */
+function compressPayload(codec, buffer, level, hints = {}) {
+  return codec.compress(buffer, codec.options(level, { sizeHint: buffer.length, ...hints }));
+}
+
+/**
+ * Decompresses a payload with the codec named in its packet header
+ * @param {number} codecId - Codec ID from the header
+ * @param {Buffer} buffer - Compressed payload
+ * @param {Buffer|null} dictionary - Preset dictionary named in the header
+ * @returns {Promise<Buffer>} Decompressed payload
+ * @throws {Error} If the codec is unknown, unavailable or cannot use a dictionary
+ */
+function decompressPayload(codecId, buffer, dictionary = null) {
+  const codec = CODECS.find((c) => c.id === codecId);
+  if (!codec) {
+    throw new Error(`Cannot decompress: unknown codec ${codecId}`);
+  }
+  if (!codec.available) {
+    throw new Error(`Cannot decompress: ${codec.name} is not supported by Node.js ${process.version}`);
+  }
+  if (dictionary) {
+    if (!codec.supportsDictionary) {
+      throw new Error(`Cannot decompress: ${codec.name} does not support dictionaries`);
+    }
+    return codec.decompress(buffer, { dictionary });
+  }
+  return codec.decompress(buffer);
+}
+
+/**
+ * Compresses sample payloads one by one (as the pipeline does) with every available codec and
+ * reports the total compressed size and the CPU time spent
+ * @param {Buffer[]} payloads - Serialized payloads
+ * @param {Object} options - { text: payloads are JSON, dictionary: { id, data } to include the codecs that
+ *   support dictionaries with it }
+ * @returns {Array<Object>} One result per codec and level: { codec, level, available, bytes, ratio, cpuMs }
+ */
+function benchmarkCodecs(payloads, { text = true, dictionary = null } = {}) {
+  const rawBytes = payloads.reduce((sum, payload) => sum + payload.length, 0);
+  const runs = [
+    ...BENCHMARK_BROTLI_LEVELS.map((level) => ({ codec: CODECS[CODEC_BROTLI], level })),
+    ...CODECS.filter((codec) => codec.id !== CODEC_BROTLI).map((codec) => ({ codec, level: codec.defaultLevel }))
+  ];
+  if (dictionary) {
+    runs.push({ codec: CODECS[CODEC_DEFLATE], level: DEFLATE_LEVEL_MAX, dictionary });
+    if (CODECS[CODEC_ZSTD].supportsDictionary) {
+      runs.push({ codec: CODECS[CODEC_ZSTD], level: ZSTD_LEVEL_DEFAULT, dictionary });
+    }
+  }
+
+  return runs.map((run) => {
+    const name = run.dictionary ? `${run.codec.name}+dictionary ${run.dictionary.id}` : run.codec.name;
+    if (!run.codec.available) {
+      return { codec: name, level: run.level, available: false };
+    }
+    const start = process.cpuUsage();
+    let bytes = 0;
+    for (const payload of payloads) {
+      const hints = { text, sizeHint: payload.length, dictionary: run.dictionary ? run.dictionary.data : undefined };
+      bytes += run.codec.compressSync(payload, run.codec.options(run.level, hints)).length;
+    }
+    const cpu = process.cpuUsage(start);
+    return {
+      codec: name,
+      level: run.level,
+      available: true,
+      bytes,
+      ratio: rawBytes > 0 ? Math.round((1 - bytes / rawBytes) * 1000) / 10 : 0,
+      cpuMs: Math.round((cpu.user + cpu.system) / 10) / 100
+    };
+  });
+}
+
+module.exports = {
+  CODECS,
+  CODEC_BROTLI,
+  CODEC_DEFLATE,
+  CODEC_NONE,
+  CODEC_ZSTD,
+  getCodec,
+  codecLevel,
+  compressPayload,
+  decompressPayload,
+  benchmarkCodecs
+};
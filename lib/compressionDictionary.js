@@ -0,0 +1,310 @@
+"use strict";
+
+const { mkdir, readdir, readFile, writeFile, rename, appendFile, stat } = require("fs").promises;
+const { join } = require("path");
+const { MAX_DICTIONARY_ID } = require("./packetHeader");
+const {
+  DICTIONARY_DEFAULT_SIZE,
+  DICTIONARY_MIN_SIZE,
+  DICTIONARY_MAX_SIZE,
+  DICTIONARY_GRAM_LENGTH,
+  DICTIONARY_SEGMENT_LENGTH,
+  DICTIONARY_MIN_SAMPLES,
+  DICTIONARY_TRAIN_MAX_BYTES,
+  TRAFFIC_RECORD_MAX_BYTES
+} = require("./constants");
+
+const DICTIONARY_FILE_PATTERN = /^dictionary-(\d+)\.bin$/;
+
+/**
+ * Returns the file name of a dictionary version
+ * @param {number} id - Dictionary ID
+ * @returns {string} File name
+ */
+function dictionaryFileName(id) {
+  return `dictionary-${id}.bin`;
+}
+
+/**
+ * Trains a preset dictionary for raw deflate from recorded payloads.
+ * Samples are cut into fixed-size segments, and a segment scores the number of samples sharing
+ * each of its substrings. Segments are picked greedily by score; substrings already in the
+ * dictionary no longer count, so repeated content is included once. The best segments end up
+ * at the end of the dictionary, where deflate references them with the shortest distances.
+ * @param {Buffer[]} samples - Payloads exactly as they are passed to compression, oldest first
+ * @param {number} size - Dictionary size in bytes
+ * @returns {Buffer} Dictionary
+ * @throws {Error} If the size is out of range or the samples are too few or too varied
+ */
+function trainDictionary(samples, size = DICTIONARY_DEFAULT_SIZE) {
+  if (!Number.isInteger(size) || size < DICTIONARY_MIN_SIZE || size > DICTIONARY_MAX_SIZE) {
+    throw new Error(`Dictionary size must be between ${DICTIONARY_MIN_SIZE} and ${DICTIONARY_MAX_SIZE} bytes`);
+  }
+  if (samples.length < DICTIONARY_MIN_SAMPLES) {
+    throw new Error(`At least ${DICTIONARY_MIN_SAMPLES} recorded samples are needed, ${samples.length} available`);
+  }
+
+  // Newest samples within the training budget
+  const used = [];
+  let total = 0;
+  for (let i = samples.length - 1; i >= 0 && total < DICTIONARY_TRAIN_MAX_BYTES; i--) {
+    used.push(samples[i]);
+    total += samples[i].length;
+  }
+
+  // Number of samples containing each substring
+  const frequency = new Map();
+  for (const sample of used) {
+    const seen = new Set();
+    for (let i = 0; i + DICTIONARY_GRAM_LENGTH <= sample.length; i++) {
+      seen.add(sample.toString("latin1", i, i + DICTIONARY_GRAM_LENGTH));
+    }
+    for (const gram of seen) {
+      frequency.set(gram, (frequency.get(gram) || 0) + 1);
+    }
+  }
+
+  /**
+   * Sums the sample counts of a segment's substrings that occur in more than one sample
+   * @param {Buffer} segment - Segment
+   * @returns {number} Score
+   */
+  const score = (segment) => {
+    const seen = new Set();
+    let sum = 0;
+    for (let i = 0; i + DICTIONARY_GRAM_LENGTH <= segment.length; i++) {
+      const gram = segment.toString("latin1", i, i + DICTIONARY_GRAM_LENGTH);
+      const count = frequency.get(gram) || 0;
+      if (count > 1 && !seen.has(gram)) {
+        seen.add(gram);
+        sum += count;
+      }
+    }
+    return sum;
+  };
+
+  // Candidates sorted by ascending score, so the best one is popped from the end
+  const candidates = [];
+  for (const sample of used) {
+    for (let offset = 0; offset < sample.length; offset += DICTIONARY_SEGMENT_LENGTH) {
+      const segment = sample.subarray(offset, offset + DICTIONARY_SEGMENT_LENGTH);
+      const value = score(segment);
+      if (value > 0) {
+        candidates.push({ segment, score: value });
+      }
+    }
+  }
+  candidates.sort((a, b) => a.score - b.score);
+
+  // Scores only fall as the dictionary grows, so a candidate is rescored only when it is popped
+  const picked = [];
+  let length = 0;
+  while (candidates.length > 0 && length < size) {
+    const candidate = candidates.pop();
+    candidate.score = score(candidate.segment);
+    if (candidate.score === 0) {
+      continue;
+    }
+    const next = candidates[candidates.length - 1];
+    if (next && candidate.score < next.score) {
+      let low = 0;
+      let high = candidates.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (candidates[mid].score < candidate.score) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      candidates.splice(low, 0, candidate);
+      continue;
+    }
+
+    picked.push(candidate.segment);
+    length += candidate.segment.length;
+    for (let i = 0; i + DICTIONARY_GRAM_LENGTH <= candidate.segment.length; i++) {
+      frequency.delete(candidate.segment.toString("latin1", i, i + DICTIONARY_GRAM_LENGTH));
+    }
+  }
+
+  if (picked.length === 0) {
+    throw new Error("Recorded traffic has no repeated content to build a dictionary from");
+  }
+  const dictionary = Buffer.concat(picked.reverse());
+  return dictionary.length > size ? dictionary.subarray(dictionary.length - size) : dictionary;
+}
+
+/**
+ * Creates the store of trained dictionaries. Each version is a file dictionary-<id>.bin in the
+ * store directory; the ID is carried in the packet header, so both ends need the same file.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {string} directory - Directory holding the dictionary files
+ * @returns {Object} Dictionary store API: { load, get, add, list }
+ */
+function createDictionaryStore(app, directory) {
+  const dictionaries = new Map(); // id -> { data, created }
+
+  /**
+   * Loads all dictionary files. A missing directory means no dictionaries yet.
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    dictionaries.clear();
+    let files;
+    try {
+      files = await readdir(directory);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        app.error(`Failed to read compression dictionaries: ${err.message}`);
+      }
+      return;
+    }
+    for (const file of files) {
+      const match = DICTIONARY_FILE_PATTERN.exec(file);
+      const id = match ? Number(match[1]) : 0;
+      if (id < 1 || id > MAX_DICTIONARY_ID) {
+        continue;
+      }
+      try {
+        const path = join(directory, file);
+        const [data, info] = await Promise.all([readFile(path), stat(path)]);
+        dictionaries.set(id, { data, created: info.mtime.toISOString() });
+      } catch (err) {
+        app.error(`Failed to load compression dictionary ${file}: ${err.message}`);
+      }
+    }
+    app.debug(`Loaded ${dictionaries.size} compression dictionary(ies)`);
+  }
+
+  /**
+   * Returns a dictionary by ID
+   * @param {number} id - Dictionary ID
+   * @returns {Buffer|null} Dictionary, or null if this end does not have it
+   */
+  function get(id) {
+    const entry = dictionaries.get(id);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Saves a new dictionary version under the next free ID (written atomically)
+   * @param {Buffer} data - Dictionary
+   * @returns {Promise<number>} ID of the new dictionary
+   * @throws {Error} If all dictionary IDs are in use
+   */
+  async function add(data) {
+    const id = Math.max(0, ...dictionaries.keys()) + 1;
+    if (id > MAX_DICTIONARY_ID) {
+      throw new Error(`All ${MAX_DICTIONARY_ID} dictionary IDs are in use, delete unused files from ${directory}`);
+    }
+    const path = join(directory, dictionaryFileName(id));
+    await mkdir(directory, { recursive: true });
+    await writeFile(`${path}.tmp`, data);
+    await rename(`${path}.tmp`, path);
+    dictionaries.set(id, { data, created: new Date().toISOString() });
+    return id;
+  }
+
+  /**
+   * Lists the available dictionaries
+   * @returns {Array<{id: number, file: string, size: number, created: string}>} Dictionaries by ID
+   */
+  function list() {
+    return [...dictionaries.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([id, { data, created }]) => ({ id, file: dictionaryFileName(id), size: data.length, created }));
+  }
+
+  return { load, get, add, list };
+}
+
+/**
+ * Reads recorded traffic samples (one base64 payload per line)
+ * @param {string} filePath - Recording file
+ * @returns {Promise<Buffer[]>} Samples, oldest first (none if the file does not exist)
+ */
+async function readTrafficSamples(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, "utf-8");
+  } catch (err) {
+    return [];
+  }
+  return content
+    .split("\n")
+    .filter((line) => line.length > 0)
+    .map((line) => Buffer.from(line, "base64"));
+}
+
+/**
+ * Creates the recorder that appends compression input to a file for dictionary training.
+ * Recording stops once the file reaches its size limit.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {string} filePath - Recording file
+ * @param {number} maxBytes - Size limit of the recording file
+ * @returns {Object} Traffic recorder API: { init, record, flush, getStatus }
+ */
+function createTrafficRecorder(app, filePath, maxBytes = TRAFFIC_RECORD_MAX_BYTES) {
+  let bytes = 0;
+  let full = false;
+  let writeChain = Promise.resolve();
+
+  /**
+   * Continues an existing recording
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    try {
+      bytes = (await stat(filePath)).size;
+    } catch (err) {
+      bytes = 0;
+    }
+    full = bytes >= maxBytes;
+  }
+
+  /**
+   * Appends one payload to the recording
+   * @param {Buffer} payload - Payload as passed to compression
+   */
+  function record(payload) {
+    if (full) {
+      return;
+    }
+    const line = `${payload.toString("base64")}\n`;
+    if (bytes + line.length > maxBytes) {
+      full = true;
+      app.debug(`Traffic recording complete: ${filePath} reached ${maxBytes} bytes`);
+      return;
+    }
+    bytes += line.length;
+    writeChain = writeChain
+      .then(() => appendFile(filePath, line))
+      .catch((err) => app.error(`Failed to record traffic sample: ${err.message}`));
+  }
+
+  /**
+   * Waits for pending writes
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    return writeChain;
+  }
+
+  /**
+   * Returns the recording status
+   * @returns {{bytes: number, maxBytes: number, full: boolean}} Recording status
+   */
+  function getStatus() {
+    return { bytes, maxBytes, full };
+  }
+
+  return { init, record, flush, getStatus };
+}
+
+module.exports = {
+  trainDictionary,
+  createDictionaryStore,
+  createTrafficRecorder,
+  readTrafficSamples
+};
@@ -17,6 +17,111 @@ const BROTLI_QUALITY_HIGH = 10; // Maximum Brotli compression quality
 const UDP_RETRY_MAX = 3; // Maximum UDP send retries
 const UDP_RETRY_DELAY = 100; // milliseconds - base retry delay
 
+// Replay protection
+const REPLAY_WINDOW_SIZE = 1024; // Sequence numbers tracked per sender session
+const REPLAY_MAX_SESSIONS = 1000; // Upper bound on tracked sender sessions
+const DEFAULT_REPLAY_MAX_AGE = 300; // seconds - allowed packet age / clock skew
+
+// Link quality (sequence gap detection)
+const SEQUENCE_MAX_SESSIONS = 1000; // Upper bound on tracked sender sessions
+const SEQUENCE_SESSION_TIMEOUT = 600000; // milliseconds - forget idle sender sessions
+const LINK_STATS_PUBLISH_INTERVAL = 10000; // milliseconds - networking.connector.* updates
+
+// Reliable delivery (ACK/NACK and retransmission)
+const RELIABLE_RETRY_INTERVAL = 2000; // milliseconds - multiplied by the attempt number
+const RELIABLE_MAX_ATTEMPTS = 5; // Sends per packet before giving up
+const RELIABLE_MAX_PENDING = 500; // Unacknowledged packets kept for retransmission
+const RELIABLE_CHECK_INTERVAL = 500; // milliseconds - retransmit timer
+const ACK_DELAY = 50; // milliseconds - acknowledgements collected into one packet
+
+// Forward error correction (XOR parity)
+const FEC_BUFFER_PACKETS = 128; // Received packets kept per sender session for recovery
+const FEC_MAX_SESSIONS = 100; // Upper bound on sender sessions using FEC
+const FEC_MAX_GROUP_SIZE = 32; // Packets per parity packet (overhead 1/N)
+
+// Change detection
+const DEFAULT_FULL_REFRESH_INTERVAL = 300; // seconds - unchanged values are resent after this
+const CHANGE_DETECTION_MAX_ENTRIES = 10000; // Remembered context+path values
+
+// Per-path rate limiting
+const PATH_RATE_MAX_ENTRIES = 10000; // Remembered context+path send times
+
+// Priority lanes
+const DEFAULT_BULK_INTERVAL = 30; // seconds between bulk lane sends
+
+// Bandwidth budget
+const BUDGET_CHECK_INTERVAL = 10000; // milliseconds - usage accounting and level check
+const BUDGET_SAVE_INTERVAL = 60000; // milliseconds - usage counters written to disk
+const BUDGET_REDUCED_AT = 0.75; // Used fraction: longer delta timer
+const BUDGET_PRIORITY_AT = 0.9; // Used fraction: critical and reliable paths only
+const BUDGET_HEARTBEAT_AT = 1; // Used fraction: heartbeat only
+const BUDGET_TIMER_FACTOR = 4; // Delta timer multiplier at the reduced level
+
+// Adaptive delta timer
+const DEFAULT_DELTA_TIMER_MIN = 500; // milliseconds
+const DEFAULT_DELTA_TIMER_MAX = 10000; // milliseconds
+const ADAPTIVE_EVALUATE_INTERVAL = 10000; // milliseconds between adjustments
+const ADAPTIVE_RTT_HIGH = 1500; // milliseconds - back off above this RTT
+const ADAPTIVE_RTT_LOW = 300; // milliseconds - speed up below this RTT
+const ADAPTIVE_LOSS_HIGH = 0.05; // Back off above 5% reported packet loss
+const ADAPTIVE_LOSS_LOW = 0.01; // Speed up only below 1% reported packet loss
+const ADAPTIVE_BACKOFF_FACTOR = 1.5;
+const ADAPTIVE_SPEEDUP_FACTOR = 0.9;
+const ADAPTIVE_SMOOTHING = 0.3; // Weight of a new RTT or loss sample
+
+// Compression dictionary (raw deflate with a preset dictionary)
+const DICTIONARY_DEFAULT_SIZE = 16384; // bytes
+const DICTIONARY_MIN_SIZE = 1024; // bytes
+const DICTIONARY_MAX_SIZE = 32768; // bytes - deflate window, longer dictionaries are not used
+const DICTIONARY_GRAM_LENGTH = 8; // bytes - substring length counted across samples
+const DICTIONARY_SEGMENT_LENGTH = 48; // bytes - unit copied from samples into the dictionary
+const DICTIONARY_MIN_SAMPLES = 20; // Recorded samples needed before training
+const DICTIONARY_TRAIN_MAX_BYTES = 1024 * 1024; // Newest sample bytes used for training
+const TRAFFIC_RECORD_MAX_BYTES = 2 * 1024 * 1024; // Recording stops at this file size
+const DEFLATE_LEVEL_MAX = 9;
+
+// Compression codecs
+const ZSTD_LEVEL_DEFAULT = 9; // zstd levels go up to 19; higher levels cost much more CPU
+const BENCHMARK_BROTLI_LEVELS = [1, 5, 9, 11]; // Brotli qualities compared by the codec benchmark
+const BENCHMARK_MAX_SAMPLES = 50; // Recent payloads kept for the codec benchmark
+
+// Key rotation
+const KEY_ROTATION_WINDOW_HOURS = 24; // Default time the old key stays accepted after the switch
+const KEY_ROTATION_MAX_WINDOW_HOURS = 720;
+const KEY_ROTATION_CHECK_INTERVAL = 60000; // How often a finished rotation is looked for (1 minute)
+
+// Key exchange (forward secrecy)
+const DEFAULT_SESSION_KEY_MINUTES = 60; // How long a session key is used before the client renews it
+const SESSION_KEY_MAX_MINUTES = 1440;
+const HANDSHAKE_RETRY_INTERVAL = 10000; // An unanswered handshake is repeated after this (ms)
+const SESSION_KEY_MAX_AGE = 2 * SESSION_KEY_MAX_MINUTES * MILLISECONDS_PER_MINUTE; // Server drops older keys
+const MAX_KEY_EXCHANGE_SESSIONS = 1000; // Sender sessions the server keeps keys for
+
+// Server failover
+const DEFAULT_FAILOVER_TIMEOUT_SECONDS = 30; // Active server is abandoned after this long without a probe reply
+const DEFAULT_FAILBACK_SECONDS = 300; // A preferred server must answer this long before the client returns to it
+const FAILOVER_PROBES_PER_TIMEOUT = 3; // Probes sent to each watched server per failover timeout
+
+// Server hostname resolution
+const DEFAULT_DNS_REFRESH_SECONDS = 300; // Longest time a resolved address is used without asking DNS again
+const DNS_MIN_TTL_SECONDS = 10; // Shorter record TTLs are raised to this
+const DNS_RETRY_SECONDS = 30; // Retry interval while DNS is unreachable and the last known address is used
+const DNS_SEND_FAILURES_BEFORE_RESOLVE = 3; // Consecutive send failures to a host that trigger a new resolution
+const DNS_QUERY_TIMEOUT = 5000; // ms per DNS query attempt
+
+// TCP transport (fallback when UDP is blocked)
+const STREAM_FRAME_HEADER_SIZE = 4; // uint32 big-endian packet length before every packet
+const STREAM_MAX_FRAME_SIZE = 65535; // Longer frames close the connection
+const STREAM_MAX_CONNECTIONS = 256; // TCP clients a server accepts at a time
+const STREAM_MAX_BUFFERED = 1048576; // Bytes queued on a connection before further packets are dropped
+const STREAM_IDLE_TIMEOUT = 300000; // ms without traffic before a connection is closed
+const STREAM_CONNECT_TIMEOUT = 10000; // ms to establish a connection
+const STREAM_AUTH_TIMEOUT = 5000; // ms for a new TCP client to send a packet that authenticates
+const STREAM_RECONNECT_MIN = 1000; // ms before the first reconnection attempt
+const STREAM_RECONNECT_MAX = 30000; // ms between reconnection attempts at most
+const DEFAULT_TRANSPORT_TIMEOUT_SECONDS = 20; // Automatic transport: unanswered UDP probes before TCP is used
+const TRANSPORT_PROBES_PER_TIMEOUT = 3; // Probes sent per transport timeout in automatic mode
+
 // Smart batching - prevent UDP packets from exceeding MTU
 const SMART_BATCH_SAFETY_MARGIN = 0.85; // Target 85% of MTU (leaves room for variance)
 const SMART_BATCH_SMOOTHING = 0.2; // Rolling average weight (20% new, 80% old)
@@ -28,8 +133,33 @@ const SMART_BATCH_MAX_DELTAS = 50; // Cap to prevent excessive batching latency
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
 const RATE_LIMIT_MAX_REQUESTS = 20; // 20 requests per minute per IP
 
+// API security
+const SECRET_MASK = "********"; // Stands for a stored secret in GET responses (never a valid key)
+const AUDIT_LOG_MAX_BYTES = 1024 * 1024; // The audit log is moved to audit_log.jsonl.1 at this size
+const AUDIT_LOG_DEFAULT_ENTRIES = 100; // Entries returned by the audit log route
+const AUDIT_LOG_MAX_ENTRIES = 1000;
+
+// Store-and-forward queue
+const QUEUE_SEGMENT_MAX_ENTRIES = 500; // Deltas per segment file
+const QUEUE_FLUSH_INTERVAL = 1000; // milliseconds - batch disk writes
+const QUEUE_DRAIN_INTERVAL = 1000; // milliseconds - catch-up send tick
+const DEFAULT_QUEUE_MAX_SIZE_MB = 50;
+const DEFAULT_QUEUE_MAX_AGE_HOURS = 24;
+const DEFAULT_QUEUE_CATCH_UP_RATE = 100; // deltas per second
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+const MILLISECONDS_PER_HOUR = 3600000;
+
+// Return channel (server -> client)
+const RETURN_FLUSH_INTERVAL = 1000; // milliseconds - batch return deltas per peer
+const RETURN_PEER_TIMEOUT = 600000; // milliseconds - forget clients not heard from for 10 minutes
+const RETURN_SOURCE_LABEL = "signalk-data-connector.return"; // Source of injected return data
+const DEFAULT_RETURN_CONTEXT = "vessels.self";
+
 // Metrics
 const BANDWIDTH_HISTORY_MAX = 60; // Keep 60 data points (5 minutes at 5s intervals)
+const OPENMETRICS_MAX_PATHS = 100; // Paths exported with their own label, the rest are summed as one
+const METRICS_HISTORY_UPDATE_INTERVAL = 60000; // milliseconds - counters added to the history buckets
+const METRICS_HISTORY_SAVE_INTERVAL = 300000; // milliseconds - history written to disk
 
 /**
  * Calculates max deltas per batch based on average bytes per delta
@@ -53,6 +183,40 @@ module.exports = {
   BROTLI_QUALITY_HIGH,
   UDP_RETRY_MAX,
   UDP_RETRY_DELAY,
+  REPLAY_WINDOW_SIZE,
+  REPLAY_MAX_SESSIONS,
+  DEFAULT_REPLAY_MAX_AGE,
+  SEQUENCE_MAX_SESSIONS,
+  SEQUENCE_SESSION_TIMEOUT,
+  LINK_STATS_PUBLISH_INTERVAL,
+  RELIABLE_RETRY_INTERVAL,
+  RELIABLE_MAX_ATTEMPTS,
+  RELIABLE_MAX_PENDING,
+  RELIABLE_CHECK_INTERVAL,
+  ACK_DELAY,
+  FEC_BUFFER_PACKETS,
+  FEC_MAX_SESSIONS,
+  FEC_MAX_GROUP_SIZE,
+  DEFAULT_FULL_REFRESH_INTERVAL,
+  CHANGE_DETECTION_MAX_ENTRIES,
+  PATH_RATE_MAX_ENTRIES,
+  DEFAULT_BULK_INTERVAL,
+  BUDGET_CHECK_INTERVAL,
+  BUDGET_SAVE_INTERVAL,
+  BUDGET_REDUCED_AT,
+  BUDGET_PRIORITY_AT,
+  BUDGET_HEARTBEAT_AT,
+  BUDGET_TIMER_FACTOR,
+  DEFAULT_DELTA_TIMER_MIN,
+  DEFAULT_DELTA_TIMER_MAX,
+  ADAPTIVE_EVALUATE_INTERVAL,
+  ADAPTIVE_RTT_HIGH,
+  ADAPTIVE_RTT_LOW,
+  ADAPTIVE_LOSS_HIGH,
+  ADAPTIVE_LOSS_LOW,
+  ADAPTIVE_BACKOFF_FACTOR,
+  ADAPTIVE_SPEEDUP_FACTOR,
+  ADAPTIVE_SMOOTHING,
   SMART_BATCH_SAFETY_MARGIN,
   SMART_BATCH_SMOOTHING,
   SMART_BATCH_INITIAL_ESTIMATE,
@@ -60,6 +224,64 @@ module.exports = {
   SMART_BATCH_MAX_DELTAS,
   RATE_LIMIT_WINDOW,
   RATE_LIMIT_MAX_REQUESTS,
+  SECRET_MASK,
+  AUDIT_LOG_MAX_BYTES,
+  AUDIT_LOG_DEFAULT_ENTRIES,
+  AUDIT_LOG_MAX_ENTRIES,
+  QUEUE_SEGMENT_MAX_ENTRIES,
+  QUEUE_FLUSH_INTERVAL,
+  QUEUE_DRAIN_INTERVAL,
+  DEFAULT_QUEUE_MAX_SIZE_MB,
+  DEFAULT_QUEUE_MAX_AGE_HOURS,
+  DEFAULT_QUEUE_CATCH_UP_RATE,
+  BYTES_PER_MEGABYTE,
+  MILLISECONDS_PER_HOUR,
+  RETURN_FLUSH_INTERVAL,
+  RETURN_PEER_TIMEOUT,
+  RETURN_SOURCE_LABEL,
+  DEFAULT_RETURN_CONTEXT,
   BANDWIDTH_HISTORY_MAX,
+  OPENMETRICS_MAX_PATHS,
+  METRICS_HISTORY_UPDATE_INTERVAL,
+  METRICS_HISTORY_SAVE_INTERVAL,
+  DICTIONARY_DEFAULT_SIZE,
+  DICTIONARY_MIN_SIZE,
+  DICTIONARY_MAX_SIZE,
+  DICTIONARY_GRAM_LENGTH,
+  DICTIONARY_SEGMENT_LENGTH,
+  DICTIONARY_MIN_SAMPLES,
+  DICTIONARY_TRAIN_MAX_BYTES,
+  TRAFFIC_RECORD_MAX_BYTES,
+  DEFLATE_LEVEL_MAX,
+  ZSTD_LEVEL_DEFAULT,
+  BENCHMARK_BROTLI_LEVELS,
+  BENCHMARK_MAX_SAMPLES,
+  KEY_ROTATION_WINDOW_HOURS,
+  KEY_ROTATION_MAX_WINDOW_HOURS,
+  KEY_ROTATION_CHECK_INTERVAL,
+  DEFAULT_SESSION_KEY_MINUTES,
+  SESSION_KEY_MAX_MINUTES,
+  HANDSHAKE_RETRY_INTERVAL,
+  SESSION_KEY_MAX_AGE,
+  MAX_KEY_EXCHANGE_SESSIONS,
+  DEFAULT_FAILOVER_TIMEOUT_SECONDS,
+  DEFAULT_FAILBACK_SECONDS,
+  FAILOVER_PROBES_PER_TIMEOUT,
+  DEFAULT_DNS_REFRESH_SECONDS,
+  DNS_MIN_TTL_SECONDS,
+  DNS_RETRY_SECONDS,
+  DNS_SEND_FAILURES_BEFORE_RESOLVE,
+  DNS_QUERY_TIMEOUT,
+  STREAM_FRAME_HEADER_SIZE,
+  STREAM_MAX_FRAME_SIZE,
+  STREAM_MAX_CONNECTIONS,
+  STREAM_MAX_BUFFERED,
+  STREAM_IDLE_TIMEOUT,
+  STREAM_CONNECT_TIMEOUT,
+  STREAM_AUTH_TIMEOUT,
+  STREAM_RECONNECT_MIN,
+  STREAM_RECONNECT_MAX,
+  DEFAULT_TRANSPORT_TIMEOUT_SECONDS,
+  TRANSPORT_PROBES_PER_TIMEOUT,
   calculateMaxDeltasPerBatch
 };
@@ -4,18 +4,36 @@ const crypto = require("crypto");
 const ALGORITHM = "aes-256-gcm";
 const IV_LENGTH = 12; // GCM standard IV length
 const AUTH_TAG_LENGTH = 16; // GCM authentication tag length
+const KEY_LENGTH = 32; // AES-256 key length
+
+// Passphrase key derivation: scrypt stretches the passphrase, HKDF derives the packet key from it
+const PASSPHRASE_MIN_LENGTH = 12;
+const SALT_MIN_LENGTH = 8;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 }; // 32 MB, about 0.1 s
+const HKDF_INFO = "signalk-data-connector packet key";
+const FINGERPRINT_INFO = "signalk-data-connector key fingerprint";
+
+/**
+ * Checks that a key is a 32-character string or a derived 32-byte key
+ * @param {string|Buffer} secretKey - Key to check
+ * @returns {boolean} True if the key can be used for AES-256
+ */
+const isUsableKey = (secretKey) =>
+  (typeof secretKey === "string" && secretKey.length === KEY_LENGTH) ||
+  (Buffer.isBuffer(secretKey) && secretKey.length === KEY_LENGTH);
 
 /**
  * Encrypts data using AES-256-GCM with binary output
  * Binary format: [IV (12 bytes)][Encrypted Data][Auth Tag (16 bytes)]
  * @param {Buffer} data - Data to encrypt
- * @param {string} secretKey - 32-character secret key
+ * @param {string|Buffer} secretKey - 32-character secret key or 32-byte derived key
+ * @param {Buffer} aad - Additional authenticated data (e.g. packet header), not encrypted (optional)
  * @returns {Buffer} Binary packet with IV, encrypted data, and auth tag
  * @throws {Error} If secretKey is invalid or data is empty
  */
-const encryptBinary = (data, secretKey) => {
+const encryptBinary = (data, secretKey, aad = null) => {
   // Validate inputs
-  if (!secretKey || typeof secretKey !== "string" || secretKey.length !== 32) {
+  if (!isUsableKey(secretKey)) {
     throw new Error("Secret key must be exactly 32 characters");
   }
   if (!data || (Buffer.isBuffer(data) && data.length === 0)) {
@@ -28,6 +46,9 @@ const encryptBinary = (data, secretKey) => {
   // Generate random IV for each encryption (critical for GCM security)
   const iv = crypto.randomBytes(IV_LENGTH);
   const cipher = crypto.createCipheriv(ALGORITHM, secretKey, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
 
   const encrypted = Buffer.concat([cipher.update(dataBuffer), cipher.final()]);
   const authTag = cipher.getAuthTag();
@@ -39,13 +60,14 @@ const encryptBinary = (data, secretKey) => {
 /**
  * Decrypts data encrypted with AES-256-GCM
  * @param {Buffer} packet - Binary packet with IV, encrypted data, and auth tag
- * @param {string} secretKey - 32-character secret key
+ * @param {string|Buffer} secretKey - 32-character secret key or 32-byte derived key
+ * @param {Buffer} aad - Additional authenticated data used at encryption (optional)
  * @returns {Buffer} Decrypted data as Buffer
  * @throws {Error} If secretKey or packet is invalid, or authentication fails
  */
-const decryptBinary = (packet, secretKey) => {
+const decryptBinary = (packet, secretKey, aad = null) => {
   // Validate inputs
-  if (!secretKey || typeof secretKey !== "string" || secretKey.length !== 32) {
+  if (!isUsableKey(secretKey)) {
     throw new Error("Secret key must be exactly 32 characters");
   }
   if (!Buffer.isBuffer(packet) || packet.length < IV_LENGTH + AUTH_TAG_LENGTH) {
@@ -59,6 +81,9 @@ const decryptBinary = (packet, secretKey) => {
 
   const decipher = crypto.createDecipheriv(ALGORITHM, secretKey, iv);
   decipher.setAuthTag(authTag);
+  if (aad) {
+    decipher.setAAD(aad);
+  }
 
   // This will throw if authentication fails (tampered data)
   return Buffer.concat([decipher.update(encrypted), decipher.final()]);
@@ -89,10 +114,62 @@ function validateSecretKey(key) {
   return true;
 }
 
+/**
+ * Validates a passphrase used for key derivation
+ * @param {string} passphrase - Passphrase to validate
+ * @returns {boolean} True if passphrase is valid
+ * @throws {Error} If passphrase is too short or repetitive
+ */
+function validatePassphrase(passphrase) {
+  if (!passphrase || typeof passphrase !== "string" || passphrase.length < PASSPHRASE_MIN_LENGTH) {
+    throw new Error(`Passphrase must be at least ${PASSPHRASE_MIN_LENGTH} characters`);
+  }
+  if (new Set(passphrase.split("")).size < 6) {
+    throw new Error("Passphrase has insufficient diversity (use at least 6 different characters)");
+  }
+  return true;
+}
+
+/**
+ * Derives a 32-byte encryption key from a passphrase: scrypt makes guessing expensive,
+ * HKDF binds the result to its use as packet key. Both ends derive the same key from the
+ * same passphrase and salt.
+ * @param {string} passphrase - Passphrase (see validatePassphrase)
+ * @param {string} salt - Salt shared by both ends, at least 8 characters
+ * @returns {Promise<Buffer>} Derived key
+ * @throws {Error} If the salt is too short
+ */
+const deriveKey = (passphrase, salt) => {
+  if (!salt || typeof salt !== "string" || salt.length < SALT_MIN_LENGTH) {
+    return Promise.reject(new Error(`Key salt must be at least ${SALT_MIN_LENGTH} characters`));
+  }
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS, (err, stretched) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(Buffer.from(crypto.hkdfSync("sha256", stretched, salt, HKDF_INFO, KEY_LENGTH)));
+    });
+  });
+};
+
+/**
+ * Computes the one-byte fingerprint carried in the packet header, so a receiver holding
+ * several keys (during a rotation) knows which one encrypted a packet
+ * @param {string|Buffer} secretKey - Encryption key
+ * @returns {number} Fingerprint (0-255)
+ */
+const keyFingerprint = (secretKey) => crypto.createHmac("sha256", secretKey).update(FINGERPRINT_INFO).digest()[0];
+
 module.exports = {
   encryptBinary,
   decryptBinary,
   validateSecretKey,
+  validatePassphrase,
+  deriveKey,
+  keyFingerprint,
   IV_LENGTH,
-  AUTH_TAG_LENGTH
+  AUTH_TAG_LENGTH,
+  PASSPHRASE_MIN_LENGTH
 };
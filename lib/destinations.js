@@ -0,0 +1,311 @@
+"use strict";
+
+const createMetrics = require("./metrics");
+const createPipeline = require("./pipeline");
+const createChangeDetector = require("./changeDetector");
+const { loadKeyRing } = require("./keyRotation");
+const { openClientSocket, formatEndpoint } = require("./udpSocket");
+const { createClientTransport } = require("./streamTransport");
+const { compilePatterns } = require("./pathMatcher");
+const { decodeHeader, deriveKeyId, PACKET_TYPE_DATA } = require("./packetHeader");
+const { MAX_DELTAS_BUFFER_SIZE, SMART_BATCH_INITIAL_ESTIMATE, calculateMaxDeltasPerBatch } = require("./constants");
+
+/**
+ * Keeps the values of a delta that belong to a destination
+ * @param {Object} delta - Delta from the subscription
+ * @param {Function} isContextIncluded - Context predicate
+ * @param {Function} isPathIncluded - Path predicate
+ * @returns {Object|null} Delta with the included values, or null if none remain
+ */
+function filterDelta(delta, isContextIncluded, isPathIncluded) {
+  if (!delta || !isContextIncluded(delta.context || "")) {
+    return null;
+  }
+  if (!Array.isArray(delta.updates)) {
+    return delta;
+  }
+  let modified = false;
+  const updates = [];
+  for (const update of delta.updates) {
+    if (!Array.isArray(update.values) || update.values.length === 0) {
+      updates.push(update);
+      continue;
+    }
+    const values = update.values.filter((pathValue) => isPathIncluded(pathValue.path));
+    if (values.length === update.values.length) {
+      updates.push(update);
+    } else {
+      modified = true;
+      if (values.length > 0) {
+        updates.push({ ...update, values });
+      }
+    }
+  }
+  if (!modified) {
+    return delta;
+  }
+  return updates.some((update) => Array.isArray(update.values) && update.values.length > 0)
+    ? { ...delta, updates }
+    : null;
+}
+
+/**
+ * Checks whether a delta carries any path matching a predicate
+ * @param {Object} delta - Delta to check
+ * @param {Function} predicate - Path predicate
+ * @returns {boolean} True if any value matches
+ */
+function hasPath(delta, predicate) {
+  return (delta.updates || []).some((update) => (update.values || []).some((value) => predicate(value.path)));
+}
+
+/**
+ * Creates an additional destination of a client: another server that gets its own copy of
+ * the data, filtered by its own contexts and paths and encrypted with its own key. Each
+ * destination has its own socket, pipeline (sequence numbers, reliable delivery, FEC and
+ * session keys), batch and metrics. Its state object inherits from the shared state, so
+ * compression settings, reliable paths and the dictionary stay the same as for the main server.
+ * @param {Object} app - SignalK app object
+ * @param {Object} state - Shared plugin state
+ * @param {Object} definition - Destination entry ({ name, udpAddress, udpPort, secretKey, clientId,
+ *   contexts, paths })
+ * @param {Object} options - Plugin options
+ * @param {Function} onError - Called with a message if the key rotation schedule is invalid
+ * @returns {Promise<Object>} Destination API: { name, push, timerElapsed, heartbeat, bytesTransferred,
+ *   getStatus, stop }
+ * @throws {Error} If the key, passphrase or salt is invalid
+ */
+async function createDestination(app, state, definition, options, onError) {
+  const { name, udpAddress, udpPort } = definition;
+  const keyRing = await loadKeyRing({ ...options, secretKey: definition.secretKey, nextSecretKey: undefined }, onError);
+  const metricsApi = createMetrics();
+  const { metrics, updateBandwidthRates, formatBytes } = metricsApi;
+  const isContextIncluded = compilePatterns(definition.contexts, true);
+  const isPathIncluded = compilePatterns(definition.paths, true);
+
+  const destinationState = Object.create(state);
+  Object.assign(destinationState, {
+    options: { ...options, udpAddress, udpPort },
+    keyRing,
+    keyId: deriveKeyId(definition.clientId),
+    socketUdp: createClientTransport(app, await openClientSocket(), options),
+    // Traffic samples are recorded once, from the main server's packets
+    trafficRecorder: null,
+    deltas: [],
+    timer: false,
+    lastPacketTime: 0,
+    avgBytesPerDelta: SMART_BATCH_INITIAL_ESTIMATE,
+    maxDeltasPerBatch: calculateMaxDeltasPerBatch(SMART_BATCH_INITIAL_ESTIMATE)
+  });
+  const pipeline = createPipeline(app, destinationState, metricsApi);
+  const changeDetector = options.changeDetection ? createChangeDetector(options, metrics.changeDetection) : null;
+
+  destinationState.socketUdp.on("error", (err) => {
+    app.error(`Destination ${name} socket error: ${err.message}`);
+  });
+  destinationState.socketUdp.on("switch", ({ to }) => {
+    app.debug(`Destination ${name} now sends over ${to.toUpperCase()}`);
+  });
+
+  // Acknowledgements and handshake replies come back to the destination's own socket
+  destinationState.socketUdp.on("message", (packet, rinfo) => {
+    try {
+      if (decodeHeader(packet).type === PACKET_TYPE_DATA) {
+        app.debug(`Data packet from destination ${name} ignored, return data comes from the main server only`);
+        return;
+      }
+    } catch (err) {
+      // Left to the pipeline, which reports it
+    }
+    pipeline.unpackDecrypt(packet, keyRing.receiveKeys(), rinfo);
+  });
+
+  /**
+   * Sends a batch; deltas with reliable paths go into separate, acknowledged packets. Deltas
+   * batched before the bandwidth budget level rose are held to the new level.
+   * @param {Object[]} batch - Deltas to send
+   * @returns {Promise<void>}
+   */
+  async function send(batch) {
+    const secretKey = keyRing.sendKey();
+    const allowed = state.isAllowedByBudget ? batch.filter(state.isAllowedByBudget) : batch;
+    const deltas = changeDetector ? changeDetector.filter(allowed) : allowed;
+    const reliable = state.isReliablePath ? deltas.filter((delta) => hasPath(delta, state.isReliablePath)) : [];
+    const bestEffort = reliable.length > 0 ? deltas.filter((delta) => !reliable.includes(delta)) : deltas;
+
+    if (bestEffort.length > 0) {
+      await pipeline.packCrypt(bestEffort, secretKey, udpAddress, udpPort);
+    }
+    if (reliable.length > 0) {
+      await pipeline.packCrypt(reliable, secretKey, udpAddress, udpPort, undefined, true);
+    }
+  }
+
+  /**
+   * Adds the destination's part of a delta to its batch and sends the batch when it is
+   * full or the delta timer has elapsed
+   * @param {Object} delta - Delta from the subscription
+   */
+  function push(delta) {
+    const filtered = filterDelta(delta, isContextIncluded, isPathIncluded);
+    if (!filtered) {
+      return;
+    }
+    if (destinationState.deltas.length >= MAX_DELTAS_BUFFER_SIZE) {
+      app.error(`Destination ${name} buffer overflow (${destinationState.deltas.length} items), clearing buffer`);
+      destinationState.deltas = [];
+    }
+    destinationState.deltas.push(filtered);
+
+    const batchReady = destinationState.deltas.length >= destinationState.maxDeltasPerBatch;
+    if (batchReady || destinationState.timer) {
+      if (batchReady) {
+        metrics.smartBatching.earlySends++;
+      } else {
+        metrics.smartBatching.timerSends++;
+      }
+      send(destinationState.deltas);
+      destinationState.deltas = [];
+      destinationState.timer = false;
+    }
+  }
+
+  /**
+   * Marks the delta timer as elapsed, so the next delta sends the batch
+   */
+  function timerElapsed() {
+    destinationState.timer = true;
+  }
+
+  /**
+   * Renews the session key when due, probes in automatic transport mode and sends the hello delta
+   * if nothing was sent for an interval
+   * @param {number} helloInterval - Heartbeat interval in ms
+   * @param {Object} helloDelta - Delta without values
+   * @returns {Promise<void>}
+   */
+  async function heartbeat(helloInterval, helloDelta) {
+    await pipeline.renewSessionKey(keyRing.sendKey(), udpAddress, udpPort);
+    // Automatic transport: the answer to the probe shows whether UDP gets through
+    if (options.transport === "auto") {
+      await pipeline.sendProbe(keyRing.sendKey(), udpAddress, udpPort, Buffer.from("{}"));
+    }
+    if (Date.now() - destinationState.lastPacketTime >= helloInterval) {
+      await pipeline.packCrypt([helloDelta], keyRing.sendKey(), udpAddress, udpPort);
+    }
+  }
+
+  /**
+   * Returns the bytes sent to and received from the destination, which count against the
+   * bandwidth budget
+   * @returns {number} Bytes sent plus bytes received
+   */
+  function bytesTransferred() {
+    return metrics.bandwidth.bytesOut + metrics.bandwidth.bytesIn;
+  }
+
+  /**
+   * Returns the destination's statistics for the metrics API
+   * @returns {Object} Address, traffic, batching, reliable delivery and error statistics
+   */
+  function getStatus() {
+    updateBandwidthRates(false);
+    const { bandwidth } = metrics;
+    return {
+      name,
+      address: formatEndpoint(udpAddress, udpPort),
+      clientId: definition.clientId || null,
+      packetsOut: bandwidth.packetsOut,
+      bytesOut: bandwidth.bytesOut,
+      bytesOutRaw: bandwidth.bytesOutRaw,
+      bytesOutFormatted: formatBytes(bandwidth.bytesOut),
+      rateOut: bandwidth.rateOut,
+      rateOutFormatted: formatBytes(bandwidth.rateOut) + "/s",
+      compressionRatio: bandwidth.compressionRatio,
+      deltasBuffered: destinationState.deltas.length,
+      maxDeltasPerBatch: destinationState.maxDeltasPerBatch,
+      reliable: { ...metrics.reliable },
+      keyExchange: options.forwardSecrecy ? pipeline.getKeyExchangeStatus() : null,
+      transport: destinationState.socketUdp ? destinationState.socketUdp.getStatus().active : null,
+      errors:
+        metrics.udpSendErrors + metrics.compressionErrors + metrics.encryptionErrors + metrics.protocolErrors,
+      lastError: metrics.lastError
+    };
+  }
+
+  /**
+   * Stops retransmissions and closes the socket (plugin stop)
+   */
+  function stop() {
+    pipeline.stop();
+    // Sends still in progress are dropped by the pipeline once the options are gone
+    destinationState.options = null;
+    destinationState.deltas = [];
+    try {
+      destinationState.socketUdp.close();
+    } catch (err) {
+      app.debug(`Destination ${name} socket already closed: ${err.message}`);
+    }
+    destinationState.socketUdp = null;
+  }
+
+  pipeline.renewSessionKey(keyRing.sendKey(), udpAddress, udpPort);
+
+  return { name, push, timerElapsed, heartbeat, bytesTransferred, getStatus, stop };
+}
+
+/**
+ * Creates the additional destinations from plugin options. Invalid entries are skipped and reported.
+ * @param {Object} app - SignalK app object
+ * @param {Object} state - Shared plugin state
+ * @param {Object} options - Plugin options ({ destinations, ... })
+ * @param {Function} onError - Called with a message for every rejected entry
+ * @returns {Promise<Object[]>} Destinations
+ */
+async function createDestinations(app, state, options, onError) {
+  const destinations = [];
+  if (!Array.isArray(options.destinations)) {
+    return destinations;
+  }
+
+  for (const definition of options.destinations) {
+    const name = definition && typeof definition.name === "string" ? definition.name.trim() : "";
+    if (!name) {
+      onError("Destination without name skipped");
+      continue;
+    }
+    if (destinations.some((destination) => destination.name === name)) {
+      onError(`Duplicate destination "${name}" skipped`);
+      continue;
+    }
+    if (typeof definition.udpAddress !== "string" || definition.udpAddress.trim() === "") {
+      onError(`Destination "${name}" skipped: address missing`);
+      continue;
+    }
+    if (!Number.isInteger(definition.udpPort) || definition.udpPort < 1 || definition.udpPort > 65535) {
+      onError(`Destination "${name}" skipped: port must be between 1 and 65535`);
+      continue;
+    }
+
+    try {
+      destinations.push(
+        await createDestination(
+          app,
+          state,
+          { ...definition, name, udpAddress: definition.udpAddress.trim() },
+          options,
+          onError
+        )
+      );
+    } catch (err) {
+      onError(`Destination "${name}" skipped: ${err.message}`);
+    }
+  }
+
+  return destinations;
+}
+
+module.exports = {
+  createDestinations,
+  filterDelta
+};
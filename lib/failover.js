@@ -0,0 +1,201 @@
+"use strict";
+
+const { DEFAULT_FAILOVER_TIMEOUT_SECONDS, DEFAULT_FAILBACK_SECONDS } = require("./constants");
+const { formatEndpoint } = require("./udpSocket");
+
+/**
+ * Reads the servers in order of preference from plugin options: the configured server first,
+ * then the failover servers. Invalid entries are skipped and reported.
+ * @param {Object} options - Plugin options ({ udpAddress, udpPort, failoverServers })
+ * @param {Function} onError - Called with a message for every rejected entry
+ * @returns {Object[]} Servers ({ address, port })
+ */
+function readServers(options, onError) {
+  const servers = [{ address: options.udpAddress, port: options.udpPort }];
+  for (const [index, entry] of (options.failoverServers || []).entries()) {
+    const address = entry && typeof entry.udpAddress === "string" ? entry.udpAddress.trim() : "";
+    if (!address) {
+      onError(`Failover server ${index + 1} skipped: address missing`);
+    } else if (!Number.isInteger(entry.udpPort) || entry.udpPort < 1 || entry.udpPort > 65535) {
+      onError(`Failover server ${address} skipped: port must be between 1 and 65535`);
+    } else {
+      servers.push({ address, port: entry.udpPort });
+    }
+  }
+  return servers;
+}
+
+/**
+ * Creates the server failover of a client: an ordered list of servers (the configured server
+ * first, then the failover servers) of which one is active. The active server is probed, and
+ * when it stops answering for the failover timeout the client moves on to the next one. While
+ * a backup is active, the servers before it are probed too; once one of them has answered for
+ * the fail-back period, the client returns to it.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {Object} options - Plugin options ({ udpAddress, udpPort, failoverServers, failoverTimeout,
+ *   failbackDelay }, times in seconds)
+ * @param {Function} onError - Called with a message for every rejected failover server
+ * @returns {Object} Failover API: { active, probes, recordReply, check, getStatus }
+ */
+function createFailover(app, options, onError) {
+  const timeout = (options.failoverTimeout || DEFAULT_FAILOVER_TIMEOUT_SECONDS) * 1000;
+  const failbackDelay =
+    (Number.isFinite(options.failbackDelay) ? options.failbackDelay : DEFAULT_FAILBACK_SECONDS) * 1000;
+  const endpoints = readServers(options, onError).map(({ address, port }) => ({
+    address,
+    port,
+    lastReply: 0,
+    upSince: null, // Start of the current run of answered probes
+    rtt: null,
+    probesSent: 0,
+    repliesReceived: 0
+  }));
+  let activeIndex = 0;
+  let activeSince = Date.now();
+  let switches = 0;
+  let lastSwitch = null;
+
+  /**
+   * Tells whether a server answered within the failover timeout
+   * @param {Object} endpoint - Server entry
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if it answers
+   */
+  function isAnswering(endpoint, now) {
+    return endpoint.lastReply > 0 && now - endpoint.lastReply < timeout;
+  }
+
+  /**
+   * Returns the server data is sent to
+   * @returns {{address: string, port: number, index: number}} Active server
+   */
+  function active() {
+    const { address, port } = endpoints[activeIndex];
+    return { address, port, index: activeIndex };
+  }
+
+  /**
+   * Returns the probes to send now: one to the active server and, while a backup is active,
+   * one to each preferred server
+   * @param {number} now - Current time in ms
+   * @returns {Object[]} Probes ({ address, port, payload })
+   */
+  function probes(now = Date.now()) {
+    return endpoints.slice(0, activeIndex + 1).map((endpoint, index) => {
+      endpoint.probesSent++;
+      return {
+        address: endpoint.address,
+        port: endpoint.port,
+        payload: Buffer.from(JSON.stringify({ i: index, t: now }), "utf8")
+      };
+    });
+  }
+
+  /**
+   * Takes a server's answer to a probe (the probe payload echoed back)
+   * @param {Buffer} payload - Probe reply payload
+   * @param {number} now - Current time in ms
+   */
+  function recordReply(payload, now = Date.now()) {
+    let probe;
+    try {
+      probe = JSON.parse(payload.toString("utf8"));
+    } catch (err) {
+      app.debug(`Invalid probe reply ignored: ${err.message}`);
+      return;
+    }
+    const endpoint = probe && Number.isInteger(probe.i) ? endpoints[probe.i] : undefined;
+    if (!endpoint) {
+      return;
+    }
+    if (!isAnswering(endpoint, now)) {
+      endpoint.upSince = now;
+    }
+    endpoint.lastReply = now;
+    endpoint.repliesReceived++;
+    if (typeof probe.t === "number" && probe.t <= now) {
+      endpoint.rtt = now - probe.t;
+    }
+  }
+
+  /**
+   * Moves to another server
+   * @param {number} index - Index of the new active server
+   * @param {string} reason - "timeout" or "failback"
+   * @param {number} now - Current time in ms
+   * @returns {Object} Switch ({ from, to, reason, time }, servers as "host:port")
+   */
+  function switchTo(index, reason, now) {
+    const name = ({ address, port }) => formatEndpoint(address, port);
+    lastSwitch = { from: name(endpoints[activeIndex]), to: name(endpoints[index]), reason, time: now };
+    activeIndex = index;
+    activeSince = now;
+    switches++;
+    return lastSwitch;
+  }
+
+  /**
+   * Fails over when the active server has not answered for the failover timeout (a newly
+   * active server gets the full timeout), and fails back to the most preferred server that
+   * has answered for the fail-back period
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} Switch ({ from, to, reason, time }), or null if the active server stays
+   */
+  function check(now = Date.now()) {
+    if (endpoints.length < 2) {
+      return null;
+    }
+    const current = endpoints[activeIndex];
+    if (now - Math.max(activeSince, current.lastReply) >= timeout) {
+      return switchTo((activeIndex + 1) % endpoints.length, "timeout", now);
+    }
+    for (let index = 0; index < activeIndex; index++) {
+      const endpoint = endpoints[index];
+      if (isAnswering(endpoint, now) && now - endpoint.upSince >= failbackDelay) {
+        return switchTo(index, "failback", now);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the failover status for the metrics API
+   * @param {number} now - Current time in ms
+   * @returns {Object} Active server, switches and the state of every server: "up", "down", "probing"
+   *   (no answer yet) or "standby" (after the active server, not probed)
+   */
+  function getStatus(now = Date.now()) {
+    return {
+      active: formatEndpoint(endpoints[activeIndex].address, endpoints[activeIndex].port),
+      activeIndex,
+      activeSince,
+      switches,
+      lastSwitch,
+      timeoutSeconds: timeout / 1000,
+      failbackSeconds: failbackDelay / 1000,
+      servers: endpoints.map((endpoint, index) => {
+        let status = "probing";
+        if (index > activeIndex) {
+          status = "standby";
+        } else if (isAnswering(endpoint, now)) {
+          status = "up";
+        } else if (now - Math.max(activeSince, endpoint.lastReply) >= timeout) {
+          status = "down";
+        }
+        return {
+          address: formatEndpoint(endpoint.address, endpoint.port),
+          active: index === activeIndex,
+          status,
+          rtt: isAnswering(endpoint, now) ? endpoint.rtt : null,
+          lastReply: endpoint.lastReply || null,
+          probesSent: endpoint.probesSent,
+          repliesReceived: endpoint.repliesReceived
+        };
+      })
+    };
+  }
+
+  return { active, probes, recordReply, check, getStatus };
+}
+
+module.exports = createFailover;
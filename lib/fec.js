@@ -0,0 +1,200 @@
+"use strict";
+
+const { FEC_BUFFER_PACKETS, FEC_MAX_SESSIONS } = require("./constants");
+
+// Parity payload: [Count (1)][Sequence (4) x Count][Length XOR (2)][XOR of packets]
+const COUNT_LENGTH = 1;
+const SEQUENCE_LENGTH = 4;
+const LENGTH_XOR_LENGTH = 2;
+
+/**
+ * XORs a packet into an accumulator, treating missing bytes as zero
+ * @param {Buffer} target - Accumulator (at least as long as source)
+ * @param {Buffer} source - Packet to add
+ */
+function xorInto(target, source) {
+  for (let i = 0; i < source.length; i++) {
+    target[i] ^= source[i];
+  }
+}
+
+/**
+ * Builds the parity payload for a group of sent packets
+ * @param {Array<{seq: number, packet: Buffer}>} group - Packets of the group
+ * @returns {Buffer} Parity payload
+ */
+function encodeParity(group) {
+  const maxLength = Math.max(...group.map(({ packet }) => packet.length));
+  const prefixLength = COUNT_LENGTH + group.length * SEQUENCE_LENGTH + LENGTH_XOR_LENGTH;
+  const parity = Buffer.alloc(prefixLength + maxLength);
+
+  let offset = parity.writeUInt8(group.length, 0);
+  let lengthXor = 0;
+  for (const { seq, packet } of group) {
+    offset = parity.writeUInt32BE(seq, offset);
+    lengthXor ^= packet.length;
+  }
+  parity.writeUInt16BE(lengthXor, offset);
+
+  const data = parity.subarray(prefixLength);
+  for (const { packet } of group) {
+    xorInto(data, packet);
+  }
+  return parity;
+}
+
+/**
+ * Parses a parity payload
+ * @param {Buffer} parity - Parity payload
+ * @returns {{seqs: number[], lengthXor: number, data: Buffer}} Parsed parity
+ * @throws {Error} If the payload is truncated
+ */
+function decodeParity(parity) {
+  const count = parity.length >= COUNT_LENGTH ? parity.readUInt8(0) : 0;
+  const prefixLength = COUNT_LENGTH + count * SEQUENCE_LENGTH + LENGTH_XOR_LENGTH;
+  if (count === 0 || parity.length < prefixLength) {
+    throw new Error("Invalid FEC parity payload");
+  }
+  const seqs = [];
+  for (let i = 0; i < count; i++) {
+    seqs.push(parity.readUInt32BE(COUNT_LENGTH + i * SEQUENCE_LENGTH));
+  }
+  return {
+    seqs,
+    lengthXor: parity.readUInt16BE(COUNT_LENGTH + count * SEQUENCE_LENGTH),
+    data: parity.subarray(prefixLength)
+  };
+}
+
+/**
+ * Creates the sender-side FEC encoder that emits one XOR parity payload per group of packets
+ * @returns {Object} FEC encoder API: { add, reset }
+ */
+function createFecEncoder() {
+  let group = [];
+
+  /**
+   * Adds a sent packet to the current group
+   * @param {number} seq - Sequence number of the packet
+   * @param {Buffer} packet - Packet as sent
+   * @param {number} groupSize - Packets per parity packet
+   * @returns {Buffer|null} Parity payload when the group is complete
+   */
+  function add(seq, packet, groupSize) {
+    group.push({ seq, packet });
+    if (group.length < groupSize) {
+      return null;
+    }
+    const parity = encodeParity(group);
+    group = [];
+    return parity;
+  }
+
+  /**
+   * Discards the current incomplete group
+   */
+  function reset() {
+    group = [];
+  }
+
+  return { add, reset };
+}
+
+/**
+ * Creates the receiver-side FEC decoder. Recent packets of senders that use FEC are kept,
+ * so a single packet missing from a parity group can be rebuilt by XOR.
+ * @param {Object} stats - Mutable counters ({ parityReceived, recovered, unrecoverable })
+ * @returns {Object} FEC decoder API: { trackSession, store, recover, reset }
+ */
+function createFecDecoder(stats) {
+  const sessions = new Map(); // "keyId:sessionId" -> Map(seq -> packet)
+
+  /**
+   * Starts keeping packets of a sender session (called when its first FEC-flagged data packet
+   * or parity packet arrives)
+   * @param {string} sessionKey - "keyId:sessionId"
+   * @returns {Map<number, Buffer>} Kept packets of the session
+   */
+  function trackSession(sessionKey) {
+    let packets = sessions.get(sessionKey);
+    if (!packets) {
+      if (sessions.size >= FEC_MAX_SESSIONS) {
+        sessions.delete(sessions.keys().next().value);
+      }
+      packets = new Map();
+      sessions.set(sessionKey, packets);
+    }
+    return packets;
+  }
+
+  /**
+   * Keeps a received packet of a sender session that uses FEC
+   * @param {string} sessionKey - "keyId:sessionId"
+   * @param {number} seq - Sequence number
+   * @param {Buffer} packet - Received packet
+   * @param {boolean} [protectedByFec] - The packet is flagged as part of a parity group, which
+   *   starts tracking the session with its first group
+   */
+  function store(sessionKey, seq, packet, protectedByFec = false) {
+    const packets = protectedByFec ? trackSession(sessionKey) : sessions.get(sessionKey);
+    if (!packets) {
+      return;
+    }
+    packets.set(seq, packet);
+    if (packets.size > FEC_BUFFER_PACKETS) {
+      packets.delete(packets.keys().next().value);
+    }
+  }
+
+  /**
+   * Rebuilds the packet missing from a parity group
+   * @param {string} sessionKey - "keyId:sessionId"
+   * @param {Buffer} parityPayload - Decrypted parity payload
+   * @returns {Buffer|null} Rebuilt packet, or null if nothing or more than one packet is missing
+   */
+  function recover(sessionKey, parityPayload) {
+    const packets = trackSession(sessionKey);
+    stats.parityReceived++;
+    const { seqs, lengthXor, data } = decodeParity(parityPayload);
+    const missing = seqs.filter((seq) => !packets.has(seq));
+    if (missing.length === 0) {
+      return null;
+    }
+    if (missing.length > 1) {
+      stats.unrecoverable++;
+      return null;
+    }
+
+    const rebuilt = Buffer.from(data);
+    let length = lengthXor;
+    for (const seq of seqs) {
+      const packet = packets.get(seq);
+      if (packet) {
+        xorInto(rebuilt, packet);
+        length ^= packet.length;
+      }
+    }
+    if (length > rebuilt.length) {
+      stats.unrecoverable++;
+      return null;
+    }
+    stats.recovered++;
+    return rebuilt.subarray(0, length);
+  }
+
+  /**
+   * Forgets all kept packets
+   */
+  function reset() {
+    sessions.clear();
+  }
+
+  return { trackSession, store, recover, reset };
+}
+
+module.exports = {
+  encodeParity,
+  decodeParity,
+  createFecEncoder,
+  createFecDecoder
+};
@@ -0,0 +1,220 @@
+"use strict";
+
+const dns = require("dns");
+const net = require("net");
+const {
+  DEFAULT_DNS_REFRESH_SECONDS,
+  DNS_MIN_TTL_SECONDS,
+  DNS_RETRY_SECONDS,
+  DNS_SEND_FAILURES_BEFORE_RESOLVE,
+  DNS_QUERY_TIMEOUT
+} = require("./constants");
+
+/**
+ * Creates the DNS functions the resolver uses: A and AAAA queries with TTLs, and the system
+ * resolver for names DNS does not know (hosts file, mDNS)
+ * @returns {Object} DNS API: { resolve4, resolve6, lookup }
+ */
+function createDnsApi() {
+  const resolver = new dns.promises.Resolver({ timeout: DNS_QUERY_TIMEOUT, tries: 2 });
+  return {
+    resolve4: (host) => resolver.resolve4(host, { ttl: true }),
+    resolve6: (host) => resolver.resolve6(host, { ttl: true }),
+    lookup: (host) => dns.promises.lookup(host, { all: true })
+  };
+}
+
+/**
+ * Creates the resolver for the server hostnames of a client. Resolved addresses are cached for
+ * their DNS TTL (at most the refresh interval) and resolved again when they expire or after
+ * repeated send failures. Expired addresses stay in use while the new resolution runs, and when
+ * DNS cannot be reached the last known address is kept. A host with IPv4 and IPv6 addresses is
+ * reached over IPv4 first and over the other family after repeated send failures.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {Object} options - Plugin options ({ dnsRefreshInterval } in seconds)
+ * @param {Object} [dnsApi] - DNS functions ({ resolve4, resolve6, lookup }), replaceable for tests
+ * @returns {Object} Resolver API: { resolve, recordSendResult, getStatus }
+ */
+function createHostResolver(app, options, dnsApi = createDnsApi()) {
+  const refreshSeconds = options.dnsRefreshInterval > 0 ? options.dnsRefreshInterval : DEFAULT_DNS_REFRESH_SECONDS;
+  const hosts = new Map();
+
+  /**
+   * Returns the cache entry of a hostname, creating it on first use
+   * @param {string} host - Hostname
+   * @returns {Object} Cache entry
+   */
+  function entryFor(host) {
+    let entry = hosts.get(host);
+    if (!entry) {
+      entry = {
+        host,
+        address: null,
+        family: null,
+        addresses: [], // One { address, family } per address family, in order of preference
+        familySwitches: 0,
+        source: null, // "dns" (A/AAAA records) or "system" (system resolver, no TTL)
+        ttl: null,
+        resolvedAt: null,
+        lastAttempt: null,
+        expiresAt: 0,
+        stale: false, // Last known address kept because resolving failed
+        lastError: null,
+        resolutions: 0,
+        failures: 0,
+        sendFailures: 0,
+        pending: null
+      };
+      hosts.set(host, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Looks a hostname up: A and AAAA records, or the system resolver if DNS has neither
+   * @param {string} host - Hostname
+   * @returns {Promise<Object>} Result ({ addresses, ttl, source }, one address per family with
+   *   IPv4 first for DNS and in system order otherwise; ttl in seconds or null)
+   * @throws {Error} If no address is found
+   */
+  async function query(host) {
+    const [ipv4, ipv6] = await Promise.allSettled([dnsApi.resolve4(host), dnsApi.resolve6(host)]);
+    const addresses = [];
+    const ttls = [];
+    for (const [result, family] of [[ipv4, 4], [ipv6, 6]]) {
+      if (result.status === "fulfilled" && result.value.length > 0) {
+        addresses.push({ address: result.value[0].address, family });
+        ttls.push(...result.value.map((record) => record.ttl));
+      }
+    }
+    if (addresses.length > 0) {
+      return { addresses, ttl: Math.min(...ttls), source: "dns" };
+    }
+    for (const { address, family } of await dnsApi.lookup(host)) {
+      if (!addresses.some((candidate) => candidate.family === family)) {
+        addresses.push({ address, family });
+      }
+    }
+    if (addresses.length === 0) {
+      throw new Error(`No address found for ${host}`);
+    }
+    return { addresses, ttl: null, source: "system" };
+  }
+
+  /**
+   * Resolves a hostname again and updates its cache entry
+   * @param {Object} entry - Cache entry
+   * @param {number} now - Current time in ms
+   * @returns {Promise<void>}
+   */
+  async function refresh(entry, now) {
+    entry.lastAttempt = now;
+    try {
+      const result = await query(entry.host);
+      const ttl = result.ttl === null ? refreshSeconds : Math.max(result.ttl, DNS_MIN_TTL_SECONDS);
+      const ttlSeconds = Math.min(ttl, refreshSeconds);
+      // Stay with the address family in use, which may be the fallback after send failures
+      const { address, family } =
+        result.addresses.find((candidate) => candidate.family === entry.family) || result.addresses[0];
+      if (entry.address && entry.address !== address) {
+        app.debug(`${entry.host} now resolves to ${address} (was ${entry.address})`);
+      }
+      Object.assign(entry, result, { address, family, resolvedAt: now, expiresAt: now + ttlSeconds * 1000 });
+      entry.stale = false;
+      entry.lastError = null;
+      entry.resolutions++;
+    } catch (err) {
+      entry.failures++;
+      entry.lastError = err.code || err.message;
+      entry.expiresAt = now + DNS_RETRY_SECONDS * 1000;
+      if (entry.address) {
+        entry.stale = true;
+        app.debug(`Could not resolve ${entry.host} (${entry.lastError}), using last known address ${entry.address}`);
+      } else {
+        app.error(`Could not resolve ${entry.host}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Returns the address to send to. IP addresses are returned as they are. A hostname is
+   * resolved on first use; later its cached address is returned right away and, once expired,
+   * refreshed in the background.
+   * @param {string} host - Hostname or IP address
+   * @param {number} now - Current time in ms
+   * @returns {Promise<string>} Address, or the hostname itself if it was never resolved
+   */
+  async function resolve(host, now = Date.now()) {
+    if (!host || net.isIP(host)) {
+      return host;
+    }
+    const entry = entryFor(host);
+    if (now >= entry.expiresAt && !entry.pending) {
+      entry.pending = refresh(entry, now).finally(() => {
+        entry.pending = null;
+      });
+    }
+    if (!entry.address && entry.pending) {
+      await entry.pending;
+    }
+    return entry.address || host;
+  }
+
+  /**
+   * Takes the outcome of a send to a host; repeated failures switch to the host's address of
+   * the other family, if it has one, and resolve the host again (at most once per minimum TTL)
+   * @param {string} host - Hostname or IP address the packet was sent to
+   * @param {Error|null} error - Send error, or null on success
+   */
+  function recordSendResult(host, error) {
+    const entry = hosts.get(host);
+    if (!entry) {
+      return;
+    }
+    if (!error) {
+      entry.sendFailures = 0;
+      return;
+    }
+    entry.sendFailures++;
+    if (entry.sendFailures >= DNS_SEND_FAILURES_BEFORE_RESOLVE) {
+      const other = entry.addresses.find((candidate) => candidate.family !== entry.family);
+      if (other) {
+        app.debug(`${entry.sendFailures} send failures to ${host} at ${entry.address}, trying ${other.address}`);
+        entry.address = other.address;
+        entry.family = other.family;
+        entry.familySwitches++;
+      } else {
+        app.debug(`${entry.sendFailures} send failures to ${host}, resolving it again`);
+      }
+      entry.sendFailures = 0;
+      entry.expiresAt = Math.min(entry.expiresAt, (entry.lastAttempt || 0) + DNS_MIN_TTL_SECONDS * 1000);
+    }
+  }
+
+  /**
+   * Returns the resolved hostnames for the metrics API
+   * @returns {Object[]} Hostname, addresses, source, TTL, resolution times, stale flag and error counts
+   */
+  function getStatus() {
+    return Array.from(hosts.values(), (entry) => ({
+      host: entry.host,
+      address: entry.address,
+      family: entry.family,
+      addresses: entry.addresses.map((candidate) => candidate.address),
+      familySwitches: entry.familySwitches,
+      source: entry.source,
+      ttl: entry.ttl,
+      resolvedAt: entry.resolvedAt,
+      lastAttempt: entry.lastAttempt,
+      expiresAt: entry.expiresAt || null,
+      stale: entry.stale,
+      lastError: entry.lastError,
+      resolutions: entry.resolutions,
+      failures: entry.failures
+    }));
+  }
+
+  return { resolve, recordSendResult, getStatus };
+}
+
+module.exports = createHostResolver;
@@ -0,0 +1,259 @@
+"use strict";
+
+const crypto = require("crypto");
+const { HANDSHAKE_RETRY_INTERVAL, SESSION_KEY_MAX_AGE, MAX_KEY_EXCHANGE_SESSIONS } = require("./constants");
+
+// Session keys come from an X25519 exchange of ephemeral keys. The handshake packets are
+// encrypted with the pre-shared key, which authenticates both ends; the ephemeral private
+// keys are discarded once the session key is derived, so a leaked pre-shared key does not
+// decrypt recorded traffic sent with session keys.
+const PUBLIC_KEY_LENGTH = 32;
+const SESSION_KEY_LENGTH = 32;
+const SESSION_KEY_INFO = "signalk-data-connector session key";
+// Handshake reply telling the client that the server has no key for its session
+const RENEWAL_NOTICE = Buffer.from([0]);
+
+/**
+ * Generates an ephemeral X25519 key pair
+ * @returns {{publicKey: Buffer, privateKey: KeyObject}} Raw 32-byte public key and the private key
+ */
+function createEphemeralKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("x25519");
+  return { publicKey: Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url"), privateKey };
+}
+
+/**
+ * Derives the session key from an ephemeral private key and the peer's ephemeral public key.
+ * Both public keys are bound into the derivation, so both ends get the same key only for
+ * the same exchange.
+ * @param {KeyObject} privateKey - Own ephemeral private key
+ * @param {Buffer} peerPublicKey - Peer's raw public key
+ * @param {Buffer} initiatorPublicKey - Client's raw public key
+ * @param {Buffer} responderPublicKey - Server's raw public key
+ * @returns {Buffer} 32-byte session key
+ * @throws {Error} If the peer's public key is invalid
+ */
+function deriveSessionKey(privateKey, peerPublicKey, initiatorPublicKey, responderPublicKey) {
+  if (!Buffer.isBuffer(peerPublicKey) || peerPublicKey.length !== PUBLIC_KEY_LENGTH) {
+    throw new Error("Invalid key exchange public key");
+  }
+  const publicKey = crypto.createPublicKey({
+    key: { kty: "OKP", crv: "X25519", x: peerPublicKey.toString("base64url") },
+    format: "jwk"
+  });
+  const shared = crypto.diffieHellman({ privateKey, publicKey });
+  const salt = Buffer.concat([initiatorPublicKey, responderPublicKey]);
+  return Buffer.from(crypto.hkdfSync("sha256", shared, salt, SESSION_KEY_INFO, SESSION_KEY_LENGTH));
+}
+
+/**
+ * Creates the client side of the key exchange. The client starts a handshake on its heartbeat
+ * timer when it has no session key or the current one is due for renewal; the previous
+ * session key stays accepted so packets in flight during a renewal are not lost.
+ * @param {Object} stats - Mutable counters ({ handshakesSent, handshakesCompleted })
+ * @returns {Object} Initiator API: { isDue, start, complete, invalidate, sendKey, receiveKeys, getStatus, reset }
+ */
+function createSessionInitiator(stats) {
+  let pending = null; // { publicKey, privateKey, sentAt }
+  let current = null; // { key, sessionId, established }
+  let previous = null;
+
+  /**
+   * Tells whether a handshake should be sent now
+   * @param {number} lifetimeMs - How long a session key is used
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True without a session key, when it is due for renewal, or to retry
+   */
+  function isDue(lifetimeMs, now = Date.now()) {
+    if (pending && now - pending.sentAt < HANDSHAKE_RETRY_INTERVAL) {
+      return false;
+    }
+    return !current || now - current.established >= lifetimeMs;
+  }
+
+  /**
+   * Starts a handshake with a new ephemeral key (a pending unanswered one is replaced)
+   * @param {number} now - Current time in ms
+   * @returns {Buffer} Handshake payload: the client's public key
+   */
+  function start(now = Date.now()) {
+    pending = { ...createEphemeralKey(), sentAt: now };
+    stats.handshakesSent++;
+    return pending.publicKey;
+  }
+
+  /**
+   * Completes the pending handshake with the server's reply
+   * @param {Buffer} payload - Reply: server's public key followed by the client's
+   * @param {number} sessionId - Sender session the key is used for (see the packet header)
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if a new session key was established
+   * @throws {Error} If the server's public key is invalid
+   */
+  function complete(payload, sessionId, now = Date.now()) {
+    const responderPublicKey = payload.subarray(0, PUBLIC_KEY_LENGTH);
+    const initiatorPublicKey = payload.subarray(PUBLIC_KEY_LENGTH);
+    if (!pending || !initiatorPublicKey.equals(pending.publicKey)) {
+      return false; // Reply to an earlier handshake
+    }
+    const key = deriveSessionKey(pending.privateKey, responderPublicKey, initiatorPublicKey, responderPublicKey);
+    pending = null;
+    previous = current;
+    current = { key, sessionId, established: now };
+    stats.handshakesCompleted++;
+    return true;
+  }
+
+  /**
+   * Stops sending with the session key because the server no longer has it (e.g. after a
+   * restart); the pre-shared key is used until the next handshake completes
+   */
+  function invalidate() {
+    if (current) {
+      previous = current;
+      current = null;
+    }
+  }
+
+  /**
+   * Returns the session key to send with
+   * @param {number} sessionId - Current sender session
+   * @returns {Buffer|null} Session key, or null if none is established for the session
+   */
+  function sendKey(sessionId) {
+    return current && current.sessionId === sessionId ? current.key : null;
+  }
+
+  /**
+   * Returns the session keys the server may answer with
+   * @returns {Buffer[]} Current and previous session key
+   */
+  function receiveKeys() {
+    return [current, previous].filter(Boolean).map((session) => session.key);
+  }
+
+  /**
+   * Returns the session status for the metrics API
+   * @param {number} now - Current time in ms
+   * @returns {Object} { established, ageSeconds, pending }
+   */
+  function getStatus(now = Date.now()) {
+    return {
+      established: !!current,
+      ageSeconds: current ? Math.floor((now - current.established) / 1000) : null,
+      pending: !!pending
+    };
+  }
+
+  /**
+   * Forgets all keys (plugin stop)
+   */
+  function reset() {
+    pending = null;
+    current = null;
+    previous = null;
+  }
+
+  return { isDue, start, complete, invalidate, sendKey, receiveKeys, getStatus, reset };
+}
+
+/**
+ * Creates the server side of the key exchange. Each handshake of a sender session replaces
+ * its session key; the previous one is kept for packets still in flight. Keys of sessions
+ * that have not renewed for SESSION_KEY_MAX_AGE are discarded.
+ * @param {Object} stats - Mutable counters ({ handshakesAnswered })
+ * @returns {Object} Responder API: { respond, receiveKeys, noticeDue, getStatus, reset }
+ */
+function createSessionResponder(stats) {
+  const sessions = new Map(); // "keyId:sessionId" -> { current, previous, updated }
+  const notices = new Map(); // "keyId:sessionId" -> time the sender was told to renew
+
+  /**
+   * Drops the keys of sessions that have not renewed them in time
+   * @param {number} now - Current time in ms
+   */
+  function prune(now) {
+    for (const [sessionKey, session] of sessions) {
+      if (now - session.updated > SESSION_KEY_MAX_AGE) {
+        sessions.delete(sessionKey);
+      }
+    }
+  }
+
+  /**
+   * Answers a client's handshake and stores the new session key
+   * @param {string} sessionKey - "keyId:sessionId" of the client's packets
+   * @param {Buffer} initiatorPublicKey - Client's public key from the handshake
+   * @param {number} now - Current time in ms
+   * @returns {Buffer} Reply payload: the server's public key followed by the client's
+   * @throws {Error} If the client's public key is invalid
+   */
+  function respond(sessionKey, initiatorPublicKey, now = Date.now()) {
+    const { publicKey, privateKey } = createEphemeralKey();
+    const key = deriveSessionKey(privateKey, initiatorPublicKey, initiatorPublicKey, publicKey);
+    prune(now);
+    const session = sessions.get(sessionKey);
+    if (!session && sessions.size >= MAX_KEY_EXCHANGE_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+    sessions.set(sessionKey, { current: key, previous: session ? session.current : null, updated: now });
+    stats.handshakesAnswered++;
+    return Buffer.concat([publicKey, initiatorPublicKey]);
+  }
+
+  /**
+   * Returns the session keys of a sender session
+   * @param {string} sessionKey - "keyId:sessionId"
+   * @returns {Buffer[]} Current and previous session key (none without a handshake)
+   */
+  function receiveKeys(sessionKey) {
+    const session = sessions.get(sessionKey);
+    return session ? [session.current, session.previous].filter(Boolean) : [];
+  }
+
+  /**
+   * Tells whether a sender whose session key is unknown should be told to renew it, at most
+   * once per HANDSHAKE_RETRY_INTERVAL and session
+   * @param {string} sessionKey - "keyId:sessionId"
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if a renewal notice should be sent now
+   */
+  function noticeDue(sessionKey, now = Date.now()) {
+    for (const [key, sentAt] of notices) {
+      if (now - sentAt >= HANDSHAKE_RETRY_INTERVAL) {
+        notices.delete(key);
+      }
+    }
+    if (notices.has(sessionKey) || notices.size >= MAX_KEY_EXCHANGE_SESSIONS) {
+      return false;
+    }
+    notices.set(sessionKey, now);
+    return true;
+  }
+
+  /**
+   * Returns the key exchange status for the metrics API
+   * @returns {Object} { sessions }
+   */
+  function getStatus() {
+    return { sessions: sessions.size };
+  }
+
+  /**
+   * Forgets all keys (plugin stop)
+   */
+  function reset() {
+    sessions.clear();
+    notices.clear();
+  }
+
+  return { respond, receiveKeys, noticeDue, getStatus, reset };
+}
+
+module.exports = {
+  RENEWAL_NOTICE,
+  createEphemeralKey,
+  deriveSessionKey,
+  createSessionInitiator,
+  createSessionResponder
+};
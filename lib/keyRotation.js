@@ -0,0 +1,163 @@
+"use strict";
+
+const { validateSecretKey, validatePassphrase, deriveKey, keyFingerprint } = require("./crypto");
+const { KEY_ROTATION_WINDOW_HOURS, KEY_ROTATION_MAX_WINDOW_HOURS, MILLISECONDS_PER_HOUR } = require("./constants");
+
+/**
+ * Returns the validator for configured keys: passphrases with key derivation, 32-character keys otherwise
+ * @param {Object} options - Plugin options ({ keyDerivation })
+ * @returns {Function} validatePassphrase or validateSecretKey
+ */
+function keyValidator(options) {
+  return options && options.keyDerivation === "passphrase" ? validatePassphrase : validateSecretKey;
+}
+
+/**
+ * Turns a configured key into the encryption key: derived from it when it is a passphrase,
+ * used as is otherwise
+ * @param {string} value - Configured key or passphrase
+ * @param {Object} options - Plugin options ({ keyDerivation, keySalt })
+ * @returns {Promise<string|Buffer>} Encryption key
+ * @throws {Error} If the key, passphrase or salt is invalid
+ */
+function resolveKey(value, options) {
+  try {
+    keyValidator(options)(value);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return options.keyDerivation === "passphrase" ? deriveKey(value, options.keySalt) : Promise.resolve(value);
+}
+
+/**
+ * Validates a key rotation schedule
+ * @param {Object} schedule - { nextSecretKey, keyRotationTime (ISO 8601), keyRotationWindowHours }
+ * @param {Object} options - Plugin options ({ secretKey, keyDerivation })
+ * @returns {{activateAt: number, windowMs: number}} Switch time and how long the old key stays accepted after it
+ * @throws {Error} If the next key, time or window is invalid
+ */
+function validateRotation({ nextSecretKey, keyRotationTime, keyRotationWindowHours }, options) {
+  keyValidator(options)(nextSecretKey);
+  if (nextSecretKey === options.secretKey) {
+    throw new Error("The next key must differ from the current key");
+  }
+  const activateAt = Date.parse(keyRotationTime);
+  if (Number.isNaN(activateAt)) {
+    throw new Error("Key rotation time must be a date and time (ISO 8601)");
+  }
+  const windowHours = keyRotationWindowHours === undefined ? KEY_ROTATION_WINDOW_HOURS : keyRotationWindowHours;
+  if (typeof windowHours !== "number" || windowHours < 1 || windowHours > KEY_ROTATION_MAX_WINDOW_HOURS) {
+    throw new Error(`Key rotation window must be between 1 and ${KEY_ROTATION_MAX_WINDOW_HOURS} hours`);
+  }
+  return { activateAt, windowMs: windowHours * MILLISECONDS_PER_HOUR };
+}
+
+/**
+ * Formats a key fingerprint for display
+ * @param {string|Buffer} key - Encryption key
+ * @returns {string} Two hex digits
+ */
+function fingerprintHex(key) {
+  return keyFingerprint(key).toString(16).padStart(2, "0");
+}
+
+/**
+ * Creates the key ring of this end. During a rotation it holds the current and the next key:
+ * both are accepted from the moment the rotation is scheduled, sending switches to the next
+ * key at the rotation time, and the current key is retired once the window after it ends.
+ * Packets name their key by fingerprint, so both ends may switch at slightly different times.
+ * @param {string|Buffer} current - Current encryption key
+ * @param {Object|null} rotation - { key, activateAt, windowMs } of a scheduled rotation
+ * @returns {Object} Key ring API: { sendKey, receiveKeys, promoteIfDue, getStatus }
+ */
+function createKeyRing(current, rotation = null) {
+  let currentKey = current;
+  let next = rotation;
+
+  /**
+   * Returns the key to encrypt with
+   * @param {number} now - Current time in ms
+   * @returns {string|Buffer} Encryption key
+   */
+  function sendKey(now = Date.now()) {
+    return next && now >= next.activateAt ? next.key : currentKey;
+  }
+
+  /**
+   * Returns the keys packets are accepted with, the sending key first
+   * @param {number} now - Current time in ms
+   * @returns {Array<string|Buffer>} Encryption keys
+   */
+  function receiveKeys(now = Date.now()) {
+    if (!next) {
+      return [currentKey];
+    }
+    return now >= next.activateAt ? [next.key, currentKey] : [currentKey, next.key];
+  }
+
+  /**
+   * Makes the next key the current one once the rotation window has ended
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if the rotation was completed
+   */
+  function promoteIfDue(now = Date.now()) {
+    if (!next || now < next.activateAt + next.windowMs) {
+      return false;
+    }
+    currentKey = next.key;
+    next = null;
+    return true;
+  }
+
+  /**
+   * Returns the key status for the metrics API
+   * @param {number} now - Current time in ms
+   * @returns {Object} { fingerprint, rotation: { nextFingerprint, activateAt, windowEnd, sendingNext } | null }
+   */
+  function getStatus(now = Date.now()) {
+    return {
+      fingerprint: fingerprintHex(currentKey),
+      rotation: next
+        ? {
+          nextFingerprint: fingerprintHex(next.key),
+          activateAt: new Date(next.activateAt).toISOString(),
+          windowEnd: new Date(next.activateAt + next.windowMs).toISOString(),
+          sendingNext: now >= next.activateAt
+        }
+        : null
+    };
+  }
+
+  return { sendKey, receiveKeys, promoteIfDue, getStatus };
+}
+
+/**
+ * Builds the key ring from plugin options, deriving keys from passphrases when configured.
+ * An invalid rotation schedule is reported and ignored; the current key keeps working.
+ * @param {Object} options - Plugin options ({ secretKey, keyDerivation, keySalt, nextSecretKey,
+ *   keyRotationTime, keyRotationWindowHours })
+ * @param {Function} onError - Called with a message if the rotation schedule is invalid
+ * @returns {Promise<Object>} Key ring
+ * @throws {Error} If the current key, passphrase or salt is invalid
+ */
+async function loadKeyRing(options, onError) {
+  const current = await resolveKey(options.secretKey, options);
+  if (!options.nextSecretKey) {
+    return createKeyRing(current);
+  }
+  try {
+    const { activateAt, windowMs } = validateRotation(options, options);
+    return createKeyRing(current, { key: await resolveKey(options.nextSecretKey, options), activateAt, windowMs });
+  } catch (err) {
+    onError(`Key rotation ignored: ${err.message}`);
+    return createKeyRing(current);
+  }
+}
+
+module.exports = {
+  keyValidator,
+  resolveKey,
+  validateRotation,
+  createKeyRing,
+  loadKeyRing
+};
@@ -22,6 +22,8 @@ function createMetrics() {
     compressionErrors: 0,
     encryptionErrors: 0,
     subscriptionErrors: 0,
+    replayErrors: 0,
+    protocolErrors: 0,
     lastError: null,
     lastErrorTime: null,
     // Bandwidth tracking
@@ -40,8 +42,56 @@ function createMetrics() {
       compressionRatio: 0, // percentage saved
       history: new CircularBuffer(BANDWIDTH_HISTORY_MAX)
     },
+    // Link quality from packet sequence numbers
+    sequence: {
+      packetsReceived: 0,
+      packetsLost: 0,
+      outOfOrder: 0,
+      duplicates: 0
+    },
+    // Reliable delivery (client: sent packets, server: acknowledgements)
+    reliable: {
+      sent: 0,
+      acknowledged: 0,
+      retransmitted: 0,
+      failed: 0,
+      pending: 0,
+      acksSent: 0,
+      reportedLoss: null, // Loss rate (0-1) the server reported in its last acknowledgement
+      reportedLossTime: null
+    },
+    // Forward error correction
+    fec: {
+      paritySent: 0,
+      parityReceived: 0,
+      recovered: 0,
+      unrecoverable: 0
+    },
+    // Session key exchange (client: handshakes sent and completed, server: answered)
+    keyExchange: {
+      handshakesSent: 0,
+      handshakesCompleted: 0,
+      handshakesAnswered: 0
+    },
+    // Priority lanes (client)
+    lanes: {
+      criticalSent: 0,
+      bulkSent: 0,
+      bulkBuffered: 0,
+      bulkDeferred: 0,
+      bulkDropped: 0
+    },
+    // Change detection (client)
+    changeDetection: {
+      valuesSent: 0,
+      valuesSuppressed: 0
+    },
     // Path-level analytics
     pathStats: new Map(), // path -> { count, bytes, lastUpdate }
+    // Received data packets per wire format (e.g. "msgpack+paths/brotli")
+    wireFormats: new Map(),
+    // Per-client statistics (server mode with client registry)
+    clients: new Map(), // clientId -> { packetsIn, bytesIn, deltasReceived, ... }
     // Smart batching metrics
     smartBatching: {
       earlySends: 0,
@@ -54,7 +104,8 @@ function createMetrics() {
 
   /**
    * Records an error in metrics tracking
-   * @param {string} category - Error category ('compression', 'encryption', 'subscription', 'udpSend', 'general')
+   * @param {string} category - Error category ('compression', 'encryption', 'subscription', 'udpSend', 'replay',
+   *   'protocol', 'general')
    * @param {string} message - Error message
    */
   function recordError(category, message) {
@@ -62,7 +113,9 @@ function createMetrics() {
       compression: "compressionErrors",
       encryption: "encryptionErrors",
       subscription: "subscriptionErrors",
-      udpSend: "udpSendErrors"
+      udpSend: "udpSendErrors",
+      replay: "replayErrors",
+      protocol: "protocolErrors"
     };
     const counter = counterMap[category];
     if (counter) {
@@ -85,6 +138,8 @@ function createMetrics() {
       compressionErrors: 0,
       encryptionErrors: 0,
       subscriptionErrors: 0,
+      replayErrors: 0,
+      protocolErrors: 0,
       lastError: null,
       lastErrorTime: null
     });
@@ -94,7 +149,55 @@ function createMetrics() {
       lastRateCalcTime: Date.now(), rateOut: 0, rateIn: 0, compressionRatio: 0,
       history: new CircularBuffer(BANDWIDTH_HISTORY_MAX)
     });
+    Object.assign(metrics.sequence, { packetsReceived: 0, packetsLost: 0, outOfOrder: 0, duplicates: 0 });
+    Object.assign(metrics.reliable, {
+      sent: 0, acknowledged: 0, retransmitted: 0, failed: 0, pending: 0, acksSent: 0,
+      reportedLoss: null, reportedLossTime: null
+    });
+    Object.assign(metrics.fec, { paritySent: 0, parityReceived: 0, recovered: 0, unrecoverable: 0 });
+    Object.assign(metrics.keyExchange, { handshakesSent: 0, handshakesCompleted: 0, handshakesAnswered: 0 });
+    Object.assign(metrics.changeDetection, { valuesSent: 0, valuesSuppressed: 0 });
+    Object.assign(metrics.lanes, { criticalSent: 0, bulkSent: 0, bulkBuffered: 0, bulkDeferred: 0, bulkDropped: 0 });
     metrics.pathStats.clear();
+    metrics.wireFormats.clear();
+    metrics.clients.clear();
+  }
+
+  /**
+   * Returns the statistics entry for a registered client, creating it on first use
+   * @param {string} clientId - Client identifier
+   * @returns {Object} Mutable client statistics
+   */
+  function getClientStats(clientId) {
+    let stats = metrics.clients.get(clientId);
+    if (!stats) {
+      stats = {
+        packetsIn: 0,
+        bytesIn: 0,
+        deltasReceived: 0,
+        deltasRejected: 0,
+        decryptErrors: 0,
+        packetsLost: 0,
+        lastSeen: null,
+        address: null,
+        format: null
+      };
+      metrics.clients.set(clientId, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Returns link quality counters with the packet loss rate
+   * @returns {Object} { packetsReceived, packetsLost, outOfOrder, duplicates, lossRate (percent) }
+   */
+  function getLinkStats() {
+    const { packetsReceived, packetsLost } = metrics.sequence;
+    const expected = packetsReceived + packetsLost;
+    return {
+      ...metrics.sequence,
+      lossRate: expected > 0 ? Math.round((packetsLost / expected) * 10000) / 100 : 0
+    };
   }
 
   /**
@@ -220,7 +323,9 @@ function createMetrics() {
     recordError,
     resetMetrics,
     updateBandwidthRates,
+    getLinkStats,
     trackPathStats,
+    getClientStats,
     formatBytes,
     getTopNPaths
   };
@@ -0,0 +1,209 @@
+"use strict";
+
+const { readFile } = require("fs").promises;
+const { writeFileSync, renameSync } = require("fs");
+const { METRICS_HISTORY_SAVE_INTERVAL, MILLISECONDS_PER_MINUTE, MILLISECONDS_PER_HOUR } = require("./constants");
+
+const MILLISECONDS_PER_DAY = 24 * MILLISECONDS_PER_HOUR;
+
+// Bucket size and retention per resolution; days are UTC days
+const RESOLUTIONS = {
+  minute: { size: MILLISECONDS_PER_MINUTE, keep: MILLISECONDS_PER_DAY },
+  hour: { size: MILLISECONDS_PER_HOUR, keep: 7 * MILLISECONDS_PER_DAY },
+  day: { size: MILLISECONDS_PER_DAY, keep: 30 * MILLISECONDS_PER_DAY }
+};
+
+// Ranges shown on the dashboard and the resolution each one is read from
+const HISTORY_RANGES = { "24h": "minute", "7d": "hour", "30d": "day" };
+
+// Counters summed per bucket
+const COUNTERS = [
+  "bytesOut",
+  "bytesIn",
+  "bytesOutRaw",
+  "bytesInRaw",
+  "deltasSent",
+  "deltasReceived",
+  "errors",
+  "packetsLost"
+];
+
+/**
+ * Creates a bucket with all counters at zero
+ * @param {number} time - Bucket start (ms)
+ * @returns {Object} Bucket
+ */
+function emptyBucket(time) {
+  const bucket = { time };
+  for (const counter of COUNTERS) {
+    bucket[counter] = 0;
+  }
+  return bucket;
+}
+
+/**
+ * Creates the metrics history: the counters of lib/metrics.js rolled up into minute, hour
+ * and day buckets that are saved to disk, so bandwidth, compression and error trends
+ * survive plugin restarts and server reboots.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {Object} metricsApi - Metrics API from lib/metrics.js (source of the counters)
+ * @param {string} filePath - File holding the buckets
+ * @returns {Object} Metrics history API: { init, update, stop, query }
+ */
+function createMetricsHistory(app, metricsApi, filePath) {
+  const { metrics } = metricsApi;
+  const series = { minute: [], hour: [], day: [] };
+  let last = null;
+  let lastSaved = 0;
+
+  /**
+   * Reads the current values of the counters
+   * @returns {Object} Counter values since the plugin started
+   */
+  function readCounters() {
+    const { bandwidth } = metrics;
+    return {
+      bytesOut: bandwidth.bytesOut,
+      bytesIn: bandwidth.bytesIn,
+      bytesOutRaw: bandwidth.bytesOutRaw,
+      bytesInRaw: bandwidth.bytesInRaw,
+      deltasSent: metrics.deltasSent,
+      deltasReceived: metrics.deltasReceived,
+      errors:
+        metrics.udpSendErrors +
+        metrics.compressionErrors +
+        metrics.encryptionErrors +
+        metrics.subscriptionErrors +
+        metrics.replayErrors +
+        metrics.protocolErrors,
+      packetsLost: metrics.sequence.packetsLost
+    };
+  }
+
+  /**
+   * Loads the stored buckets. A missing or corrupt file starts an empty history.
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    try {
+      const stored = JSON.parse(await readFile(filePath, "utf-8"));
+      for (const resolution of Object.keys(RESOLUTIONS)) {
+        const buckets = stored.series && stored.series[resolution];
+        series[resolution] = Array.isArray(buckets)
+          ? buckets.filter((bucket) => bucket && Number.isFinite(bucket.time)).map((bucket) => {
+            const restored = emptyBucket(bucket.time);
+            for (const counter of COUNTERS) {
+              restored[counter] = Number(bucket[counter]) || 0;
+            }
+            return restored;
+          })
+          : [];
+      }
+    } catch (err) {
+      app.debug(`Metrics history not loaded, starting empty: ${err.message}`);
+    }
+    last = readCounters();
+    lastSaved = Date.now();
+  }
+
+  /**
+   * Writes the buckets atomically (temporary file, then rename). The write is synchronous, so
+   * saves never overlap and the file is complete when the plugin restarts right after stop.
+   */
+  function save() {
+    lastSaved = Date.now();
+    try {
+      writeFileSync(`${filePath}.tmp`, JSON.stringify({ series }), "utf-8");
+      renameSync(`${filePath}.tmp`, filePath);
+    } catch (err) {
+      app.error(`Failed to save metrics history: ${err.message}`);
+    }
+  }
+
+  /**
+   * Adds the counts since the last update to the current bucket of every resolution and
+   * drops buckets past their retention. Saves at most once per save interval.
+   * @param {number} now - Current time in ms
+   */
+  function update(now = Date.now()) {
+    const current = readCounters();
+    const added = {};
+    for (const counter of COUNTERS) {
+      // Metrics are reset on plugin stop; count from zero again
+      added[counter] = current[counter] >= last[counter] ? current[counter] - last[counter] : current[counter];
+    }
+    last = current;
+
+    for (const [resolution, { size, keep }] of Object.entries(RESOLUTIONS)) {
+      const buckets = series[resolution];
+      const time = Math.floor(now / size) * size;
+      if (buckets.length === 0 || buckets[buckets.length - 1].time < time) {
+        buckets.push(emptyBucket(time));
+      }
+      const bucket = buckets[buckets.length - 1];
+      for (const counter of COUNTERS) {
+        bucket[counter] += added[counter];
+      }
+      while (buckets.length > 0 && buckets[0].time <= now - keep) {
+        buckets.shift();
+      }
+    }
+
+    if (now - lastSaved >= METRICS_HISTORY_SAVE_INTERVAL) {
+      save();
+    }
+  }
+
+  /**
+   * Returns the buckets of a range with the compression ratio, and totals over the range
+   * @param {string} range - "24h", "7d" or "30d"
+   * @param {boolean} isServerMode - Compression ratio of received (server) or sent (client) data
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} { range, resolution, bucketSeconds, from, to, totals, buckets }, null for an unknown range
+   */
+  function query(range, isServerMode, now = Date.now()) {
+    const resolution = HISTORY_RANGES[range];
+    if (!resolution) {
+      return null;
+    }
+    const { size, keep } = RESOLUTIONS[resolution];
+    const from = now - keep;
+    const withRatio = (bucket) => {
+      const compressed = isServerMode ? bucket.bytesIn : bucket.bytesOut;
+      const raw = isServerMode ? bucket.bytesInRaw : bucket.bytesOutRaw;
+      return { ...bucket, compressionRatio: raw > 0 ? Math.round((1 - compressed / raw) * 100) : null };
+    };
+    const buckets = series[resolution].filter((bucket) => bucket.time > from - size);
+    const totals = emptyBucket(from);
+    for (const bucket of buckets) {
+      for (const counter of COUNTERS) {
+        totals[counter] += bucket[counter];
+      }
+    }
+    delete totals.time;
+    return {
+      range,
+      resolution,
+      bucketSeconds: size / 1000,
+      from,
+      to: now,
+      totals: withRatio(totals),
+      buckets: buckets.map(withRatio)
+    };
+  }
+
+  /**
+   * Counts the last values and saves the history before returning
+   */
+  function stop() {
+    update();
+    save();
+  }
+
+  return { init, update, stop, query };
+}
+
+module.exports = {
+  createMetricsHistory,
+  HISTORY_RANGES
+};
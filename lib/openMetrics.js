@@ -0,0 +1,211 @@
+"use strict";
+
+const { OPENMETRICS_MAX_PATHS } = require("./constants");
+
+const CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+const PREFIX = "signalk_data_connector_";
+// Label of the paths beyond the exported ones
+const OTHER_PATHS = "__other__";
+
+/**
+ * Escapes a label value (backslash, double quote and line feed)
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * Formats a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} "{name="value",...}", or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Creates a writer for metric families in the OpenMetrics text format
+ * @returns {Object} Writer API: { counter, gauge, info, toString }
+ */
+function createWriter() {
+  const lines = [];
+
+  /**
+   * Writes one metric family
+   * @param {string} name - Family name without prefix (and without _total for counters)
+   * @param {string} type - "counter", "gauge" or "info"
+   * @param {string} help - Description
+   * @param {Array<{labels: Object, value: number}>} samples - Samples
+   * @param {string} unit - Unit, also the last part of the name (e.g. "bytes")
+   */
+  function family(name, type, help, samples, unit) {
+    lines.push(`# TYPE ${PREFIX}${name} ${type}`);
+    if (unit) {
+      lines.push(`# UNIT ${PREFIX}${name} ${unit}`);
+    }
+    lines.push(`# HELP ${PREFIX}${name} ${help}`);
+    const suffix = type === "counter" ? "_total" : type === "info" ? "_info" : "";
+    for (const { labels, value } of samples) {
+      lines.push(`${PREFIX}${name}${suffix}${formatLabels(labels)} ${Number.isFinite(value) ? value : "NaN"}`);
+    }
+  }
+
+  /**
+   * Normalizes the samples argument: a number is a single sample without labels
+   * @param {number|Array} samples - Value or samples
+   * @returns {Array<{labels: Object, value: number}>} Samples
+   */
+  function toSamples(samples) {
+    return Array.isArray(samples) ? samples : [{ labels: null, value: samples }];
+  }
+
+  return {
+    counter: (name, help, samples, unit) => family(name, "counter", help, toSamples(samples), unit),
+    gauge: (name, help, samples, unit) => family(name, "gauge", help, toSamples(samples), unit),
+    info: (name, help, labels) => family(name, "info", help, [{ labels, value: 1 }]),
+    toString: () => `${lines.join("\n")}\n# EOF\n`
+  };
+}
+
+/**
+ * Builds the per-path samples. Paths keep the order they were first seen in, so the exported
+ * ones stay the same between scrapes and every series remains a proper counter; the remaining
+ * paths are summed under path="__other__".
+ * @param {Map} pathStats - path -> { count, bytes }
+ * @param {string} field - "count" or "bytes"
+ * @param {number} maxPaths - Paths exported with their own label
+ * @returns {Array<{labels: Object, value: number}>} Samples
+ */
+function pathSamples(pathStats, field, maxPaths) {
+  const samples = [];
+  let other = null;
+  for (const [path, stats] of pathStats) {
+    if (samples.length < maxPaths) {
+      samples.push({ labels: { path }, value: stats[field] });
+    } else {
+      other = (other || 0) + stats[field];
+    }
+  }
+  if (other !== null) {
+    samples.push({ labels: { path: OTHER_PATHS }, value: other });
+  }
+  return samples;
+}
+
+/**
+ * Formats the connector metrics in the OpenMetrics text format for Prometheus
+ * @param {Object} metricsApi - Metrics API from lib/metrics.js
+ * @param {Object} state - Shared plugin state
+ * @param {number} maxPaths - Paths exported with their own label
+ * @returns {string} Exposition text, ending with "# EOF"
+ */
+function formatOpenMetrics(metricsApi, state, maxPaths = OPENMETRICS_MAX_PATHS) {
+  const { metrics, getClientStats } = metricsApi;
+  const { bandwidth, sequence, reliable, fec, keyExchange, lanes, changeDetection, smartBatching } = metrics;
+  const writer = createWriter();
+
+  writer.info("build", "Operation mode", { mode: state.isServerMode ? "server" : "client" });
+  writer.gauge("start_time_seconds", "Time the plugin started counting", metrics.startTime / 1000, "seconds");
+
+  writer.counter("deltas_sent", "Deltas sent", metrics.deltasSent);
+  writer.counter("deltas_received", "Deltas received", metrics.deltasReceived);
+  writer.counter("errors", "Errors by category", [
+    { labels: { category: "udp_send" }, value: metrics.udpSendErrors },
+    { labels: { category: "compression" }, value: metrics.compressionErrors },
+    { labels: { category: "encryption" }, value: metrics.encryptionErrors },
+    { labels: { category: "subscription" }, value: metrics.subscriptionErrors },
+    { labels: { category: "replay" }, value: metrics.replayErrors },
+    { labels: { category: "protocol" }, value: metrics.protocolErrors }
+  ]);
+  writer.counter("udp_retries", "UDP send retries", metrics.udpRetries);
+
+  writer.counter("sent_bytes", "Bytes sent on the wire (compressed and encrypted)", bandwidth.bytesOut, "bytes");
+  writer.counter("received_bytes", "Bytes received on the wire", bandwidth.bytesIn, "bytes");
+  writer.counter("sent_raw_bytes", "Payload bytes sent before compression", bandwidth.bytesOutRaw, "bytes");
+  writer.counter("received_raw_bytes", "Payload bytes received after decompression", bandwidth.bytesInRaw, "bytes");
+  writer.counter("sent_packets", "Packets sent", bandwidth.packetsOut);
+  writer.counter("received_packets", "Packets received", bandwidth.packetsIn);
+
+  writer.counter("lost_packets", "Packets lost on the link (sequence gaps)", sequence.packetsLost);
+  writer.counter("out_of_order_packets", "Packets received out of order", sequence.outOfOrder);
+  writer.counter("duplicate_packets", "Duplicate packets received", sequence.duplicates);
+
+  writer.counter("smart_batch_early_sends", "Batches sent early because the packet was full", smartBatching.earlySends);
+  writer.counter("smart_batch_timer_sends", "Batches sent by the delta timer", smartBatching.timerSends);
+  writer.counter(
+    "smart_batch_oversized_packets",
+    "Packets larger than the safe UDP payload",
+    smartBatching.oversizedPackets
+  );
+  writer.gauge("smart_batch_delta_bytes", "Average bytes per delta", smartBatching.avgBytesPerDelta, "bytes");
+  writer.gauge("smart_batch_max_deltas", "Maximum deltas per packet", smartBatching.maxDeltasPerBatch);
+
+  writer.counter("reliable_sent_packets", "Reliable packets sent", reliable.sent);
+  writer.counter("reliable_acknowledged_packets", "Reliable packets acknowledged", reliable.acknowledged);
+  writer.counter("reliable_retransmitted_packets", "Reliable packets retransmitted", reliable.retransmitted);
+  writer.counter("reliable_failed_packets", "Reliable packets given up", reliable.failed);
+  writer.counter("reliable_acks_sent", "Acknowledgements sent", reliable.acksSent);
+  writer.gauge("reliable_pending_packets", "Reliable packets waiting for acknowledgement", reliable.pending);
+
+  writer.counter("fec_parity_sent_packets", "FEC parity packets sent", fec.paritySent);
+  writer.counter("fec_parity_received_packets", "FEC parity packets received", fec.parityReceived);
+  writer.counter("fec_recovered_packets", "Lost packets rebuilt from parity", fec.recovered);
+  writer.counter("fec_unrecoverable_packets", "Lost packets parity could not rebuild", fec.unrecoverable);
+
+  writer.counter("handshakes_sent", "Session key handshakes sent", keyExchange.handshakesSent);
+  writer.counter("handshakes_completed", "Session key handshakes completed", keyExchange.handshakesCompleted);
+  writer.counter("handshakes_answered", "Session key handshakes answered", keyExchange.handshakesAnswered);
+
+  writer.counter("lane_sent_deltas", "Deltas sent per priority lane", [
+    { labels: { lane: "critical" }, value: lanes.criticalSent },
+    { labels: { lane: "bulk" }, value: lanes.bulkSent }
+  ]);
+  writer.counter("bulk_deferred", "Bulk sends deferred because the link was busy", lanes.bulkDeferred);
+  writer.counter("bulk_dropped_deltas", "Bulk deltas dropped", lanes.bulkDropped);
+  writer.gauge("bulk_buffered_deltas", "Bulk deltas waiting to be sent", lanes.bulkBuffered);
+
+  writer.counter("change_detection_sent_values", "Values sent after change detection", changeDetection.valuesSent);
+  writer.counter(
+    "change_detection_suppressed_values",
+    "Unchanged values not sent",
+    changeDetection.valuesSuppressed
+  );
+
+  writer.gauge("buffered_deltas", "Deltas waiting for the next batch", state.deltas ? state.deltas.length : 0);
+  writer.gauge(
+    "queued_deltas",
+    "Deltas in the store-and-forward queue",
+    state.outboundQueue ? state.outboundQueue.length : 0
+  );
+
+  const { pathStats } = metrics;
+  writer.gauge("tracked_paths", "Paths with statistics, also those summed as __other__", pathStats.size);
+  writer.counter("path_updates", "Value updates per path", pathSamples(pathStats, "count", maxPaths));
+  writer.counter("path_bytes", "Estimated delta bytes per path", pathSamples(pathStats, "bytes", maxPaths), "bytes");
+
+  if (state.isServerMode && state.clientRegistry) {
+    // Registered clients only, so the number of client_id labels is bounded by the registry
+    const clients = Array.from(state.clientRegistry.values()).map((client) => ({
+      clientId: client.clientId,
+      stats: getClientStats(client.clientId)
+    }));
+    const clientSamples = (field) =>
+      clients.map(({ clientId, stats }) => ({ labels: { client_id: clientId }, value: stats[field] }));
+    writer.counter("client_received_packets", "Packets received per client", clientSamples("packetsIn"));
+    writer.counter("client_received_bytes", "Bytes received per client", clientSamples("bytesIn"), "bytes");
+    writer.counter("client_received_deltas", "Deltas received per client", clientSamples("deltasReceived"));
+    writer.counter("client_rejected_deltas", "Deltas outside the client's contexts", clientSamples("deltasRejected"));
+    writer.counter("client_decrypt_errors", "Packets failing decryption per client", clientSamples("decryptErrors"));
+    writer.counter("client_lost_packets", "Packets lost per client", clientSamples("packetsLost"));
+  }
+
+  return writer.toString();
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  formatOpenMetrics
+};
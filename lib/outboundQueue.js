@@ -0,0 +1,366 @@
+"use strict";
+
+const { mkdir, readdir, readFile, appendFile, unlink } = require("fs").promises;
+const { appendFileSync } = require("fs");
+const { join } = require("path");
+const { QUEUE_SEGMENT_MAX_ENTRIES, QUEUE_FLUSH_INTERVAL } = require("./constants");
+
+const SEGMENT_EXTENSION = ".ndjson";
+
+/**
+ * Creates a disk-backed store-and-forward queue for deltas collected while the link is down.
+ * Deltas are appended as NDJSON lines to segment files in the queue directory and are
+ * read back oldest-first, so draining preserves chronological order across restarts.
+ * A segment file is only deleted once the deltas read from it are committed after a successful
+ * send, so deltas are delivered at least once even if the link fails or the plugin crashes
+ * while draining.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {Object} options - Queue options
+ * @param {string} options.directory - Directory holding the queue segment files
+ * @param {number} options.maxBytes - Maximum total size of all segments on disk
+ * @param {number} options.maxAge - Maximum age of a queued delta in milliseconds
+ * @returns {Object} Queue API
+ */
+function createOutboundQueue(app, options) {
+  const { directory, maxBytes, maxAge } = options;
+
+  // Segments ordered oldest first:
+  // { file, entries, bytes, firstTime, lastTime, reading, committed, expired, drained }
+  // committed counts the entries acknowledged by commit, expired the entries skipped as too old
+  // since the last commit, and drained marks a segment that was read to the end but not committed
+  let segments = [];
+  let pending = [];
+  let readCursor = null;
+  let flushTimer = null;
+  let writeChain = Promise.resolve();
+  let segmentCounter = 0;
+  let totalEntries = 0;
+  let totalBytes = 0;
+  let droppedEntries = 0;
+
+  function newSegmentName() {
+    segmentCounter++;
+    return `${Date.now()}-${String(segmentCounter).padStart(6, "0")}${SEGMENT_EXTENSION}`;
+  }
+
+  /**
+   * Parses NDJSON segment content, skipping lines that are corrupt (e.g. torn writes)
+   * @param {string} content - Segment file content
+   * @returns {Array<{t: number, d: Object}>} Queue entries
+   */
+  function parseSegment(content) {
+    const items = [];
+    for (const line of content.split("\n")) {
+      if (!line) {
+        continue;
+      }
+      try {
+        items.push(JSON.parse(line));
+      } catch (err) {
+        app.debug(`Skipping corrupt queue entry: ${err.message}`);
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Loads existing segments from disk so data queued before a restart is not lost
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    await mkdir(directory, { recursive: true });
+    const files = (await readdir(directory)).filter((f) => f.endsWith(SEGMENT_EXTENSION)).sort();
+
+    segments = [];
+    totalEntries = 0;
+    totalBytes = 0;
+
+    for (const file of files) {
+      try {
+        const content = await readFile(join(directory, file), "utf-8");
+        const items = parseSegment(content);
+        if (items.length === 0) {
+          await unlink(join(directory, file));
+          continue;
+        }
+        const bytes = Buffer.byteLength(content);
+        segments.push({
+          file,
+          entries: items.length,
+          bytes,
+          firstTime: items[0].t,
+          lastTime: items[items.length - 1].t,
+          reading: false,
+          committed: 0,
+          expired: 0,
+          drained: false
+        });
+        totalEntries += items.length;
+        totalBytes += bytes;
+      } catch (err) {
+        app.error(`Failed to load queue segment ${file}: ${err.message}`);
+      }
+    }
+
+    await prune();
+
+    if (totalEntries > 0) {
+      app.debug(`Outbound queue restored ${totalEntries} deltas from ${segments.length} segment(s)`);
+    }
+  }
+
+  /**
+   * Removes a segment from disk and from the in-memory index
+   * @param {Object} segment - Segment to remove
+   * @param {number} remaining - Number of entries in the segment still unread
+   */
+  async function removeSegment(segment, remaining) {
+    segments = segments.filter((s) => s !== segment);
+    totalEntries -= remaining;
+    totalBytes -= segment.bytes;
+    if (readCursor && readCursor.segment === segment) {
+      readCursor = null;
+    }
+    try {
+      await unlink(join(directory, segment.file));
+    } catch (err) {
+      app.debug(`Failed to remove queue segment ${segment.file}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Number of entries of a segment that have not been handed out by dequeue yet
+   */
+  function unreadEntries(segment) {
+    if (readCursor && readCursor.segment === segment) {
+      return readCursor.items.length - readCursor.index;
+    }
+    return segment.drained ? 0 : segment.entries - segment.committed;
+  }
+
+  /**
+   * Enforces the size and age bounds by dropping the oldest segments
+   * @returns {Promise<void>}
+   */
+  async function prune() {
+    const cutoff = Date.now() - maxAge;
+
+    while (segments.length > 0 && (totalBytes > maxBytes || segments[0].lastTime < cutoff)) {
+      const oldest = segments[0];
+      const remaining = unreadEntries(oldest);
+      droppedEntries += remaining;
+      app.debug(
+        `Outbound queue dropping segment ${oldest.file} (${remaining} deltas, ` +
+          `${totalBytes > maxBytes ? "size limit" : "age limit"})`
+      );
+      await removeSegment(oldest, remaining);
+    }
+  }
+
+  /**
+   * Writes pending entries to the newest segment, rolling to a new one when it is full
+   * or currently being read
+   * @returns {Promise<void>}
+   */
+  async function writePending() {
+    while (pending.length > 0) {
+      let segment = segments[segments.length - 1];
+      if (!segment || segment.reading || segment.entries >= QUEUE_SEGMENT_MAX_ENTRIES) {
+        segment = {
+          file: newSegmentName(),
+          entries: 0,
+          bytes: 0,
+          firstTime: pending[0].t,
+          lastTime: 0,
+          reading: false,
+          committed: 0,
+          expired: 0,
+          drained: false
+        };
+        segments.push(segment);
+      }
+
+      const batch = pending.splice(0, QUEUE_SEGMENT_MAX_ENTRIES - segment.entries);
+      const lines = batch.map((entry) => JSON.stringify(entry)).join("\n") + "\n";
+      const bytes = Buffer.byteLength(lines);
+
+      try {
+        await appendFile(join(directory, segment.file), lines, "utf-8");
+        segment.entries += batch.length;
+        segment.bytes += bytes;
+        segment.lastTime = batch[batch.length - 1].t;
+        totalEntries += batch.length;
+        totalBytes += bytes;
+      } catch (err) {
+        droppedEntries += batch.length;
+        app.error(`Failed to write outbound queue: ${err.message}`);
+        if (segment.entries === 0) {
+          segments.pop();
+        }
+      }
+    }
+
+    await prune();
+  }
+
+  /**
+   * Flushes pending entries to disk (writes are serialized)
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    writeChain = writeChain.then(writePending, writePending);
+    return writeChain;
+  }
+
+  /**
+   * Adds a delta to the queue. Writes are batched and flushed to disk shortly after.
+   * @param {Object} delta - SignalK delta
+   */
+  function enqueue(delta) {
+    pending.push({ t: Date.now(), d: delta });
+
+    if (pending.length >= QUEUE_SEGMENT_MAX_ENTRIES) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, QUEUE_FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Takes up to maxCount of the oldest queued deltas (entries older than maxAge are skipped).
+   * The deltas stay on disk until commit() is called; rollback() hands them out again.
+   * @param {number} maxCount - Maximum number of deltas to return
+   * @returns {Promise<Object[]>} Deltas in chronological order
+   */
+  async function dequeue(maxCount) {
+    await flush();
+
+    const result = [];
+    const cutoff = Date.now() - maxAge;
+
+    while (result.length < maxCount) {
+      if (!readCursor) {
+        const segment = segments.find((s) => !s.drained);
+        if (!segment) {
+          break;
+        }
+        segment.reading = true;
+        let items = [];
+        try {
+          items = parseSegment(await readFile(join(directory, segment.file), "utf-8"));
+        } catch (err) {
+          app.error(`Failed to read queue segment ${segment.file}: ${err.message}`);
+        }
+        totalEntries += items.length - segment.entries;
+        segment.entries = items.length;
+        readCursor = { segment, items, index: Math.min(segment.committed, items.length) };
+      }
+
+      while (result.length < maxCount && readCursor.index < readCursor.items.length) {
+        const entry = readCursor.items[readCursor.index++];
+        totalEntries--;
+        if (entry.t < cutoff) {
+          droppedEntries++;
+          readCursor.segment.expired++;
+          continue;
+        }
+        result.push(entry.d);
+      }
+
+      if (readCursor.index >= readCursor.items.length) {
+        readCursor.segment.drained = true;
+        readCursor = null;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Acknowledges the deltas handed out by dequeue once they were sent; segments read to the
+   * end are deleted
+   * @returns {Promise<void>}
+   */
+  async function commit() {
+    for (const segment of segments.filter((s) => s.drained)) {
+      await removeSegment(segment, 0);
+    }
+    if (readCursor) {
+      readCursor.segment.committed = readCursor.index;
+      readCursor.segment.expired = 0;
+    }
+  }
+
+  /**
+   * Returns the deltas handed out by dequeue since the last commit to the queue, e.g. after
+   * sending them failed, so the next dequeue hands them out again
+   */
+  function rollback() {
+    for (const segment of segments) {
+      let read = segment.committed;
+      if (readCursor && readCursor.segment === segment) {
+        read = readCursor.index;
+      } else if (segment.drained) {
+        read = segment.entries;
+      }
+      totalEntries += read - segment.committed;
+      droppedEntries -= segment.expired;
+      segment.expired = 0;
+      segment.drained = false;
+    }
+    readCursor = null;
+  }
+
+  /**
+   * Synchronously writes pending entries so nothing is lost on plugin stop
+   */
+  function close() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (pending.length === 0) {
+      return;
+    }
+
+    try {
+      const file = newSegmentName();
+      const lines = pending.map((entry) => JSON.stringify(entry)).join("\n") + "\n";
+      appendFileSync(join(directory, file), lines, "utf-8");
+    } catch (err) {
+      app.error(`Failed to persist outbound queue on stop: ${err.message}`);
+    }
+    pending = [];
+  }
+
+  /**
+   * Returns queue statistics for the metrics endpoint
+   * @returns {Object} Queue statistics
+   */
+  function getStats() {
+    const oldest = segments.length > 0 ? segments[0].firstTime : pending.length > 0 ? pending[0].t : null;
+    return {
+      entries: totalEntries + pending.length,
+      bytes: totalBytes,
+      segments: segments.length,
+      oldestTimestamp: oldest,
+      dropped: droppedEntries
+    };
+  }
+
+  return {
+    init,
+    enqueue,
+    dequeue,
+    commit,
+    rollback,
+    flush,
+    close,
+    getStats,
+    get length() {
+      return totalEntries + pending.length;
+    }
+  };
+}
+
+module.exports = createOutboundQueue;
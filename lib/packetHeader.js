@@ -0,0 +1,208 @@
+"use strict";
+
+const crypto = require("crypto");
+
+// Cleartext header prepended to every encrypted packet. The whole header is bound into
+// the GCM additional authenticated data, so it cannot be altered without detection.
+// It starts with a magic byte and the protocol version, and describes the payload encoding,
+// so a receiver decodes each sender's packets with that sender's settings.
+const MAGIC_LENGTH = 1; // uint8, PACKET_MAGIC
+const VERSION_LENGTH = 1; // uint8, wire format version
+const KEY_ID_LENGTH = 4; // uint32, identifies which key encrypted the packet
+const KEY_FINGERPRINT_LENGTH = 1; // uint8, tells the current and next key of a rotation apart
+const SESSION_ID_LENGTH = 4; // uint32, random per sender session
+const SEQUENCE_LENGTH = 4; // uint32, monotonically increasing within a session
+const TIMESTAMP_LENGTH = 4; // uint32, send time in seconds since the Unix epoch
+const TYPE_LENGTH = 1; // uint8, packet type (low nibble) and compression codec (high nibble)
+const FLAGS_LENGTH = 1; // uint8, packet flags (low nibble) and compression dictionary ID (high nibble)
+const SERIALIZER_LENGTH = 1; // uint8, payload serializer
+const PATH_DICTIONARY_LENGTH = 1; // uint8, path dictionary version of the payload (0 = full paths)
+const HEADER_LENGTH =
+  MAGIC_LENGTH + VERSION_LENGTH + KEY_ID_LENGTH + KEY_FINGERPRINT_LENGTH + SESSION_ID_LENGTH + SEQUENCE_LENGTH + TIMESTAMP_LENGTH +
+  TYPE_LENGTH + FLAGS_LENGTH + SERIALIZER_LENGTH + PATH_DICTIONARY_LENGTH;
+const PACKET_MAGIC = 0xdc;
+const PROTOCOL_VERSION = 2; // 2: key fingerprint
+const SHARED_KEY_ID = 0; // Packets encrypted with the shared (server) key
+const MAX_SEQUENCE = 0xffffffff;
+
+// Packet types
+const PACKET_TYPE_DATA = 0; // Compressed deltas
+const PACKET_TYPE_ACK = 1; // Acknowledgement of reliable packets
+const PACKET_TYPE_FEC = 2; // XOR parity over a group of data packets
+const PACKET_TYPE_HANDSHAKE = 3; // Client's ephemeral public key, starts a session key exchange
+const PACKET_TYPE_HANDSHAKE_REPLY = 4; // Server's ephemeral public key, completes the exchange
+const PACKET_TYPE_PROBE = 5; // Client's liveness probe for server failover
+const PACKET_TYPE_PROBE_REPLY = 6; // Server's answer to a probe (the probe payload echoed)
+const TYPE_MASK = 0x0f;
+
+// Compression codec of a data packet, carried in the high nibble of the type byte
+const CODEC_SHIFT = 4;
+const MAX_CODEC = 15;
+
+// Packet flags
+const FLAG_RELIABLE = 0x01; // Sender retransmits until acknowledged
+const FLAG_FEC = 0x02; // Sender sends FEC parity for the packet's group
+const FLAGS_MASK = 0x0f;
+
+// Compression dictionary carried in the high nibble of the flags byte (0 = no dictionary)
+const DICTIONARY_ID_SHIFT = 4;
+const MAX_DICTIONARY_ID = 15;
+
+// Payload serializers
+const SERIALIZER_JSON = 0;
+const SERIALIZER_MSGPACK = 1;
+
+/**
+ * Derives the 32-bit key identifier carried in the packet header from a client ID.
+ * The identifier is stable, so server and client compute it independently.
+ * @param {string} clientId - Client identifier from the registry
+ * @returns {number} Key identifier (never SHARED_KEY_ID)
+ */
+function deriveKeyId(clientId) {
+  if (!clientId) {
+    return SHARED_KEY_ID;
+  }
+  const digest = crypto.createHash("sha256").update(String(clientId)).digest();
+  const keyId = digest.readUInt32BE(0);
+  return keyId === SHARED_KEY_ID ? 1 : keyId;
+}
+
+/**
+ * Generates a random sender session identifier
+ * @returns {number} Session identifier
+ */
+function createSessionId() {
+  return crypto.randomBytes(SESSION_ID_LENGTH).readUInt32BE(0);
+}
+
+/**
+ * Encodes the packet header
+ * Binary format: [Magic (1)][Version (1)][Key ID (4)][Key Fingerprint (1)][Session ID (4)][Sequence (4)]
+ * [Timestamp (4)][Codec | Type (1)][Dictionary ID | Flags (1)][Serializer (1)][Path Dictionary Version (1)], big-endian
+ * @param {Object} fields - Header fields
+ * @param {number} fields.keyId - Key identifier
+ * @param {number} fields.keyFingerprint - Fingerprint of the encryption key (see lib/crypto.js)
+ * @param {number} fields.sessionId - Sender session identifier
+ * @param {number} fields.seq - Sequence number within the session
+ * @param {number} fields.timestamp - Send time in seconds since the Unix epoch
+ * @param {number} fields.type - Packet type (PACKET_TYPE_DATA, PACKET_TYPE_ACK, PACKET_TYPE_FEC, a handshake or a probe)
+ * @param {number} fields.codec - Compression codec of the payload (see lib/codecs.js, up to MAX_CODEC)
+ * @param {number} fields.flags - Packet flags (FLAG_RELIABLE, FLAG_FEC)
+ * @param {number} fields.dictionaryId - Compression dictionary of the payload (0 = none, up to MAX_DICTIONARY_ID)
+ * @param {number} fields.serializer - Payload serializer (SERIALIZER_JSON or SERIALIZER_MSGPACK)
+ * @param {number} fields.pathDictionaryVersion - Path dictionary version of the payload (0 = full paths)
+ * @returns {Buffer} Encoded header
+ * @throws {Error} If the codec or dictionary ID is out of range
+ */
+function encodeHeader({
+  keyId = SHARED_KEY_ID,
+  keyFingerprint = 0,
+  sessionId = 0,
+  seq = 0,
+  timestamp = Math.floor(Date.now() / 1000),
+  type = PACKET_TYPE_DATA,
+  codec = 0,
+  flags = 0,
+  dictionaryId = 0,
+  serializer = SERIALIZER_JSON,
+  pathDictionaryVersion = 0
+}) {
+  if (!Number.isInteger(codec) || codec < 0 || codec > MAX_CODEC) {
+    throw new Error(`Invalid compression codec: ${codec}`);
+  }
+  if (!Number.isInteger(dictionaryId) || dictionaryId < 0 || dictionaryId > MAX_DICTIONARY_ID) {
+    throw new Error(`Invalid compression dictionary ID: ${dictionaryId}`);
+  }
+  const header = Buffer.alloc(HEADER_LENGTH);
+  let offset = 0;
+  header.writeUInt8(PACKET_MAGIC, offset);
+  offset += MAGIC_LENGTH;
+  header.writeUInt8(PROTOCOL_VERSION, offset);
+  offset += VERSION_LENGTH;
+  header.writeUInt32BE(keyId >>> 0, offset);
+  offset += KEY_ID_LENGTH;
+  header.writeUInt8(keyFingerprint & 0xff, offset);
+  offset += KEY_FINGERPRINT_LENGTH;
+  header.writeUInt32BE(sessionId >>> 0, offset);
+  offset += SESSION_ID_LENGTH;
+  header.writeUInt32BE(seq >>> 0, offset);
+  offset += SEQUENCE_LENGTH;
+  header.writeUInt32BE(timestamp >>> 0, offset);
+  offset += TIMESTAMP_LENGTH;
+  header.writeUInt8((codec << CODEC_SHIFT) | (type & TYPE_MASK), offset);
+  offset += TYPE_LENGTH;
+  header.writeUInt8((dictionaryId << DICTIONARY_ID_SHIFT) | (flags & FLAGS_MASK), offset);
+  offset += FLAGS_LENGTH;
+  header.writeUInt8(serializer, offset);
+  offset += SERIALIZER_LENGTH;
+  header.writeUInt8(pathDictionaryVersion, offset);
+  return header;
+}
+
+/**
+ * Splits a received packet into its header fields and encrypted payload
+ * @param {Buffer} packet - Received packet
+ * @returns {{version: number, keyId: number, keyFingerprint: number, sessionId: number, seq: number, timestamp: number, type: number,
+ *   codec: number, flags: number, dictionaryId: number, serializer: number, pathDictionaryVersion: number,
+ *   header: Buffer, payload: Buffer}} Header fields, the raw header (for use as AAD) and the encrypted payload
+ * @throws {Error} If the packet is too short, is not a data connector packet or uses another protocol version
+ */
+function decodeHeader(packet) {
+  if (!Buffer.isBuffer(packet) || packet.length < HEADER_LENGTH) {
+    throw new Error("Invalid packet size");
+  }
+  if (packet.readUInt8(0) !== PACKET_MAGIC) {
+    throw new Error("Unknown packet format: not a versioned data connector packet");
+  }
+  const version = packet.readUInt8(MAGIC_LENGTH);
+  if (version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported protocol version ${version} (supported: ${PROTOCOL_VERSION})`);
+  }
+  const keyIdOffset = MAGIC_LENGTH + VERSION_LENGTH;
+  const sessionOffset = keyIdOffset + KEY_ID_LENGTH + KEY_FINGERPRINT_LENGTH;
+  const typeOffset = sessionOffset + SESSION_ID_LENGTH + SEQUENCE_LENGTH + TIMESTAMP_LENGTH;
+  const typeByte = packet.readUInt8(typeOffset);
+  const flagsByte = packet.readUInt8(typeOffset + TYPE_LENGTH);
+  const serializerOffset = typeOffset + TYPE_LENGTH + FLAGS_LENGTH;
+  return {
+    version,
+    keyId: packet.readUInt32BE(keyIdOffset),
+    keyFingerprint: packet.readUInt8(keyIdOffset + KEY_ID_LENGTH),
+    sessionId: packet.readUInt32BE(sessionOffset),
+    seq: packet.readUInt32BE(sessionOffset + SESSION_ID_LENGTH),
+    timestamp: packet.readUInt32BE(sessionOffset + SESSION_ID_LENGTH + SEQUENCE_LENGTH),
+    type: typeByte & TYPE_MASK,
+    codec: typeByte >> CODEC_SHIFT,
+    flags: flagsByte & FLAGS_MASK,
+    dictionaryId: flagsByte >> DICTIONARY_ID_SHIFT,
+    serializer: packet.readUInt8(serializerOffset),
+    pathDictionaryVersion: packet.readUInt8(serializerOffset + SERIALIZER_LENGTH),
+    header: packet.subarray(0, HEADER_LENGTH),
+    payload: packet.subarray(HEADER_LENGTH)
+  };
+}
+
+module.exports = {
+  KEY_ID_LENGTH,
+  HEADER_LENGTH,
+  PROTOCOL_VERSION,
+  SHARED_KEY_ID,
+  MAX_SEQUENCE,
+  PACKET_TYPE_DATA,
+  PACKET_TYPE_ACK,
+  PACKET_TYPE_FEC,
+  PACKET_TYPE_HANDSHAKE,
+  PACKET_TYPE_HANDSHAKE_REPLY,
+  PACKET_TYPE_PROBE,
+  PACKET_TYPE_PROBE_REPLY,
+  FLAG_RELIABLE,
+  FLAG_FEC,
+  MAX_CODEC,
+  MAX_DICTIONARY_ID,
+  SERIALIZER_JSON,
+  SERIALIZER_MSGPACK,
+  deriveKeyId,
+  createSessionId,
+  encodeHeader,
+  decodeHeader
+};
@@ -5,6 +5,10 @@
  * Based on official Signal K specification: https://github.com/SignalK/specification
  */
 
+// Version of the ID table below, carried in the packet header. Bump it whenever IDs are
+// added, removed or reassigned, so receivers with another table detect the mismatch.
+const PATH_DICTIONARY_VERSION = 1;
+
 // Path to ID mapping (encode)
 const PATH_TO_ID = {
   // Navigation paths (0x01xx)
@@ -470,6 +474,7 @@ function getDictionarySize() {
 }
 
 module.exports = {
+  PATH_DICTIONARY_VERSION,
   PATH_TO_ID,
   ID_TO_PATH,
   PATH_CATEGORIES,
@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * Converts a Signal K style glob pattern to a regular expression.
+ * `*` matches any sequence of characters (including dots), all other
+ * characters match literally. An empty pattern or "*" matches everything.
+ * @param {string} pattern - Glob pattern (e.g. "propulsion.*", "vessels.urn:mrn:imo:mmsi:2300*")
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const escaped = String(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Compiles a list of glob patterns into a single predicate
+ * @param {string[]} patterns - Glob patterns
+ * @param {boolean} matchAllWhenEmpty - Result when the list is empty
+ * @returns {Function} (value: string) => boolean
+ */
+function compilePatterns(patterns, matchAllWhenEmpty = false) {
+  const list = Array.isArray(patterns)
+    ? patterns.map((p) => String(p).trim()).filter((p) => p.length > 0)
+    : [];
+
+  if (list.length === 0) {
+    return () => matchAllWhenEmpty;
+  }
+  if (list.includes("*")) {
+    return () => true;
+  }
+
+  const regexes = list.map(globToRegExp);
+  return (value) => typeof value === "string" && regexes.some((re) => re.test(value));
+}
+
+/**
+ * Checks whether a value matches a single glob pattern
+ * @param {string} pattern - Glob pattern
+ * @param {string} value - Value to test
+ * @returns {boolean} True if the value matches
+ */
+function matchesPattern(pattern, value) {
+  return globToRegExp(pattern).test(value);
+}
+
+module.exports = {
+  globToRegExp,
+  compilePatterns,
+  matchesPattern
+};
@@ -0,0 +1,144 @@
+"use strict";
+
+const { globToRegExp } = require("./pathMatcher");
+const { PATH_RATE_MAX_ENTRIES } = require("./constants");
+
+/**
+ * Validates and normalizes path rate rules from path_rates.json
+ * @param {Array<{path: string, interval: number}>} rules - Configured rules (interval in ms)
+ * @returns {Array<{path: string, interval: number}>} Normalized rules
+ * @throws {Error} If a rule has no path or an invalid interval
+ */
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error("rules must be an array");
+  }
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule.path !== "string" || rule.path.trim().length === 0) {
+      throw new Error(`rule ${index + 1} must have a path`);
+    }
+    const interval = Number(rule.interval);
+    if (!Number.isFinite(interval) || interval < 0) {
+      throw new Error(`rule ${index + 1} (${rule.path}) must have an interval of 0 or more milliseconds`);
+    }
+    return { path: rule.path.trim(), interval };
+  });
+}
+
+/**
+ * Creates the per-path rate limiter that decimates values before batching.
+ * The first rule whose path pattern matches a value applies; a value is passed at most
+ * once per rule interval for each context and path. Values matching no rule always pass.
+ * @returns {Object} Path rate limiter API: { setRules, filter, getRuleStats, reset }
+ */
+function createPathRateLimiter() {
+  let rules = []; // { path, interval, regex, passed, dropped }
+  let since = Date.now();
+  const lastPassed = new Map(); // "ruleIndex\ncontext\npath" -> timestamp (ms)
+
+  /**
+   * Replaces the rules and restarts the rate statistics
+   * @param {Array<{path: string, interval: number}>} newRules - Rules (interval in ms)
+   * @throws {Error} If the rules are invalid (current rules are kept)
+   */
+  function setRules(newRules) {
+    rules = normalizeRules(newRules).map((rule) => ({
+      ...rule,
+      regex: globToRegExp(rule.path),
+      passed: 0,
+      dropped: 0
+    }));
+    since = Date.now();
+    lastPassed.clear();
+  }
+
+  /**
+   * Decides whether a value passes its rule now
+   * @param {string} context - Delta context
+   * @param {string} path - Value path
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if the value is sent
+   */
+  function allow(context, path, now) {
+    const index = rules.findIndex((rule) => rule.regex.test(path));
+    if (index === -1) {
+      return true;
+    }
+    const rule = rules[index];
+    const key = `${index}\n${context}\n${path}`;
+    const last = lastPassed.get(key);
+    if (last !== undefined && now - last < rule.interval) {
+      rule.dropped++;
+      return false;
+    }
+    if (last === undefined && lastPassed.size >= PATH_RATE_MAX_ENTRIES) {
+      lastPassed.delete(lastPassed.keys().next().value);
+    }
+    lastPassed.set(key, now);
+    rule.passed++;
+    return true;
+  }
+
+  /**
+   * Removes values that arrive faster than their rule allows
+   * @param {Object} delta - Delta from the subscription
+   * @returns {Object|null} Delta with the allowed values, or null if none remain
+   */
+  function filter(delta) {
+    if (rules.length === 0 || !delta || !Array.isArray(delta.updates)) {
+      return delta;
+    }
+    const now = Date.now();
+    const context = delta.context || "";
+    let modified = false;
+    const updates = [];
+
+    for (const update of delta.updates) {
+      if (!Array.isArray(update.values) || update.values.length === 0) {
+        updates.push(update);
+        continue;
+      }
+      const values = update.values.filter((pathValue) => allow(context, pathValue.path, now));
+      if (values.length === update.values.length) {
+        updates.push(update);
+      } else {
+        modified = true;
+        if (values.length > 0) {
+          updates.push({ ...update, values });
+        }
+      }
+    }
+
+    if (!modified) {
+      return delta;
+    }
+    return updates.length > 0 ? { ...delta, updates } : null;
+  }
+
+  /**
+   * Returns the configured rules with their effective rates since the rules were loaded
+   * @returns {Array<Object>} { path, interval, passed, dropped, passedPerMinute }
+   */
+  function getRuleStats() {
+    const minutes = (Date.now() - since) / 60000;
+    return rules.map(({ path, interval, passed, dropped }) => ({
+      path,
+      interval,
+      passed,
+      dropped,
+      passedPerMinute: minutes > 0 ? Math.round((passed / minutes) * 10) / 10 : 0
+    }));
+  }
+
+  /**
+   * Removes all rules
+   */
+  function reset() {
+    rules = [];
+    lastPassed.clear();
+  }
+
+  return { setRules, filter, getRuleStats, reset };
+}
+
+module.exports = createPathRateLimiter;
@@ -1,33 +1,244 @@
 "use strict";
 
-const { promisify } = require("util");
-const zlib = require("node:zlib");
 const msgpack = require("@msgpack/msgpack");
-const { encryptBinary, decryptBinary } = require("./crypto");
-const { encodeDelta, decodeDelta } = require("./pathDictionary");
+const { encryptBinary, decryptBinary, keyFingerprint } = require("./crypto");
+const { encodeDelta, decodeDelta, PATH_DICTIONARY_VERSION } = require("./pathDictionary");
+const {
+  encodeHeader,
+  decodeHeader,
+  createSessionId,
+  SHARED_KEY_ID,
+  MAX_SEQUENCE,
+  PACKET_TYPE_DATA,
+  PACKET_TYPE_ACK,
+  PACKET_TYPE_FEC,
+  PACKET_TYPE_HANDSHAKE,
+  PACKET_TYPE_HANDSHAKE_REPLY,
+  PACKET_TYPE_PROBE,
+  PACKET_TYPE_PROBE_REPLY,
+  FLAG_RELIABLE,
+  FLAG_FEC,
+  SERIALIZER_JSON,
+  SERIALIZER_MSGPACK
+} = require("./packetHeader");
+const createReplayGuard = require("./replayGuard");
+const createSequenceTracker = require("./sequenceTracker");
+const { createRetransmitBuffer, createAckCollector } = require("./reliableDelivery");
+const { createFecEncoder, createFecDecoder } = require("./fec");
+const { RENEWAL_NOTICE, createSessionInitiator, createSessionResponder } = require("./keyExchange");
+const { CODECS, CODEC_BROTLI, compressPayload, decompressPayload } = require("./codecs");
+const CircularBuffer = require("./CircularBuffer");
+const { formatEndpoint, normalizeAddress } = require("./udpSocket");
 const {
   MAX_SAFE_UDP_PAYLOAD,
-  BROTLI_QUALITY_HIGH,
+  BENCHMARK_MAX_SAMPLES,
   UDP_RETRY_MAX,
   UDP_RETRY_DELAY,
   SMART_BATCH_SMOOTHING,
+  DEFAULT_REPLAY_MAX_AGE,
+  RETURN_SOURCE_LABEL,
+  DEFAULT_SESSION_KEY_MINUTES,
+  MILLISECONDS_PER_MINUTE,
   calculateMaxDeltasPerBatch
 } = require("./constants");
 
-const brotliCompressAsync = promisify(zlib.brotliCompress);
-const brotliDecompressAsync = promisify(zlib.brotliDecompress);
+// Compression used unless the plugin selected a codec (state.compression), and with a trained dictionary
+const DEFAULT_COMPRESSION = { codec: CODECS[CODEC_BROTLI], level: CODECS[CODEC_BROTLI].defaultLevel };
+
+// Payload serializers the receiver can parse, by header ID
+const SERIALIZER_NAMES = { [SERIALIZER_JSON]: "json", [SERIALIZER_MSGPACK]: "msgpack" };
+
+/**
+ * Describes the payload encoding of a data packet, e.g. "msgpack+paths/brotli"
+ * @param {Object} headerFields - Decoded header fields
+ * @returns {string} Wire format description
+ */
+function describeFormat({ serializer, pathDictionaryVersion, codec, dictionaryId }) {
+  const serializerName = SERIALIZER_NAMES[serializer] || `serializer ${serializer}`;
+  const codecName = CODECS[codec] ? CODECS[codec].name : `codec ${codec}`;
+  return (
+    serializerName +
+    (pathDictionaryVersion ? "+paths" : "") +
+    `/${codecName}` +
+    (dictionaryId ? `+dictionary ${dictionaryId}` : "")
+  );
+}
 
 /**
  * Creates the data processing pipeline (compress, encrypt, send / receive, decrypt, decompress).
  * @param {Object} app - SignalK app object (for logging)
  * @param {Object} state - Shared mutable state (options, socketUdp, batching vars, lastPacketTime)
  * @param {Object} metricsApi - Metrics API from lib/metrics.js
- * @returns {Object} Pipeline API: { packCrypt, unpackDecrypt }
+ * @returns {Object} Pipeline API: { packCrypt, unpackDecrypt, renewSessionKey, getKeyExchangeStatus,
+ *   sendProbe, switchServer, getRecentPayloads, stop }
  */
 function createPipeline(app, state, metricsApi) {
-  const { metrics, recordError, trackPathStats } = metricsApi;
+  const { metrics, recordError, trackPathStats, getClientStats } = metricsApi;
   const setStatus = app.setPluginStatus || app.setProviderStatus;
 
+  // Outgoing sequence state: a random session ID plus a counter bound into every header
+  const sendSession = { sessionId: createSessionId(), seq: 0 };
+  // Failover probes go to servers that do not get the data, so they have a session of their
+  // own: otherwise the active server would see every probe to another server as a lost packet
+  const probeSession = { sessionId: createSessionId(), seq: 0 };
+  const replayGuard = createReplayGuard();
+  const sequenceTracker = createSequenceTracker(metrics.sequence);
+
+  // Reliable delivery: the sender keeps reliable packets until the receiver acknowledges them
+  const retransmitBuffer = createRetransmitBuffer(app, metrics.reliable, (packet, host, port) => {
+    metrics.bandwidth.bytesOut += packet.length;
+    metrics.bandwidth.packetsOut++;
+    return udpSendAsync(packet, host, port);
+  });
+  const ackCollector = createAckCollector(sendAck);
+
+  // Forward error correction: XOR parity over groups of sent data packets
+  const fecEncoder = createFecEncoder();
+  const fecDecoder = createFecDecoder(metrics.fec);
+
+  // Forward secrecy: session keys from ephemeral key exchanges (client: initiator, server: responder)
+  const initiator = createSessionInitiator(metrics.keyExchange);
+  const responder = createSessionResponder(metrics.keyExchange);
+
+  // Recent uncompressed payloads for the codec benchmark
+  const recentPayloads = new CircularBuffer(BENCHMARK_MAX_SAMPLES);
+
+  /**
+   * Builds the header for the next outgoing packet, starting a new session on wrap-around
+   * @param {string|Buffer} secretKey - Encryption key of the packet (named by its fingerprint)
+   * @param {Object} fields - Header fields besides the session (keyId, type, flags, codec, dictionaryId,
+   *   serializer, pathDictionaryVersion; see encodeHeader)
+   * @param {Object} session - Sender session ({ sessionId, seq }), the data session by default
+   * @returns {Buffer} Encoded header
+   */
+  function nextHeader(secretKey, fields, session = sendSession) {
+    if (session.seq >= MAX_SEQUENCE) {
+      session.sessionId = createSessionId();
+      session.seq = 0;
+    }
+    session.seq++;
+    return encodeHeader({
+      ...fields,
+      keyFingerprint: keyFingerprint(secretKey),
+      sessionId: session.sessionId,
+      seq: session.seq,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+  }
+
+  /**
+   * Encrypts and sends a control packet (acknowledgement, FEC parity, handshake or probe reply)
+   * @param {number} type - Packet type
+   * @param {Buffer} payload - Plaintext payload
+   * @param {Object} target - { keyId, secretKey, address, port }
+   * @returns {Promise<void>}
+   */
+  async function sendControl(type, payload, target) {
+    const header = nextHeader(target.secretKey, { keyId: target.keyId, type });
+    const packet = Buffer.concat([header, encryptBinary(payload, target.secretKey, header)]);
+    metrics.bandwidth.bytesOut += packet.length;
+    metrics.bandwidth.packetsOut++;
+    await udpSendAsync(packet, target.address, target.port);
+  }
+
+  /**
+   * Sends an acknowledgement packet, encrypted with the key of the packets it acknowledges.
+   * It also reports the loss rate seen on the sender's session since the previous one.
+   * @param {Object} body - { s: sessionId, a: acknowledged ranges, n: missing ranges }
+   * @param {Object} target - { keyId, secretKey, sessionId, address, port }
+   * @returns {Promise<void>}
+   */
+  async function sendAck(body, target) {
+    metrics.reliable.acksSent++;
+    const loss = sequenceTracker.takeLossSample(target.keyId, target.sessionId);
+    const report = loss === null ? body : { ...body, l: loss };
+    await sendControl(PACKET_TYPE_ACK, Buffer.from(JSON.stringify(report), "utf8"), target);
+  }
+
+  /**
+   * Starts a session key exchange with the server when forward secrecy is enabled and the
+   * client has no session key, the current one is due for renewal or a handshake went unanswered.
+   * The handshake is encrypted with the pre-shared key, which authenticates it.
+   * @param {string|Buffer} secretKey - Pre-shared key
+   * @param {string} udpAddress - Server address
+   * @param {number} udpPort - Server port
+   * @returns {Promise<void>}
+   */
+  async function renewSessionKey(secretKey, udpAddress, udpPort) {
+    if (!state.options || !state.options.forwardSecrecy) {
+      return;
+    }
+    const lifetime = (state.options.sessionKeyMinutes || DEFAULT_SESSION_KEY_MINUTES) * MILLISECONDS_PER_MINUTE;
+    if (!initiator.isDue(lifetime)) {
+      return;
+    }
+    try {
+      app.debug("Starting session key exchange");
+      await sendControl(PACKET_TYPE_HANDSHAKE, initiator.start(), {
+        keyId: state.keyId || SHARED_KEY_ID,
+        secretKey,
+        address: udpAddress,
+        port: udpPort
+      });
+    } catch (err) {
+      app.error(`Key exchange error: ${err.message}`);
+      recordError("encryption", `Key exchange error: ${err.message}`);
+    }
+  }
+
+  /**
+   * Sends a failover probe, encrypted with the pre-shared key; the server echoes its payload.
+   * While an automatic transport sends over TCP, a second probe with its own sequence number
+   * goes over UDP, so the server answers it too and the transport can switch back.
+   * @param {string|Buffer} secretKey - Pre-shared key
+   * @param {string} address - Server address
+   * @param {number} port - Server port
+   * @param {Buffer} payload - Probe payload
+   * @returns {Promise<void>}
+   */
+  async function sendProbe(secretKey, address, port, payload) {
+    const keyId = state.keyId || SHARED_KEY_ID;
+    const encodeProbe = () => {
+      const header = nextHeader(secretKey, { keyId, type: PACKET_TYPE_PROBE }, probeSession);
+      const packet = Buffer.concat([header, encryptBinary(payload, secretKey, header)]);
+      metrics.bandwidth.bytesOut += packet.length;
+      metrics.bandwidth.packetsOut++;
+      return packet;
+    };
+    try {
+      await udpSendAsync(encodeProbe(), address, port);
+    } catch (err) {
+      // Recorded by the UDP layer; an unanswered probe is what failover looks for
+    }
+    const transport = state.socketUdp;
+    if (transport && transport.wantsUdpProbe && transport.wantsUdpProbe()) {
+      const target = state.hostResolver ? await state.hostResolver.resolve(address) : address;
+      transport.sendUdp(encodeProbe(), port, target, () => {});
+    }
+  }
+
+  /**
+   * Moves to another server after a failover: pending reliable packets are retransmitted to
+   * it, and the session key, which the new server does not have, is no longer used
+   * @param {string} address - Server address
+   * @param {number} port - Server port
+   */
+  function switchServer(address, port) {
+    retransmitBuffer.redirect(address, port);
+    initiator.invalidate();
+  }
+
+  /**
+   * Returns the key exchange status for the metrics API
+   * @returns {Object} Counters plus the client's session or the server's number of sessions
+   */
+  function getKeyExchangeStatus() {
+    return {
+      ...metrics.keyExchange,
+      ...(state.isServerMode ? responder.getStatus() : initiator.getStatus())
+    };
+  }
+
   /**
    * Converts delta object to buffer (JSON or MessagePack)
    * @param {Object|Array} delta - Delta object or array to convert
@@ -43,19 +254,22 @@ function createPipeline(app, state, metricsApi) {
 
   /**
    * Compresses, encrypts, and sends delta data via UDP.
-   * Pipeline: Serialize -> Compress -> Encrypt (AES-256-GCM) -> Send
+   * Pipeline: Serialize -> Compress -> Encrypt (AES-256-GCM) -> Header -> Send
    * @param {Object|Array} delta - Delta data to send
-   * @param {string} secretKey - 32-character encryption key
+   * @param {string|Buffer} secretKey - Encryption key (32 characters, or 32 bytes derived from a passphrase);
+   *   replaced by the session key once a key exchange has established one
    * @param {string} udpAddress - Destination IP address
    * @param {number} udpPort - Destination UDP port
-   * @returns {Promise<void>}
+   * @param {number} keyId - Key identifier for the packet header (defaults to the client's own)
+   * @param {boolean} reliable - Retransmit until the receiver acknowledges the packet
+   * @returns {Promise<boolean>} True if the packet was sent, false if it failed (the error is recorded)
    */
-  async function packCrypt(delta, secretKey, udpAddress, udpPort) {
+  async function packCrypt(delta, secretKey, udpAddress, udpPort, keyId = state.keyId || SHARED_KEY_ID, reliable = false) {
     try {
       // Guard against calls after plugin stop
       if (!state.options) {
         app.debug("packCrypt called but plugin is stopped, ignoring");
-        return;
+        return false;
       }
 
       // Apply path dictionary encoding if enabled
@@ -76,19 +290,39 @@ function createPipeline(app, state, metricsApi) {
         trackPathStats(delta, serialized.length);
       }
 
-      // Single compression stage (before encryption)
-      const compressed = await brotliCompressAsync(serialized, {
-        params: {
-          [zlib.constants.BROTLI_PARAM_MODE]: state.options.useMsgpack
-            ? zlib.constants.BROTLI_MODE_GENERIC
-            : zlib.constants.BROTLI_MODE_TEXT,
-          [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY_HIGH,
-          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: serialized.length
-        }
+      // Keep the compression input for dictionary training and the codec benchmark
+      if (state.trafficRecorder) {
+        state.trafficRecorder.record(serialized);
+      }
+      recentPayloads.push(serialized);
+
+      // Single compression stage (before encryption) with the configured codec, using the active
+      // trained dictionary if the codec supports one; the header names both
+      const { codec, level } = state.compression || DEFAULT_COMPRESSION;
+      const dictionary = codec.supportsDictionary ? state.compressionDictionary : null;
+      const compressed = await compressPayload(codec, serialized, level, {
+        text: !state.options.useMsgpack,
+        dictionary: dictionary ? dictionary.data : undefined
       });
 
-      // Encrypt with AES-256-GCM (binary format with built-in authentication)
-      const packet = encryptBinary(compressed, secretKey);
+      // Encrypt with AES-256-GCM (binary format with built-in authentication).
+      // The header tells the receiver which key to use and is authenticated as AAD,
+      // so its sequence number and timestamp cannot be altered for replays.
+      const packetKey = initiator.sendKey(sendSession.sessionId) || secretKey;
+      const header = nextHeader(packetKey, {
+        keyId,
+        type: PACKET_TYPE_DATA,
+        flags: (reliable ? FLAG_RELIABLE : 0) | (state.options.fecGroupSize > 1 ? FLAG_FEC : 0),
+        codec: codec.id,
+        dictionaryId: dictionary ? dictionary.id : 0,
+        serializer: state.options.useMsgpack ? SERIALIZER_MSGPACK : SERIALIZER_JSON,
+        pathDictionaryVersion: state.options.usePathDictionary ? PATH_DICTIONARY_VERSION : 0
+      });
+      const { sessionId, seq } = sendSession;
+      const packet = Buffer.concat([header, encryptBinary(compressed, packetKey, header)]);
+      if (reliable) {
+        retransmitBuffer.track(sessionId, seq, packet, udpAddress, udpPort);
+      }
 
       // Check for MTU issues
       if (packet.length > MAX_SAFE_UDP_PAYLOAD) {
@@ -107,6 +341,20 @@ function createPipeline(app, state, metricsApi) {
       await udpSendAsync(packet, udpAddress, udpPort);
       metrics.deltasSent++;
 
+      // Every fecGroupSize data packets, send a parity packet that can rebuild any one of them
+      if (state.options.fecGroupSize > 1) {
+        const parity = fecEncoder.add(seq, packet, state.options.fecGroupSize);
+        if (parity) {
+          metrics.fec.paritySent++;
+          await sendControl(PACKET_TYPE_FEC, parity, {
+            keyId,
+            secretKey: packetKey,
+            address: udpAddress,
+            port: udpPort
+          });
+        }
+      }
+
       // Update smart batching model after successful send
       const deltaCount = Array.isArray(delta) ? delta.length : 1;
       const bytesPerDelta = packet.length / deltaCount;
@@ -129,6 +377,7 @@ function createPipeline(app, state, metricsApi) {
 
       // Update last packet time for hello message suppression
       state.lastPacketTime = Date.now();
+      return true;
     } catch (error) {
       const msg = error.message || "";
       if (msg.includes("compress")) {
@@ -141,50 +390,277 @@ function createPipeline(app, state, metricsApi) {
         app.error(`packCrypt error: ${msg}`);
         recordError("general", `packCrypt error: ${msg}`);
       }
+      return false;
     }
   }
 
   /**
    * Decompresses, decrypts, and processes received UDP data.
-   * Pipeline: Receive -> Decrypt (AES-256-GCM) -> Decompress -> Parse -> Process
-   * @param {Buffer} packet - Binary packet with encrypted data
-   * @param {string} secretKey - 32-character decryption key
-   * @returns {Promise<void>}
+   * Pipeline: Receive -> Header -> Decrypt (AES-256-GCM) -> Decompress -> Parse -> Process
+   * Packets carrying a registered client's key identifier are decrypted with that client's
+   * key and their deltas are limited to the client's allowed contexts. In client mode the
+   * server's return channel uses the client's own key identifier, or the shared one.
+   * During a key rotation the key fingerprint in the header selects the current or next key.
+   * @param {Buffer} packet - Binary packet with header and encrypted data
+   * @param {string|Buffer|Array<string|Buffer>} secretKey - Shared decryption key(s) (client: own key)
+   * @param {Object} rinfo - Sender address info from the UDP socket (optional)
+   * @returns {Promise<boolean>} True if the packet authenticated (decrypted with a known key and
+   *   not a replay), even if its content was dropped
    */
-  async function unpackDecrypt(packet, secretKey) {
+  async function unpackDecrypt(packet, secretKey, rinfo = null) {
+    let authenticated = false;
     try {
       // Guard against calls after plugin stop
       if (!state.options) {
         app.debug("unpackDecrypt called but plugin is stopped, ignoring");
-        return;
+        return false;
       }
 
       // Track incoming bandwidth
       metrics.bandwidth.bytesIn += packet.length;
       metrics.bandwidth.packetsIn++;
 
-      // Decrypt with AES-256-GCM (authentication is verified automatically)
-      const decrypted = decryptBinary(packet, secretKey);
+      // Select the key from the header: shared key or a registered client's own key
+      const headerFields = decodeHeader(packet);
+      const { keyId, header, payload, type } = headerFields;
+      let client = null;
+      let clientStats = null;
+      let keys = [].concat(secretKey);
+
+      if (keyId !== SHARED_KEY_ID && keyId !== state.keyId) {
+        client = state.clientRegistry ? state.clientRegistry.get(keyId) : undefined;
+        if (!client) {
+          const keyIdHex = keyId.toString(16).padStart(8, "0");
+          app.error(`Packet with unknown key identifier ${keyIdHex} dropped`);
+          recordError("encryption", `Unknown key identifier ${keyIdHex}`);
+          return false;
+        }
+        keys = client.nextSecretKey ? [client.secretKey, client.nextSecretKey] : [client.secretKey];
+        clientStats = getClientStats(client.clientId);
+        clientStats.packetsIn++;
+        clientStats.bytesIn += packet.length;
+      }
 
-      // Decompress (single decompression stage)
-      const decompressed = await brotliDecompressAsync(decrypted);
+      // Session keys are accepted for everything but handshakes, which the pre-shared key authenticates
+      const sessionKey = `${keyId}:${headerFields.sessionId}`;
+      const preSharedKeys = keys;
+      if (type !== PACKET_TYPE_HANDSHAKE && type !== PACKET_TYPE_HANDSHAKE_REPLY) {
+        keys = [...(state.isServerMode ? responder.receiveKeys(sessionKey) : initiator.receiveKeys()), ...keys];
+      }
 
-      // Track raw bytes
-      metrics.bandwidth.bytesInRaw += decompressed.length;
+      // Of the current and next key (during a rotation), only those with the packet's fingerprint
+      // are tried; fingerprints are one byte, so two keys may share one
+      const candidates = keys.filter((k) => keyFingerprint(k) === headerFields.keyFingerprint);
+      if (candidates.length === 0) {
+        if (clientStats) {
+          clientStats.decryptErrors++;
+        }
+        const fingerprintHex = headerFields.keyFingerprint.toString(16).padStart(2, "0");
+        app.error(`Packet encrypted with an unknown key (fingerprint ${fingerprintHex}) dropped, check the keys`);
+        recordError("encryption", `Unknown key fingerprint ${fingerprintHex}`);
+        // The sender may use a session key this end no longer has (e.g. after a restart): an
+        // renewal notice, authenticated by the pre-shared key, tells it to renew
+        if (state.isServerMode && rinfo && type !== PACKET_TYPE_HANDSHAKE && responder.noticeDue(sessionKey)) {
+          await sendControl(PACKET_TYPE_HANDSHAKE_REPLY, RENEWAL_NOTICE, {
+            keyId,
+            secretKey: preSharedKeys[0],
+            address: rinfo.address,
+            port: rinfo.port
+          });
+        }
+        return false;
+      }
 
-      // Parse content (JSON or MessagePack)
-      let jsonContent;
-      if (state.options.useMsgpack) {
+      // Decrypt with AES-256-GCM (authentication is verified automatically)
+      let decrypted;
+      let key;
+      for (let i = 0; !decrypted; i++) {
         try {
-          jsonContent = msgpack.decode(decompressed);
-        } catch (msgpackErr) {
-          // Fallback to JSON if MessagePack fails
-          jsonContent = JSON.parse(decompressed.toString());
+          decrypted = decryptBinary(payload, candidates[i], header);
+          key = candidates[i];
+        } catch (decryptError) {
+          if (i < candidates.length - 1) {
+            continue;
+          }
+          if (clientStats) {
+            clientStats.decryptErrors++;
+          }
+          throw decryptError;
         }
-      } else {
-        jsonContent = JSON.parse(decompressed.toString());
       }
 
+      // Drop replayed, duplicate and stale packets (header is authenticated at this point)
+      const replayReason = replayGuard.accept(
+        headerFields,
+        state.options.replayWindowSeconds || DEFAULT_REPLAY_MAX_AGE
+      );
+
+      // Acknowledge reliable packets, duplicates too: the sender may have missed our first ACK
+      const ackTarget = rinfo
+        ? { keyId, secretKey: key, sessionId: headerFields.sessionId, address: rinfo.address, port: rinfo.port }
+        : null;
+      const isReliable = type === PACKET_TYPE_DATA && (headerFields.flags & FLAG_RELIABLE) !== 0;
+      if (isReliable && ackTarget && (!replayReason || replayReason === "duplicate")) {
+        ackCollector.acknowledge(ackTarget, headerFields.seq);
+      }
+
+      if (replayReason) {
+        if (replayReason === "duplicate") {
+          sequenceTracker.recordDuplicate();
+        }
+        app.debug(`Replay protection: ${replayReason} packet dropped (seq ${headerFields.seq})`);
+        recordError("replay", `Replay protection: ${replayReason} packet dropped`);
+        return false;
+      }
+      authenticated = true;
+
+      // Probes are answered before sequence tracking, they belong to a session of their own
+      if (type === PACKET_TYPE_PROBE) {
+        if (state.isServerMode && rinfo) {
+          await sendControl(PACKET_TYPE_PROBE_REPLY, decrypted, {
+            keyId,
+            secretKey: key,
+            address: rinfo.address,
+            port: rinfo.port
+          });
+        }
+        return true;
+      }
+
+      // Sequence gaps show packets lost on the link
+      const lost = sequenceTracker.record(headerFields);
+      if (lost > 0 && ackTarget) {
+        ackCollector.reportMissing(ackTarget, headerFields.seq - lost, headerFields.seq - 1);
+      }
+
+      if (type === PACKET_TYPE_ACK) {
+        const ack = JSON.parse(decrypted.toString("utf8"));
+        retransmitBuffer.acknowledge(ack);
+        if (typeof ack.l === "number") {
+          metrics.reliable.reportedLoss = ack.l;
+          metrics.reliable.reportedLossTime = Date.now();
+        }
+        return true;
+      }
+      if (type === PACKET_TYPE_PROBE_REPLY) {
+        if (!state.isServerMode && state.failover) {
+          state.failover.recordReply(decrypted);
+        }
+        return true;
+      }
+
+      // The server answers a client's handshake with its own ephemeral key; the client derives
+      // the same session key from the answer and sends with it from then on
+      if (type === PACKET_TYPE_HANDSHAKE) {
+        if (state.isServerMode && rinfo) {
+          const reply = responder.respond(sessionKey, decrypted);
+          app.debug(`Session key exchanged with ${sessionKey}`);
+          await sendControl(PACKET_TYPE_HANDSHAKE_REPLY, reply, {
+            keyId,
+            secretKey: key,
+            address: rinfo.address,
+            port: rinfo.port
+          });
+        }
+        return true;
+      }
+      if (type === PACKET_TYPE_HANDSHAKE_REPLY) {
+        if (state.isServerMode) {
+          return true;
+        }
+        if (decrypted.equals(RENEWAL_NOTICE)) {
+          app.debug("Server does not know the session key, sending with the pre-shared key until renewed");
+          initiator.invalidate();
+        } else if (initiator.complete(decrypted, sendSession.sessionId)) {
+          app.debug("Session key established");
+        }
+        return true;
+      }
+
+      // Keep data packets for FEC recovery; a parity packet rebuilds a single lost one,
+      // which then goes through the whole receive path (authentication included)
+      if (type === PACKET_TYPE_FEC) {
+        const recovered = fecDecoder.recover(sessionKey, decrypted);
+        if (recovered) {
+          app.debug(`FEC recovered a lost packet from ${sessionKey}`);
+          await unpackDecrypt(recovered, secretKey, rinfo);
+        }
+        return true;
+      }
+      fecDecoder.store(sessionKey, headerFields.seq, packet, (headerFields.flags & FLAG_FEC) !== 0);
+
+      if (clientStats) {
+        clientStats.packetsLost = Math.max(0, clientStats.packetsLost + lost);
+        clientStats.lastSeen = Date.now();
+        if (rinfo) {
+          clientStats.address = formatEndpoint(rinfo.address, rinfo.port);
+        }
+      }
+
+      // Remember where authenticated packets come from so the return channel can reach
+      // the sender through its NAT mapping
+      if (state.returnPeers && rinfo) {
+        state.returnPeers.set(client ? client.clientId : formatEndpoint(rinfo.address, rinfo.port), {
+          keyId,
+          secretKey: key,
+          name: client ? client.name : normalizeAddress(rinfo.address),
+          address: rinfo.address,
+          port: rinfo.port,
+          lastSeen: Date.now()
+        });
+      }
+
+      // Return data received by a client is tagged so it is not forwarded back to the server
+      const isReturnData = !state.isServerMode && state.options.acceptReturnData;
+
+      // The header describes how the sender encoded the payload, so clients with different
+      // settings can share a server; encodings this end cannot read are reported and dropped
+      const format = describeFormat(headerFields);
+      metrics.wireFormats.set(format, (metrics.wireFormats.get(format) || 0) + 1);
+      if (clientStats) {
+        clientStats.format = format;
+      }
+      if (!SERIALIZER_NAMES[headerFields.serializer]) {
+        app.error(`Packet with unknown serializer ${headerFields.serializer} dropped`);
+        recordError("protocol", `Unknown serializer ${headerFields.serializer}`);
+        return true;
+      }
+      const { pathDictionaryVersion } = headerFields;
+      if (pathDictionaryVersion && pathDictionaryVersion !== PATH_DICTIONARY_VERSION) {
+        app.error(
+          `Packet encoded with path dictionary version ${pathDictionaryVersion} dropped ` +
+            `(this end has version ${PATH_DICTIONARY_VERSION}), update the plugin on both ends`
+        );
+        recordError("protocol", `Path dictionary version mismatch: ${pathDictionaryVersion}`);
+        return true;
+      }
+
+      // Decompress (single decompression stage) with the codec and dictionary named in the header
+      const { dictionaryId } = headerFields;
+      let dictionary = null;
+      if (dictionaryId) {
+        dictionary = state.dictionaryStore ? state.dictionaryStore.get(dictionaryId) : null;
+        if (!dictionary) {
+          app.error(`Packet compressed with unknown dictionary ${dictionaryId} dropped`);
+          recordError("compression", `Unknown compression dictionary ${dictionaryId}`);
+          return true;
+        }
+      }
+      const decompressed = await decompressPayload(headerFields.codec, decrypted, dictionary);
+      if (state.trafficRecorder) {
+        state.trafficRecorder.record(decompressed);
+      }
+      recentPayloads.push(decompressed);
+
+      // Track raw bytes
+      metrics.bandwidth.bytesInRaw += decompressed.length;
+
+      // Parse content with the serializer named in the header
+      const jsonContent =
+        headerFields.serializer === SERIALIZER_MSGPACK
+          ? msgpack.decode(decompressed)
+          : JSON.parse(decompressed.toString());
+
       // Process deltas
       const deltaKeys = Object.keys(jsonContent);
       const deltaCount = deltaKeys.length;
@@ -209,13 +685,30 @@ function createPipeline(app, state, metricsApi) {
           continue;
         }
 
+        // Registered clients may only publish to their allowed contexts
+        if (client && !client.isContextAllowed(deltaMessage.context)) {
+          app.debug(`Rejected delta from client "${client.clientId}" for context ${deltaMessage.context}`);
+          clientStats.deltasRejected++;
+          continue;
+        }
+
+        if (isReturnData && Array.isArray(deltaMessage.updates)) {
+          deltaMessage.updates.forEach((update) => {
+            update.$source = RETURN_SOURCE_LABEL;
+          });
+        }
+
         // Track path stats for server-side analytics
         trackPathStats(deltaMessage, decompressed.length / deltaCount);
 
         app.handleMessage("", deltaMessage);
         app.debug(JSON.stringify(deltaMessage, null, 2));
         metrics.deltasReceived++;
+        if (clientStats) {
+          clientStats.deltasReceived++;
+        }
       }
+      return true;
     } catch (error) {
       const msg = error.message || "";
       if (msg.includes("Unsupported state") || msg.includes("auth")) {
@@ -227,10 +720,14 @@ function createPipeline(app, state, metricsApi) {
       } else if (msg.includes("decompress")) {
         app.error(`Decompression error: ${msg}`);
         recordError("compression", `Decompression error: ${msg}`);
+      } else if (msg.includes("packet format") || msg.includes("protocol version")) {
+        app.error(`Protocol error: ${msg}`);
+        recordError("protocol", `Protocol error: ${msg}`);
       } else {
         app.error(`unpackDecrypt error: ${msg}`);
         recordError("general", `unpackDecrypt error: ${msg}`);
       }
+      return authenticated;
     }
   }
 
@@ -242,7 +739,9 @@ function createPipeline(app, state, metricsApi) {
    * @param {number} retryCount - Number of retries (default 0)
    * @returns {Promise<void>}
    */
-  function udpSendAsync(message, host, port, retryCount = 0) {
+  async function udpSendAsync(message, host, port, retryCount = 0) {
+    // Client hostnames go through the resolver, which caches them and keeps the last known address
+    const address = state.hostResolver ? await state.hostResolver.resolve(host) : host;
     if (!state.socketUdp) {
       const error = new Error("UDP socket not initialized, cannot send message");
       app.error(error.message);
@@ -251,7 +750,7 @@ function createPipeline(app, state, metricsApi) {
     }
 
     return new Promise((resolve, reject) => {
-      state.socketUdp.send(message, port, host, async (error) => {
+      state.socketUdp.send(message, port, address, async (error) => {
         if (error) {
           metrics.udpSendErrors++;
           if (retryCount < UDP_RETRY_MAX && (error.code === "EAGAIN" || error.code === "ENOBUFS")) {
@@ -270,16 +769,51 @@ function createPipeline(app, state, metricsApi) {
             if (retryCount >= UDP_RETRY_MAX) {
               app.error("Max retries reached, packet dropped");
             }
+            if (state.hostResolver) {
+              state.hostResolver.recordSendResult(host, error);
+            }
             reject(error);
           }
         } else {
+          if (state.hostResolver) {
+            state.hostResolver.recordSendResult(host, null);
+          }
           resolve();
         }
       });
     });
   }
 
-  return { packCrypt, unpackDecrypt };
+  /**
+   * Returns the most recent uncompressed payloads, sent or received
+   * @returns {Buffer[]} Payloads, oldest first
+   */
+  function getRecentPayloads() {
+    return recentPayloads.toArray();
+  }
+
+  /**
+   * Stops retransmissions, pending acknowledgements and FEC state, and forgets session keys (plugin stop)
+   */
+  function stop() {
+    retransmitBuffer.stop();
+    ackCollector.stop();
+    fecEncoder.reset();
+    fecDecoder.reset();
+    initiator.reset();
+    responder.reset();
+  }
+
+  return {
+    packCrypt,
+    unpackDecrypt,
+    renewSessionKey,
+    getKeyExchangeStatus,
+    sendProbe,
+    switchServer,
+    getRecentPayloads,
+    stop
+  };
 }
 
 module.exports = createPipeline;
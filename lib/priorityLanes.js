@@ -0,0 +1,183 @@
+"use strict";
+
+const { compilePatterns } = require("./pathMatcher");
+const { DEFAULT_BULK_INTERVAL, MAX_DELTAS_BUFFER_SIZE } = require("./constants");
+
+/**
+ * Creates the critical and bulk sending lanes next to the normal delta timer batching.
+ * Critical deltas bypass the delta timer and are sent as soon as the current event loop
+ * turn ends (so simultaneous alarms share a packet). Bulk deltas are collected on their own
+ * timer and sent only while the link is up, no backlog is draining and the outgoing rate
+ * leaves room for them.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {Object} state - Shared mutable state (options, readyToSend, outboundQueue, maxDeltasPerBatch)
+ * @param {Object} metricsApi - Metrics API from lib/metrics.js
+ * @param {Function} send - (deltas) => Promise, sends one batch of deltas
+ * @returns {Object} Priority lanes API: { start, route, isCritical, flushBulk, stop }
+ */
+function createPriorityLanes(app, state, metricsApi, send) {
+  const { metrics } = metricsApi;
+  const stats = metrics.lanes;
+  let isCriticalPath = null;
+  let isBulkPath = null;
+  let critical = [];
+  let criticalScheduled = false;
+  let bulk = [];
+  let bulkTimer = null;
+  let lastBytesOut = 0;
+  let lastSampleTime = 0;
+
+  /**
+   * Starts the lanes configured in the plugin options
+   * @param {Object} options - Plugin options ({ criticalPaths, bulkPaths, bulkInterval, bulkMaxRate })
+   */
+  function start(options) {
+    if (Array.isArray(options.criticalPaths) && options.criticalPaths.length > 0) {
+      isCriticalPath = compilePatterns(options.criticalPaths);
+    }
+    if (Array.isArray(options.bulkPaths) && options.bulkPaths.length > 0) {
+      isBulkPath = compilePatterns(options.bulkPaths);
+      lastBytesOut = metrics.bandwidth.bytesOut;
+      lastSampleTime = Date.now();
+      bulkTimer = setInterval(flushBulk, (options.bulkInterval || DEFAULT_BULK_INTERVAL) * 1000);
+    }
+  }
+
+  /**
+   * Lists the paths of a delta
+   * @param {Object} delta - Delta
+   * @returns {string[]} Paths of all values
+   */
+  function pathsOf(delta) {
+    return (delta.updates || []).flatMap((update) => (update.values || []).map((value) => value.path));
+  }
+
+  /**
+   * Checks whether a delta carries a critical path
+   * @param {Object} delta - Delta
+   * @returns {boolean} True if any of its paths is critical
+   */
+  function isCritical(delta) {
+    return !!isCriticalPath && pathsOf(delta).some(isCriticalPath);
+  }
+
+  /**
+   * Sends a lane's deltas in batches of the current smart batching size
+   * @param {Object[]} deltas - Deltas to send
+   * @returns {Promise<void>}
+   */
+  async function sendBatches(deltas) {
+    for (let i = 0; i < deltas.length && state.options; i += state.maxDeltasPerBatch) {
+      await send(deltas.slice(i, i + state.maxDeltasPerBatch));
+    }
+  }
+
+  /**
+   * Sends all pending critical deltas
+   */
+  function flushCritical() {
+    criticalScheduled = false;
+    const deltas = critical;
+    critical = [];
+    if (deltas.length === 0 || !state.options) {
+      return;
+    }
+    stats.criticalSent += deltas.length;
+    sendBatches(deltas).catch((err) => app.error(`Critical lane send error: ${err.message}`));
+  }
+
+  /**
+   * Puts a delta into the critical or bulk lane if its paths belong there.
+   * A delta is critical if any of its paths is critical, and bulk only if all of them are bulk.
+   * @param {Object} delta - Delta from the subscription
+   * @returns {boolean} True if a lane took the delta, false if it belongs to the normal lane
+   */
+  function route(delta) {
+    if (!isCriticalPath && !isBulkPath) {
+      return false;
+    }
+    const paths = pathsOf(delta);
+    if (paths.length === 0) {
+      return false;
+    }
+
+    if (isCritical(delta)) {
+      critical.push(delta);
+      if (!criticalScheduled) {
+        criticalScheduled = true;
+        setImmediate(flushCritical);
+      }
+      return true;
+    }
+
+    if (isBulkPath && paths.every(isBulkPath)) {
+      if (bulk.length >= MAX_DELTAS_BUFFER_SIZE) {
+        bulk.shift();
+        stats.bulkDropped++;
+      }
+      bulk.push(delta);
+      stats.bulkBuffered = bulk.length;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Checks whether the link can take bulk data now
+   * @returns {boolean} True if bulk data may be sent
+   */
+  function hasCapacity() {
+    if (!state.readyToSend || (state.outboundQueue && state.outboundQueue.length > 0)) {
+      return false;
+    }
+    const now = Date.now();
+    const elapsed = (now - lastSampleTime) / 1000;
+    const rate = elapsed > 0 ? (metrics.bandwidth.bytesOut - lastBytesOut) / elapsed : 0;
+    lastBytesOut = metrics.bandwidth.bytesOut;
+    lastSampleTime = now;
+
+    const maxRate = state.options.bulkMaxRate || 0;
+    return maxRate === 0 || rate < maxRate;
+  }
+
+  /**
+   * Sends the collected bulk deltas if the link has capacity, otherwise keeps them for the next tick
+   * @returns {Promise<void>}
+   */
+  async function flushBulk() {
+    if (bulk.length === 0 || !state.options) {
+      return;
+    }
+    if (!hasCapacity()) {
+      stats.bulkDeferred++;
+      app.debug(`Bulk lane deferred, ${bulk.length} deltas waiting for link capacity`);
+      return;
+    }
+    const deltas = bulk;
+    bulk = [];
+    stats.bulkBuffered = 0;
+    stats.bulkSent += deltas.length;
+    try {
+      await sendBatches(deltas);
+    } catch (err) {
+      app.error(`Bulk lane send error: ${err.message}`);
+    }
+  }
+
+  /**
+   * Stops the bulk timer and drops pending lane data
+   */
+  function stop() {
+    clearInterval(bulkTimer);
+    bulkTimer = null;
+    isCriticalPath = null;
+    isBulkPath = null;
+    critical = [];
+    bulk = [];
+    stats.bulkBuffered = 0;
+  }
+
+  return { start, route, isCritical, flushBulk, stop };
+}
+
+module.exports = createPriorityLanes;
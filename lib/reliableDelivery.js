@@ -0,0 +1,259 @@
+"use strict";
+
+const {
+  RELIABLE_RETRY_INTERVAL,
+  RELIABLE_MAX_ATTEMPTS,
+  RELIABLE_MAX_PENDING,
+  RELIABLE_CHECK_INTERVAL,
+  ACK_DELAY
+} = require("./constants");
+
+/**
+ * Compresses a list of sequence numbers into inclusive ranges
+ * @param {number[]} seqs - Sequence numbers
+ * @returns {number[][]} Sorted [from, to] ranges
+ */
+function toRanges(seqs) {
+  const sorted = Array.from(new Set(seqs)).sort((a, b) => a - b);
+  const ranges = [];
+  for (const seq of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && seq === last[1] + 1) {
+      last[1] = seq;
+    } else {
+      ranges.push([seq, seq]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Checks whether a sequence number falls into one of the ranges
+ * @param {number} seq - Sequence number
+ * @param {number[][]} ranges - [from, to] ranges
+ * @returns {boolean} True if covered
+ */
+function inRanges(seq, ranges) {
+  return Array.isArray(ranges) && ranges.some((range) => Array.isArray(range) && seq >= range[0] && seq <= range[1]);
+}
+
+/**
+ * Creates the sender-side buffer of reliable packets awaiting acknowledgement.
+ * Packets are kept as sent (same header and sequence number), so a retransmission is
+ * accepted by the receiver only if the original never arrived.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {Object} stats - Mutable counters ({ sent, acknowledged, retransmitted, failed, pending })
+ * @param {Function} resend - (packet, host, port) => Promise, sends a packet again
+ * @returns {Object} Retransmit buffer API
+ */
+function createRetransmitBuffer(app, stats, resend) {
+  const pending = new Map(); // "sessionId:seq" -> { sessionId, seq, packet, host, port, sentAt, attempts }
+  let timer = null;
+
+  /**
+   * Publishes the pending count and stops the timer once nothing is pending
+   */
+  function updatePending() {
+    stats.pending = pending.size;
+    if (pending.size === 0 && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Sends a pending packet again
+   * @param {Object} entry - Pending entry
+   */
+  function retransmit(entry) {
+    entry.attempts++;
+    entry.sentAt = Date.now();
+    stats.retransmitted++;
+    app.debug(`Retransmitting reliable packet ${entry.seq} (attempt ${entry.attempts})`);
+    // Send errors are recorded by the UDP layer; the next check retries
+    resend(entry.packet, entry.host, entry.port).catch(() => {});
+  }
+
+  /**
+   * Retransmits packets whose acknowledgement is overdue and gives up after the last attempt
+   */
+  function check() {
+    const now = Date.now();
+    for (const [key, entry] of pending) {
+      if (now - entry.sentAt < RELIABLE_RETRY_INTERVAL * entry.attempts) {
+        continue;
+      }
+      if (entry.attempts >= RELIABLE_MAX_ATTEMPTS) {
+        pending.delete(key);
+        stats.failed++;
+        app.error(`Reliable packet ${entry.seq} not acknowledged after ${entry.attempts} attempts, dropped`);
+      } else {
+        retransmit(entry);
+      }
+    }
+    updatePending();
+  }
+
+  /**
+   * Keeps a sent packet until it is acknowledged
+   * @param {number} sessionId - Sender session of the packet
+   * @param {number} seq - Sequence number of the packet
+   * @param {Buffer} packet - Packet as sent
+   * @param {string} host - Destination address
+   * @param {number} port - Destination port
+   */
+  function track(sessionId, seq, packet, host, port) {
+    if (pending.size >= RELIABLE_MAX_PENDING) {
+      const [oldestKey, oldest] = pending.entries().next().value;
+      pending.delete(oldestKey);
+      stats.failed++;
+      app.error(`Retransmit buffer full, reliable packet ${oldest.seq} dropped`);
+    }
+    pending.set(`${sessionId}:${seq}`, { sessionId, seq, packet, host, port, sentAt: Date.now(), attempts: 1 });
+    stats.sent++;
+    if (!timer) {
+      timer = setInterval(check, RELIABLE_CHECK_INTERVAL);
+    }
+    updatePending();
+  }
+
+  /**
+   * Applies an acknowledgement from the receiver
+   * @param {Object} ack - { s: sessionId, a: acknowledged ranges, n: missing ranges }
+   */
+  function acknowledge(ack) {
+    if (!ack || typeof ack.s !== "number") {
+      return;
+    }
+    for (const [key, entry] of pending) {
+      if (entry.sessionId !== ack.s) {
+        continue;
+      }
+      if (inRanges(entry.seq, ack.a)) {
+        pending.delete(key);
+        stats.acknowledged++;
+      } else if (inRanges(entry.seq, ack.n)) {
+        retransmit(entry);
+      }
+    }
+    updatePending();
+  }
+
+  /**
+   * Sends all pending packets to another receiver from now on (server failover)
+   * @param {string} host - New destination address
+   * @param {number} port - New destination port
+   */
+  function redirect(host, port) {
+    for (const entry of pending.values()) {
+      entry.host = host;
+      entry.port = port;
+    }
+  }
+
+  /**
+   * Stops retransmitting and forgets all pending packets
+   */
+  function stop() {
+    pending.clear();
+    updatePending();
+  }
+
+  return {
+    track,
+    acknowledge,
+    check,
+    redirect,
+    stop,
+    get size() {
+      return pending.size;
+    }
+  };
+}
+
+/**
+ * Creates the receiver-side collector that batches acknowledgements per sender session.
+ * Missing sequence numbers are reported only to senders that use reliable delivery.
+ * @param {Function} send - (body, target) => Promise, sends an acknowledgement packet
+ * @returns {Object} Acknowledgement collector API
+ */
+function createAckCollector(send) {
+  const pending = new Map(); // "keyId:sessionId:address:port" -> { target, acked: [], missing: [] }
+  const reliableSessions = new Set();
+  let timer = null;
+
+  /**
+   * Returns the queued acknowledgement for a sender session and schedules sending
+   * @param {Object} target - { keyId, secretKey, sessionId, address, port }
+   * @returns {Object} Queued entry ({ target, acked, missing })
+   */
+  function entryFor(target) {
+    const key = `${target.keyId}:${target.sessionId}:${target.address}:${target.port}`;
+    let entry = pending.get(key);
+    if (!entry) {
+      entry = { target, acked: [], missing: [] };
+      pending.set(key, entry);
+    }
+    if (!timer) {
+      timer = setTimeout(flush, ACK_DELAY);
+    }
+    return entry;
+  }
+
+  /**
+   * Queues an acknowledgement for a reliable packet
+   * @param {Object} target - { keyId, secretKey, sessionId, address, port }
+   * @param {number} seq - Sequence number to acknowledge
+   */
+  function acknowledge(target, seq) {
+    if (reliableSessions.size >= RELIABLE_MAX_PENDING) {
+      reliableSessions.clear();
+    }
+    reliableSessions.add(`${target.keyId}:${target.sessionId}`);
+    entryFor(target).acked.push(seq);
+  }
+
+  /**
+   * Reports a sequence gap so reliable packets in it are retransmitted without waiting
+   * @param {Object} target - { keyId, secretKey, sessionId, address, port }
+   * @param {number} from - First missing sequence number
+   * @param {number} to - Last missing sequence number
+   */
+  function reportMissing(target, from, to) {
+    if (!reliableSessions.has(`${target.keyId}:${target.sessionId}`)) {
+      return;
+    }
+    entryFor(target).missing.push([Math.max(from, to - RELIABLE_MAX_PENDING + 1), to]);
+  }
+
+  /**
+   * Sends one acknowledgement packet per sender session
+   */
+  function flush() {
+    timer = null;
+    const entries = Array.from(pending.values());
+    pending.clear();
+    for (const { target, acked, missing } of entries) {
+      // Send errors are recorded by the UDP layer; the sender retransmits and we acknowledge again
+      send({ s: target.sessionId, a: toRanges(acked), n: missing }, target).catch(() => {});
+    }
+  }
+
+  /**
+   * Drops queued acknowledgements
+   */
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    pending.clear();
+    reliableSessions.clear();
+  }
+
+  return { acknowledge, reportMissing, flush, stop };
+}
+
+module.exports = {
+  toRanges,
+  createRetransmitBuffer,
+  createAckCollector
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+const { REPLAY_WINDOW_SIZE, REPLAY_MAX_SESSIONS } = require("./constants");
+
+/**
+ * Creates the server-side replay protection state.
+ * Each sender session (key identifier + session ID) has a sliding window over its
+ * sequence numbers; packets whose sequence was already seen or fell behind the window
+ * are rejected, as are packets whose timestamp is outside the allowed age.
+ * Only call accept() for packets that passed authentication, so forged headers cannot
+ * advance a window.
+ * @param {Object} options - Guard options
+ * @param {number} options.windowSize - Number of sequence numbers tracked behind the newest
+ * @returns {Object} Replay guard API
+ */
+function createReplayGuard(options = {}) {
+  const windowSize = options.windowSize || REPLAY_WINDOW_SIZE;
+  const sessions = new Map(); // "keyId:sessionId" -> { top, seen: Uint8Array, lastSeen }
+
+  /**
+   * Removes sessions idle for longer than maxAge (their packets would be expired anyway)
+   * @param {number} now - Current time in milliseconds
+   * @param {number} maxAgeMs - Maximum packet age in milliseconds
+   */
+  function prune(now, maxAgeMs) {
+    for (const [key, session] of sessions) {
+      if (now - session.lastSeen > maxAgeMs) {
+        sessions.delete(key);
+      }
+    }
+    // Hard cap against unbounded growth: drop least recently seen sessions
+    if (sessions.size > REPLAY_MAX_SESSIONS) {
+      const ordered = Array.from(sessions.entries()).sort((a, b) => a[1].lastSeen - b[1].lastSeen);
+      for (let i = 0; i < ordered.length - REPLAY_MAX_SESSIONS; i++) {
+        sessions.delete(ordered[i][0]);
+      }
+    }
+  }
+
+  /**
+   * Checks an authenticated packet and records its sequence number
+   * @param {Object} header - Decoded header ({ keyId, sessionId, seq, timestamp })
+   * @param {number} maxAgeSeconds - Maximum allowed difference between packet and local time
+   * @returns {string|null} Rejection reason ("expired", "stale", "duplicate") or null if accepted
+   */
+  function accept({ keyId, sessionId, seq, timestamp }, maxAgeSeconds) {
+    const now = Date.now();
+    const maxAgeMs = maxAgeSeconds * 1000;
+
+    if (Math.abs(now - timestamp * 1000) > maxAgeMs) {
+      return "expired";
+    }
+
+    const key = `${keyId}:${sessionId}`;
+    let session = sessions.get(key);
+    if (!session) {
+      prune(now, maxAgeMs);
+      session = { top: seq, seen: new Uint8Array(windowSize), lastSeen: now };
+      session.seen[seq % windowSize] = 1;
+      sessions.set(key, session);
+      return null;
+    }
+
+    if (seq > session.top) {
+      // Slide the window forward, clearing slots for sequence numbers not seen yet
+      const advance = Math.min(seq - session.top, windowSize);
+      for (let i = 1; i <= advance; i++) {
+        session.seen[(session.top + i) % windowSize] = 0;
+      }
+      session.top = seq;
+      session.seen[seq % windowSize] = 1;
+      session.lastSeen = now;
+      return null;
+    }
+
+    if (session.top - seq >= windowSize) {
+      return "stale";
+    }
+
+    const slot = seq % windowSize;
+    if (session.seen[slot]) {
+      return "duplicate";
+    }
+    session.seen[slot] = 1;
+    session.lastSeen = now;
+    return null;
+  }
+
+  /**
+   * Clears all tracked sessions
+   */
+  function reset() {
+    sessions.clear();
+  }
+
+  return {
+    accept,
+    reset,
+    get size() {
+      return sessions.size;
+    }
+  };
+}
+
+module.exports = createReplayGuard;
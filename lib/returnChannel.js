@@ -0,0 +1,133 @@
+"use strict";
+
+const {
+  MAX_DELTAS_BUFFER_SIZE,
+  RETURN_FLUSH_INTERVAL,
+  RETURN_PEER_TIMEOUT,
+  DEFAULT_RETURN_CONTEXT
+} = require("./constants");
+
+/**
+ * Creates the server-side return channel that sends local data back to clients.
+ * Clients are reached at the address and port their last authenticated packet came
+ * from (state.returnPeers, filled by the pipeline), so no inbound port needs to be open
+ * on the vessel: replies pass the same NAT mapping the client's own traffic created.
+ * @param {Object} app - SignalK app object
+ * @param {Object} state - Shared mutable state (options, returnPeers, maxDeltasPerBatch)
+ * @param {Object} metricsApi - Metrics API from lib/metrics.js
+ * @param {Object} pipeline - Pipeline API from lib/pipeline.js
+ * @returns {Object} Return channel API: { start, stop, flush, getPeers }
+ */
+function createReturnChannel(app, state, metricsApi, pipeline) {
+  const { recordError } = metricsApi;
+  let deltas = [];
+  let unsubscribes = [];
+  let flushTimer = null;
+
+  /**
+   * Returns the clients heard from recently, forgetting the ones that went quiet
+   * @returns {Object[]} Peers ({ keyId, secretKey, address, port, lastSeen, name })
+   */
+  function getPeers() {
+    if (!state.returnPeers) {
+      return [];
+    }
+    const now = Date.now();
+    for (const [id, peer] of state.returnPeers) {
+      if (now - peer.lastSeen > RETURN_PEER_TIMEOUT) {
+        state.returnPeers.delete(id);
+      }
+    }
+    return Array.from(state.returnPeers.values());
+  }
+
+  /**
+   * Sends buffered deltas to every active peer with that peer's key
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    if (deltas.length === 0) {
+      return;
+    }
+    const pending = deltas;
+    deltas = [];
+
+    const peers = getPeers();
+    if (peers.length === 0) {
+      app.debug(`Return channel: no connected clients, ${pending.length} deltas dropped`);
+      return;
+    }
+
+    for (const peer of peers) {
+      for (let i = 0; i < pending.length && state.options; i += state.maxDeltasPerBatch) {
+        await pipeline.packCrypt(
+          pending.slice(i, i + state.maxDeltasPerBatch),
+          peer.secretKey,
+          peer.address,
+          peer.port,
+          peer.keyId
+        );
+      }
+    }
+  }
+
+  /**
+   * Subscribes to the configured local paths and starts periodic sending
+   * @param {Object} options - Plugin options (returnPaths, returnContext)
+   */
+  function start(options) {
+    const paths = (options.returnPaths || []).map((p) => String(p).trim()).filter((p) => p.length > 0);
+    if (paths.length === 0) {
+      return;
+    }
+
+    state.returnPeers = new Map();
+    const subscription = {
+      context: options.returnContext || DEFAULT_RETURN_CONTEXT,
+      subscribe: paths.map((path) => ({ path }))
+    };
+
+    try {
+      app.subscriptionmanager.subscribe(
+        subscription,
+        unsubscribes,
+        (subscriptionError) => {
+          app.error("Return channel subscription error: " + subscriptionError);
+          recordError("subscription", `Return channel subscription error: ${subscriptionError}`);
+        },
+        (delta) => {
+          if (deltas.length >= MAX_DELTAS_BUFFER_SIZE) {
+            app.error(`Return channel buffer overflow (${deltas.length} items), clearing buffer`);
+            deltas = [];
+          }
+          deltas.push(delta);
+        }
+      );
+    } catch (subscribeError) {
+      app.error(`Failed to subscribe return channel: ${subscribeError.message}`);
+      recordError("subscription", `Failed to subscribe return channel: ${subscribeError.message}`);
+      return;
+    }
+
+    flushTimer = setInterval(() => {
+      flush().catch((err) => app.error(`Return channel send error: ${err.message}`));
+    }, RETURN_FLUSH_INTERVAL);
+    app.debug(`Return channel started for ${subscription.context}: ${paths.join(", ")}`);
+  }
+
+  /**
+   * Unsubscribes, stops sending and forgets all peers
+   */
+  function stop() {
+    unsubscribes.forEach((f) => f());
+    unsubscribes = [];
+    clearInterval(flushTimer);
+    flushTimer = null;
+    deltas = [];
+    state.returnPeers = null;
+  }
+
+  return { start, stop, flush, getPeers };
+}
+
+module.exports = createReturnChannel;
@@ -1,8 +1,105 @@
 "use strict";
 
 const { readFile, writeFile } = require("fs").promises;
+const { join } = require("path");
+const net = require("net");
 const { getAllPaths, PATH_CATEGORIES } = require("./pathDictionary");
-const { RATE_LIMIT_WINDOW, RATE_LIMIT_MAX_REQUESTS } = require("./constants");
+const { trainDictionary, readTrafficSamples } = require("./compressionDictionary");
+const { benchmarkCodecs, getCodec } = require("./codecs");
+const { keyValidator, validateRotation } = require("./keyRotation");
+const createAuditLog = require("./auditLog");
+const { CONTENT_TYPE: OPENMETRICS_CONTENT_TYPE, formatOpenMetrics } = require("./openMetrics");
+const { HISTORY_RANGES } = require("./metricsHistory");
+const { TRANSPORT_MODES } = require("./streamTransport");
+const {
+  RATE_LIMIT_WINDOW,
+  RATE_LIMIT_MAX_REQUESTS,
+  DICTIONARY_DEFAULT_SIZE,
+  DICTIONARY_MIN_SIZE,
+  DICTIONARY_MAX_SIZE,
+  SECRET_MASK,
+  AUDIT_LOG_DEFAULT_ENTRIES,
+  AUDIT_LOG_MAX_ENTRIES
+} = require("./constants");
+
+// Configuration fields holding keys, in the plugin configuration and in client registry entries
+const SECRET_FIELDS = ["secretKey", "nextSecretKey"];
+
+/**
+ * Replaces the keys of a configuration object with SECRET_MASK
+ * @param {Object} object - Plugin configuration or client registry entry
+ * @returns {Object} Copy with masked keys
+ */
+function maskFields(object) {
+  const masked = { ...object };
+  for (const field of SECRET_FIELDS) {
+    if (masked[field]) {
+      masked[field] = SECRET_MASK;
+    }
+  }
+  return masked;
+}
+
+// Configuration lists whose entries hold keys, and the field identifying an entry
+const SECRET_LISTS = { clients: "clientId", destinations: "name" };
+
+/**
+ * Masks all keys of a plugin configuration, registry and destination keys included
+ * @param {Object} configuration - Plugin configuration
+ * @returns {Object} Configuration safe to return without admin permission
+ */
+function maskSecrets(configuration) {
+  const masked = maskFields(configuration);
+  for (const list of Object.keys(SECRET_LISTS)) {
+    if (Array.isArray(masked[list])) {
+      masked[list] = masked[list].map((entry) => (entry ? maskFields(entry) : entry));
+    }
+  }
+  return masked;
+}
+
+/**
+ * Puts the stored keys back where a submitted configuration still holds SECRET_MASK, so a
+ * configuration loaded with masked keys can be saved without revealing them first.
+ * Registry entries are matched by clientId, destinations by name.
+ * @param {Object} configuration - Submitted configuration (modified in place)
+ * @param {Object} stored - Currently saved configuration
+ */
+function restoreSecrets(configuration, stored) {
+  const restoreFields = (object, source) => {
+    for (const field of SECRET_FIELDS) {
+      if (object[field] === SECRET_MASK && source && source[field]) {
+        object[field] = source[field];
+      }
+    }
+  };
+  restoreFields(configuration, stored);
+  for (const [list, idField] of Object.entries(SECRET_LISTS)) {
+    if (!Array.isArray(configuration[list])) {
+      continue;
+    }
+    const storedEntries = Array.isArray(stored[list]) ? stored[list] : [];
+    configuration[list] = configuration[list].map((entry) => {
+      if (!entry) {
+        return entry;
+      }
+      const restored = { ...entry };
+      restoreFields(restored, storedEntries.find((candidate) => candidate && candidate[idField] === entry[idField]));
+      return restored;
+    });
+  }
+}
+
+/**
+ * Lists the configuration properties whose values differ (names only, so keys are never logged)
+ * @param {Object} before - Saved configuration
+ * @param {Object} after - New configuration
+ * @returns {string[]} Sorted property names
+ */
+function changedKeys(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key])).sort();
+}
 
 /**
  * Creates the HTTP route handlers for the plugin's REST API.
@@ -10,15 +107,55 @@ const { RATE_LIMIT_WINDOW, RATE_LIMIT_MAX_REQUESTS } = require("./constants");
  * @param {Object} state - Shared mutable state
  * @param {Object} metricsApi - Metrics API from lib/metrics.js
  * @param {Object} pluginRef - Reference to plugin object (for schema access)
+ * @param {Object} pipeline - Pipeline API from lib/pipeline.js (recent payloads for the codec benchmark)
  * @returns {Object} Routes API
  */
-function createRoutes(app, state, metricsApi, pluginRef) {
-  const { metrics, updateBandwidthRates, formatBytes, getTopNPaths } = metricsApi;
+function createRoutes(app, state, metricsApi, pluginRef, pipeline) {
+  const { metrics, updateBandwidthRates, formatBytes, getTopNPaths, getClientStats, getLinkStats } = metricsApi;
 
   // Rate limiting state
   const rateLimitMap = new Map();
   let rateLimitCleanupInterval;
 
+  // Configuration changes are logged next to the plugin's other data files
+  const auditLog =
+    typeof app.getDataDirPath === "function"
+      ? createAuditLog(app, join(app.getDataDirPath(), "audit_log.jsonl"))
+      : null;
+
+  /**
+   * Returns the client address of a request
+   * @param {Object} req - Express request
+   * @returns {string} IP address
+   */
+  function requestIp(req) {
+    return req.ip || (req.connection && req.connection.remoteAddress) || "unknown";
+  }
+
+  /**
+   * Tells whether Signal K server security is enabled. Without it every user is an admin,
+   * as in the rest of the server.
+   * @returns {boolean} True if requests carry a principal to check
+   */
+  function isSecurityEnabled() {
+    const strategy = app.securityStrategy;
+    return !!strategy && !(typeof strategy.isDummy === "function" && strategy.isDummy());
+  }
+
+  /**
+   * Records a configuration change made through the API
+   * @param {Object} req - Express request (user and address)
+   * @param {string} action - What was changed
+   * @param {Object} details - Change details, never keys
+   */
+  function audit(req, action, details) {
+    const user = req.skPrincipal && req.skPrincipal.identifier ? req.skPrincipal.identifier : null;
+    app.debug(`Audit: ${action} by ${user || "unauthenticated user"}`);
+    if (auditLog) {
+      auditLog.record({ user, ip: requestIp(req), action, ...(details ? { details } : {}) });
+    }
+  }
+
   /**
    * Simple rate limiting check
    * @param {string} ip - Client IP address
@@ -77,6 +214,7 @@ function createRoutes(app, state, metricsApi, pluginRef) {
       case "delta_timer.json": return state.deltaTimerFile;
       case "subscription.json": return state.subscriptionFile;
       case "sentence_filter.json": return state.sentenceFilterFile;
+      case "path_rates.json": return state.pathRatesFile;
       default: return null;
     }
   }
@@ -113,6 +251,37 @@ function createRoutes(app, state, metricsApi, pluginRef) {
     }
   }
 
+  /**
+   * Saves a configuration and restarts the plugin to apply it.
+   * SignalK's restartPlugin(config) saves the config to disk AND triggers stop/start.
+   * If restartPlugin is not available (plugin not started yet), falls back to savePluginOptions only.
+   * @param {Object} configuration - Complete plugin configuration
+   * @param {Object} res - Express response
+   */
+  function saveConfiguration(configuration, res) {
+    if (typeof state.restartPlugin === "function") {
+      state.restartPlugin(configuration);
+      res.json({
+        success: true,
+        message: "Configuration saved. Plugin restarting...",
+        restarting: true
+      });
+    } else {
+      app.savePluginOptions(configuration, (err) => {
+        if (err) {
+          app.error(`Error saving plugin config: ${err.message}`);
+          res.status(500).json({ success: false, error: err.message });
+        } else {
+          res.json({
+            success: true,
+            message: "Configuration saved. Restart plugin to apply changes.",
+            restarting: false
+          });
+        }
+      });
+    }
+  }
+
   /**
    * Registers all HTTP routes with the Express router
    * @param {Object} router - Express router instance
@@ -133,13 +302,30 @@ function createRoutes(app, state, metricsApi, pluginRef) {
      * Rate limiting middleware for API endpoints
      */
     const rateLimitMiddleware = (req, res, next) => {
-      const clientIp = req.ip || (req.connection && req.connection.remoteAddress) || "unknown";
-      if (!checkRateLimit(clientIp)) {
+      if (!checkRateLimit(requestIp(req))) {
         return res.status(429).json({ error: "Too many requests, please try again later" });
       }
       next();
     };
 
+    /**
+     * Admin permission middleware for configuration changes and keys. Signal K server's
+     * security sets req.skPrincipal for logged-in users.
+     */
+    const requireAdmin = (req, res, next) => {
+      if (!isSecurityEnabled()) {
+        return next();
+      }
+      const principal = req.skPrincipal;
+      if (!principal || !principal.identifier) {
+        return res.status(401).json({ success: false, error: "Login required" });
+      }
+      if (principal.permissions !== "admin") {
+        return res.status(403).json({ success: false, error: "Admin permission required" });
+      }
+      next();
+    };
+
     // Metrics endpoint (available in both client and server mode)
     router.get("/metrics", rateLimitMiddleware, (req, res) => {
       updateBandwidthRates(state.isServerMode);
@@ -170,12 +356,18 @@ function createRoutes(app, state, metricsApi, pluginRef) {
           udpRetries: metrics.udpRetries,
           compressionErrors: metrics.compressionErrors,
           encryptionErrors: metrics.encryptionErrors,
-          subscriptionErrors: metrics.subscriptionErrors
+          subscriptionErrors: metrics.subscriptionErrors,
+          replayErrors: metrics.replayErrors,
+          protocolErrors: metrics.protocolErrors
         },
         status: {
           readyToSend: state.readyToSend,
-          deltasBuffered: state.deltas.length
+          deltasBuffered: state.deltas.length,
+          deltasQueued: state.outboundQueue ? state.outboundQueue.length : 0
         },
+        queue: state.outboundQueue
+          ? { ...state.outboundQueue.getStats(), draining: !!state.queueDrainTimer }
+          : null,
         bandwidth: (() => {
           const packets = state.isServerMode ? metrics.bandwidth.packetsIn : metrics.bandwidth.packetsOut;
           const bytes = state.isServerMode ? metrics.bandwidth.bytesIn : metrics.bandwidth.bytesOut;
@@ -201,8 +393,53 @@ function createRoutes(app, state, metricsApi, pluginRef) {
             history: metrics.bandwidth.history.toArray().slice(-30)
           };
         })(),
+        linkQuality: getLinkStats(),
+        reliable: { ...metrics.reliable },
+        fec: { ...metrics.fec },
+        changeDetection: { ...metrics.changeDetection },
+        lanes: { ...metrics.lanes },
+        pathRates: state.pathRateLimiter ? state.pathRateLimiter.getRuleStats() : null,
+        destinations: state.destinations && state.destinations.length > 0
+          ? state.destinations.map((destination) => destination.getStatus())
+          : null,
+        failover: state.failover ? state.failover.getStatus() : null,
+        dns: state.hostResolver ? state.hostResolver.getStatus() : null,
+        transport: state.socketUdp && state.socketUdp.getStatus ? state.socketUdp.getStatus() : null,
+        budget: state.budget ? state.budget.getStatus() : null,
+        adaptiveTimer: state.adaptiveTimer ? state.adaptiveTimer.getStatus() : null,
+        compression: state.compression
+          ? {
+            codec: state.compression.codec.name,
+            level: state.compression.level,
+            dictionary: state.compressionDictionary ? state.compressionDictionary.id : null
+          }
+          : null,
+        wireFormats: Object.fromEntries(metrics.wireFormats),
+        keys: state.keyRing ? state.keyRing.getStatus() : null,
+        keyExchange: pipeline ? pipeline.getKeyExchangeStatus() : null,
         pathStats: pathStatsArray,
         pathCategories: PATH_CATEGORIES,
+        clients: state.isServerMode && state.clientRegistry
+          ? Array.from(state.clientRegistry.values()).map((client) => {
+            const stats = getClientStats(client.clientId);
+            return {
+              clientId: client.clientId,
+              name: client.name,
+              allowedContexts: client.allowedContexts,
+              ...stats,
+              bytesInFormatted: formatBytes(stats.bytesIn)
+            };
+          })
+          : null,
+        returnChannel: state.isServerMode && state.returnPeers
+          ? {
+            peers: Array.from(state.returnPeers.values()).map((peer) => ({
+              name: peer.name,
+              address: `${peer.address}:${peer.port}`,
+              lastSeen: peer.lastSeen
+            }))
+          }
+          : null,
         smartBatching: state.isServerMode
           ? null
           : {
@@ -224,6 +461,87 @@ function createRoutes(app, state, metricsApi, pluginRef) {
       res.json(metricsData);
     });
 
+    // The same counters in the OpenMetrics text format, for Prometheus
+    router.get("/openmetrics", rateLimitMiddleware, (req, res) => {
+      res.contentType(OPENMETRICS_CONTENT_TYPE);
+      res.send(formatOpenMetrics(metricsApi, state));
+    });
+
+    // Bandwidth, compression and error history that survives restarts
+    router.get("/metrics/history", rateLimitMiddleware, (req, res) => {
+      if (!state.metricsHistory) {
+        return res.status(503).json({ error: "Plugin not fully initialized" });
+      }
+      const range = (req.query && req.query.range) || "24h";
+      if (!HISTORY_RANGES[range]) {
+        return res.status(400).json({ error: `range must be one of ${Object.keys(HISTORY_RANGES).join(", ")}` });
+      }
+      res.json(state.metricsHistory.query(range, state.isServerMode));
+    });
+
+    // Compression dictionaries (available in both client and server mode)
+    router.get("/dictionaries", rateLimitMiddleware, (req, res) => {
+      if (!state.dictionaryStore) {
+        return res.status(503).json({ error: "Plugin not fully initialized" });
+      }
+      res.json({
+        active: state.compressionDictionary ? state.compressionDictionary.id : null,
+        dictionaries: state.dictionaryStore.list(),
+        recording: state.trafficRecorder ? state.trafficRecorder.getStatus() : null
+      });
+    });
+
+    // Train a new dictionary version from the recorded traffic
+    router.post("/dictionaries/train", rateLimitMiddleware, requireAdmin, requireJson, async (req, res) => {
+      if (!state.dictionaryStore || !state.trafficSamplesFile) {
+        return res.status(503).json({ error: "Plugin not fully initialized" });
+      }
+      const size = req.body.size === undefined ? DICTIONARY_DEFAULT_SIZE : req.body.size;
+      if (!Number.isInteger(size) || size < DICTIONARY_MIN_SIZE || size > DICTIONARY_MAX_SIZE) {
+        return res
+          .status(400)
+          .json({ error: `size must be an integer between ${DICTIONARY_MIN_SIZE} and ${DICTIONARY_MAX_SIZE}` });
+      }
+
+      if (state.trafficRecorder) {
+        await state.trafficRecorder.flush();
+      }
+      const samples = await readTrafficSamples(state.trafficSamplesFile);
+      let dictionary;
+      try {
+        dictionary = trainDictionary(samples, size);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      try {
+        const id = await state.dictionaryStore.add(dictionary);
+        app.debug(`Trained compression dictionary ${id} (${dictionary.length} bytes) from ${samples.length} samples`);
+        audit(req, "dictionary-trained", { id, size: dictionary.length });
+        res.json({ success: true, id, size: dictionary.length, samples: samples.length });
+      } catch (err) {
+        app.error(`Failed to save compression dictionary: ${err.message}`);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Compress recent payloads with every codec to compare size and CPU time
+    router.get("/codecs/benchmark", rateLimitMiddleware, (req, res) => {
+      const payloads = pipeline ? pipeline.getRecentPayloads() : [];
+      if (payloads.length === 0) {
+        return res.status(409).json({ error: "No recent data to benchmark, wait for data to be sent or received" });
+      }
+      res.json({
+        samples: payloads.length,
+        rawBytes: payloads.reduce((sum, payload) => sum + payload.length, 0),
+        current: state.compression ? state.compression.codec.name : null,
+        results: benchmarkCodecs(payloads, {
+          text: !(state.options && state.options.useMsgpack),
+          dictionary: state.compressionDictionary
+        })
+      });
+    });
+
     // Signal K paths dictionary endpoint
     router.get("/paths", rateLimitMiddleware, (req, res) => {
       const paths = getAllPaths();
@@ -239,10 +557,25 @@ function createRoutes(app, state, metricsApi, pluginRef) {
       res.json({ total: paths.length, categories: categorized });
     });
 
-    // Plugin configuration endpoint - get current config
+    // Plugin configuration endpoint - get current config, keys masked
     router.get("/plugin-config", rateLimitMiddleware, (req, res) => {
       try {
         const pluginConfig = app.readPluginOptions();
+        res.json({
+          success: true,
+          configuration: maskSecrets(pluginConfig.configuration || {})
+        });
+      } catch (error) {
+        app.error(`Error reading plugin config: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Plugin configuration endpoint - current config with keys (POST, so it is never cached)
+    router.post("/plugin-config/reveal", rateLimitMiddleware, requireAdmin, (req, res) => {
+      try {
+        const pluginConfig = app.readPluginOptions();
+        audit(req, "secrets-revealed");
         res.json({
           success: true,
           configuration: pluginConfig.configuration || {}
@@ -254,9 +587,11 @@ function createRoutes(app, state, metricsApi, pluginRef) {
     });
 
     // Plugin configuration endpoint - save config
-    router.post("/plugin-config", rateLimitMiddleware, requireJson, (req, res) => {
+    router.post("/plugin-config", rateLimitMiddleware, requireAdmin, requireJson, (req, res) => {
       try {
-        const newConfig = req.body;
+        const newConfig = { ...req.body };
+        const storedConfig = app.readPluginOptions().configuration || {};
+        restoreSecrets(newConfig, storedConfig);
 
         if (!newConfig.serverType) {
           return res.status(400).json({ success: false, error: "serverType is required" });
@@ -264,8 +599,49 @@ function createRoutes(app, state, metricsApi, pluginRef) {
         if (!newConfig.udpPort || newConfig.udpPort < 1024 || newConfig.udpPort > 65535) {
           return res.status(400).json({ success: false, error: "Valid udpPort (1024-65535) is required" });
         }
-        if (!newConfig.secretKey || newConfig.secretKey.length !== 32) {
-          return res.status(400).json({ success: false, error: "secretKey must be exactly 32 characters" });
+        const validateKey = keyValidator(newConfig);
+        try {
+          validateKey(newConfig.secretKey);
+        } catch (err) {
+          return res.status(400).json({ success: false, error: `Invalid secretKey: ${err.message}` });
+        }
+        if (newConfig.nextSecretKey) {
+          try {
+            validateRotation(newConfig, newConfig);
+          } catch (err) {
+            return res.status(400).json({ success: false, error: `Invalid key rotation: ${err.message}` });
+          }
+        }
+
+        if (newConfig.clients !== undefined) {
+          if (!Array.isArray(newConfig.clients)) {
+            return res.status(400).json({ success: false, error: "clients must be an array" });
+          }
+          const clientIds = new Set();
+          for (const client of newConfig.clients) {
+            if (!client || !client.clientId) {
+              return res.status(400).json({ success: false, error: "Every client requires a clientId" });
+            }
+            if (clientIds.has(client.clientId)) {
+              return res.status(400).json({ success: false, error: `Duplicate clientId: ${client.clientId}` });
+            }
+            clientIds.add(client.clientId);
+            try {
+              validateKey(client.secretKey);
+              if (client.nextSecretKey) {
+                validateKey(client.nextSecretKey);
+              }
+            } catch (err) {
+              return res.status(400).json({
+                success: false,
+                error: `Invalid key for client ${client.clientId}: ${err.message}`
+              });
+            }
+          }
+        }
+
+        if (newConfig.serverType === "server" && newConfig.bindAddress && !net.isIP(newConfig.bindAddress)) {
+          return res.status(400).json({ success: false, error: "bindAddress must be an IPv4 or IPv6 address" });
         }
 
         if (newConfig.serverType === "client") {
@@ -278,13 +654,76 @@ function createRoutes(app, state, metricsApi, pluginRef) {
           if (!newConfig.testPort) {
             return res.status(400).json({ success: false, error: "testPort is required in client mode" });
           }
+          if (newConfig.transport !== undefined && !TRANSPORT_MODES.includes(newConfig.transport)) {
+            return res.status(400).json({ success: false, error: "transport must be udp, tcp or auto" });
+          }
+          const codec = getCodec(newConfig.compressionCodec || "brotli");
+          if (newConfig.compressionDictionary > 0 && codec && !codec.supportsDictionary) {
+            return res.status(400).json({
+              success: false,
+              error: `compressionDictionary needs the deflate or zstd codec, ${codec.name} cannot use a dictionary here`
+            });
+          }
+          if (newConfig.failoverServers !== undefined) {
+            if (!Array.isArray(newConfig.failoverServers)) {
+              return res.status(400).json({ success: false, error: "failoverServers must be an array" });
+            }
+            for (const server of newConfig.failoverServers) {
+              if (!server || !server.udpAddress || !Number.isInteger(server.udpPort) ||
+                server.udpPort < 1 || server.udpPort > 65535) {
+                return res.status(400).json({
+                  success: false,
+                  error: "Every failover server requires udpAddress and a udpPort between 1 and 65535"
+                });
+              }
+            }
+          }
+          if (newConfig.destinations !== undefined) {
+            if (!Array.isArray(newConfig.destinations)) {
+              return res.status(400).json({ success: false, error: "destinations must be an array" });
+            }
+            const names = new Set();
+            for (const destination of newConfig.destinations) {
+              if (!destination || !destination.name) {
+                return res.status(400).json({ success: false, error: "Every destination requires a name" });
+              }
+              if (names.has(destination.name)) {
+                return res.status(400).json({ success: false, error: `Duplicate destination: ${destination.name}` });
+              }
+              names.add(destination.name);
+              if (!destination.udpAddress || !destination.udpPort) {
+                return res.status(400).json({
+                  success: false,
+                  error: `Destination ${destination.name} requires udpAddress and udpPort`
+                });
+              }
+              try {
+                validateKey(destination.secretKey);
+              } catch (err) {
+                return res.status(400).json({
+                  success: false,
+                  error: `Invalid key for destination ${destination.name}: ${err.message}`
+                });
+              }
+            }
+          }
         }
 
         // Sanitize: only keep known configuration properties to prevent
         // stale or unknown fields from accumulating in the saved config
         const VALID_CONFIG_KEYS = [
-          "serverType", "udpPort", "secretKey", "useMsgpack", "usePathDictionary",
-          "udpAddress", "helloMessageSender", "testAddress", "testPort", "pingIntervalTime"
+          "serverType", "udpPort", "secretKey", "keyDerivation", "keySalt", "nextSecretKey", "keyRotationTime",
+          "keyRotationWindowHours", "useMsgpack", "usePathDictionary",
+          "udpAddress", "failoverServers", "failoverTimeout", "failbackDelay", "dnsRefreshInterval", "transport",
+          "transportTimeout", "helloMessageSender", "testAddress", "testPort", "pingIntervalTime",
+          "storeAndForward", "queueMaxSizeMB", "queueMaxAgeHours", "queueCatchUpRate",
+          "clientId", "destinations", "bindAddress", "clients", "replayWindowSeconds", "returnPaths", "returnContext",
+          "acceptReturnData", "publishLinkStats", "reliablePaths", "fecGroupSize",
+          "forwardSecrecy", "sessionKeyMinutes",
+          "changeDetection", "deadbands", "fullRefreshInterval", "criticalPaths", "bulkPaths",
+          "bulkInterval", "bulkMaxRate", "dailyBudgetMB", "monthlyBudgetMB", "budgetResetDay",
+          "adaptiveDeltaTimer", "deltaTimerMin", "deltaTimerMax", "recordTraffic", "compressionDictionary",
+          "compressionCodec", "compressionLevel"
         ];
         const sanitizedConfig = {};
         for (const key of VALID_CONFIG_KEYS) {
@@ -296,43 +735,121 @@ function createRoutes(app, state, metricsApi, pluginRef) {
         // Remove client-only fields when saving in server mode
         if (sanitizedConfig.serverType === "server") {
           delete sanitizedConfig.udpAddress;
+          delete sanitizedConfig.failoverServers;
+          delete sanitizedConfig.failoverTimeout;
+          delete sanitizedConfig.failbackDelay;
+          delete sanitizedConfig.dnsRefreshInterval;
+          delete sanitizedConfig.transport;
+          delete sanitizedConfig.transportTimeout;
           delete sanitizedConfig.helloMessageSender;
           delete sanitizedConfig.testAddress;
           delete sanitizedConfig.testPort;
           delete sanitizedConfig.pingIntervalTime;
-        }
-
-        // Save configuration and restart plugin to apply changes.
-        // SignalK's restartPlugin(config) saves the config to disk AND
-        // triggers stop/start. If restartPlugin is not available (plugin
-        // not started yet), fall back to savePluginOptions only.
-        if (typeof state.restartPlugin === "function") {
-          state.restartPlugin(sanitizedConfig);
-          res.json({
-            success: true,
-            message: "Configuration saved. Plugin restarting...",
-            restarting: true
-          });
+          delete sanitizedConfig.storeAndForward;
+          delete sanitizedConfig.queueMaxSizeMB;
+          delete sanitizedConfig.queueMaxAgeHours;
+          delete sanitizedConfig.queueCatchUpRate;
+          delete sanitizedConfig.clientId;
+          delete sanitizedConfig.destinations;
+          delete sanitizedConfig.acceptReturnData;
+          delete sanitizedConfig.reliablePaths;
+          delete sanitizedConfig.fecGroupSize;
+          delete sanitizedConfig.forwardSecrecy;
+          delete sanitizedConfig.sessionKeyMinutes;
+          delete sanitizedConfig.changeDetection;
+          delete sanitizedConfig.deadbands;
+          delete sanitizedConfig.fullRefreshInterval;
+          delete sanitizedConfig.criticalPaths;
+          delete sanitizedConfig.bulkPaths;
+          delete sanitizedConfig.bulkInterval;
+          delete sanitizedConfig.bulkMaxRate;
+          delete sanitizedConfig.dailyBudgetMB;
+          delete sanitizedConfig.monthlyBudgetMB;
+          delete sanitizedConfig.budgetResetDay;
+          delete sanitizedConfig.adaptiveDeltaTimer;
+          delete sanitizedConfig.deltaTimerMin;
+          delete sanitizedConfig.deltaTimerMax;
+          delete sanitizedConfig.compressionDictionary;
+          delete sanitizedConfig.compressionCodec;
+          delete sanitizedConfig.compressionLevel;
         } else {
-          app.savePluginOptions(sanitizedConfig, (err) => {
-            if (err) {
-              app.error(`Error saving plugin config: ${err.message}`);
-              res.status(500).json({ success: false, error: err.message });
-            } else {
-              res.json({
-                success: true,
-                message: "Configuration saved. Restart plugin to apply changes.",
-                restarting: false
-              });
-            }
-          });
+          // Remove server-only fields when saving in client mode
+          delete sanitizedConfig.bindAddress;
+          delete sanitizedConfig.clients;
+          delete sanitizedConfig.replayWindowSeconds;
+          delete sanitizedConfig.returnPaths;
+          delete sanitizedConfig.returnContext;
+          delete sanitizedConfig.publishLinkStats;
         }
+
+        audit(req, "plugin-config", { changed: changedKeys(storedConfig, sanitizedConfig) });
+        saveConfiguration(sanitizedConfig, res);
       } catch (error) {
         app.error(`Error saving plugin config: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
+    // Schedule a key rotation: the next key is accepted right away and used for sending from the rotation time
+    router.post("/key-rotation", rateLimitMiddleware, requireAdmin, requireJson, (req, res) => {
+      try {
+        const configuration = { ...(app.readPluginOptions().configuration || {}) };
+        const { nextSecretKey, keyRotationTime, keyRotationWindowHours } = req.body;
+        let activateAt;
+        try {
+          ({ activateAt } = validateRotation({ nextSecretKey, keyRotationTime, keyRotationWindowHours }, configuration));
+        } catch (err) {
+          return res.status(400).json({ success: false, error: err.message });
+        }
+        if (activateAt <= Date.now()) {
+          return res.status(400).json({ success: false, error: "Key rotation time must be in the future" });
+        }
+
+        configuration.nextSecretKey = nextSecretKey;
+        configuration.keyRotationTime = new Date(activateAt).toISOString();
+        if (keyRotationWindowHours !== undefined) {
+          configuration.keyRotationWindowHours = keyRotationWindowHours;
+        }
+        app.debug(`Key rotation scheduled for ${configuration.keyRotationTime}`);
+        audit(req, "key-rotation-scheduled", { keyRotationTime: configuration.keyRotationTime });
+        saveConfiguration(configuration, res);
+      } catch (error) {
+        app.error(`Error scheduling key rotation: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Cancel a scheduled key rotation and keep the current key
+    router.post("/key-rotation/cancel", rateLimitMiddleware, requireAdmin, (req, res) => {
+      try {
+        const configuration = { ...(app.readPluginOptions().configuration || {}) };
+        if (!configuration.nextSecretKey) {
+          return res.status(409).json({ success: false, error: "No key rotation is scheduled" });
+        }
+        delete configuration.nextSecretKey;
+        delete configuration.keyRotationTime;
+        delete configuration.keyRotationWindowHours;
+        app.debug("Key rotation cancelled");
+        audit(req, "key-rotation-cancelled");
+        saveConfiguration(configuration, res);
+      } catch (error) {
+        app.error(`Error cancelling key rotation: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Configuration changes made through the API, newest first
+    router.get("/audit-log", rateLimitMiddleware, requireAdmin, async (req, res) => {
+      if (!auditLog) {
+        return res.status(503).json({ error: "Audit log not available" });
+      }
+      const limit = req.query && req.query.limit !== undefined ? Number(req.query.limit) : AUDIT_LOG_DEFAULT_ENTRIES;
+      if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_LOG_MAX_ENTRIES) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${AUDIT_LOG_MAX_ENTRIES}` });
+      }
+      res.json({ entries: await auditLog.read(limit) });
+    });
+
     // Get schema for configuration UI
     router.get("/plugin-schema", rateLimitMiddleware, (req, res) => {
       res.json({
@@ -366,19 +883,27 @@ function createRoutes(app, state, metricsApi, pluginRef) {
       res.send(JSON.stringify(config || {}));
     });
 
-    router.post("/config/:filename", rateLimitMiddleware, requireJson, clientModeMiddleware, async (req, res) => {
-      const filePath = getConfigFilePath(req.params.filename);
-      if (!filePath) {
-        return res.status(400).json({ error: "Invalid filename" });
-      }
+    router.post(
+      "/config/:filename",
+      rateLimitMiddleware,
+      requireAdmin,
+      requireJson,
+      clientModeMiddleware,
+      async (req, res) => {
+        const filePath = getConfigFilePath(req.params.filename);
+        if (!filePath) {
+          return res.status(400).json({ error: "Invalid filename" });
+        }
 
-      const success = await saveConfigFile(filePath, req.body);
-      if (success) {
-        res.status(200).send("OK");
-      } else {
-        res.status(500).send("Failed to save configuration");
+        const success = await saveConfigFile(filePath, req.body);
+        if (success) {
+          audit(req, "config-file", { filename: req.params.filename });
+          res.status(200).send("OK");
+        } else {
+          res.status(500).send("Failed to save configuration");
+        }
       }
-    });
+    );
   }
 
   return {
@@ -0,0 +1,116 @@
+"use strict";
+
+const { SEQUENCE_MAX_SESSIONS, SEQUENCE_SESSION_TIMEOUT } = require("./constants");
+
+/**
+ * Creates the receive-side link quality tracker.
+ * Packets carry a per-session sequence number, so gaps show packets lost on the link.
+ * A packet that arrives after a higher sequence number is counted as out of order and
+ * no longer as lost. Only authenticated, non-replayed packets should be recorded.
+ * @param {Object} stats - Mutable counters updated in place
+ *   ({ packetsReceived, packetsLost, outOfOrder, duplicates })
+ * @returns {Object} Sequence tracker API
+ */
+function createSequenceTracker(stats) {
+  const sessions = new Map(); // "keyId:sessionId" -> { first, highest, lastSeen, received, lost }
+
+  /**
+   * Forgets sessions that went quiet (sender restarted or disconnected)
+   * @param {number} now - Current time in milliseconds
+   */
+  function prune(now) {
+    for (const [key, session] of sessions) {
+      if (now - session.lastSeen > SEQUENCE_SESSION_TIMEOUT) {
+        sessions.delete(key);
+      }
+    }
+    if (sessions.size >= SEQUENCE_MAX_SESSIONS) {
+      const ordered = Array.from(sessions.entries()).sort((a, b) => a[1].lastSeen - b[1].lastSeen);
+      for (let i = 0; i <= ordered.length - SEQUENCE_MAX_SESSIONS; i++) {
+        sessions.delete(ordered[i][0]);
+      }
+    }
+  }
+
+  /**
+   * Records a received packet
+   * @param {Object} header - Decoded header ({ keyId, sessionId, seq })
+   * @returns {number} Change in lost packets caused by this packet (negative for late arrivals)
+   */
+  function record({ keyId, sessionId, seq }) {
+    const now = Date.now();
+    const key = `${keyId}:${sessionId}`;
+    let session = sessions.get(key);
+    let lost = 0;
+
+    stats.packetsReceived++;
+
+    if (!session) {
+      prune(now);
+      session = { first: seq, highest: seq, lastSeen: now, received: 0, lost: 0 };
+      sessions.set(key, session);
+    } else if (seq > session.highest) {
+      lost = seq - session.highest - 1;
+      session.highest = seq;
+    } else {
+      stats.outOfOrder++;
+      if (seq < session.first) {
+        // Arrived before the first packet we saw: everything in between is now missing
+        lost = session.first - seq - 1;
+        session.first = seq;
+      } else {
+        lost = -1;
+      }
+    }
+    session.lastSeen = now;
+    session.received++;
+    session.lost += lost;
+
+    stats.packetsLost = Math.max(0, stats.packetsLost + lost);
+    return lost;
+  }
+
+  /**
+   * Records a packet that was received more than once
+   */
+  function recordDuplicate() {
+    stats.duplicates++;
+  }
+
+  /**
+   * Returns the loss rate of a sender session since the previous sample and starts a new sample
+   * @param {number} keyId - Key identifier of the sender
+   * @param {number} sessionId - Sender session
+   * @returns {number|null} Lost fraction (0-1), or null if no packets arrived since the last sample
+   */
+  function takeLossSample(keyId, sessionId) {
+    const session = sessions.get(`${keyId}:${sessionId}`);
+    if (!session || session.received === 0) {
+      return null;
+    }
+    const lost = Math.max(0, session.lost);
+    const rate = lost / (session.received + lost);
+    session.received = 0;
+    session.lost = 0;
+    return Math.round(rate * 10000) / 10000;
+  }
+
+  /**
+   * Clears all tracked sessions
+   */
+  function reset() {
+    sessions.clear();
+  }
+
+  return {
+    record,
+    recordDuplicate,
+    takeLossSample,
+    reset,
+    get size() {
+      return sessions.size;
+    }
+  };
+}
+
+module.exports = createSequenceTracker;
@@ -0,0 +1,508 @@
+"use strict";
+
+const net = require("net");
+const { EventEmitter } = require("events");
+const { decodeHeader, PACKET_TYPE_PROBE, PACKET_TYPE_PROBE_REPLY } = require("./packetHeader");
+const { formatEndpoint } = require("./udpSocket");
+const {
+  STREAM_FRAME_HEADER_SIZE,
+  STREAM_MAX_FRAME_SIZE,
+  STREAM_MAX_CONNECTIONS,
+  STREAM_MAX_BUFFERED,
+  STREAM_IDLE_TIMEOUT,
+  STREAM_CONNECT_TIMEOUT,
+  STREAM_AUTH_TIMEOUT,
+  STREAM_RECONNECT_MIN,
+  STREAM_RECONNECT_MAX,
+  DEFAULT_TRANSPORT_TIMEOUT_SECONDS
+} = require("./constants");
+
+const TRANSPORT_MODES = ["udp", "tcp", "auto"];
+
+/**
+ * Frames a packet for a TCP stream: its length as uint32 big-endian, then the packet
+ * @param {Buffer} packet - Packet as sent over UDP
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(packet) {
+  const header = Buffer.alloc(STREAM_FRAME_HEADER_SIZE);
+  header.writeUInt32BE(packet.length, 0);
+  return Buffer.concat([header, packet]);
+}
+
+/**
+ * Creates the reader that splits a TCP stream back into packets
+ * @param {Function} onFrame - Called with every complete packet
+ * @returns {Function} Takes the received chunks; throws on an invalid frame length
+ */
+function createFrameReader(onFrame) {
+  let buffered = Buffer.alloc(0);
+  return function push(chunk) {
+    buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+    while (buffered.length >= STREAM_FRAME_HEADER_SIZE) {
+      const length = buffered.readUInt32BE(0);
+      if (length === 0 || length > STREAM_MAX_FRAME_SIZE) {
+        throw new Error(`Invalid frame length ${length}`);
+      }
+      if (buffered.length < STREAM_FRAME_HEADER_SIZE + length) {
+        break;
+      }
+      onFrame(Buffer.from(buffered.subarray(STREAM_FRAME_HEADER_SIZE, STREAM_FRAME_HEADER_SIZE + length)));
+      buffered = buffered.subarray(STREAM_FRAME_HEADER_SIZE + length);
+    }
+  };
+}
+
+/**
+ * Reads the packet type from the cleartext header
+ * @param {Buffer} packet - Packet
+ * @returns {number|null} Packet type, or null if the packet has no valid header
+ */
+function packetType(packet) {
+  try {
+    return decodeHeader(packet).type;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Wraps a TCP socket that carries framed packets
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {net.Socket} socket - Connected or connecting socket
+ * @param {string} address - Peer address (as packets to it are addressed)
+ * @param {number} port - Peer port
+ * @param {Function} onFrame - Called with (packet, rinfo) for every received packet
+ * @returns {Object} Connection: socket, statistics and write(packet, callback)
+ */
+function createConnection(app, socket, address, port, onFrame) {
+  const connection = {
+    socket,
+    address,
+    port,
+    connected: !socket.connecting,
+    since: Date.now(),
+    framesIn: 0,
+    framesOut: 0,
+    bytesIn: 0,
+    bytesOut: 0,
+    lastError: null
+  };
+  let socketError = null; // Reported to pending writes instead of the generic "socket closed" error
+  const rinfo = { address, port, family: net.isIPv6(address) ? "IPv6" : "IPv4", transport: "tcp" };
+  const push = createFrameReader((packet) => {
+    connection.framesIn++;
+    onFrame(packet, { ...rinfo, size: packet.length });
+  });
+
+  socket.setNoDelay(true);
+  socket.setKeepAlive(true, STREAM_IDLE_TIMEOUT / 2);
+  socket.setTimeout(connection.connected ? STREAM_IDLE_TIMEOUT : STREAM_CONNECT_TIMEOUT);
+  socket.on("connect", () => {
+    connection.connected = true;
+    connection.since = Date.now();
+    socket.setTimeout(STREAM_IDLE_TIMEOUT);
+  });
+  socket.on("timeout", () => {
+    socket.destroy(connection.connected ? undefined : new Error("connection timed out"));
+  });
+  socket.on("data", (chunk) => {
+    connection.bytesIn += chunk.length;
+    try {
+      push(chunk);
+    } catch (err) {
+      app.debug(`TCP connection ${formatEndpoint(address, port)} closed: ${err.message}`);
+      socket.destroy();
+    }
+  });
+  socket.on("error", (err) => {
+    socketError = err;
+    connection.lastError = err.code || err.message;
+  });
+
+  /**
+   * Queues a packet on the connection
+   * @param {Buffer} packet - Packet
+   * @param {Function} callback - Called with null once the packet is written, or with the error
+   *   of the connection if it fails first
+   * @returns {boolean} False if the connection is backed up and the packet was dropped
+   */
+  connection.write = (packet, callback) => {
+    if (socket.writableLength > STREAM_MAX_BUFFERED) {
+      const error = Object.assign(new Error("TCP connection backed up, packet dropped"), { code: "ENOBUFS" });
+      process.nextTick(callback, error);
+      return false;
+    }
+    const frame = encodeFrame(packet);
+    socket.write(frame, (err) => callback(err ? socketError || err : null));
+    connection.framesOut++;
+    connection.bytesOut += frame.length;
+    return true;
+  };
+
+  return connection;
+}
+
+/**
+ * Describes a connection for the metrics API
+ * @param {Object} connection - Connection
+ * @returns {Object} Peer, state and traffic
+ */
+function describeConnection(connection) {
+  return {
+    address: formatEndpoint(connection.address, connection.port),
+    connected: connection.connected,
+    since: connection.since,
+    framesIn: connection.framesIn,
+    framesOut: connection.framesOut,
+    bytesIn: connection.bytesIn,
+    bytesOut: connection.bytesOut,
+    lastError: connection.lastError
+  };
+}
+
+/**
+ * Creates the transport of a client. It stands in for the UDP socket (send, "message",
+ * "error", address, close) and carries the packets over UDP, over TCP connections to the
+ * servers, or - in automatic mode - over UDP until probes get no answer for the transport
+ * timeout, then over TCP. While on TCP, the pipeline also sends probes over UDP (wantsUdpProbe,
+ * sendUdp), and the first UDP answer switches back. A "switch" event ({ from, to, time })
+ * reports every change.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {dgram.Socket} udpSocket - Bound UDP socket
+ * @param {Object} options - Plugin options ({ transport: "udp" | "tcp" | "auto", transportTimeout } in seconds)
+ * @returns {EventEmitter} Transport: send, wantsUdpProbe, sendUdp, address, close, getStatus
+ */
+function createClientTransport(app, udpSocket, options) {
+  const mode = TRANSPORT_MODES.includes(options.transport) ? options.transport : "udp";
+  const timeout = (options.transportTimeout || DEFAULT_TRANSPORT_TIMEOUT_SECONDS) * 1000;
+  const transport = new EventEmitter();
+  const connections = new Map();
+  const reconnects = new Map(); // Failed servers: { delay, retryAt }
+  let active = mode === "tcp" ? "tcp" : "udp";
+  let udpWaitingSince = null; // First UDP probe since the last UDP answer
+  let switches = 0;
+  let lastSwitch = null;
+  let framesDropped = 0;
+
+  /**
+   * Changes the transport in automatic mode
+   * @param {string} to - "udp" or "tcp"
+   * @param {number} now - Current time in ms
+   */
+  function switchTo(to, now) {
+    lastSwitch = { from: active, to, time: now };
+    active = to;
+    switches++;
+    udpWaitingSince = null;
+    transport.emit("switch", lastSwitch);
+  }
+
+  udpSocket.on("message", (packet, rinfo) => {
+    udpWaitingSince = null;
+    if (mode === "auto" && active === "tcp") {
+      switchTo("udp", Date.now());
+      // The answer to the UDP probe; the answer to the TCP probe is passed on
+      if (packetType(packet) === PACKET_TYPE_PROBE_REPLY) {
+        return;
+      }
+    }
+    transport.emit("message", packet, rinfo);
+  });
+  udpSocket.on("error", (err) => transport.emit("error", err));
+
+  /**
+   * Opens a TCP connection to a server
+   * @param {string} key - Connection key
+   * @param {string} host - Server address
+   * @param {number} port - Server port
+   * @returns {Object} Connection
+   */
+  function connect(key, host, port) {
+    const connection = createConnection(app, net.connect({ host, port }), host, port, (packet, rinfo) => {
+      transport.emit("message", packet, rinfo);
+    });
+    connection.socket.on("connect", () => {
+      reconnects.delete(key);
+      app.debug(`TCP connection to ${formatEndpoint(host, port)} established`);
+    });
+    connection.socket.on("close", () => {
+      if (connections.get(key) === connection) {
+        connections.delete(key);
+      }
+      if (!connection.connected) {
+        const previous = reconnects.get(key);
+        const delay = previous ? Math.min(previous.delay * 2, STREAM_RECONNECT_MAX) : STREAM_RECONNECT_MIN;
+        reconnects.set(key, { delay, retryAt: Date.now() + delay, lastError: connection.lastError });
+        const message = `TCP connection to ${formatEndpoint(host, port)} failed (${connection.lastError})`;
+        if (previous) {
+          app.debug(`${message}, retrying in ${delay / 1000} s`);
+        } else {
+          app.error(message);
+        }
+      }
+    });
+    connections.set(key, connection);
+    return connection;
+  }
+
+  /**
+   * Sends a packet over the TCP connection to a server, connecting first if needed. Packets
+   * are dropped while the connection is backed up or waiting to reconnect.
+   * @param {Buffer} message - Packet
+   * @param {number} port - Server port
+   * @param {string} host - Server address
+   * @param {Function} callback - Called with null once the packet is written, or with the error
+   */
+  function sendStream(message, port, host, callback) {
+    const key = `${host}|${port}`;
+    let connection = connections.get(key);
+    if (!connection) {
+      const reconnect = reconnects.get(key);
+      if (reconnect && Date.now() < reconnect.retryAt) {
+        framesDropped++;
+        const error = new Error(`TCP connection to ${formatEndpoint(host, port)} failed, waiting to reconnect`);
+        process.nextTick(callback, Object.assign(error, { code: reconnect.lastError }));
+        return;
+      }
+      connection = connect(key, host, port);
+    }
+    if (!connection.write(message, callback)) {
+      framesDropped++;
+    }
+  }
+
+  /**
+   * Sends a packet like dgram's socket.send
+   * @param {Buffer} message - Packet
+   * @param {number} port - Server port
+   * @param {string} host - Server address
+   * @param {Function} callback - Called with an error or null
+   */
+  transport.send = (message, port, host, callback) => {
+    const now = Date.now();
+    const isProbe = mode === "auto" && packetType(message) === PACKET_TYPE_PROBE;
+    if (mode === "auto" && active === "udp" && udpWaitingSince !== null && now - udpWaitingSince >= timeout) {
+      app.debug(`No answer over UDP for ${timeout / 1000} s, switching to TCP`);
+      switchTo("tcp", now);
+    }
+    if (active === "tcp") {
+      sendStream(message, port, host, callback);
+      return;
+    }
+    if (isProbe && udpWaitingSince === null) {
+      udpWaitingSince = now;
+    }
+    udpSocket.send(message, port, host, callback);
+  };
+
+  /**
+   * Tells whether probes should go over UDP as well: in automatic mode while on TCP. The UDP
+   * probe must be a packet of its own, as the server's replay protection drops a second copy.
+   * @returns {boolean} True if a probe should also be sent with sendUdp
+   */
+  transport.wantsUdpProbe = () => mode === "auto" && active === "tcp";
+
+  /**
+   * Sends a packet over UDP, whatever transport is in use
+   * @param {Buffer} message - Packet
+   * @param {number} port - Server port
+   * @param {string} host - Server address
+   * @param {Function} callback - Called with an error or null
+   */
+  transport.sendUdp = (message, port, host, callback) => {
+    udpSocket.send(message, port, host, callback);
+  };
+
+  /**
+   * Returns the local address of the UDP socket
+   * @returns {Object} Address ({ address, family, port })
+   */
+  transport.address = () => udpSocket.address();
+
+  /**
+   * Closes the UDP socket and the TCP connections
+   */
+  transport.close = () => {
+    for (const connection of connections.values()) {
+      connection.socket.destroy();
+    }
+    connections.clear();
+    udpSocket.close();
+  };
+
+  /**
+   * Returns the transport status for the metrics API
+   * @returns {Object} Mode, transport in use, switches, dropped packets and TCP connections
+   */
+  transport.getStatus = () => ({
+    mode,
+    active,
+    switches,
+    lastSwitch,
+    timeoutSeconds: mode === "auto" ? timeout / 1000 : null,
+    framesDropped,
+    connections: Array.from(connections.values(), describeConnection)
+  });
+
+  return transport;
+}
+
+/**
+ * Creates the transport of a server. It stands in for the UDP socket and also accepts TCP
+ * connections (listenStream); packets to a client are sent over its TCP connection while it
+ * is open, otherwise over UDP. A new connection is closed unless its first packet authenticates
+ * (reported through authenticate) within the authentication timeout.
+ * @param {Object} app - SignalK app object (for logging)
+ * @param {dgram.Socket} udpSocket - Bound UDP socket
+ * @returns {EventEmitter} Transport: send, authenticate, listenStream, address, close, getStatus
+ */
+function createServerTransport(app, udpSocket) {
+  const transport = new EventEmitter();
+  const connections = new Map();
+  let server = null;
+  let connectionsTotal = 0;
+  let connectionsRejected = 0;
+  let framesDropped = 0;
+
+  udpSocket.on("message", (packet, rinfo) => transport.emit("message", packet, rinfo));
+  udpSocket.on("error", (err) => transport.emit("error", err));
+
+  /**
+   * Takes a new TCP client
+   * @param {net.Socket} socket - Client socket
+   */
+  function onConnection(socket) {
+    const key = `${socket.remoteAddress}|${socket.remotePort}`;
+    const connection = createConnection(app, socket, socket.remoteAddress, socket.remotePort, (packet, rinfo) => {
+      transport.emit("message", packet, rinfo);
+    });
+    connection.authenticated = false;
+    connection.authTimer = setTimeout(() => {
+      if (socket.writable) {
+        reject(connection, `no authenticated packet within ${STREAM_AUTH_TIMEOUT / 1000} s`);
+      }
+      socket.destroy();
+    }, STREAM_AUTH_TIMEOUT);
+    connections.set(key, connection);
+    connectionsTotal++;
+    app.debug(`TCP client connected from ${formatEndpoint(socket.remoteAddress, socket.remotePort)}`);
+    socket.on("close", () => {
+      clearTimeout(connection.authTimer);
+      connections.delete(key);
+      app.debug(`TCP client ${formatEndpoint(connection.address, connection.port)} disconnected`);
+    });
+  }
+
+  /**
+   * Counts and logs a connection closed before it authenticated
+   * @param {Object} connection - Connection
+   * @param {string} reason - Why it is closed
+   */
+  function reject(connection, reason) {
+    connectionsRejected++;
+    connection.lastError = reason;
+    app.debug(`TCP client ${formatEndpoint(connection.address, connection.port)} rejected: ${reason}`);
+  }
+
+  /**
+   * Takes whether a packet received over TCP authenticated. The first authenticated packet lifts
+   * the authentication timeout; a packet that fails before that closes the connection, after
+   * anything queued for the client (such as a key renewal notice) is written.
+   * @param {Object} rinfo - Sender address info of the packet
+   * @param {boolean} authenticated - Whether the packet decrypted with a known key
+   */
+  transport.authenticate = (rinfo, authenticated) => {
+    const connection = rinfo.transport === "tcp" ? connections.get(`${rinfo.address}|${rinfo.port}`) : null;
+    if (!connection || connection.authenticated) {
+      return;
+    }
+    if (authenticated) {
+      connection.authenticated = true;
+      clearTimeout(connection.authTimer);
+    } else if (connection.socket.writable) {
+      reject(connection, "packet failed to authenticate");
+      connection.socket.end();
+    }
+  };
+
+  /**
+   * Starts accepting TCP connections. Without a bind address the server listens on all
+   * interfaces, IPv4 and IPv6.
+   * @param {number} port - TCP port
+   * @param {string} [bindAddress] - Address to listen on, empty for all interfaces
+   * @returns {Promise<void>}
+   */
+  transport.listenStream = (port, bindAddress) =>
+    new Promise((resolve, reject) => {
+      server = net.createServer(onConnection);
+      server.maxConnections = STREAM_MAX_CONNECTIONS;
+      server.once("error", reject);
+      server.listen({ port, host: bindAddress || undefined }, () => {
+        server.removeListener("error", reject);
+        server.on("error", (err) => app.error(`TCP listener error: ${err.message}`));
+        resolve();
+      });
+    });
+
+  /**
+   * Sends a packet like dgram's socket.send, over the client's TCP connection if it has one
+   * @param {Buffer} message - Packet
+   * @param {number} port - Client port
+   * @param {string} host - Client address
+   * @param {Function} callback - Called with an error or null
+   */
+  transport.send = (message, port, host, callback) => {
+    const connection = connections.get(`${host}|${port}`);
+    if (!connection) {
+      udpSocket.send(message, port, host, callback);
+      return;
+    }
+    if (!connection.write(message, callback)) {
+      framesDropped++;
+    }
+  };
+
+  /**
+   * Returns the local address of the UDP socket
+   * @returns {Object} Address ({ address, family, port })
+   */
+  transport.address = () => udpSocket.address();
+
+  /**
+   * Stops the TCP listener, closes the connections and the UDP socket
+   */
+  transport.close = () => {
+    if (server) {
+      server.close();
+      server = null;
+    }
+    for (const connection of connections.values()) {
+      connection.socket.destroy();
+    }
+    connections.clear();
+    udpSocket.close();
+  };
+
+  /**
+   * Returns the transport status for the metrics API
+   * @returns {Object} TCP listener port, connection counts and the open connections
+   */
+  transport.getStatus = () => ({
+    tcpPort: server && server.listening ? server.address().port : null,
+    connectionsTotal,
+    connectionsRejected,
+    framesDropped,
+    connections: Array.from(connections.values(), describeConnection)
+  });
+
+  return transport;
+}
+
+module.exports = {
+  TRANSPORT_MODES,
+  encodeFrame,
+  createFrameReader,
+  createClientTransport,
+  createServerTransport
+};
@@ -0,0 +1,131 @@
+"use strict";
+
+const dgram = require("dgram");
+const dns = require("dns");
+const net = require("net");
+
+// Bind errors of hosts without IPv6, on which the sockets fall back to IPv4
+const NO_IPV6_ERRORS = ["EAFNOSUPPORT", "EADDRNOTAVAIL", "EPROTONOSUPPORT"];
+
+/**
+ * Resolves hostnames for a dual-stack socket: AAAA and A records are both accepted, and IPv4
+ * addresses are returned in their IPv4-mapped IPv6 form (::ffff:a.b.c.d) so the IPv6 socket
+ * can reach them
+ * @param {string} hostname - Hostname or address to resolve
+ * @param {Object|number} options - Lookup options from dgram (ignored, both families are resolved)
+ * @param {Function} callback - Called with (err, address, family)
+ */
+function dualStackLookup(hostname, options, callback) {
+  dns.lookup(hostname, { family: 0 }, (err, address, family) => {
+    if (err) {
+      callback(err);
+    } else if (family === 4) {
+      callback(null, `::ffff:${address}`, 6);
+    } else {
+      callback(null, address, family);
+    }
+  });
+}
+
+/**
+ * Strips the IPv4-mapped prefix a dual-stack socket reports for IPv4 peers
+ * @param {string} address - Address from a dual-stack socket
+ * @returns {string} Plain IPv4 address, or the address unchanged
+ */
+function normalizeAddress(address) {
+  if (typeof address === "string" && address.startsWith("::ffff:") && net.isIPv4(address.slice(7))) {
+    return address.slice(7);
+  }
+  return address;
+}
+
+/**
+ * Formats an address and port for display, with IPv6 addresses in brackets ([2001:db8::1]:4446)
+ * @param {string} address - IP address or hostname
+ * @param {number} port - Port
+ * @returns {string} "host:port"
+ */
+function formatEndpoint(address, port) {
+  const host = normalizeAddress(address);
+  return net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+/**
+ * Binds a socket
+ * @param {dgram.Socket} socket - Socket to bind
+ * @param {number} port - Port (0 for any free port)
+ * @param {string} address - Local address
+ * @returns {Promise<dgram.Socket>} The bound socket; on failure it is closed and the bind error rejected
+ */
+function bindSocket(socket, port, address) {
+  return new Promise((resolve, reject) => {
+    const onError = (err) => {
+      try {
+        socket.close();
+      } catch (closeErr) {
+        // Never bound, nothing to close
+      }
+      reject(err);
+    };
+    socket.once("error", onError);
+    socket.bind(port, address, () => {
+      socket.removeListener("error", onError);
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Opens the socket of a client: a dual-stack socket that sends to IPv4 and IPv6 servers and to
+ * hostnames with A or AAAA records. Hosts without IPv6 get a plain IPv4 socket.
+ * @returns {Promise<dgram.Socket>} Bound socket
+ */
+async function openClientSocket() {
+  try {
+    return await bindSocket(
+      dgram.createSocket({ type: "udp6", reuseAddr: true, lookup: dualStackLookup }),
+      0,
+      "::"
+    );
+  } catch (err) {
+    if (!NO_IPV6_ERRORS.includes(err.code)) {
+      throw err;
+    }
+    return bindSocket(dgram.createSocket({ type: "udp4", reuseAddr: true }), 0, "0.0.0.0");
+  }
+}
+
+/**
+ * Opens the socket of a server. Without a bind address it listens on all interfaces, IPv4 and
+ * IPv6 (IPv4 only on hosts without IPv6); with one it listens on that address only.
+ * @param {number} port - UDP port
+ * @param {string} [bindAddress] - IPv4 or IPv6 address to listen on, empty for all interfaces
+ * @returns {Promise<dgram.Socket>} Bound socket
+ * @throws {Error} If the bind address is not an IP address or the port cannot be bound
+ */
+async function openServerSocket(port, bindAddress) {
+  const address = typeof bindAddress === "string" ? bindAddress.trim() : "";
+  if (address) {
+    const family = net.isIP(address);
+    if (family === 0) {
+      throw new Error(`Bind address ${address} is not an IP address`);
+    }
+    return bindSocket(dgram.createSocket({ type: family === 6 ? "udp6" : "udp4", reuseAddr: true }), port, address);
+  }
+  try {
+    return await bindSocket(dgram.createSocket({ type: "udp6", reuseAddr: true }), port, "::");
+  } catch (err) {
+    if (!NO_IPV6_ERRORS.includes(err.code)) {
+      throw err;
+    }
+    return bindSocket(dgram.createSocket({ type: "udp4", reuseAddr: true }), port, "0.0.0.0");
+  }
+}
+
+module.exports = {
+  dualStackLookup,
+  normalizeAddress,
+  formatEndpoint,
+  openClientSocket,
+  openServerSocket
+};
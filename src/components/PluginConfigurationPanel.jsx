@@ -4,6 +4,9 @@ import validator from "@rjsf/validator-ajv8";
 
 const API_BASE = "/plugins/signalk-data-connector";
 
+// Stands for a stored key in the loaded configuration; saving it keeps the stored key
+const SECRET_MASK = "********";
+
 // Base schema properties shared between server and client modes
 const baseProperties = {
   serverType: {
@@ -25,20 +28,134 @@ const baseProperties = {
   secretKey: {
     type: "string",
     title: "Encryption Key",
-    description: "32-character secret key (must match on both ends)",
-    minLength: 32,
-    maxLength: 32
+    description:
+      "32-character secret key, or a passphrase of at least 12 characters with key derivation (must match on both ends)",
+    minLength: 12
+  },
+  keyDerivation: {
+    type: "string",
+    title: "Key Derivation",
+    description: "Derive the encryption key from a passphrase with scrypt and HKDF (must match on both ends)",
+    default: "none",
+    enum: ["none", "passphrase"],
+    enumNames: ["None - 32-character key", "Passphrase - scrypt + HKDF"]
+  },
+  keySalt: {
+    type: "string",
+    title: "Key Salt",
+    description: "Salt for key derivation, at least 8 characters (must match on both ends)"
+  },
+  nextSecretKey: {
+    type: "string",
+    title: "Next Encryption Key",
+    description: "Key rotation: accepted right away, used for sending from the rotation time on (scheduled from the dashboard)"
+  },
+  keyRotationTime: {
+    type: "string",
+    title: "Key Rotation Time",
+    description: "Key rotation: when to switch to the next key (ISO 8601, same on both ends)"
+  },
+  keyRotationWindowHours: {
+    type: "number",
+    title: "Key Rotation Window (hours)",
+    description: "Key rotation: how long the old key stays accepted after the rotation time",
+    default: 24,
+    minimum: 1,
+    maximum: 720
   },
   useMsgpack: {
     type: "boolean",
     title: "Use MessagePack",
-    description: "Binary serialization for smaller payloads (must match on both ends)",
+    description: "Binary serialization for smaller payloads (the receiver reads it from the packet header)",
     default: false
   },
   usePathDictionary: {
     type: "boolean",
     title: "Use Path Dictionary",
-    description: "Encode paths as numeric IDs for bandwidth savings (must match on both ends)",
+    description: "Encode paths as numeric IDs for bandwidth savings (the receiver reads it from the packet header)",
+    default: false
+  },
+  recordTraffic: {
+    type: "boolean",
+    title: "Record Traffic Samples",
+    description: "Record compression input (up to 2 MB) in the data directory for training a compression dictionary",
+    default: false
+  }
+};
+
+// Server-only properties
+const serverProperties = {
+  bindAddress: {
+    type: "string",
+    title: "Bind Address",
+    description: "IPv4 or IPv6 address to listen on (empty: all interfaces, IPv4 and IPv6)",
+    default: ""
+  },
+  replayWindowSeconds: {
+    type: "integer",
+    title: "Replay Window (seconds)",
+    description: "Packets older than this (or with clocks further apart) are rejected as possible replays",
+    default: 300,
+    minimum: 30,
+    maximum: 86400
+  },
+  clients: {
+    type: "array",
+    title: "Client Registry",
+    description: "Vessels with their own encryption key. Clients without an entry use the shared key above.",
+    default: [],
+    items: {
+      type: "object",
+      required: ["clientId", "secretKey"],
+      properties: {
+        clientId: {
+          type: "string",
+          title: "Client ID",
+          description: "Unique identifier, must match the Client ID configured on the vessel"
+        },
+        name: {
+          type: "string",
+          title: "Name",
+          description: "Display name (e.g. vessel name)"
+        },
+        secretKey: {
+          type: "string",
+          title: "Encryption Key",
+          description: "32-character secret key (or passphrase with key derivation) for this client",
+          minLength: 12
+        },
+        nextSecretKey: {
+          type: "string",
+          title: "Next Encryption Key",
+          description: "Accepted alongside the key while this client rotates its key"
+        },
+        allowedContexts: {
+          type: "array",
+          title: "Allowed Contexts",
+          description: "Context patterns this client may publish (e.g. vessels.urn:mrn:imo:mmsi:230035780). Empty allows all.",
+          default: [],
+          items: { type: "string" }
+        }
+      }
+    }
+  },
+  returnPaths: {
+    type: "array",
+    title: "Return Channel Paths",
+    description: "Local paths sent back to connected clients (e.g. navigation.courseRhumbline.*, notifications.*). Empty disables the return channel.",
+    default: [],
+    items: { type: "string" }
+  },
+  returnContext: {
+    type: "string",
+    title: "Return Channel Context",
+    description: "Context of the paths sent back to clients",
+    default: "vessels.self"
+  },
+  publishLinkStats: {
+    type: "boolean",
+    title: "Publish Link Statistics",
+    description: "Publish packet loss, out-of-order and duplicate counts as networking.connector.* paths",
     default: false
   }
 };
@@ -48,9 +165,298 @@ const clientProperties = {
   udpAddress: {
     type: "string",
     title: "Server Address",
-    description: "IP address or hostname of the SignalK server",
+    description: "IPv4 or IPv6 address or hostname of the SignalK server",
     default: "127.0.0.1"
   },
+  failoverServers: {
+    type: "array",
+    title: "Failover Servers",
+    description: "Backup servers in order of preference, used when the server above stops answering probes (servers need a version that answers them)",
+    default: [],
+    items: {
+      type: "object",
+      required: ["udpAddress", "udpPort"],
+      properties: {
+        udpAddress: {
+          type: "string",
+          title: "Server Address",
+          description: "IP address or hostname of the server"
+        },
+        udpPort: {
+          type: "integer",
+          title: "UDP Port",
+          description: "UDP port of the server",
+          default: 4446,
+          minimum: 1,
+          maximum: 65535
+        }
+      }
+    }
+  },
+  failoverTimeout: {
+    type: "integer",
+    title: "Failover Timeout (seconds)",
+    description: "Move on to the next server when the active one has not answered a probe for this long",
+    default: 30,
+    minimum: 5,
+    maximum: 3600
+  },
+  failbackDelay: {
+    type: "integer",
+    title: "Fail-back Delay (seconds)",
+    description: "Return to a preferred server once it has answered probes for this long",
+    default: 300,
+    minimum: 0,
+    maximum: 86400
+  },
+  dnsRefreshInterval: {
+    type: "integer",
+    title: "DNS Refresh (seconds)",
+    description: "Longest time before server hostnames are resolved again (shorter DNS TTLs apply)",
+    default: 300,
+    minimum: 10,
+    maximum: 86400
+  },
+  transport: {
+    type: "string",
+    title: "Transport",
+    description: "How packets reach the server; TCP gets through networks that block UDP",
+    default: "udp",
+    enum: ["udp", "tcp", "auto"],
+    enumNames: ["UDP", "TCP", "Automatic - TCP while UDP gets no answer"]
+  },
+  transportTimeout: {
+    type: "integer",
+    title: "Transport Timeout (seconds)",
+    description: "Automatic transport: move to TCP when UDP probes get no answer for this long",
+    default: 20,
+    minimum: 5,
+    maximum: 3600
+  },
+  clientId: {
+    type: "string",
+    title: "Client ID",
+    description: "Identifier registered on the server when this vessel has its own key (leave empty for the shared key)"
+  },
+  destinations: {
+    type: "array",
+    title: "Additional Destinations",
+    description: "Other servers that get their own copy of the data (e.g. a backup shore station), each with its own key and paths",
+    default: [],
+    items: {
+      type: "object",
+      required: ["name", "udpAddress", "udpPort", "secretKey"],
+      properties: {
+        name: {
+          type: "string",
+          title: "Name",
+          description: "Unique name shown in the metrics"
+        },
+        udpAddress: {
+          type: "string",
+          title: "Server Address",
+          description: "IP address or hostname of the server"
+        },
+        udpPort: {
+          type: "integer",
+          title: "UDP Port",
+          description: "UDP port of the server",
+          default: 4446,
+          minimum: 1,
+          maximum: 65535
+        },
+        secretKey: {
+          type: "string",
+          title: "Encryption Key",
+          description: "32-character secret key (or passphrase with key derivation) of this server",
+          minLength: 12
+        },
+        clientId: {
+          type: "string",
+          title: "Client ID",
+          description: "Identifier registered on this server (leave empty for its shared key)"
+        },
+        contexts: {
+          type: "array",
+          title: "Contexts",
+          description: "Context patterns sent to this server (e.g. vessels.urn:mrn:imo:mmsi:230035780). Empty sends all.",
+          default: [],
+          items: { type: "string" }
+        },
+        paths: {
+          type: "array",
+          title: "Paths",
+          description: "Path patterns sent to this server (e.g. navigation.*). Empty sends all subscribed paths.",
+          default: [],
+          items: { type: "string" }
+        }
+      }
+    }
+  },
+  acceptReturnData: {
+    type: "boolean",
+    title: "Accept Return Data",
+    description: "Receive data sent back by the server's return channel",
+    default: false
+  },
+  reliablePaths: {
+    type: "array",
+    title: "Reliable Paths",
+    description: "Paths retransmitted until the server acknowledges them (e.g. notifications.*, navigation.anchor.*)",
+    default: [],
+    items: { type: "string" }
+  },
+  fecGroupSize: {
+    type: "integer",
+    title: "FEC Group Size",
+    description: "Send one parity packet per N packets so the server can rebuild a single lost packet (overhead 1/N). 0 disables.",
+    default: 0,
+    minimum: 0,
+    maximum: 32
+  },
+  forwardSecrecy: {
+    type: "boolean",
+    title: "Forward Secrecy",
+    description:
+      "Exchange ephemeral session keys with the server (X25519, authenticated by the encryption key), so a leaked key does not decrypt recorded traffic",
+    default: false
+  },
+  sessionKeyMinutes: {
+    type: "integer",
+    title: "Session Key Lifetime (minutes)",
+    description: "How often the session key is renewed with forward secrecy",
+    default: 60,
+    minimum: 5,
+    maximum: 1440
+  },
+  changeDetection: {
+    type: "boolean",
+    title: "Send Only Changed Values",
+    description: "Skip values that have not changed since they were last sent",
+    default: false
+  },
+  deadbands: {
+    type: "array",
+    title: "Deadbands",
+    description: "Numeric changes smaller than the threshold count as unchanged (first matching path applies)",
+    default: [],
+    items: {
+      type: "object",
+      required: ["path"],
+      properties: {
+        path: { type: "string", title: "Path", description: "Path or pattern (e.g. environment.outside.*)" },
+        absolute: { type: "number", title: "Absolute Threshold", minimum: 0 },
+        percent: { type: "number", title: "Percent Threshold", minimum: 0, maximum: 100 }
+      }
+    }
+  },
+  fullRefreshInterval: {
+    type: "integer",
+    title: "Full Refresh Interval (seconds)",
+    description: "Unchanged values are sent again after this time so the server cannot drift",
+    default: 300,
+    minimum: 10,
+    maximum: 86400
+  },
+  criticalPaths: {
+    type: "array",
+    title: "Critical Paths",
+    description: "Paths sent immediately, without waiting for the delta timer (e.g. notifications.*)",
+    default: [],
+    items: { type: "string" }
+  },
+  bulkPaths: {
+    type: "array",
+    title: "Bulk Paths",
+    description: "Low-priority paths collected and sent only when the link has capacity (e.g. tanks.*)",
+    default: [],
+    items: { type: "string" }
+  },
+  bulkInterval: {
+    type: "integer",
+    title: "Bulk Interval (seconds)",
+    description: "How often collected bulk data is sent",
+    default: 30,
+    minimum: 1,
+    maximum: 3600
+  },
+  bulkMaxRate: {
+    type: "integer",
+    title: "Bulk Rate Threshold (bytes/second)",
+    description: "Bulk data waits while the link carries more than this. 0 sends whenever the link is up.",
+    default: 0,
+    minimum: 0
+  },
+  dailyBudgetMB: {
+    type: "number",
+    title: "Daily Data Budget (MB)",
+    description: "Sending is reduced as usage nears the budget, counted across restarts. 0 disables.",
+    default: 0,
+    minimum: 0
+  },
+  monthlyBudgetMB: {
+    type: "number",
+    title: "Monthly Data Budget (MB)",
+    description: "Monthly data plan cap. 0 disables.",
+    default: 0,
+    minimum: 0
+  },
+  budgetResetDay: {
+    type: "integer",
+    title: "Budget Reset Day",
+    description: "Day of the month the data plan resets",
+    default: 1,
+    minimum: 1,
+    maximum: 28
+  },
+  adaptiveDeltaTimer: {
+    type: "boolean",
+    title: "Adaptive Delta Timer",
+    description: "Adjust the delta timer automatically from RTT, send errors and packet loss reported by the server",
+    default: false
+  },
+  deltaTimerMin: {
+    type: "integer",
+    title: "Adaptive Delta Timer Minimum (ms)",
+    description: "Shortest interval used on a good link",
+    default: 500,
+    minimum: 100,
+    maximum: 10000
+  },
+  deltaTimerMax: {
+    type: "integer",
+    title: "Adaptive Delta Timer Maximum (ms)",
+    description: "Longest interval used on a bad link",
+    default: 10000,
+    minimum: 100,
+    maximum: 10000
+  },
+  compressionCodec: {
+    type: "string",
+    title: "Compression Codec",
+    description: "Codec for sent packets; the server decodes all codecs (zstd needs Node.js 22.15 or later)",
+    default: "brotli",
+    enum: ["brotli", "deflate", "zstd", "none"],
+    enumNames: ["Brotli", "Deflate", "zstd", "None"]
+  },
+  compressionLevel: {
+    type: "integer",
+    title: "Compression Level",
+    description: "Lower levels use less CPU. 0 = codec default (Brotli 10 of 0-11, deflate 9 of 1-9, zstd 9 of 1-19)",
+    default: 0,
+    minimum: 0,
+    maximum: 19
+  },
+  compressionDictionary: {
+    type: "integer",
+    title: "Compression Dictionary",
+    description:
+      "ID of a trained dictionary, 0 for none. Needs the deflate or zstd codec (Brotli cannot use one in " +
+      "Node.js; zstd only where Node.js supports zstd dictionaries). The server needs the same file.",
+    default: 0,
+    minimum: 0,
+    maximum: 15
+  },
   helloMessageSender: {
     type: "integer",
     title: "Heartbeat Interval (seconds)",
@@ -80,6 +486,36 @@ const clientProperties = {
     default: 1,
     minimum: 0.1,
     maximum: 60
+  },
+  storeAndForward: {
+    type: "boolean",
+    title: "Store and Forward",
+    description: "Queue data on disk while the connection is down and send it when restored",
+    default: false
+  },
+  queueMaxSizeMB: {
+    type: "number",
+    title: "Queue Max Size (MB)",
+    description: "Oldest queued data is discarded beyond this size",
+    default: 50,
+    minimum: 1,
+    maximum: 10000
+  },
+  queueMaxAgeHours: {
+    type: "number",
+    title: "Queue Max Age (hours)",
+    description: "Queued data older than this is discarded",
+    default: 24,
+    minimum: 1,
+    maximum: 720
+  },
+  queueCatchUpRate: {
+    type: "integer",
+    title: "Catch-up Rate (deltas/second)",
+    description: "How fast queued data is sent once the connection is restored",
+    default: 100,
+    minimum: 1,
+    maximum: 10000
   }
 };
 
@@ -91,6 +527,8 @@ function getSchema(isClientMode) {
   if (isClientMode) {
     Object.assign(properties, clientProperties);
     required.push("udpAddress", "testAddress", "testPort");
+  } else {
+    Object.assign(properties, serverProperties);
   }
 
   return {
@@ -108,23 +546,107 @@ const uiSchema = {
     "serverType",
     "udpPort",
     "secretKey",
+    "keyDerivation",
+    "keySalt",
+    "nextSecretKey",
+    "keyRotationTime",
+    "keyRotationWindowHours",
     "useMsgpack",
     "usePathDictionary",
+    "recordTraffic",
+    "bindAddress",
+    "replayWindowSeconds",
+    "clients",
+    "returnPaths",
+    "returnContext",
+    "publishLinkStats",
     "udpAddress",
+    "failoverServers",
+    "failoverTimeout",
+    "failbackDelay",
+    "dnsRefreshInterval",
+    "transport",
+    "transportTimeout",
+    "clientId",
+    "destinations",
+    "acceptReturnData",
+    "reliablePaths",
+    "fecGroupSize",
+    "forwardSecrecy",
+    "sessionKeyMinutes",
+    "changeDetection",
+    "deadbands",
+    "fullRefreshInterval",
+    "criticalPaths",
+    "bulkPaths",
+    "bulkInterval",
+    "bulkMaxRate",
+    "dailyBudgetMB",
+    "monthlyBudgetMB",
+    "budgetResetDay",
+    "adaptiveDeltaTimer",
+    "deltaTimerMin",
+    "deltaTimerMax",
+    "compressionCodec",
+    "compressionLevel",
+    "compressionDictionary",
     "helloMessageSender",
     "testAddress",
     "testPort",
-    "pingIntervalTime"
+    "pingIntervalTime",
+    "storeAndForward",
+    "queueMaxSizeMB",
+    "queueMaxAgeHours",
+    "queueCatchUpRate"
   ],
   secretKey: {
     "ui:widget": "password",
-    "ui:help": "Must be exactly 32 characters long"
+    "ui:help": "Exactly 32 characters, or a passphrase of at least 12 characters with key derivation"
+  },
+  nextSecretKey: {
+    "ui:widget": "password"
   },
   serverType: {
     "ui:widget": "select"
+  },
+  clients: {
+    items: {
+      secretKey: {
+        "ui:widget": "password"
+      },
+      nextSecretKey: {
+        "ui:widget": "password"
+      }
+    }
+  },
+  destinations: {
+    items: {
+      secretKey: {
+        "ui:widget": "password"
+      }
+    }
   }
 };
 
+/**
+ * Drops length errors of keys that are still masked: the server keeps the stored key for them
+ * @param {Object} formData - Current form data
+ * @returns {Function} rjsf transformErrors callback
+ */
+function allowMaskedKeys(formData) {
+  return (errors) =>
+    errors.filter((error) => {
+      if (error.name !== "minLength") {
+        return true;
+      }
+      const value = error.property
+        .split(".")
+        .filter(Boolean)
+        .reduce((object, key) => (object ? object[key] : undefined), formData);
+      return value !== SECRET_MASK;
+    });
+}
+
 /**
  * Custom configuration panel for SignalK Data Connector plugin
  * Fetches configuration from API and renders dynamic form
@@ -134,6 +656,7 @@ function PluginConfigurationPanel(props) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [saveStatus, setSaveStatus] = useState(null);
+  const [revealed, setRevealed] = useState(false);
 
   // Determine if we're in client mode
   const isClientMode = formData.serverType !== "server";
@@ -162,6 +685,21 @@ function PluginConfigurationPanel(props) {
     fetchConfig();
   }, []);
 
+  // Replace the masked keys with the stored ones (admin only)
+  const handleReveal = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/plugin-config/reveal`, { method: "POST" });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || "Failed to reveal keys");
+      }
+      setFormData(data.configuration);
+      setRevealed(true);
+    } catch (err) {
+      setSaveStatus({ type: "error", message: err.message });
+    }
+  }, []);
+
   // Handle form changes
   const handleChange = useCallback(({ formData: newFormData }) => {
     setFormData(newFormData);
@@ -176,10 +714,50 @@ function PluginConfigurationPanel(props) {
     const cleanedData = { ...submittedData };
     if (cleanedData.serverType === "server") {
       delete cleanedData.udpAddress;
+      delete cleanedData.failoverServers;
+      delete cleanedData.failoverTimeout;
+      delete cleanedData.failbackDelay;
+      delete cleanedData.dnsRefreshInterval;
+      delete cleanedData.transport;
+      delete cleanedData.transportTimeout;
       delete cleanedData.helloMessageSender;
       delete cleanedData.testAddress;
       delete cleanedData.testPort;
       delete cleanedData.pingIntervalTime;
+      delete cleanedData.storeAndForward;
+      delete cleanedData.queueMaxSizeMB;
+      delete cleanedData.queueMaxAgeHours;
+      delete cleanedData.queueCatchUpRate;
+      delete cleanedData.clientId;
+      delete cleanedData.destinations;
+      delete cleanedData.acceptReturnData;
+      delete cleanedData.reliablePaths;
+      delete cleanedData.fecGroupSize;
+      delete cleanedData.forwardSecrecy;
+      delete cleanedData.sessionKeyMinutes;
+      delete cleanedData.changeDetection;
+      delete cleanedData.deadbands;
+      delete cleanedData.fullRefreshInterval;
+      delete cleanedData.criticalPaths;
+      delete cleanedData.bulkPaths;
+      delete cleanedData.bulkInterval;
+      delete cleanedData.bulkMaxRate;
+      delete cleanedData.dailyBudgetMB;
+      delete cleanedData.monthlyBudgetMB;
+      delete cleanedData.budgetResetDay;
+      delete cleanedData.adaptiveDeltaTimer;
+      delete cleanedData.deltaTimerMin;
+      delete cleanedData.deltaTimerMax;
+      delete cleanedData.compressionDictionary;
+      delete cleanedData.compressionCodec;
+      delete cleanedData.compressionLevel;
+    } else {
+      delete cleanedData.bindAddress;
+      delete cleanedData.clients;
+      delete cleanedData.replayWindowSeconds;
+      delete cleanedData.returnPaths;
+      delete cleanedData.returnContext;
+      delete cleanedData.publishLinkStats;
     }
 
     try {
@@ -255,11 +833,17 @@ function PluginConfigurationPanel(props) {
         validator={validator}
         onChange={handleChange}
         onSubmit={handleSubmit}
+        transformErrors={allowMaskedKeys(formData)}
         liveValidate={false}
       >
         <button type="submit" className="btn btn-primary">
           Save Configuration
         </button>
+        {!revealed && (
+          <button type="button" className="btn btn-secondary" onClick={handleReveal}>
+            Reveal Keys
+          </button>
+        )}
       </Form>
       <style>{`
         .signalk-data-connector-config {
@@ -304,6 +888,17 @@ function PluginConfigurationPanel(props) {
           background-color: #0069d9;
           border-color: #0062cc;
         }
+        .signalk-data-connector-config .btn-secondary {
+          background-color: #6c757d;
+          border-color: #6c757d;
+          color: white;
+          padding: 0.5rem 1rem;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 1rem;
+          margin-top: 1rem;
+          margin-left: 0.5rem;
+        }
         .signalk-data-connector-config .text-danger {
           color: #dc3545;
           font-size: 0.85rem;
@@ -7,6 +7,8 @@ const DELTA_TIMER_MAX = 10000;
 const NOTIFICATION_TIMEOUT = 4000;
 const METRICS_REFRESH_INTERVAL = 15000; // 15 seconds (optimized from 5s to reduce server load)
 const JSON_SYNC_DEBOUNCE = 300; // Debounce delay for JSON editor sync
+const HISTORY_REFRESH_INTERVAL = 60000; // History buckets are updated once a minute on the server
+const HISTORY_RANGES = { "24h": "Last 24 Hours", "7d": "Last 7 Days", "30d": "Last 30 Days" };
 
 // HTML Template Helpers
 const renderCard = (title, subtitle, contentId, contentClass = "") => `
@@ -25,6 +27,66 @@ const renderCard = (title, subtitle, contentId, contentClass = "") => `
   </div>
 `;
 
+// Key rotation form (both modes); the rotation has to be scheduled with the same key and time on both ends
+const renderKeyRotationCard = () => `
+  <div class="config-section">
+    <div class="card">
+      <div class="card-header">
+        <h2>Key Rotation</h2>
+        <p class="subtitle">Switch to a new encryption key without losing data</p>
+      </div>
+      <div class="card-content">
+        <div id="keyStatus" class="metrics-info">
+          <p>Loading key status...</p>
+        </div>
+        <div class="form-group">
+          <label for="nextSecretKey">Next Key:</label>
+          <input type="password" id="nextSecretKey" autocomplete="new-password" />
+          <small class="help-text">
+            32 characters, or a passphrase with key derivation. Accepted right away, used for sending from the rotation time.
+          </small>
+        </div>
+        <div class="form-group">
+          <label for="keyRotationTime">Rotation Time:</label>
+          <input type="datetime-local" id="keyRotationTime" />
+        </div>
+        <div class="form-group">
+          <label for="keyRotationWindowHours">Transition Window (hours):</label>
+          <input type="number" id="keyRotationWindowHours" min="1" max="720" value="24" />
+          <small class="help-text">
+            How long the old key stays accepted after the rotation time. Schedule the same key and time on the
+            other end.
+          </small>
+        </div>
+        <button id="scheduleKeyRotation" class="btn btn-primary">Schedule Rotation</button>
+        <button id="cancelKeyRotation" class="btn btn-secondary">Cancel Rotation</button>
+      </div>
+    </div>
+  </div>
+`;
+
+// Metrics history (both modes), kept by the plugin across restarts
+const renderHistoryCard = () => `
+  <div class="config-section">
+    <div class="card">
+      <div class="card-header">
+        <h2>History</h2>
+        <p class="subtitle">Bandwidth, compression and errors, kept across restarts</p>
+      </div>
+      <div class="card-content">
+        <div class="history-ranges">
+          ${Object.entries(HISTORY_RANGES)
+    .map(([range, label]) => `<button class="btn btn-secondary" data-history-range="${range}">${label}</button>`)
+    .join("")}
+        </div>
+        <div id="metricsHistory" class="metrics-info">
+          <p>Loading history...</p>
+        </div>
+      </div>
+    </div>
+  </div>
+`;
+
 const renderStatItem = (label, value, hasError = false) => `
   <div class="stat-item${hasError ? " error" : ""}">
     <span class="stat-label">${label}:</span>
@@ -51,8 +113,11 @@ class DataConnectorConfig {
     this.deltaTimerConfig = null;
     this.subscriptionConfig = null;
     this.sentenceFilterConfig = null;
+    this.pathRatesConfig = null;
     this.isServerMode = false;
     this.metricsInterval = null;
+    this.historyRange = "24h";
+    this.historyLoadedAt = 0;
     this.syncTimeout = null;
     this.init();
   }
@@ -63,11 +128,27 @@ class DataConnectorConfig {
       if (this.isServerMode) {
         this.showServerModeUI();
       } else {
+        document
+          .getElementById("status")
+          .closest(".config-section")
+          .insertAdjacentHTML("beforebegin", renderKeyRotationCard());
+        const bandwidthSection = document.getElementById("bandwidth").closest(".config-section");
+        bandwidthSection.insertAdjacentHTML("afterend", renderHistoryCard());
+        bandwidthSection.insertAdjacentHTML(
+          "afterend",
+          renderCard("Destinations", "Additional servers with their own key and paths", "destinations")
+        );
+        bandwidthSection.insertAdjacentHTML(
+          "afterend",
+          renderCard("Server Failover", "Active server and the backups tried when it stops answering", "failover")
+        );
         await this.loadConfigurations();
         this.setupEventListeners();
         this.updateUI();
         this.updateStatus();
       }
+      this.setupKeyRotationListeners();
+      this.setupHistoryListeners();
       await this.loadMetrics();
       this.startMetricsRefresh();
     } catch (error) {
@@ -89,10 +170,11 @@ class DataConnectorConfig {
 
   async loadConfigurations() {
     try {
-      const [deltaResponse, subResponse, filterResponse] = await Promise.all([
+      const [deltaResponse, subResponse, filterResponse, ratesResponse] = await Promise.all([
         fetch(`${API_BASE_PATH}/config/delta_timer.json`),
         fetch(`${API_BASE_PATH}/config/subscription.json`),
-        fetch(`${API_BASE_PATH}/config/sentence_filter.json`)
+        fetch(`${API_BASE_PATH}/config/sentence_filter.json`),
+        fetch(`${API_BASE_PATH}/config/path_rates.json`)
       ]);
 
       if (deltaResponse.ok) {
@@ -104,6 +186,9 @@ class DataConnectorConfig {
       if (filterResponse.ok) {
         this.sentenceFilterConfig = await filterResponse.json();
       }
+      if (ratesResponse.ok) {
+        this.pathRatesConfig = await ratesResponse.json();
+      }
     } catch (error) {
       this.showNotification("Error loading configurations: " + error.message, "error");
     }
@@ -125,6 +210,11 @@ class DataConnectorConfig {
       this.saveSentenceFilter();
     });
 
+    // Path rate rules save button
+    document.getElementById("savePathRates").addEventListener("click", () => {
+      this.savePathRates();
+    });
+
     // Add path button
     document.getElementById("addPath").addEventListener("click", () => {
       this.addPathItem();
@@ -179,6 +269,15 @@ class DataConnectorConfig {
       document.getElementById("sentenceFilter").value =
         this.sentenceFilterConfig.excludedSentences.join(", ");
     }
+
+    // Update path rate rules editor
+    if (this.pathRatesConfig) {
+      document.getElementById("pathRatesJson").value = JSON.stringify(
+        { rules: this.pathRatesConfig.rules || [] },
+        null,
+        2
+      );
+    }
   }
 
   addPathItem(path = "") {
@@ -264,6 +363,9 @@ class DataConnectorConfig {
         this[configKey] = config;
         this.showNotification(`${label} saved successfully!`, "success");
         this.updateStatus();
+      } else if (response.status === 401 || response.status === 403) {
+        const result = await response.json();
+        throw new Error(result.error);
       } else {
         throw new Error("Failed to save configuration");
       }
@@ -314,6 +416,76 @@ class DataConnectorConfig {
     await this.saveConfig("sentence_filter.json", { excludedSentences }, "sentenceFilterConfig", "Sentence filter");
   }
 
+  async savePathRates() {
+    try {
+      const config = JSON.parse(document.getElementById("pathRatesJson").value);
+
+      if (!config.rules || !Array.isArray(config.rules)) {
+        throw new Error("Rules array is required");
+      }
+      config.rules.forEach((rule, index) => {
+        if (!rule || typeof rule.path !== "string" || rule.path.trim() === "") {
+          throw new Error(`Rule ${index + 1} must have a path`);
+        }
+        if (typeof rule.interval !== "number" || rule.interval < 0) {
+          throw new Error(`Rule ${index + 1} must have an interval in milliseconds`);
+        }
+      });
+
+      await this.saveConfig("path_rates.json", config, "pathRatesConfig", "Path rate rules");
+    } catch (error) {
+      this.showNotification("Error saving path rate rules: " + error.message, "error");
+    }
+  }
+
+  setupKeyRotationListeners() {
+    document.getElementById("scheduleKeyRotation").addEventListener("click", () => {
+      this.scheduleKeyRotation();
+    });
+    document.getElementById("cancelKeyRotation").addEventListener("click", () => {
+      this.postKeyRotation("key-rotation/cancel", {}, "Key rotation cancelled");
+    });
+  }
+
+  async scheduleKeyRotation() {
+    const nextSecretKey = document.getElementById("nextSecretKey").value;
+    const time = document.getElementById("keyRotationTime").value;
+    const windowHours = parseInt(document.getElementById("keyRotationWindowHours").value);
+
+    if (!nextSecretKey || !time) {
+      this.showNotification("Next key and rotation time are required", "error");
+      return;
+    }
+
+    await this.postKeyRotation(
+      "key-rotation",
+      {
+        nextSecretKey,
+        keyRotationTime: new Date(time).toISOString(),
+        keyRotationWindowHours: isNaN(windowHours) ? undefined : windowHours
+      },
+      "Key rotation scheduled"
+    );
+  }
+
+  async postKeyRotation(route, body, label) {
+    try {
+      const response = await fetch(`${API_BASE_PATH}/${route}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || "Request failed");
+      }
+      document.getElementById("nextSecretKey").value = "";
+      this.showNotification(`${label}. ${result.message}`, "success");
+    } catch (error) {
+      this.showNotification("Key rotation failed: " + error.message, "error");
+    }
+  }
+
   async loadMetrics() {
     try {
       const response = await fetch(`${API_BASE_PATH}/metrics`);
@@ -324,6 +496,113 @@ class DataConnectorConfig {
     } catch (error) {
       console.error("Error loading metrics:", error.message);
     }
+    // The history changes slowly, so it is loaded with every few metrics refreshes
+    if (Date.now() - this.historyLoadedAt >= HISTORY_REFRESH_INTERVAL) {
+      await this.loadHistory();
+    }
+  }
+
+  setupHistoryListeners() {
+    document.querySelectorAll("[data-history-range]").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.historyRange = button.dataset.historyRange;
+        this.loadHistory();
+      });
+    });
+  }
+
+  async loadHistory() {
+    this.historyLoadedAt = Date.now();
+    try {
+      const response = await fetch(`${API_BASE_PATH}/metrics/history?range=${this.historyRange}`);
+      if (response.ok) {
+        this.updateHistoryDisplay(await response.json());
+      }
+    } catch (error) {
+      console.error("Error loading metrics history:", error.message);
+    }
+  }
+
+  updateHistoryDisplay(history) {
+    const historyDiv = document.getElementById("metricsHistory");
+    if (!historyDiv) {
+      return;
+    }
+
+    document.querySelectorAll("[data-history-range]").forEach((button) => {
+      button.classList.toggle("btn-primary", button.dataset.historyRange === history.range);
+      button.classList.toggle("btn-secondary", button.dataset.historyRange !== history.range);
+    });
+
+    const isClient = !this.isServerMode;
+    const { totals } = history;
+    const bytes = isClient ? totals.bytesOut : totals.bytesIn;
+    const rawBytes = isClient ? totals.bytesOutRaw : totals.bytesInRaw;
+    const deltas = isClient ? totals.deltasSent : totals.deltasReceived;
+
+    const items = [
+      renderStatItem(isClient ? "Sent (Compressed)" : "Received (Compressed)", this.formatBytes(bytes)),
+      renderStatItem("Raw Data", this.formatBytes(rawBytes)),
+      renderStatItem("Compression Ratio", totals.compressionRatio === null ? "-" : `${totals.compressionRatio}%`),
+      renderStatItem(isClient ? "Deltas Sent" : "Deltas Received", deltas.toLocaleString()),
+      renderStatItem("Errors", totals.errors.toLocaleString(), totals.errors > 0),
+      renderStatItem("Packets Lost", totals.packetsLost.toLocaleString(), totals.packetsLost > 0)
+    ];
+
+    historyDiv.innerHTML = `
+      <div class="stats-grid">${items.join("")}</div>
+      ${this.renderHistoryChart(history, isClient)}
+    `;
+  }
+
+  renderHistoryChart(history, isClient) {
+    const { buckets } = history;
+    if (buckets.length < 2) {
+      return `
+        <div class="bandwidth-chart-placeholder">
+          <p>Collecting history... (${buckets.length}/2 ${history.resolution}s)</p>
+        </div>
+      `;
+    }
+
+    // Buckets are placed by time, so periods without data (plugin stopped) show as flat stretches
+    const width = 100;
+    const height = 40;
+    const span = Math.max(history.to - history.from, 1);
+    const volume = (bucket) => (isClient ? bucket.bytesOut : bucket.bytesIn);
+    const maxBytes = Math.max(...buckets.map(volume), 1);
+    const maxErrors = Math.max(...buckets.map((bucket) => bucket.errors), 1);
+    const line = (value, max) =>
+      buckets
+        .map((bucket) => {
+          const x = Math.max(((bucket.time - history.from) / span) * width, 0);
+          const y = height - (value(bucket) / max) * height;
+          return `${x},${y}`;
+        })
+        .join(" ");
+    // Errors are scaled to their own maximum and drawn only when there were any
+    const errorLine = buckets.some((bucket) => bucket.errors > 0)
+      ? `<polyline fill="none" stroke="var(--danger-color)" stroke-width="1" points="${line(
+        (bucket) => bucket.errors,
+        maxErrors
+      )}" />`
+      : "";
+
+    return `
+      <div class="bandwidth-chart">
+        <h5>📈 Data per ${history.resolution} (${HISTORY_RANGES[history.range]})</h5>
+        <div class="chart-container">
+          <svg viewBox="0 0 ${width} ${height}" class="sparkline" preserveAspectRatio="none">
+            <polyline fill="none" stroke="var(--primary-color)" stroke-width="1.5" points="${line(volume, maxBytes)}" />
+            ${errorLine}
+          </svg>
+          <div class="chart-labels">
+            <span class="chart-max">${this.formatBytes(maxBytes)}</span>
+            <span class="chart-min">0</span>
+          </div>
+        </div>
+      </div>
+    `;
   }
 
   startMetricsRefresh() {
@@ -344,6 +623,21 @@ class DataConnectorConfig {
     // Update path analytics display
     this.updatePathAnalyticsDisplay(metrics);
 
+    // Update path rate rule display (client mode)
+    this.updatePathRatesDisplay(metrics);
+
+    // Update client registry display (server mode)
+    this.updateClientsDisplay(metrics);
+
+    // Update additional destinations display (client mode)
+    this.updateDestinationsDisplay(metrics);
+
+    // Update server failover display (client mode)
+    this.updateFailoverDisplay(metrics);
+
+    // Update key rotation status
+    this.updateKeyStatusDisplay(metrics);
+
     // Update general metrics
     const metricsDiv = document.getElementById("metrics");
     if (!metricsDiv) {
@@ -357,14 +651,33 @@ class DataConnectorConfig {
       stats.udpSendErrors > 0 ||
       stats.compressionErrors > 0 ||
       stats.encryptionErrors > 0 ||
-      stats.subscriptionErrors > 0;
+      stats.subscriptionErrors > 0 ||
+      stats.replayErrors > 0 ||
+      stats.protocolErrors > 0;
 
     // Build metrics grid items
     const metricsGridItems = [
       renderMetricItem("Uptime", uptime.formatted),
       renderMetricItem("Mode", isClient ? "📱 Client" : "🖥️ Server"),
       renderMetricItem("Status", status.readyToSend ? "✓ Ready" : "✗ Not Ready", status.readyToSend ? "success" : "error"),
-      isClient ? renderMetricItem("Buffered Deltas", status.deltasBuffered) : ""
+      isClient ? renderMetricItem("Buffered Deltas", status.deltasBuffered) : "",
+      isClient && metrics.queue
+        ? renderMetricItem(
+          metrics.queue.draining ? "Queued Deltas (draining)" : "Queued Deltas",
+          metrics.queue.entries.toLocaleString(),
+          metrics.queue.entries > 0 ? "warning" : ""
+        )
+        : "",
+      isClient && metrics.adaptiveTimer && metrics.adaptiveTimer.interval
+        ? renderMetricItem("Delta Timer (auto)", `${metrics.adaptiveTimer.interval} ms - ${metrics.adaptiveTimer.reason}`)
+        : "",
+      isClient && metrics.budget
+        ? renderMetricItem(
+          "Data Budget",
+          `${Math.round(metrics.budget.used * 100)}% (${metrics.budget.level})`,
+          metrics.budget.level === "normal" ? "" : "warning"
+        )
+        : ""
     ].join("");
 
     // Build stats items
@@ -376,15 +689,50 @@ class DataConnectorConfig {
       isClient ? renderStatItem("UDP Retries", stats.udpRetries) : "",
       renderStatItem("Compression Errors", stats.compressionErrors, stats.compressionErrors > 0),
       renderStatItem("Encryption Errors", stats.encryptionErrors, stats.encryptionErrors > 0),
+      !isClient ? renderStatItem("Replay Rejections", stats.replayErrors, stats.replayErrors > 0) : "",
+      !isClient ? renderStatItem("Protocol Errors", stats.protocolErrors, stats.protocolErrors > 0) : "",
       isClient ? renderStatItem("Subscription Errors", stats.subscriptionErrors, stats.subscriptionErrors > 0) : ""
-    ].join("");
+    ];
+    const reliable = metrics.reliable;
+    if (reliable && isClient && reliable.sent > 0) {
+      statsItems.push(
+        renderStatItem("Reliable Packets", reliable.sent.toLocaleString()),
+        renderStatItem("Awaiting ACK", reliable.pending),
+        renderStatItem("Retransmissions", reliable.retransmitted.toLocaleString()),
+        renderStatItem("Undelivered", reliable.failed, reliable.failed > 0)
+      );
+    } else if (reliable && !isClient && reliable.acksSent > 0) {
+      statsItems.push(renderStatItem("ACKs Sent", reliable.acksSent.toLocaleString()));
+    }
+    const fec = metrics.fec;
+    if (fec && isClient && fec.paritySent > 0) {
+      statsItems.push(renderStatItem("FEC Parity Packets", fec.paritySent.toLocaleString()));
+    } else if (fec && !isClient && fec.parityReceived > 0) {
+      statsItems.push(
+        renderStatItem("FEC Recovered", fec.recovered.toLocaleString()),
+        renderStatItem("FEC Unrecoverable", fec.unrecoverable, fec.unrecoverable > 0)
+      );
+    }
+    const lanes = metrics.lanes;
+    if (lanes && isClient && lanes.criticalSent + lanes.bulkSent + lanes.bulkBuffered > 0) {
+      statsItems.push(
+        renderStatItem("Critical Deltas", lanes.criticalSent.toLocaleString()),
+        renderStatItem("Bulk Deltas Sent", lanes.bulkSent.toLocaleString()),
+        renderStatItem("Bulk Deltas Waiting", lanes.bulkBuffered.toLocaleString()),
+        renderStatItem("Bulk Dropped", lanes.bulkDropped, lanes.bulkDropped > 0)
+      );
+    }
+    const changeDetection = metrics.changeDetection;
+    if (changeDetection && isClient && changeDetection.valuesSuppressed > 0) {
+      statsItems.push(renderStatItem("Unchanged Values Skipped", changeDetection.valuesSuppressed.toLocaleString()));
+    }
 
     let metricsHtml = `
       <h4>📊 Performance Metrics</h4>
       <div class="metrics-grid">${metricsGridItems}</div>
       <div class="metrics-stats">
         <h5>Transmission Statistics</h5>
-        <div class="stats-grid">${statsItems}</div>
+        <div class="stats-grid">${statsItems.join("")}</div>
       </div>
     `;
 
@@ -457,7 +805,14 @@ class DataConnectorConfig {
         renderBwStat("Total Received (Compressed)", bw.bytesInFormatted),
         renderBwStat("Total Raw (After Decompression)", this.formatBytes(bw.bytesInRaw || 0)),
         renderBwStat("Bandwidth Saved", savedFormatted, true, true),
-        renderBwStat("Packets Received", bw.packetsIn.toLocaleString())
+        renderBwStat("Packets Received", bw.packetsIn.toLocaleString()),
+        ...(metrics.linkQuality
+          ? [
+            renderBwStat("Packet Loss", `${metrics.linkQuality.lossRate}% (${metrics.linkQuality.packetsLost.toLocaleString()})`),
+            renderBwStat("Out of Order", metrics.linkQuality.outOfOrder.toLocaleString()),
+            renderBwStat("Duplicates", metrics.linkQuality.duplicates.toLocaleString())
+          ]
+          : [])
       ];
 
     const bandwidthHtml = `
@@ -617,6 +972,252 @@ class DataConnectorConfig {
     pathDiv.innerHTML = pathHtml;
   }
 
+  updatePathRatesDisplay(metrics) {
+    const ratesDiv = document.getElementById("pathRates");
+    if (!ratesDiv) {
+      return;
+    }
+
+    const rules = metrics.pathRates || [];
+    if (rules.length === 0) {
+      ratesDiv.innerHTML = `
+        <div class="path-analytics-empty">
+          <p>No path rate rules. All subscribed paths are sent at the delta timer rate.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const rows = rules
+      .map((rule) => `
+        <tr>
+          <td class="path-name" title="${this.escapeHtml(rule.path)}">${this.escapeHtml(rule.path)}</td>
+          <td>${(rule.interval / 1000).toLocaleString()} s</td>
+          <td class="path-rate">${rule.passedPerMinute}</td>
+          <td>${rule.passed.toLocaleString()}</td>
+          <td>${rule.dropped.toLocaleString()}</td>
+        </tr>
+      `)
+      .join("");
+
+    ratesDiv.innerHTML = `
+      <div class="path-table-container">
+        <table class="path-table">
+          <thead>
+            <tr>
+              <th>Rule</th>
+              <th>Interval</th>
+              <th>Sent/min</th>
+              <th>Sent</th>
+              <th>Skipped</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  updateDestinationsDisplay(metrics) {
+    const destinationsDiv = document.getElementById("destinations");
+    if (!destinationsDiv) {
+      return;
+    }
+
+    const destinations = metrics.destinations || [];
+    if (destinations.length === 0) {
+      destinationsDiv.innerHTML = `
+        <div class="path-analytics-empty">
+          <p>No additional destinations. Data is sent to the server above only.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const rows = destinations
+      .map((d) => `
+        <tr>
+          <td class="path-name">${this.escapeHtml(d.name)}</td>
+          <td>${this.escapeHtml(d.address)}</td>
+          <td class="path-rate">${d.rateOutFormatted}</td>
+          <td class="path-bytes">${d.bytesOutFormatted}</td>
+          <td>${d.compressionRatio}%</td>
+          <td>${d.packetsOut.toLocaleString()}</td>
+          <td title="${d.lastError ? this.escapeHtml(d.lastError) : ""}">${d.errors}</td>
+        </tr>
+      `)
+      .join("");
+
+    destinationsDiv.innerHTML = `
+      <div class="path-table-container">
+        <table class="path-table">
+          <thead>
+            <tr>
+              <th>Destination</th>
+              <th>Address</th>
+              <th>Rate</th>
+              <th>Data Volume</th>
+              <th>Compression</th>
+              <th>Packets</th>
+              <th>Errors</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  updateFailoverDisplay(metrics) {
+    const failoverDiv = document.getElementById("failover");
+    if (!failoverDiv) {
+      return;
+    }
+
+    const failover = metrics.failover;
+    if (!failover) {
+      failoverDiv.innerHTML = `
+        <div class="path-analytics-empty">
+          <p>No failover servers configured. Data is always sent to the configured server.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const statusLabels = { up: "Answering", down: "Not answering", probing: "Probing", standby: "Standby" };
+    const lastSwitch = failover.lastSwitch
+      ? `${failover.lastSwitch.reason === "failback" ? "Failed back" : "Failed over"} ` +
+        `from ${this.escapeHtml(failover.lastSwitch.from)} at ${new Date(failover.lastSwitch.time).toLocaleString()}`
+      : "-";
+    const items = [
+      renderStatItem("Active Server", this.escapeHtml(failover.active)),
+      renderStatItem("Switches", failover.switches.toLocaleString(), failover.activeIndex > 0),
+      renderStatItem("Last Switch", lastSwitch),
+      renderStatItem("Timeout / Fail-back", `${failover.timeoutSeconds}s / ${failover.failbackSeconds}s`)
+    ];
+
+    const rows = failover.servers
+      .map((server, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td class="path-name">${this.escapeHtml(server.address)}${server.active ? " (active)" : ""}</td>
+          <td>${statusLabels[server.status] || server.status}</td>
+          <td>${server.rtt === null ? "-" : `${server.rtt} ms`}</td>
+          <td>${server.lastReply ? new Date(server.lastReply).toLocaleTimeString() : "-"}</td>
+          <td>${server.repliesReceived.toLocaleString()} / ${server.probesSent.toLocaleString()}</td>
+        </tr>
+      `)
+      .join("");
+
+    failoverDiv.innerHTML = `
+      <div class="stats-grid">${items.join("")}</div>
+      <div class="path-table-container">
+        <table class="path-table">
+          <thead>
+            <tr>
+              <th>Priority</th>
+              <th>Server</th>
+              <th>Status</th>
+              <th>RTT</th>
+              <th>Last Reply</th>
+              <th>Replies / Probes</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  updateClientsDisplay(metrics) {
+    const clientsDiv = document.getElementById("clients");
+    if (!clientsDiv) {
+      return;
+    }
+
+    const clients = metrics.clients || [];
+    if (clients.length === 0) {
+      clientsDiv.innerHTML = `
+        <div class="path-analytics-empty">
+          <p>No clients registered. All clients use the shared encryption key.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const rows = clients
+      .map((c) => {
+        const lastSeen = c.lastSeen ? `${Math.floor((Date.now() - c.lastSeen) / 1000)}s ago` : "never";
+        return `
+        <tr>
+          <td class="path-name" title="${this.escapeHtml(c.clientId)}">${this.escapeHtml(c.name)}</td>
+          <td>${c.address ? this.escapeHtml(c.address) : "-"}</td>
+          <td>${lastSeen}</td>
+          <td>${c.format ? this.escapeHtml(c.format) : "-"}</td>
+          <td class="path-rate">${c.deltasReceived.toLocaleString()}</td>
+          <td class="path-bytes">${c.bytesInFormatted}</td>
+          <td>${(c.packetsLost || 0).toLocaleString()}</td>
+          <td>${c.deltasRejected + c.decryptErrors}</td>
+        </tr>
+      `;
+      })
+      .join("");
+
+    clientsDiv.innerHTML = `
+      <div class="path-table-container">
+        <table class="path-table">
+          <thead>
+            <tr>
+              <th>Client</th>
+              <th>Address</th>
+              <th>Last Seen</th>
+              <th>Format</th>
+              <th>Deltas</th>
+              <th>Data Volume</th>
+              <th>Lost Packets</th>
+              <th>Rejected</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  updateKeyStatusDisplay(metrics) {
+    const keyDiv = document.getElementById("keyStatus");
+    if (!keyDiv || !metrics.keys) {
+      return;
+    }
+
+    const { fingerprint, rotation } = metrics.keys;
+    const items = [renderStatItem("Current Key", `fingerprint ${fingerprint}`)];
+    if (rotation) {
+      items.push(
+        renderStatItem("Next Key", `fingerprint ${rotation.nextFingerprint}`),
+        renderStatItem("Sending With", rotation.sendingNext ? "next key" : "current key"),
+        renderStatItem("Rotation Time", new Date(rotation.activateAt).toLocaleString()),
+        renderStatItem("Old Key Retired", new Date(rotation.windowEnd).toLocaleString())
+      );
+    } else {
+      items.push(renderStatItem("Rotation", "none scheduled"));
+    }
+    const keyExchange = metrics.keyExchange;
+    if (keyExchange && metrics.mode === "client" && keyExchange.handshakesSent > 0) {
+      items.push(
+        renderStatItem(
+          "Session Key",
+          keyExchange.established ? `${Math.floor(keyExchange.ageSeconds / 60)} min old` : "not established",
+          !keyExchange.established
+        )
+      );
+    } else if (keyExchange && metrics.mode === "server" && keyExchange.handshakesAnswered > 0) {
+      items.push(renderStatItem("Session Keys", keyExchange.sessions));
+    }
+
+    keyDiv.innerHTML = `<div class="stats-grid">${items.join("")}</div>`;
+  }
+
   formatBytes(bytes) {
     if (!bytes || bytes <= 0) {
       return "0 B";
@@ -739,6 +1340,9 @@ class DataConnectorConfig {
     container.innerHTML =
       serverModeCard +
       renderCard("Bandwidth Monitor", "Network reception statistics", "bandwidth") +
+      renderHistoryCard() +
+      renderCard("Clients", "Registered vessels with their own encryption keys", "clients") +
+      renderKeyRotationCard() +
       renderCard("Path Analytics", "Incoming data volume by SignalK path", "pathAnalytics") +
       renderCard("Performance Metrics", "Real-time reception statistics (auto-refreshes every 15 seconds)", "metrics");
   }